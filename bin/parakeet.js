@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+/**
+ * StudioGrade Audio Converter
+ * Command Line
+ *
+ * Converts every audio file under a folder with the same converter and
+ * pipeline as the page, on worker threads, mirroring the folder
+ * structure in the output folder:
+ *
+ *   parakeet convert <dir> [--rate 48000] [--bits 24] [--channels 2] [--out <dir>]
+ *
+ * or serves the page and the conversion API (node/server.js):
+ *
+ *   parakeet serve [--port 8080] [--host 127.0.0.1]
+ *
+ * Progress goes to stdout as one JSON object per line. Exit codes:
+ * 0 when every file converted (and verified), 1 when any failed,
+ * 2 on bad usage, 130 when interrupted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { createConverter } = require('../node/core');
+const NodeDecoder = require('../node/node-decoder');
+const ConversionServer = require('../node/server');
+
+const USAGE = `Usage: parakeet convert <dir> [options]
+       parakeet serve [options]
+
+convert: converts the audio files under <dir> to FLAC (or --format), keeping the folder structure.
+serve:   serves the page and a conversion API for it, on this machine.
+
+Conversion options:
+  --format <name>          flac, wav, rf64, aiff, aifc, w64 or caf (default flac);
+                           wav becomes RF64 past 4 GB
+  --rate <hz|source>       Output sample rate (default 96000)
+  --bits <16|20|24>        Output bit depth (default 24)
+  --channels <1|2|4|6|8>   Output channel count (default 8)
+  --level <0-8>            FLAC compression level (default 5)
+  --dither <curve>         off, tpdf, highpass, lipshitz or fweighted (default tpdf)
+  --mapping <strategy>     Channel mapping: duplicate, matrix or direct (default duplicate)
+  --quality <preset>       Resampler: fast, standard or mastering (default standard)
+  --loudness <mode>        ReplayGain: off, track or album (default off)
+  --verify <on|off>        Decode and compare every output (default on)
+  --out <dir>              Output folder (default <dir>-<extension>, e.g. <dir>-flac)
+  --jobs <n>               Worker threads (default: CPU cores)
+  --retries <n>            Automatic retries per failed file (default 1)
+
+Server options:
+  --port <n>               Port to listen on (default 8080)
+  --host <address>         Interface to listen on (default 127.0.0.1)
+  --retention <minutes>    How long uploads and outputs are kept (default 60)
+  --jobs <n>               Worker threads (default: CPU cores)
+  --cors <origin>          Also let the page at this origin use the API,
+                           e.g. https://example.com (or null for a file)
+
+  -h, --help               Show this help
+
+Progress is printed as JSON lines: start, skipped, file-start, progress,
+retry, done, error and summary events; the server prints listening.`;
+
+/**
+ * Command line options that set converter settings
+ */
+const SETTING_OPTIONS = {
+    format: 'outputFormat',
+    rate: 'sampleRate',
+    bits: 'bitDepth',
+    channels: 'channels',
+    level: 'compressionLevel',
+    dither: 'dither',
+    mapping: 'channelMapping',
+    quality: 'resampleQuality',
+    loudness: 'loudness',
+    verify: 'verify'
+};
+
+/**
+ * Command line options of the CLI itself, by command
+ */
+const CLI_OPTIONS = {
+    convert: ['out', 'jobs', 'retries'],
+    serve: ['port', 'host', 'retention', 'jobs', 'cors']
+};
+
+/**
+ * Options that take a whole number, with their minimum
+ */
+const INTEGER_OPTIONS = { jobs: 1, retries: 0, port: 0, retention: 1 };
+
+const DEFAULT_PORT = 8080;
+
+const EXIT = {
+    ok: 0,
+    failed: 1,
+    usage: 2,
+    interrupted: 130
+};
+
+class UsageError extends Error {}
+
+// ================================================
+// ARGUMENTS
+// ================================================
+
+/**
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { command, dir, settings, help } and the CLI_OPTIONS given
+ * @throws {UsageError} On unknown options or missing values
+ */
+function parseArgs(argv) {
+    const args = { command: null, dir: null, settings: {}, help: false };
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        // --name value or --name=value
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        const value = inline !== undefined ? inline : argv[++i];
+        if (value === undefined) throw new UsageError(`Missing value for --${name}`);
+
+        options[name] = value;
+    }
+
+    args.command = positional.shift();
+    if (args.help) return args;
+    if (!(args.command in CLI_OPTIONS)) throw new UsageError(args.command ? `Unknown command: ${args.command}` : 'Missing command');
+    if (args.command === 'convert') {
+        args.dir = positional.shift();
+        if (!args.dir) throw new UsageError('Missing folder to convert');
+    }
+    if (positional.length > 0) throw new UsageError(`Unexpected argument: ${positional[0]}`);
+
+    Object.entries(options).forEach(([name, value]) => {
+        if (args.command === 'convert' && name in SETTING_OPTIONS) {
+            args.settings[SETTING_OPTIONS[name]] = value;
+            return;
+        }
+        if (!CLI_OPTIONS[args.command].includes(name)) throw new UsageError(`Unknown option for ${args.command}: --${name}`);
+        if (name in INTEGER_OPTIONS) {
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < INTEGER_OPTIONS[name]) throw new UsageError(`Invalid --${name}: ${value}`);
+            value = number;
+        }
+        if (name === 'cors' && value !== 'null') {
+            let url = null;
+            try {
+                url = new URL(value);
+            } catch (error) {
+                // Reported below
+            }
+            if (!url || url.origin !== value.replace(/\/$/, '')) throw new UsageError(`Invalid --cors: ${value}`);
+            value = url.origin;
+        }
+        args[name] = value;
+    });
+    return args;
+}
+
+// ================================================
+// FILES
+// ================================================
+
+/**
+ * List the files under a folder, skipping hidden ones and the output folder
+ * @param {string} root - Folder to list
+ * @param {string} exclude - Folder to leave out
+ * @returns {Promise<Array<string>>} Paths relative to root, with forward slashes, sorted
+ */
+async function listFiles(root, exclude) {
+    const files = [];
+    const walk = async (dir) => {
+        const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory() && full !== exclude) {
+                await walk(full);
+            } else if (entry.isFile()) {
+                files.push(path.relative(root, full).split(path.sep).join('/'));
+            }
+        }
+    };
+    await walk(root);
+    return files.sort();
+}
+
+/**
+ * Write a converted file under the output folder
+ * @param {string} outDir - Output folder
+ * @param {string} relative - Path inside it, with forward slashes
+ * @param {Blob} blob - Converted file
+ * @returns {Promise<string>} Path written
+ */
+async function writeOutput(outDir, relative, blob) {
+    const target = path.join(outDir, ...relative.split('/'));
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, Buffer.from(await blob.arrayBuffer()));
+    return target;
+}
+
+/**
+ * Print one progress event as a JSON line
+ * @param {string} event - Event name
+ * @param {Object} [fields] - Event data
+ */
+function emit(event, fields = {}) {
+    process.stdout.write(`${JSON.stringify({ event, ...fields })}\n`);
+}
+
+// ================================================
+// CONVERT
+// ================================================
+
+/**
+ * Create the converter with the settings and retries given
+ * @param {Object} args - From parseArgs
+ * @returns {AudioConverter}
+ * @throws {UsageError} On unsupported setting values
+ */
+function setUpConverter(args) {
+    const converter = createConverter({ jobs: args.jobs });
+    try {
+        converter.updateSettings(args.settings);
+    } catch (error) {
+        converter.workerPool.terminate();
+        throw new UsageError(error.message);
+    }
+    if (args.retries !== undefined) converter.autoRetryLimit = args.retries;
+    return converter;
+}
+
+/**
+ * Run `parakeet convert`
+ * @param {Object} args - From parseArgs
+ * @returns {Promise<number>} Exit code
+ */
+async function convert(args) {
+    const sourceDir = path.resolve(args.dir);
+    const stat = await fs.promises.stat(sourceDir).catch(() => null);
+    if (!stat || !stat.isDirectory()) throw new UsageError(`Not a folder: ${args.dir}`);
+    const converter = setUpConverter(args);
+    const { extension } = AudioConverter.OUTPUT_FORMATS[converter.settings.outputFormat];
+    const outDir = path.resolve(args.out || `${sourceDir}-${extension}`);
+    const { workerPool } = converter;
+
+    const started = Date.now();
+    const counts = { converted: 0, failed: 0, unverified: 0, skipped: 0 };
+    const paths = await listFiles(sourceDir, outDir);
+    emit('start', { source: sourceDir, output: outDir, files: paths.length, jobs: workerPool.size, settings: converter.settings });
+
+    // Files that aren't audio are skipped, like in a folder import; broken or oversized audio files fail
+    const jobs = [];
+    for (const relative of paths) {
+        // Sources are decoded whole in memory, so the page's size limit applies before opening.
+        // fs.openAsBlob reports sizes past 4 GB wrongly on Node 20; stat doesn't
+        const { size } = await fs.promises.stat(path.join(sourceDir, relative));
+        const sizeCheck = converter.validateFileSize({ size });
+        if (!sizeCheck.valid) {
+            counts.failed++;
+            emit('error', { path: relative, error: sizeCheck.message });
+            continue;
+        }
+
+        const file = await NodeDecoder.open(path.join(sourceDir, relative));
+        const validation = await converter.validateAudioFile(file);
+        if (validation.problem === 'unsupported') {
+            counts.skipped++;
+            emit('skipped', { path: relative, reason: validation.message });
+        } else if (!validation.valid) {
+            counts.failed++;
+            emit('error', { path: relative, error: validation.message });
+        } else {
+            jobs.push({ file, path: relative });
+        }
+    }
+
+    const controller = new AbortController();
+    const interrupt = () => controller.abort();
+    process.once('SIGINT', interrupt);
+    process.once('SIGTERM', interrupt);
+
+    const usedNames = new Set();
+    const writes = [];
+    const reported = jobs.map(() => -1);
+
+    try {
+        await converter.batchConvert(jobs.map(job => job.file), (file, progress, index) => {
+            const rounded = Math.floor(progress);
+            if (rounded === reported[index]) return;
+            reported[index] = rounded;
+            emit('progress', { path: jobs[index].path, progress: rounded });
+        }, {
+            signal: controller.signal,
+            filePath: (file, index) => jobs[index].path,
+            onFileStart: (file, index) => emit('file-start', { path: jobs[index].path }),
+            onFileRetry: (file, error, index, attempt) => emit('retry', { path: jobs[index].path, attempt, error: error.message }),
+            onFileComplete: (file, result, index) => {
+                const output = AudioConverter.uniqueName(AudioConverter.outputPath(result), usedNames);
+                const verified = result.verification ? result.verification.passed : null;
+                writes.push(writeOutput(outDir, output, result.blob).then(() => {
+                    counts[verified === false ? 'unverified' : 'converted']++;
+                    emit('done', {
+                        path: jobs[index].path,
+                        output,
+                        bytes: result.outputSize,
+                        sampleRate: result.settings.sampleRate,
+                        channels: result.settings.channels,
+                        bitDepth: result.settings.bitDepth,
+                        verified
+                    });
+                }, (error) => {
+                    counts.failed++;
+                    emit('error', { path: jobs[index].path, error: `Could not write ${output}: ${error.message}` });
+                }));
+            },
+            onFileError: (file, error, index) => {
+                if (JobQueue.isAbortError(error)) return;
+                counts.failed++;
+                emit('error', { path: jobs[index].path, error: error.message });
+            }
+        });
+        await Promise.all(writes);
+    } finally {
+        process.removeListener('SIGINT', interrupt);
+        process.removeListener('SIGTERM', interrupt);
+        workerPool.terminate();
+    }
+
+    const interrupted = controller.signal.aborted;
+    emit('summary', { ...counts, interrupted, seconds: (Date.now() - started) / 1000 });
+
+    if (interrupted) return EXIT.interrupted;
+    return counts.failed > 0 || counts.unverified > 0 ? EXIT.failed : EXIT.ok;
+}
+
+// ================================================
+// SERVE
+// ================================================
+
+/**
+ * Run `parakeet serve` until interrupted
+ * @param {Object} args - From parseArgs
+ * @returns {Promise<number>} Exit code
+ */
+async function serve(args) {
+    const converter = setUpConverter(args);
+    const server = new ConversionServer(converter, {
+        retentionMs: args.retention !== undefined ? args.retention * 60 * 1000 : undefined,
+        cors: args.cors
+    });
+
+    let address;
+    try {
+        address = await server.listen(args.port !== undefined ? args.port : DEFAULT_PORT, args.host);
+    } catch (error) {
+        converter.workerPool.terminate();
+        throw error;
+    }
+    const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    emit('listening', { url: `http://${host}:${address.port}/`, jobs: converter.workerPool.size, retention: server.retentionMs });
+
+    await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+    await server.close();
+    converter.workerPool.terminate();
+    emit('closed');
+    return EXIT.ok;
+}
+
+// ================================================
+// MAIN
+// ================================================
+
+async function main(argv) {
+    try {
+        const args = parseArgs(argv);
+        if (args.help) {
+            process.stdout.write(`${USAGE}\n`);
+            return EXIT.ok;
+        }
+        return await (args.command === 'serve' ? serve(args) : convert(args));
+    } catch (error) {
+        if (error instanceof UsageError) {
+            process.stderr.write(`parakeet: ${error.message}\n\n${USAGE}\n`);
+            return EXIT.usage;
+        }
+        emit('error', { error: error.message });
+        return EXIT.failed;
+    }
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
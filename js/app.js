@@ -5,22 +5,69 @@
  * Handles UI interactions and file management
  */
 
+// Interface language, saved or from the browser
+const i18n = new I18n(I18n.detect(localStorage.getItem('language')));
+
 // Initialize converter
-const converter = new AudioConverter();
+const converter = new AudioConverter(i18n);
 
 // State management
-let selectedFiles = [];
+let selectedFiles = []; // Queue entries, see createQueueEntry
+let nextEntryId = 1;
 let isConverting = false;
+let activeBatches = 0;
+let bundleUrl = null; // object URL of the last "Download all" ZIP
+let reportUrl = null; // object URL of the last verification report
+let presetsUrl = null; // object URL of the last presets export
+let isBundling = false;
+let previewContext = null; // AudioContext for previews, created on first use
+let activePreview = null; // { entry, player, loaded, frame } of the open preview
+let queueStore = null; // QueueStore once opened, null without IndexedDB
+let queueReady = Promise.resolve(); // settles once the last session's queue is restored
+let storeWrites = Promise.resolve(); // queue store writes, run one after another
+let saveTimer = null;
+const pendingSaves = new Set(); // entries changed since the last save
+let historyRecords = []; // conversion history, newest first
+let startButtonLabel = { icon: '⚡', key: 'actions.start', params: {} }; // shown on the start button
+let estimateRun = 0; // latest batch estimate update; older ones drop their result
 
 // DOM Elements
 const dropZone = document.getElementById('dropZone');
 const fileInput = document.getElementById('fileInput');
+const folderInput = document.getElementById('folderInput');
 const fileList = document.getElementById('fileList');
+const batchEstimate = document.getElementById('batchEstimate');
 const actionButtons = document.getElementById('actionButtons');
 const themeToggle = document.getElementById('themeToggle');
+const languageSelect = document.getElementById('languageSelect');
 const selectFilesBtn = document.getElementById('selectFilesBtn');
+const selectFolderBtn = document.getElementById('selectFolderBtn');
 const clearAllBtn = document.getElementById('clearAllBtn');
 const startConversionBtn = document.getElementById('startConversionBtn');
+const pauseBtn = document.getElementById('pauseBtn');
+const cancelAllBtn = document.getElementById('cancelAllBtn');
+const downloadAllBtn = document.getElementById('downloadAllBtn');
+const reportBtn = document.getElementById('reportBtn');
+const autoRetrySelect = document.getElementById('autoRetrySelect');
+const conversionModeSelect = document.getElementById('conversionModeSelect');
+const serverUrlInput = document.getElementById('serverUrlInput');
+const settingsGrid = document.getElementById('settingsGrid');
+const presetSelect = document.getElementById('presetSelect');
+const savePresetBtn = document.getElementById('savePresetBtn');
+const deletePresetBtn = document.getElementById('deletePresetBtn');
+const importPresetsBtn = document.getElementById('importPresetsBtn');
+const exportPresetsBtn = document.getElementById('exportPresetsBtn');
+const presetFileInput = document.getElementById('presetFileInput');
+const matrixEditor = document.getElementById('matrixEditor');
+const qualityBadge = document.getElementById('qualityBadge');
+const notificationsBtn = document.getElementById('notificationsBtn');
+const historyPanel = document.getElementById('historyPanel');
+const historySearch = document.getElementById('historySearch');
+const historyList = document.getElementById('historyList');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+
+// Toasts and the notification drawer
+const notifications = new NotificationCenter({ toggle: notificationsBtn, i18n });
 
 // ================================================
 // THEME MANAGEMENT
@@ -32,8 +79,7 @@ const startConversionBtn = document.getElementById('startConversionBtn');
 function toggleTheme() {
     document.body.classList.toggle('dark-mode');
     const isDark = document.body.classList.contains('dark-mode');
-    themeToggle.textContent = isDark ? '☀️' : '🌙';
-    themeToggle.setAttribute('aria-label', isDark ? 'Switch to light mode' : 'Switch to dark mode');
+    updateThemeToggle();
     localStorage.setItem('theme', isDark ? 'dark' : 'light');
 }
 
@@ -44,9 +90,62 @@ function loadTheme() {
     const savedTheme = localStorage.getItem('theme');
     if (savedTheme === 'dark') {
         document.body.classList.add('dark-mode');
-        themeToggle.textContent = '☀️';
-        themeToggle.setAttribute('aria-label', 'Switch to light mode');
     }
+    updateThemeToggle();
+}
+
+/**
+ * Sync the theme toggle with the current theme
+ */
+function updateThemeToggle() {
+    const isDark = document.body.classList.contains('dark-mode');
+    themeToggle.textContent = isDark ? '☀️' : '🌙';
+    themeToggle.setAttribute('aria-label', i18n.t(isDark ? 'theme.toLight' : 'theme.toDark'));
+}
+
+// ================================================
+// LANGUAGE
+// ================================================
+
+/**
+ * Switch the interface language
+ * File rows and panels are rebuilt in the new language, so an open preview stops
+ * @param {string} locale - A locale with a catalog
+ */
+function setLanguage(locale) {
+    i18n.setLocale(locale);
+    localStorage.setItem('language', locale);
+    translateStaticText();
+
+    closePreview();
+    renderSettingsPanel();
+    renderFileList();
+    notifications.renderHistory();
+}
+
+/**
+ * Fill the language switcher and translate the page
+ * The language itself was picked when i18n was created
+ */
+function loadLanguage() {
+    languageSelect.innerHTML = Object.keys(I18n.CATALOGS).map(locale =>
+        `<option value="${locale}" lang="${locale}">${I18n.LANGUAGES[locale] || locale}</option>`
+    ).join('');
+    translateStaticText();
+}
+
+/**
+ * Translate the page markup and the labels kept outside the file list
+ */
+function translateStaticText() {
+    document.documentElement.lang = i18n.locale;
+    languageSelect.value = i18n.locale;
+    i18n.translatePage(document);
+    updateThemeToggle();
+    notifications.updateLabels();
+    updatePauseButton();
+    updateDownloadAllButton();
+    renderStartButton();
 }
 
 // ================================================
@@ -73,32 +172,34 @@ dropZone.addEventListener('dragleave', (e) => {
 
 /**
  * Handle drop event
+ * Dropped folders are walked for the files inside them
  */
-dropZone.addEventListener('drop', (e) => {
+dropZone.addEventListener('drop', async (e) => {
     e.preventDefault();
     e.stopPropagation();
     dropZone.classList.remove('drag-over');
-    
-    const files = e.dataTransfer.files;
-    handleFiles(files);
+
+    handleFiles(await FolderReader.fromDataTransfer(e.dataTransfer));
 });
 
 /**
  * Handle click on drop zone
  */
 dropZone.addEventListener('click', (e) => {
-    if (e.target !== selectFilesBtn && !selectFilesBtn.contains(e.target)) {
+    if (!selectFilesBtn.contains(e.target) && !selectFolderBtn.contains(e.target)) {
         fileInput.click();
     }
 });
 
 /**
- * Handle file input change
+ * Handle file and folder input changes
  */
-fileInput.addEventListener('change', (e) => {
-    handleFiles(e.target.files);
-    // Reset input untuk allow re-selecting same files
-    fileInput.value = '';
+[fileInput, folderInput].forEach(input => {
+    input.addEventListener('change', (e) => {
+        handleFiles(FolderReader.fromFileList(e.target.files));
+        // Reset input untuk allow re-selecting same files
+        input.value = '';
+    });
 });
 
 /**
@@ -109,79 +210,155 @@ selectFilesBtn.addEventListener('click', (e) => {
     fileInput.click();
 });
 
+/**
+ * Handle select folder button click
+ */
+selectFolderBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    folderInput.click();
+});
+
 // ================================================
 // FILE MANAGEMENT
 // ================================================
 
+/**
+ * Create a queue entry for a file
+ * @param {File} file - The file
+ * @param {Object} [detected] - From converter.validateAudioFile
+ * @param {string} [path] - Path within an imported folder
+ * @returns {Object}
+ */
+function createQueueEntry(file, detected = null, path = file.name) {
+    const addedAt = Date.now();
+    return {
+        id: nextEntryId++,
+        file,
+        path, // e.g. "Album/CD1/01.wav" for folder imports, else the file name; outputs keep the folders
+        detected, // { format, container, detectedBy } from content sniffing
+        status: 'ready',
+        progress: 0,
+        attempt: 0,
+        overrides: {},
+        metadata: null, // header metadata once loaded, false if unreadable
+        tags: null, // tags and artwork once opened in the tag editor; null reads them from the source
+        edits: null, // trim and fades from the waveform editor; null converts the whole file
+        peaks: null, // waveform overview once the waveform editor opened
+        trial: null, // trial encode for the size estimate, see converter.trialEncode
+        trialRun: null, // { key, controller } of the last trial started; controller is null once it settled
+        result: null,
+        error: null,
+        controller: null,
+        addedAt,
+        expiresAt: addedAt + QueueStore.RETENTION_MS, // moved on when the file is converted
+        stored: { source: false, output: null } // audio in the queue store; null when it can't be kept
+    };
+}
+
+/**
+ * Find a queue entry by id
+ * @param {number} id - Entry id
+ * @returns {Object|undefined}
+ */
+function findEntry(id) {
+    return selectedFiles.find(entry => entry.id === id);
+}
+
 /**
  * Handle file selection
- * @param {FileList} files - Selected files
+ * Files that aren't audio are skipped quietly when they come from a
+ * folder (covers, cue sheets, notes) and rejected when picked one by one
+ * @param {FileList|Array<File|Object>} files - Selected files, or { file, path } from FolderReader
  */
-function handleFiles(files) {
+async function handleFiles(files) {
     if (isConverting) {
-        showNotification('⏳ Tunggu hingga konversi selesai', 'warning');
+        showNotification(i18n.t('notify.waitForConversion'), 'warning');
         return;
     }
 
-    const filesArray = Array.from(files);
+    // Copy before awaiting: the file input's list is cleared after this call
+    const imports = Array.from(files, item => item instanceof File
+        ? { file: item, path: FolderReader.relativePath(item) }
+        : item);
+    await queueReady;
     const validFiles = [];
     const invalidFiles = [];
+    const skippedFiles = [];
 
-    filesArray.forEach(file => {
-        // Validate file type
-        if (!converter.isValidAudioFile(file)) {
-            invalidFiles.push({
-                name: file.name,
-                reason: 'Format tidak didukung'
-            });
-            return;
-        }
-
+    for (const { file, path } of imports) {
         // Validate file size
         const sizeValidation = converter.validateFileSize(file);
         if (!sizeValidation.valid) {
             invalidFiles.push({
-                name: file.name,
+                name: path,
                 reason: sizeValidation.message
             });
-            return;
+            continue;
+        }
+
+        // Validate file content
+        const validation = await converter.validateAudioFile(file);
+        if (validation.problem === 'unsupported' && FolderReader.directory(path)) {
+            skippedFiles.push(path);
+            continue;
+        }
+        if (!validation.valid) {
+            invalidFiles.push({
+                name: path,
+                reason: validation.message
+            });
+            continue;
         }
 
-        // Check for duplicates
-        const isDuplicate = selectedFiles.some(f => 
-            f.name === file.name && f.size === file.size
+        // Check for duplicates, including earlier files of this selection
+        const isDuplicate = [...selectedFiles, ...validFiles].some(entry =>
+            entry.path === path && entry.file.size === file.size
         );
 
         if (isDuplicate) {
             invalidFiles.push({
-                name: file.name,
-                reason: 'File sudah ada dalam daftar'
+                name: path,
+                reason: i18n.t('notify.duplicate')
             });
-            return;
+            continue;
         }
 
-        validFiles.push(file);
-    });
+        const { format, container, detectedBy } = validation;
+        validFiles.push({ file, path, detected: { format, container, detectedBy } });
+    }
 
     // Add valid files
     if (validFiles.length > 0) {
-        selectedFiles = [...selectedFiles, ...validFiles];
+        const entries = validFiles.map(({ file, detected, path }) => createQueueEntry(file, detected, path));
+        selectedFiles = [...selectedFiles, ...entries];
         renderFileList();
+        entries.forEach(saveEntry);
+        entries.forEach(loadEntryMetadata);
         actionButtons.classList.add('active');
-        showNotification(`✅ ${validFiles.length} file ditambahkan`, 'success');
+        showNotification(i18n.t('notify.filesAdded', { count: validFiles.length }), 'success');
     }
 
-    // Show errors for invalid files
+    // One notification for all rejected files, grouped by reason
     if (invalidFiles.length > 0) {
-        const errorMessage = invalidFiles
-            .map(f => `• ${f.name}: ${f.reason}`)
-            .join('\n');
-        showNotification(`❌ ${invalidFiles.length} file ditolak:\n${errorMessage}`, 'error');
+        const reasons = new Map();
+        invalidFiles.forEach(({ name, reason }) => {
+            reasons.set(reason, [...(reasons.get(reason) || []), name]);
+        });
+        const summary = Array.from(reasons, ([reason, names]) => `${i18n.formatNumber(names.length)}× ${reason}`).join(' • ');
+        showNotification(i18n.t('notify.filesRejected', { count: invalidFiles.length, summary }), 'error', {
+            details: Array.from(reasons, ([reason, names]) => `${reason}: ${names.join(', ')}`)
+        });
+    }
+
+    if (skippedFiles.length > 0) {
+        showNotification(i18n.t('notify.filesSkipped', { count: skippedFiles.length }), 'info', {
+            details: skippedFiles
+        });
     }
 
     // Show message if no files selected
-    if (validFiles.length === 0 && invalidFiles.length === 0) {
-        showNotification('⚠️ Tidak ada file yang dipilih', 'warning');
+    if (validFiles.length === 0 && invalidFiles.length === 0 && skippedFiles.length === 0) {
+        showNotification(i18n.t('notify.noFilesSelected'), 'warning');
     }
 }
 
@@ -189,289 +366,2772 @@ function handleFiles(files) {
  * Render file list in UI
  */
 function renderFileList() {
+    // History rows link to outputs still in the list
+    renderHistory();
+    updateBatchEstimate();
+
     if (selectedFiles.length === 0) {
         fileList.classList.remove('active');
         actionButtons.classList.remove('active');
+        fileList.innerHTML = '';
         return;
     }
 
     fileList.classList.add('active');
     fileList.innerHTML = '';
 
-    selectedFiles.forEach((file, index) => {
-        const fileItem = createFileItem(file, index);
+    selectedFiles.forEach(entry => {
+        const fileItem = createFileItem(entry);
         fileList.appendChild(fileItem);
+        updateFileItem(entry);
+        updateFileOverrideSummary(entry);
+        updateFileEditSummary(entry);
+        updateFileMetadata(entry);
     });
+    updateDownloadAllButton();
 }
 
 /**
  * Create file item element
- * @param {File} file - The file
- * @param {number} index - File index
+ * @param {Object} entry - Queue entry
  * @returns {HTMLElement}
  */
-function createFileItem(file, index) {
+function createFileItem(entry) {
+    const { file } = entry;
     const fileItem = document.createElement('div');
     fileItem.className = 'file-item';
-    fileItem.dataset.index = index;
+    fileItem.dataset.id = entry.id;
 
-    const extension = converter.getFileExtension(file.name).toUpperCase();
     const formattedSize = converter.formatFileSize(file.size);
+    const format = formatDetectedFormat(entry);
 
     fileItem.innerHTML = `
         <div class="file-icon">🎵</div>
         <div class="file-info">
-            <div class="file-name" title="${file.name}">${file.name}</div>
-            <div class="file-size">${formattedSize} • ${extension}</div>
-            <div class="progress-bar" id="progress-${index}">
+            <div class="file-name"></div>
+            <div class="file-size"></div>
+            <div class="file-meta">${i18n.t('file.readingMetadata')}</div>
+            <div class="file-estimate" hidden></div>
+            <div class="file-output" hidden></div>
+            <div class="file-verify" hidden></div>
+            <div class="file-loudness" hidden></div>
+            <div class="file-spectrum" hidden></div>
+            <div class="file-overrides"></div>
+            <div class="file-edits"></div>
+            <div class="progress-bar">
                 <div class="progress-fill"></div>
             </div>
         </div>
-        <div class="file-status ready">Ready</div>
-        <button class="remove-btn" onclick="removeFile(${index})" aria-label="Remove file">✕</button>
+        <div class="file-status ready">${i18n.t('status.ready')}</div>
+        <button class="settings-btn" onclick="toggleFileSettings(${entry.id})" aria-label="${i18n.t('file.settings')}">⚙️</button>
+        <button class="settings-btn" onclick="toggleFileTags(${entry.id})" aria-label="${i18n.t('file.tags')}">🏷️</button>
+        <button class="settings-btn" onclick="toggleFileWaveform(${entry.id})" aria-label="${i18n.t('file.waveform')}">〰️</button>
+        <button class="settings-btn" onclick="toggleFilePreview(${entry.id})" aria-label="${i18n.t('file.preview')}">🎧</button>
+        <a class="download-btn" aria-label="${i18n.t('file.download')}" hidden>⬇️</a>
+        <button class="retry-btn" onclick="retryFile(${entry.id})" aria-label="${i18n.t('file.retry')}" hidden>↻</button>
+        <button class="remove-btn" onclick="removeFile(${entry.id})" aria-label="${i18n.t('file.remove')}">✕</button>
     `;
 
+    // Names and folders come from the user's disk: set as text, never as markup
+    const name = fileItem.querySelector('.file-name');
+    const folder = document.createElement('span');
+    folder.className = 'file-folder';
+    folder.textContent = FolderReader.directory(entry.path);
+    name.setAttribute('title', entry.path);
+    name.append(folder, file.name);
+    fileItem.querySelector('.file-size').textContent = `${formattedSize} • ${format}`;
+
     return fileItem;
 }
 
 /**
- * Remove file from list
- * @param {number} index - File index to remove
+ * Label a file row with its detected container
+ * @param {Object} entry - Queue entry
+ * @returns {string}
  */
-function removeFile(index) {
-    if (isConverting) {
-        showNotification('⏳ Tidak dapat menghapus saat konversi berlangsung', 'warning');
-        return;
+function formatDetectedFormat(entry) {
+    const extension = converter.getFileExtension(entry.file.name).toUpperCase();
+    if (!entry.detected) return extension;
+
+    const { format, container, detectedBy } = entry.detected;
+    if (detectedBy === 'extension') return i18n.t('file.fromExtension', { container });
+
+    // Flag files whose name doesn't match their content
+    const expected = MetadataParser.EXTENSIONS[extension.toLowerCase()];
+    return expected && expected !== format ? i18n.t('file.notExtension', { container, extension }) : container;
+}
+
+/**
+ * Read a file's header metadata and show it in its row
+ * @param {Object} entry - Queue entry
+ */
+async function loadEntryMetadata(entry) {
+    try {
+        entry.metadata = await converter.getAudioMetadata(entry.file);
+    } catch (error) {
+        entry.metadata = false;
     }
+    updateFileMetadata(entry);
+    saveEntry(entry);
+    refreshEstimate(entry);
+}
 
-    selectedFiles.splice(index, 1);
-    renderFileList();
+/**
+ * Show an entry's metadata in its row
+ * @param {Object} entry - Queue entry
+ */
+function updateFileMetadata(entry) {
+    const metaEl = fileList.querySelector(`.file-item[data-id="${entry.id}"] .file-meta`);
+    if (!metaEl || entry.metadata === null) return;
 
-    if (selectedFiles.length === 0) {
-        fileList.classList.remove('active');
-        actionButtons.classList.remove('active');
+    metaEl.textContent = entry.metadata ? formatAudioMetadata(entry.metadata) : i18n.t('file.metadataUnavailable');
+}
+
+/**
+ * Summarize header metadata in one line
+ * @param {Object} metadata - From converter.getAudioMetadata
+ * @returns {string}
+ */
+function formatAudioMetadata(metadata) {
+    const { container, codec, sampleRate, bitDepth, channels, duration, bitrate } = metadata;
+    const parts = [];
+
+    if (codec) {
+        parts.push(container && container !== codec ? `${codec} (${container})` : codec);
     }
+    if (sampleRate) parts.push(formatSettingValue('sampleRate', sampleRate));
+    if (bitDepth) parts.push(formatSettingValue('bitDepth', bitDepth));
+    if (channels) parts.push(formatSettingValue('channels', channels));
+    if (duration !== null && duration !== undefined) parts.push(converter.formatDuration(duration));
+    if (bitrate) parts.push(`${i18n.formatNumber(Math.round(bitrate / 1000))} kbps`);
 
-    showNotification('🗑️ File dihapus', 'info');
+    return parts.join(' • ') || i18n.t('file.metadataUnavailable');
 }
 
 /**
- * Clear all files
+ * Describe the written bit depth and how it was reached
+ * @param {Object} entry - Completed queue entry
+ * @returns {string}
  */
-function clearAll() {
-    if (isConverting) {
-        showNotification('⏳ Tidak dapat menghapus saat konversi berlangsung', 'warning');
-        return;
+function formatOutputDepth(entry) {
+    const { settings, dither, effectiveBitDepth } = entry.result;
+    const parts = [i18n.t('settings.bits', { bits: settings.bitDepth })];
+    const claimed = entry.metadata && entry.metadata.bitDepth;
+
+    if (dither !== 'off') {
+        parts.push(i18n.t('output.dither', { name: converter.getDitherName(dither) }));
+    } else if (effectiveBitDepth !== null) {
+        parts.push(i18n.t('output.noDither'));
+    }
+    if (effectiveBitDepth > 0 && claimed > effectiveBitDepth) {
+        parts.push(i18n.t('output.padded', { claimed, effective: effectiveBitDepth }));
     }
+    return `💾 ${parts.join(' • ')}`;
+}
 
-    if (selectedFiles.length === 0) return;
+/**
+ * Summarize the bit-exact check of an output in one line
+ * @param {Object} result - Conversion result with a verification
+ * @returns {string}
+ */
+function formatVerification(result) {
+    const { passed, samplesCompared, mismatches, firstMismatch, md5, error } = result.verification;
+    if (passed) {
+        const parts = [i18n.t('verify.passed', { count: samplesCompared })];
+        if (md5 && md5.stored) parts.push(i18n.t('verify.md5Matches', { hash: md5.stored.slice(0, 8) }));
+        return parts.join(' • ');
+    }
 
-    if (confirm(`🗑️ Hapus ${selectedFiles.length} file dari daftar?`)) {
-        selectedFiles = [];
-        fileList.classList.remove('active');
-        actionButtons.classList.remove('active');
-        showNotification('✅ Semua file dihapus', 'success');
+    const parts = [];
+    if (firstMismatch) {
+        parts.push(i18n.t('verify.mismatches', {
+            count: mismatches,
+            sample: String(firstMismatch.sample),
+            seconds: i18n.formatFixed(firstMismatch.sample / result.settings.sampleRate, 3),
+            channel: firstMismatch.channel + 1,
+            expected: String(firstMismatch.expected),
+            actual: String(firstMismatch.actual)
+        }));
     }
+    if (md5 && !md5.matches) parts.push(i18n.t('verify.md5Mismatch'));
+    if (error) parts.push(error);
+    return i18n.t('verify.failed', { reasons: parts.join(' • ') });
 }
 
-// ================================================
-// CONVERSION PROCESS
-// ================================================
+/**
+ * Summarize an output's loudness measurement in one line
+ * @param {Object} loudness - From the conversion result
+ * @returns {string}
+ */
+function formatLoudness(loudness) {
+    const { integrated, range, truePeak, gain, limited, album } = loudness;
+    const level = (value, unit) => Number.isFinite(value) ? `${i18n.formatFixed(value, 1)} ${unit}` : `−∞ ${unit}`;
+    const parts = [level(integrated, 'LUFS'), `LRA ${i18n.formatFixed(range, 1)} LU`, level(truePeak, 'dBTP')];
+
+    if (gain) {
+        const limiter = limited < 0 ? ` (${i18n.t('loudness.limiter', { gain: i18n.formatFixed(limited, 1) })})` : '';
+        parts.push(`${i18n.formatFixed(gain, 1, { signDisplay: 'exceptZero' })} dB${limiter}`);
+    }
+    if (album) {
+        parts.push(i18n.t('loudness.album', { level: level(album.integrated, 'LUFS') }));
+    }
+    return `🔊 ${parts.join(' • ')}`;
+}
 
 /**
- * Start conversion process
+ * Whether the spectral check found the source is not what its container claims
+ * @param {Object} result - Conversion result
+ * @returns {boolean}
  */
-async function startConversion() {
-    if (selectedFiles.length === 0) {
-        showNotification('⚠️ Pilih file terlebih dahulu', 'warning');
-        return;
+function isSuspectSource(result) {
+    return Boolean(result.spectrum) && result.spectrum.verdict === 'suspect';
+}
+
+/**
+ * Explain each issue of a spectral report
+ * @param {Object} spectrum - From SpectrumAnalyzer.analyze
+ * @returns {Array<string>}
+ */
+function describeSpectrumIssues(spectrum) {
+    const { issues, cutoff, originalRate, claimedBitDepth, effectiveBitDepth } = spectrum;
+    const kHz = (hz) => `${i18n.formatFixed(hz / 1000, 1)} kHz`;
+
+    return issues.map(issue => {
+        switch (issue) {
+            case 'lossy':
+                return i18n.t('spectrum.lossy', { cutoff: kHz(cutoff) });
+            case 'upsampled':
+                return i18n.t('spectrum.upsampled', { rate: kHz(originalRate), cutoff: kHz(cutoff) });
+            case 'padded':
+                return i18n.t('spectrum.padded', { claimed: claimedBitDepth, effective: effectiveBitDepth });
+            default:
+                return issue;
+        }
+    });
+}
+
+/**
+ * Sync a file row with its entry's status and progress
+ * @param {Object} entry - Queue entry
+ */
+function updateFileItem(entry) {
+    const fileItem = fileList.querySelector(`.file-item[data-id="${entry.id}"]`);
+    if (!fileItem) return;
+
+    const statusEl = fileItem.querySelector('.file-status');
+    const progressBar = fileItem.querySelector('.progress-bar');
+    const retryBtn = fileItem.querySelector('.retry-btn');
+    const downloadBtn = fileItem.querySelector('.download-btn');
+    const removeBtn = fileItem.querySelector('.remove-btn');
+    const outputEl = fileItem.querySelector('.file-output');
+    const loudnessEl = fileItem.querySelector('.file-loudness');
+    const spectrumEl = fileItem.querySelector('.file-spectrum');
+    const verifyEl = fileItem.querySelector('.file-verify');
+
+    statusEl.textContent = entry.status === 'queued' && entry.attempt > 0
+        ? i18n.t('status.retry', { attempt: entry.attempt, limit: converter.autoRetryLimit })
+        : i18n.t(`status.${entry.status}`);
+    statusEl.className = `file-status ${entry.status}`;
+    statusEl.title = entry.error && !JobQueue.isAbortError(entry.error) ? entry.error.message : '';
+
+    progressBar.classList.toggle('active', entry.status === 'converting' || entry.status === 'completed');
+    progressBar.querySelector('.progress-fill').style.width = `${entry.progress}%`;
+
+    retryBtn.hidden = entry.status !== 'failed' && entry.status !== 'cancelled';
+    downloadBtn.hidden = entry.status !== 'completed';
+    outputEl.hidden = entry.status !== 'completed';
+    if (!outputEl.hidden) {
+        outputEl.textContent = formatOutputDepth(entry);
+    }
+    const verification = entry.status === 'completed' ? entry.result.verification : null;
+    verifyEl.hidden = !verification;
+    verifyEl.classList.toggle('failed', Boolean(verification) && !verification.passed);
+    fileItem.classList.toggle('unverified', Boolean(verification) && !verification.passed);
+    if (verification) {
+        verifyEl.textContent = formatVerification(entry.result);
     }
+    loudnessEl.hidden = !(entry.status === 'completed' && entry.result.loudness);
+    if (!loudnessEl.hidden) {
+        loudnessEl.textContent = formatLoudness(entry.result.loudness);
+    }
+    const suspect = entry.status === 'completed' && isSuspectSource(entry.result);
+    fileItem.classList.toggle('suspect', suspect);
+    spectrumEl.hidden = !suspect;
+    if (suspect) {
+        spectrumEl.textContent = `⚠️ ${describeSpectrumIssues(entry.result.spectrum).join(' • ')}`;
+    }
+    if (entry.status === 'completed') {
+        downloadBtn.href = converter.generateDownloadLink(entry.result);
+        downloadBtn.download = entry.result.convertedName;
+        downloadBtn.title = `${AudioConverter.outputPath(entry.result)} (${converter.formatFileSize(entry.result.outputSize)})`;
+    }
+    fileItem.querySelectorAll('.file-settings select, .file-tags input, .file-tags button, .file-waveform input, .file-waveform select, .file-waveform button').forEach(control => {
+        control.disabled = entry.status === 'queued' || entry.status === 'converting';
+    });
+    updateFileEstimate(entry);
+    const previewPanel = fileItem.querySelector('.file-preview');
+    if (previewPanel) updatePreviewControls(entry, previewPanel);
+    removeBtn.setAttribute('aria-label', i18n.t(entry.status === 'converting' ? 'file.cancel' : 'file.remove'));
+}
 
-    if (isConverting) {
-        showNotification('⏳ Konversi sedang berlangsung', 'warning');
+/**
+ * Remove file from list
+ * Converting files are cancelled instead; queued files are dropped from the batch
+ * @param {number} id - Entry id
+ */
+function removeFile(id) {
+    const entry = findEntry(id);
+    if (!entry) return;
+
+    if (entry.status === 'converting') {
+        cancelFile(id);
         return;
     }
 
-    isConverting = true;
-    startConversionBtn.disabled = true;
-    clearAllBtn.disabled = true;
-    startConversionBtn.innerHTML = '<span>⏳</span> Converting...';
-
-    try {
-        // Get all remove buttons and disable them
-        const removeButtons = document.querySelectorAll('.remove-btn');
-        removeButtons.forEach(btn => btn.disabled = true);
+    if (entry.status === 'queued') {
+        entry.controller.abort();
+    }
 
-        // Process files in batches
-        const batchSize = 10;
-        let completedCount = 0;
+    releaseEntry(entry);
+    selectedFiles = selectedFiles.filter(e => e !== entry);
+    renderFileList();
 
-        for (let i = 0; i < selectedFiles.length; i += batchSize) {
-            const batch = selectedFiles.slice(i, Math.min(i + batchSize, selectedFiles.length));
-            
-            await Promise.all(
-                batch.map((file, batchIndex) => 
-                    convertSingleFile(file, i + batchIndex)
-                )
-            );
-
-            completedCount += batch.length;
-            updateConversionProgress(completedCount, selectedFiles.length);
-        }
+    showNotification(i18n.t('notify.fileRemoved'), 'info');
+}
 
-        // All conversions completed
-        startConversionBtn.innerHTML = '<span>✅</span> All Completed!';
-        showCompletionDialog();
+/**
+ * Clear all files
+ * Files that are currently converting stay in the list
+ */
+async function clearAll() {
+    if (selectedFiles.length === 0) return;
 
-    } catch (error) {
-        console.error('Conversion error:', error);
-        showNotification('❌ Terjadi kesalahan saat konversi', 'error');
-        startConversionBtn.innerHTML = '<span>⚡</span> Start All Conversion';
-    } finally {
-        isConverting = false;
-        startConversionBtn.disabled = false;
-        clearAllBtn.disabled = false;
-        
-        // Re-enable remove buttons
-        const removeButtons = document.querySelectorAll('.remove-btn');
-        removeButtons.forEach(btn => btn.disabled = false);
+    const isRemovable = (entry) => entry.status !== 'converting';
+    const count = selectedFiles.filter(isRemovable).length;
+    if (count === 0) {
+        showNotification(i18n.t('notify.convertingNotRemovable'), 'warning');
+        return;
     }
+
+    const confirmed = await Modal.confirm(i18n.t('confirm.clearAll', { count }), {
+        title: i18n.t('confirm.clearAllTitle'),
+        confirmLabel: i18n.t('modal.delete'),
+        cancelLabel: i18n.t('modal.cancel'),
+        danger: true
+    });
+    if (!confirmed) return;
+
+    // The queue kept running while the dialog was open
+    const removable = selectedFiles.filter(isRemovable);
+    removable.forEach(entry => {
+        if (entry.status === 'queued') entry.controller.abort();
+        releaseEntry(entry);
+    });
+    selectedFiles = selectedFiles.filter(entry => !removable.includes(entry));
+    renderFileList();
+    showNotification(i18n.t('notify.filesRemoved', { count: removable.length }), 'success');
 }
 
 /**
- * Convert single file
- * @param {File} file - File to convert
- * @param {number} index - File index
+ * Free the object URLs that keep an entry's output alive
+ * The last ZIP bundle references every output, so it goes too
+ * @param {Object} entry - Queue entry being removed
  */
-async function convertSingleFile(file, index) {
-    const fileItem = document.querySelector(`.file-item[data-index="${index}"]`);
-    if (!fileItem) return;
-
-    const statusEl = fileItem.querySelector('.file-status');
-    const progressBar = fileItem.querySelector('.progress-bar');
-    const progressFill = progressBar.querySelector('.progress-fill');
+function releaseEntry(entry) {
+    if (activePreview && activePreview.entry === entry) closePreview();
+    if (entry.trialRun && entry.trialRun.controller) entry.trialRun.controller.abort();
+    forgetEntry(entry);
+    converter.revokeDownloadLink(entry.result);
+    entry.result = null;
+    revokeBundleUrl();
+}
 
-    // Update status to converting
-    statusEl.textContent = 'Converting...';
-    statusEl.className = 'file-status converting';
-    progressBar.classList.add('active');
+// ================================================
+// SIZE ESTIMATES
+// ================================================
 
+/**
+ * Estimate an entry's output size with its current settings and edits
+ * @param {Object} entry - Queue entry
+ * @returns {Object|null} { bytes, refined } from converter.estimateOutputSize, null if unknown
+ */
+function estimateEntry(entry) {
     try {
-        // Start conversion
-        await converter.convertToFLAC(file, (progress) => {
-            progressFill.style.width = `${progress}%`;
+        return converter.estimateOutputSize(entry.metadata, {
+            settings: entry.overrides,
+            edits: entry.edits,
+            trial: entry.trial
         });
+    } catch (error) {
+        // Invalid overrides; the conversion reports them
+        return null;
+    }
+}
+
+/**
+ * Update an entry's estimate, and trial-encode it again if its settings
+ * changed since the last trial. A failed trial isn't repeated for the
+ * same settings; the estimate then keeps the typical ratio
+ * @param {Object} entry - Queue entry
+ */
+function refreshEstimate(entry) {
+    updateFileEstimate(entry);
+    updateBatchEstimate();
+    if (entry.status === 'completed' || !estimateEntry(entry)) return;
+
+    const key = converter.estimateKey(entry.overrides);
+    if ((entry.trial && entry.trial.key === key) || (entry.trialRun && entry.trialRun.key === key)) return;
+
+    if (entry.trialRun && entry.trialRun.controller) entry.trialRun.controller.abort();
+    const run = { key, controller: new AbortController() };
+    entry.trialRun = run;
+
+    converter.trialEncode(entry.file, {
+        settings: entry.overrides,
+        tags: entry.tags || undefined,
+        signal: run.controller.signal
+    }).then((trial) => {
+        entry.trial = trial;
+        updateFileEstimate(entry);
+        updateBatchEstimate();
+        saveEntry(entry);
+    }, (error) => {
+        if (!JobQueue.isAbortError(error)) console.warn(`Could not trial-encode ${entry.file.name}:`, error);
+    }).finally(() => {
+        run.controller = null;
+    });
+}
+
+/**
+ * Show an entry's estimated output size in its row, until it is converted
+ * @param {Object} entry - Queue entry
+ */
+function updateFileEstimate(entry) {
+    const estimateEl = fileList.querySelector(`.file-item[data-id="${entry.id}"] .file-estimate`);
+    if (!estimateEl) return;
+
+    const estimate = entry.status === 'completed' ? null : estimateEntry(entry);
+    estimateEl.hidden = !estimate;
+    if (!estimate) return;
+
+    const size = converter.formatFileSize(estimate.bytes);
+    estimateEl.textContent = i18n.t(estimate.refined ? 'estimate.file' : 'estimate.rough', { size });
+    estimateEl.title = i18n.t(estimate.refined ? 'estimate.fileHint' : 'estimate.roughHint', {
+        seconds: AudioConverter.TRIAL_SECONDS
+    });
+}
 
-        // Conversion completed
-        progressFill.style.width = '100%';
-        statusEl.textContent = 'Completed ✓';
-        statusEl.className = 'file-status completed';
+/**
+ * Add up the estimates of queue entries
+ * @param {Array<Object>} entries - Queue entries
+ * @returns {Object} { bytes, unknown } where unknown counts entries without an estimate
+ */
+function projectOutput(entries) {
+    let bytes = 0;
+    let unknown = 0;
+    entries.forEach(entry => {
+        const estimate = estimateEntry(entry);
+        if (estimate) {
+            bytes += estimate.bytes;
+        } else {
+            unknown++;
+        }
+    });
+    return { bytes, unknown };
+}
 
+/**
+ * Bytes the browser will still let this page store
+ * @returns {Promise<number|null>} null when the browser doesn't say
+ */
+async function getFreeStorage() {
+    if (!navigator.storage || typeof navigator.storage.estimate !== 'function') return null;
+    try {
+        const { quota, usage } = await navigator.storage.estimate();
+        return typeof quota === 'number' ? Math.max(0, quota - (usage || 0)) : null;
     } catch (error) {
-        console.error(`Error converting ${file.name}:`, error);
-        statusEl.textContent = 'Failed ✗';
-        statusEl.className = 'file-status ready';
-        statusEl.style.background = 'rgba(255, 59, 48, 0.1)';
-        statusEl.style.color = 'var(--error-color)';
-        progressBar.classList.remove('active');
+        return null;
     }
 }
 
 /**
- * Update overall conversion progress
- * @param {number} completed - Number of completed files
- * @param {number} total - Total number of files
+ * Show the projected output of the files not converted yet,
+ * and whether it fits in the storage left
  */
-function updateConversionProgress(completed, total) {
-    const percentage = Math.round((completed / total) * 100);
-    startConversionBtn.innerHTML = `<span>⏳</span> Converting... ${percentage}%`;
+async function updateBatchEstimate() {
+    const run = ++estimateRun;
+    const pending = selectedFiles.filter(entry => entry.status !== 'completed');
+    const { bytes, unknown } = projectOutput(pending);
+    const free = bytes > 0 ? await getFreeStorage() : null;
+    if (run !== estimateRun) return;
+
+    batchEstimate.hidden = pending.length === unknown;
+    if (batchEstimate.hidden) return;
+
+    const size = converter.formatFileSize(bytes);
+    const exceeds = free !== null && bytes > free;
+    const parts = [i18n.t('estimate.batch', { size, count: pending.length - unknown })];
+    if (unknown > 0) parts.push(i18n.t('estimate.unknown', { count: unknown }));
+    if (free !== null) {
+        parts.push(i18n.t(exceeds ? 'estimate.exceeds' : 'estimate.free', { free: converter.formatFileSize(free) }));
+    }
+    batchEstimate.textContent = parts.join(' • ');
+    batchEstimate.classList.toggle('warning', exceeds);
 }
 
 /**
- * Show completion dialog
+ * Warn before a batch whose projected output won't fit in the storage left
+ * The batch still runs: the estimate can be off, and outputs that don't fit are only kept in memory
+ * @param {Array<Object>} entries - Entries about to be converted
  */
-function showCompletionDialog() {
-    const qualityInfo = converter.getQualityInfo();
-    const message = `
-✨ Konversi Selesai!
+async function warnIfOverStorage(entries) {
+    const { bytes } = projectOutput(entries);
+    const free = await getFreeStorage();
+    if (free === null || bytes <= free) return;
+
+    showNotification(i18n.t('notify.storageLow', {
+        size: converter.formatFileSize(bytes),
+        free: converter.formatFileSize(free)
+    }), 'warning');
+}
 
-📊 Kualitas Output:
-• Format: ${qualityInfo.format}
-• Sample Rate: ${qualityInfo.sampleRate}
-• Channels: ${qualityInfo.channels}
-• Bit Depth: ${qualityInfo.bitDepth}
-• Quality: ${qualityInfo.quality}
+// ================================================
+// DOWNLOADS
+// ================================================
 
-⚠️ CATATAN PENTING:
-Ini adalah demo UI untuk menunjukkan konsep dan antarmuka.
+/**
+ * Start a browser download of an object URL
+ * @param {string} url - Object URL
+ * @param {string} name - Suggested file name
+ */
+function triggerDownload(url, name) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
 
-Untuk konversi audio yang sebenarnya, diperlukan:
-1. Backend server (Node.js/Python/PHP)
-2. FFmpeg untuk audio processing
-3. API endpoints untuk upload & conversion
-4. Storage untuk temporary files
+/**
+ * Download every completed file as one ZIP
+ */
+async function downloadAll() {
+    const completed = selectedFiles.filter(entry => entry.status === 'completed');
+    if (completed.length === 0 || isBundling) return;
 
-File yang dikonversi akan otomatis diunduh dalam format FLAC 96kHz/7.1 Surround.
+    isBundling = true;
+    downloadAllBtn.disabled = true;
+    try {
+        const zip = await converter.createZipBundle(completed.map(entry => entry.result), {
+            onProgress: (progress) => {
+                downloadAllBtn.innerHTML = `<span>📦</span> ${i18n.t('actions.zipping', { percent: Math.floor(progress) })}`;
+            }
+        });
 
-🔒 Privasi: Semua file akan dihapus otomatis dalam 1 jam.
-    `.trim();
+        revokeBundleUrl();
+        bundleUrl = URL.createObjectURL(zip);
+        triggerDownload(bundleUrl, `studiograde-${new Date().toISOString().slice(0, 10)}.zip`);
+        showNotification(i18n.t('notify.zipCreated', { count: completed.length, size: converter.formatFileSize(zip.size) }), 'success');
+    } catch (error) {
+        console.error('ZIP error:', error);
+        showNotification(i18n.t('notify.zipFailed'), 'error');
+    } finally {
+        isBundling = false;
+        downloadAllBtn.disabled = false;
+        updateDownloadAllButton();
+    }
+}
 
-    alert(message);
+/**
+ * Download the verification log of every completed file
+ */
+function downloadVerificationReport() {
+    const completed = selectedFiles.filter(entry => entry.status === 'completed');
+    if (completed.length === 0) return;
 
-    setTimeout(() => {
-        startConversionBtn.innerHTML = '<span>⚡</span> Start All Conversion';
-    }, 2000);
+    if (reportUrl) URL.revokeObjectURL(reportUrl);
+    reportUrl = URL.createObjectURL(converter.createVerificationReport(completed.map(entry => entry.result)));
+    triggerDownload(reportUrl, `studiograde-verify-${new Date().toISOString().slice(0, 10)}.txt`);
 }
 
-// ================================================
-// NOTIFICATIONS
-// ================================================
+/**
+ * Release the last ZIP bundle
+ */
+function revokeBundleUrl() {
+    if (bundleUrl) {
+        URL.revokeObjectURL(bundleUrl);
+        bundleUrl = null;
+    }
+}
 
 /**
- * Show notification to user
- * @param {string} message - Notification message
- * @param {string} type - Notification type (success, error, warning, info)
+ * Show "Download all" once any file has completed, and the report once any was verified
  */
-function showNotification(message, type = 'info') {
-    // For now, use console and alert for important messages
-    console.log(`[${type.toUpperCase()}]`, message);
-    
-    // You can implement a custom notification system here
-    // For demo purposes, we'll use alert for errors
-    if (type === 'error') {
-        alert(message);
+function updateDownloadAllButton() {
+    const count = selectedFiles.filter(entry => entry.status === 'completed').length;
+    downloadAllBtn.hidden = count === 0;
+    reportBtn.hidden = !selectedFiles.some(entry => entry.status === 'completed' && entry.result.verification);
+    if (!isBundling) {
+        downloadAllBtn.innerHTML = `<span>📦</span> ${i18n.t('actions.downloadAll', { count })}`;
     }
 }
 
 // ================================================
-// EVENT LISTENERS
+// CONVERSION PROCESS
 // ================================================
 
-// Theme toggle
-themeToggle.addEventListener('click', toggleTheme);
+/**
+ * Start conversion process
+ */
+async function startConversion() {
+    if (selectedFiles.length === 0) {
+        showNotification(i18n.t('notify.selectFilesFirst'), 'warning');
+        return;
+    }
 
-// Clear all button
-clearAllBtn.addEventListener('click', clearAll);
+    if (isConverting) {
+        showNotification(i18n.t('notify.conversionRunning'), 'warning');
+        return;
+    }
 
-// Start conversion button
-startConversionBtn.addEventListener('click', startConversion);
+    const entries = selectedFiles.filter(entry => entry.status === 'ready');
+    if (entries.length === 0) {
+        showNotification(i18n.t('notify.nothingToConvert'), 'warning');
+        return;
+    }
 
-// Prevent default drag behavior on document
-document.addEventListener('dragover', (e) => e.preventDefault());
-document.addEventListener('drop', (e) => e.preventDefault());
+    warnIfOverStorage(entries);
+    await runBatch(entries);
+}
+
+/**
+ * Convert a batch and report on it when it finishes
+ * @param {Array<Object>} entries - Entries to convert
+ */
+async function runBatch(entries) {
+    setStartButton('⏳', 'actions.converting');
+
+    try {
+        let completedCount = 0;
+        await convertEntries(entries, () => {
+            completedCount++;
+            updateConversionProgress(completedCount, entries.length);
+        });
+
+        const succeeded = entries.filter(entry => entry.status === 'completed').length;
+        if (succeeded === 0) {
+            setStartButton('⚡', 'actions.start');
+            return;
+        }
 
-// Handle paste event for files
-document.addEventListener('paste', (e) => {
-    const items = e.clipboardData.items;
-    const files = [];
-    
-    for (let item of items) {
-        if (item.kind === 'file') {
-            const file = item.getAsFile();
-            if (file) files.push(file);
+        if (succeeded === entries.length) {
+            setStartButton('✅', 'actions.allCompleted');
+        } else {
+            setStartButton('✅', 'actions.someCompleted', { succeeded, total: entries.length });
         }
+        showCompletionDialog(entries);
+
+    } catch (error) {
+        console.error('Conversion error:', error);
+        showNotification(i18n.t('notify.conversionError'), 'error');
+        setStartButton('⚡', 'actions.start');
     }
-    
+}
+
+/**
+ * Change the start button label; it is kept to be translated again
+ * @param {string} icon - Emoji shown before the label
+ * @param {string} key - Message key
+ * @param {Object} [params] - Message parameters
+ */
+function setStartButton(icon, key, params = {}) {
+    startButtonLabel = { icon, key, params };
+    renderStartButton();
+}
+
+function renderStartButton() {
+    const { icon, key, params } = startButtonLabel;
+    startConversionBtn.innerHTML = `<span>${icon}</span> ${i18n.t(key, params)}`;
+}
+
+/**
+ * Convert queue entries through the converter's batch queue
+ * @param {Array<Object>} entries - Entries to convert
+ * @param {Function} [onEntryDone] - Called once per entry when it settles
+ * @returns {Promise<Array<Object>>} Settled results
+ */
+async function convertEntries(entries, onEntryDone = () => {}) {
+    entries.forEach(entry => {
+        entry.controller = new AbortController();
+        entry.attempt = 0;
+        entry.progress = 0;
+        entry.error = null;
+        setEntryStatus(entry, 'queued');
+    });
+
+    activeBatches++;
+    setConvertingState(true);
+
+    try {
+        return await converter.batchConvert(entries.map(entry => entry.file), (file, progress, index) => {
+            updateFileProgress(entries[index], progress);
+        }, {
+            fileSignal: (file, index) => entries[index].controller.signal,
+            fileSettings: (file, index) => entries[index].overrides,
+            fileTags: (file, index) => entries[index].tags || undefined,
+            fileEdits: (file, index) => entries[index].edits || undefined,
+            filePath: (file, index) => entries[index].path,
+            onFileStart: (file, index) => {
+                entries[index].progress = 0;
+                setEntryStatus(entries[index], 'converting');
+            },
+            onFileRetry: (file, error, index, attempt) => {
+                console.warn(`Retrying ${file.name} (attempt ${attempt}):`, error);
+                entries[index].attempt = attempt;
+                setEntryStatus(entries[index], 'queued');
+            },
+            onFileComplete: (file, result, index) => {
+                converter.revokeDownloadLink(entries[index].result);
+                entries[index].result = result;
+                entries[index].progress = 100;
+                entries[index].expiresAt = Date.now() + QueueStore.RETENTION_MS;
+                setEntryStatus(entries[index], 'completed');
+                recordHistory(entries[index]);
+                onEntryDone();
+            },
+            onFileError: (file, error, index) => {
+                const cancelled = JobQueue.isAbortError(error);
+                if (!cancelled) console.error(`Error converting ${file.name}:`, error);
+                entries[index].error = error;
+                setEntryStatus(entries[index], cancelled ? 'cancelled' : 'failed');
+                if (!cancelled) recordHistory(entries[index]);
+                onEntryDone();
+            }
+        });
+    } finally {
+        activeBatches--;
+        if (activeBatches === 0) setConvertingState(false);
+    }
+}
+
+/**
+ * Update an entry's status and its row
+ * @param {Object} entry - Queue entry
+ * @param {string} status - New status
+ */
+function setEntryStatus(entry, status) {
+    entry.status = status;
+    updateFileItem(entry);
+    updateBatchEstimate();
+    updateDownloadAllButton();
+    saveEntry(entry);
+}
+
+/**
+ * Update a file's progress bar
+ * @param {Object} entry - Queue entry
+ * @param {number} progress - Progress 0-100
+ */
+function updateFileProgress(entry, progress) {
+    entry.progress = progress;
+
+    const fileItem = fileList.querySelector(`.file-item[data-id="${entry.id}"]`);
+    if (!fileItem) return;
+
+    fileItem.querySelector('.progress-fill').style.width = `${progress}%`;
+}
+
+/**
+ * Toggle the controls shown while a conversion runs
+ * @param {boolean} active - Whether any conversion is running
+ */
+function setConvertingState(active) {
+    isConverting = active;
+    startConversionBtn.disabled = active;
+    pauseBtn.hidden = !active;
+    cancelAllBtn.hidden = !active;
+    // Files already handed to the converter would go to the old place
+    conversionModeSelect.disabled = active;
+    serverUrlInput.disabled = active;
+
+    if (!active && converter.isPaused) {
+        converter.resume();
+        updatePauseButton();
+    }
+}
+
+/**
+ * Cancel a single conversion
+ * @param {number} id - Entry id
+ */
+function cancelFile(id) {
+    const entry = findEntry(id);
+    if (!entry || !entry.controller) return;
+    if (entry.status !== 'queued' && entry.status !== 'converting') return;
+
+    entry.controller.abort();
+    showNotification(i18n.t('notify.fileCancelled', { name: entry.file.name }), 'info');
+}
+
+/**
+ * Cancel every queued and running conversion
+ */
+function cancelAll() {
+    const active = selectedFiles.filter(entry =>
+        entry.status === 'queued' || entry.status === 'converting'
+    );
+    if (active.length === 0) return;
+
+    active.forEach(entry => entry.controller.abort());
+    showNotification(i18n.t('notify.conversionsCancelled', { count: active.length }), 'info');
+}
+
+/**
+ * Pause or resume the conversion queue
+ * Running files finish; queued files wait until resumed
+ */
+function togglePause() {
+    if (converter.isPaused) {
+        converter.resume();
+        showNotification(i18n.t('notify.resumed'), 'info');
+    } else {
+        converter.pause();
+        showNotification(i18n.t('notify.paused'), 'info');
+    }
+    updatePauseButton();
+}
+
+/**
+ * Sync the pause button label with the queue state
+ */
+function updatePauseButton() {
+    pauseBtn.innerHTML = converter.isPaused
+        ? `<span>▶️</span> ${i18n.t('actions.resume')}`
+        : `<span>⏸️</span> ${i18n.t('actions.pause')}`;
+}
+
+/**
+ * Retry a failed or cancelled file
+ * @param {number} id - Entry id
+ */
+async function retryFile(id) {
+    const entry = findEntry(id);
+    if (!entry || (entry.status !== 'failed' && entry.status !== 'cancelled')) return;
+
+    await convertEntries([entry]);
+
+    if (entry.status === 'completed') {
+        showNotification(i18n.t('notify.fileConverted', { name: entry.file.name }), 'success');
+    }
+}
+
+/**
+ * Set how many times failed files are retried automatically
+ * @param {number} limit - Retry count (0 disables)
+ */
+function setAutoRetryLimit(limit) {
+    converter.autoRetryLimit = Math.max(0, limit | 0);
+    autoRetrySelect.value = String(converter.autoRetryLimit);
+    localStorage.setItem('autoRetry', String(converter.autoRetryLimit));
+}
+
+/**
+ * Load saved auto-retry preference
+ */
+function loadAutoRetry() {
+    const saved = localStorage.getItem('autoRetry');
+    setAutoRetryLimit(saved === null ? converter.autoRetryLimit : Number(saved));
+}
+
+/**
+ * Choose where files are converted
+ * The server is contacted right away so a wrong address shows up
+ * before a batch fails on it
+ * @param {string} mode - 'local' or 'server'
+ * @param {Object} [options]
+ * @param {boolean} [options.announce=true] - Confirm a reachable server with a notification
+ */
+async function setConversionMode(mode, { announce = true } = {}) {
+    const url = serverUrlInput.value.trim() || defaultServerUrl();
+    serverUrlInput.value = url;
+    conversionModeSelect.value = mode;
+    serverUrlInput.hidden = mode !== 'server';
+
+    converter.setServer(mode === 'server' ? url : null);
+    localStorage.setItem('conversionServer', mode === 'server' ? url : '');
+    if (mode !== 'server') return;
+
+    try {
+        await converter.client.health();
+        if (announce) showNotification(i18n.t('notify.serverConnected', { url }), 'success');
+    } catch (error) {
+        showNotification(i18n.t('notify.serverUnreachable', { url, error: error.message }), 'error');
+    }
+}
+
+/**
+ * Server to suggest: the one serving the page, if any (parakeet serve)
+ * @returns {string}
+ */
+function defaultServerUrl() {
+    return /^https?:$/.test(location.protocol) ? location.origin : 'http://localhost:8080';
+}
+
+/**
+ * Load saved conversion mode; an empty server means this device
+ */
+function loadConversionMode() {
+    const saved = localStorage.getItem('conversionServer');
+    serverUrlInput.value = saved || defaultServerUrl();
+    setConversionMode(saved ? 'server' : 'local', { announce: false });
+}
+
+/**
+ * Update overall conversion progress
+ * @param {number} completed - Number of completed files
+ * @param {number} total - Total number of files
+ */
+function updateConversionProgress(completed, total) {
+    const percentage = Math.round((completed / total) * 100);
+    setStartButton('⏳', 'actions.convertingProgress', { percent: percentage });
+}
+
+/**
+ * Show completion dialog
+ * Lists the settings each completed file was actually converted with
+ * @param {Array<Object>} entries - Entries from the finished batch
+ */
+function showCompletionDialog(entries) {
+    const completed = entries.filter(entry => entry.status === 'completed');
+
+    // Group files that share the same output settings
+    const groups = new Map();
+    completed.forEach(entry => {
+        const info = converter.getQualityInfo(entry.result.settings);
+        const key = `${info.format} • ${info.sampleRate} • ${info.channels} • ${info.bitDepth} • ${info.compressionLevel} • ` +
+            `${i18n.t('settings.field.dither')}: ${info.dither} • ${i18n.t('settings.field.loudness')}: ${info.loudness}`;
+        groups.set(key, (groups.get(key) || 0) + 1);
+    });
+
+    const suspects = completed.filter(entry => isSuspectSource(entry.result));
+    const verified = completed.filter(entry => entry.result.verification);
+    const failed = verified.filter(entry => !entry.result.verification.passed);
+    const quality = suspects.length > 0
+        ? i18n.t('completion.suspect', { count: suspects.length })
+        : i18n.t('completion.lossless');
+
+    const lines = [
+        i18n.t('completion.outputQuality'),
+        ...Array.from(groups, ([settings, count]) => i18n.t('completion.group', { count, settings })),
+        i18n.t('completion.quality', { quality })
+    ];
+    if (failed.length > 0) {
+        lines.push(i18n.t('completion.verifyFailed', {
+            failed: failed.length,
+            count: verified.length,
+            names: failed.map(entry => entry.file.name).join(', ')
+        }));
+    } else if (verified.length > 0) {
+        lines.push(i18n.t('completion.verified', { count: verified.length }));
+    }
+    const message = [
+        lines.join('\n'),
+        i18n.t('completion.download'),
+        converter.mode === 'server' ? i18n.t('completion.server', { url: converter.client.baseUrl }) : i18n.t('completion.local'),
+        i18n.t('completion.privacy')
+    ].join('\n\n');
+
+    const summary = document.createElement('p');
+    summary.className = 'completion-summary';
+    summary.textContent = message;
+    const content = suspects.length > 0 ? [summary, renderSpectralReport(suspects)] : [summary];
+    new Modal({
+        title: i18n.t('completion.title'),
+        content,
+        actions: [{ label: i18n.t('modal.ok'), value: true, variant: 'primary' }],
+        className: 'completion-dialog'
+    }).open();
+
+    setTimeout(() => {
+        setStartButton('⚡', 'actions.start');
+    }, 2000);
+}
+
+/**
+ * List suspect sources with a spectrogram thumbnail each
+ * @param {Array<Object>} entries - Completed entries whose source failed the spectral check
+ * @returns {HTMLElement}
+ */
+function renderSpectralReport(entries) {
+    const spectralReport = document.createElement('div');
+    spectralReport.className = 'spectral-report';
+
+    entries.forEach(entry => {
+        const { spectrum } = entry.result;
+        const item = document.createElement('div');
+        item.className = 'spectral-item';
+
+        const canvas = document.createElement('canvas');
+        canvas.setAttribute('aria-label', i18n.t('spectrum.spectrogram', { name: entry.file.name }));
+        drawSpectrogram(canvas, spectrum);
+
+        const text = document.createElement('div');
+        const name = document.createElement('strong');
+        name.textContent = `⚠️ ${entry.file.name}`;
+        text.appendChild(name);
+        describeSpectrumIssues(spectrum).forEach(line => {
+            const issue = document.createElement('p');
+            issue.textContent = line;
+            text.appendChild(issue);
+        });
+
+        item.append(canvas, text);
+        spectralReport.appendChild(item);
+    });
+    return spectralReport;
+}
+
+/**
+ * Paint a spectrogram thumbnail, low frequencies at the bottom
+ * A dashed line marks the detected cutoff
+ * @param {HTMLCanvasElement} canvas - Target, resized to the spectrogram
+ * @param {Object} spectrum - From SpectrumAnalyzer.analyze
+ */
+function drawSpectrogram(canvas, spectrum) {
+    const { width, height, levels, maxFrequency } = spectrum.spectrogram;
+    canvas.width = Math.max(1, width);
+    canvas.height = height;
+    if (width === 0) return;
+
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, height);
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) {
+            const [r, g, b] = spectrogramColor(levels[x * height + y]);
+            const at = ((height - 1 - y) * width + x) * 4;
+            image.data[at] = r;
+            image.data[at + 1] = g;
+            image.data[at + 2] = b;
+            image.data[at + 3] = 255;
+        }
+    }
+    context.putImageData(image, 0, 0);
+
+    if (spectrum.cutoff) {
+        const y = Math.round(height * (1 - spectrum.cutoff / maxFrequency)) + 0.5;
+        context.strokeStyle = '#ff3b30';
+        context.setLineDash([3, 2]);
+        context.beginPath();
+        context.moveTo(0, y);
+        context.lineTo(width, y);
+        context.stroke();
+    }
+}
+
+/**
+ * Colors along the spectrogram scale, from silence to full scale
+ */
+const SPECTROGRAM_COLORS = [
+    [0, 0, 0],
+    [80, 18, 123],
+    [240, 100, 30],
+    [252, 230, 120]
+];
+
+/**
+ * Map a spectrogram level to a color
+ * @param {number} level - 0-255
+ * @returns {Array<number>} [r, g, b]
+ */
+function spectrogramColor(level) {
+    const position = (level / 255) * (SPECTROGRAM_COLORS.length - 1);
+    const index = Math.min(Math.floor(position), SPECTROGRAM_COLORS.length - 2);
+    const t = position - index;
+    const from = SPECTROGRAM_COLORS[index];
+    const to = SPECTROGRAM_COLORS[index + 1];
+    return from.map((value, i) => Math.round(value + (to[i] - value) * t));
+}
+
+// ================================================
+// QUEUE PERSISTENCE
+// ================================================
+
+/**
+ * Delay (ms) before changed entries are written, so typing in the tag editor doesn't write per key
+ */
+const SAVE_DELAY_MS = 500;
+
+/**
+ * Open the queue store, drop what expired and bring back the last session's queue
+ * Without IndexedDB the queue only lives in memory, but still expires
+ */
+async function openQueueStore() {
+    setInterval(sweepExpired, QueueStore.SWEEP_INTERVAL_MS);
+    try {
+        queueStore = await QueueStore.open();
+    } catch (error) {
+        console.warn('Queue will not survive a reload:', error.message);
+        return;
+    }
+
+    try {
+        await queueStore.sweep();
+        await restoreQueue();
+        await loadHistory();
+    } catch (error) {
+        console.error('Could not restore the queue:', error);
+    }
+}
+
+/**
+ * Put the stored queue back in the list and resume conversions a reload interrupted
+ */
+async function restoreQueue() {
+    const records = await queueStore.getEntries();
+    const restored = [];
+    const interrupted = [];
+
+    records.forEach(record => {
+        const entry = restoreEntry(record);
+        if (!entry) {
+            writeToStore(() => queueStore.deleteEntry(record.id));
+            return;
+        }
+        restored.push(entry);
+        if (record.status === 'queued' || record.status === 'converting') interrupted.push(entry);
+    });
+    if (restored.length === 0) return;
+
+    nextEntryId = Math.max(nextEntryId, ...restored.map(entry => entry.id + 1));
+    selectedFiles = [...restored, ...selectedFiles];
+    renderFileList();
+    restored.filter(entry => entry.metadata === null).forEach(loadEntryMetadata);
+    restored.filter(entry => entry.metadata !== null).forEach(refreshEstimate);
+    actionButtons.classList.add('active');
+
+    if (interrupted.length > 0) {
+        showNotification(i18n.t('notify.resumingInterrupted', { count: interrupted.length }), 'info');
+        runBatch(interrupted);
+    } else {
+        showNotification(i18n.t('notify.restored', { count: restored.length }), 'info');
+    }
+}
+
+/**
+ * Rebuild a queue entry from its stored record
+ * Entries that were queued or converting come back ready, for the caller to resume
+ * @param {Object} record - From QueueStore.getEntries
+ * @returns {Object|null} Entry, or null when its source is gone
+ */
+function restoreEntry(record) {
+    let { source, output } = record.files;
+    if (!source) return null;
+    // Some browsers hand stored Files back as plain Blobs
+    if (!(source instanceof File)) {
+        source = new File([source], record.name, { type: source.type });
+    }
+
+    const entry = Object.assign(createQueueEntry(source, record.detected, record.path || record.name), {
+        id: record.id,
+        overrides: record.overrides,
+        metadata: record.metadata,
+        tags: record.tags,
+        edits: record.edits,
+        trial: record.trial || null,
+        addedAt: record.addedAt,
+        expiresAt: record.expiresAt,
+        stored: { source: true, output: output || null }
+    });
+
+    if (record.status === 'completed' && record.result && output) {
+        entry.status = 'completed';
+        entry.progress = 100;
+        entry.result = { ...record.result, blob: output };
+    } else if (record.status === 'failed' || record.status === 'cancelled') {
+        entry.status = record.status;
+        entry.error = record.error ? new Error(record.error) : null;
+    }
+    return entry;
+}
+
+/**
+ * Stored form of an entry: its state without the audio, which is stored separately
+ * @param {Object} entry - Queue entry
+ * @returns {Object}
+ */
+function serializeEntry(entry) {
+    return {
+        id: entry.id,
+        name: entry.file.name,
+        path: entry.path,
+        detected: entry.detected,
+        status: entry.status,
+        overrides: entry.overrides,
+        metadata: entry.metadata,
+        tags: entry.tags,
+        edits: entry.edits,
+        trial: entry.trial,
+        result: entry.result ? { ...entry.result, blob: null, downloadUrl: null } : null,
+        error: entry.status === 'failed' && entry.error ? entry.error.message : null,
+        addedAt: entry.addedAt,
+        expiresAt: entry.expiresAt
+    };
+}
+
+/**
+ * Write an entry to the queue store soon
+ * @param {Object} entry - Queue entry
+ */
+function saveEntry(entry) {
+    if (!queueStore || !entry.stored) return;
+    pendingSaves.add(entry);
+    if (!saveTimer) saveTimer = setTimeout(flushSaves, SAVE_DELAY_MS);
+}
+
+/**
+ * Write the entries changed since the last flush
+ * Source and output audio are written once; an entry whose audio
+ * doesn't fit is left out of the store instead of half-stored
+ */
+function flushSaves() {
+    saveTimer = null;
+    const entries = Array.from(pendingSaves);
+    pendingSaves.clear();
+
+    entries.forEach(entry => writeToStore(async () => {
+        if (!entry.stored) return;
+        try {
+            await queueStore.putEntry(serializeEntry(entry));
+            if (!entry.stored.source) {
+                await queueStore.putFile(entry.id, 'source', entry.file);
+                entry.stored.source = true;
+            }
+            if (entry.result && entry.stored.output !== entry.result.blob) {
+                await queueStore.putFile(entry.id, 'output', entry.result.blob);
+                entry.stored.output = entry.result.blob;
+            }
+        } catch (error) {
+            console.warn(`${entry.file.name} will not survive a reload:`, error.message);
+            entry.stored = null;
+            await queueStore.deleteEntry(entry.id);
+        }
+    }));
+}
+
+/**
+ * Remove an entry and its audio from the queue store
+ * @param {Object} entry - Queue entry leaving the list
+ */
+function forgetEntry(entry) {
+    pendingSaves.delete(entry);
+    if (queueStore && entry.stored) {
+        writeToStore(() => queueStore.deleteEntry(entry.id));
+    }
+}
+
+/**
+ * Run a queue store write after the ones before it
+ * Keeps a removal from being overtaken by an earlier save
+ * @param {Function} task - Async function doing the write
+ * @returns {Promise<void>}
+ */
+function writeToStore(task) {
+    storeWrites = storeWrites.then(task).catch(error => console.error('Queue store write failed:', error));
+    return storeWrites;
+}
+
+/**
+ * Delete files past their retention time, in the list and in the store
+ * Files that are converting stay until they finish, then get a fresh hour
+ */
+async function sweepExpired() {
+    const now = Date.now();
+    const active = (entry) => entry.status === 'queued' || entry.status === 'converting';
+    const expired = selectedFiles.filter(entry => entry.expiresAt <= now && !active(entry));
+
+    if (expired.length > 0) {
+        expired.forEach(releaseEntry);
+        selectedFiles = selectedFiles.filter(entry => !expired.includes(entry));
+        renderFileList();
+        showNotification(i18n.t('notify.expired', { count: expired.length }), 'info');
+    }
+
+    if (queueStore) {
+        const keep = selectedFiles.filter(active).map(entry => entry.id);
+        await writeToStore(() => queueStore.sweep(now, keep));
+    }
+}
+
+// ================================================
+// CONVERSION HISTORY
+// ================================================
+
+/**
+ * History rows shown at once; searching reaches the rest
+ */
+const HISTORY_SHOWN = 50;
+
+/**
+ * Add a finished conversion to the history
+ * @param {Object} entry - Completed or failed queue entry
+ */
+function recordHistory(entry) {
+    if (!queueStore) return;
+
+    const { result } = entry;
+    const record = {
+        entryId: entry.id,
+        name: entry.path,
+        status: entry.status,
+        timestamp: result ? result.timestamp : new Date().toISOString(),
+        originalSize: entry.file.size,
+        convertedName: result ? AudioConverter.outputPath(result) : null,
+        outputSize: result ? result.outputSize : null,
+        duration: result ? result.duration : null,
+        settings: result ? result.settings : converter.resolveSettings(entry.overrides),
+        verification: result ? result.verification : null,
+        error: entry.error ? entry.error.message : null
+    };
+    writeToStore(() => queueStore.addHistory(record)).then(loadHistory);
+}
+
+/**
+ * Read the history from the store and show it
+ */
+async function loadHistory() {
+    if (!queueStore) return;
+    historyRecords = await queueStore.getHistory();
+    renderHistory();
+}
+
+/**
+ * Show the history rows matching the search box
+ */
+function renderHistory() {
+    historyPanel.hidden = historyRecords.length === 0;
+    if (historyPanel.hidden) return;
+
+    const terms = historySearch.value.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = historyRecords
+        .filter(record => {
+            const text = describeHistorySettings(record).concat(' ', record.name, ' ', record.convertedName || '').toLowerCase();
+            return terms.every(term => text.includes(term));
+        })
+        .slice(0, HISTORY_SHOWN);
+
+    historyList.innerHTML = '';
+    if (matches.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'history-empty';
+        empty.textContent = i18n.t('history.noMatches');
+        historyList.appendChild(empty);
+        return;
+    }
+    matches.forEach(record => historyList.appendChild(createHistoryItem(record)));
+}
+
+/**
+ * Output settings of a history record in one line
+ * @param {Object} record - History record
+ * @returns {string}
+ */
+function describeHistorySettings(record) {
+    const info = converter.getQualityInfo(record.settings);
+    return `${info.format} ${info.sampleRate} • ${info.channels} • ${info.bitDepth} • ${info.compressionLevel}`;
+}
+
+/**
+ * Create a history row
+ * The output can be downloaded while its file is still in the list
+ * @param {Object} record - History record
+ * @returns {HTMLElement}
+ */
+function createHistoryItem(record) {
+    const item = document.createElement('li');
+    item.className = `history-item ${record.status}`;
+
+    const text = document.createElement('div');
+    text.className = 'history-info';
+    const name = document.createElement('strong');
+    name.textContent = record.convertedName
+        ? `${record.status === 'completed' ? '✅' : '❌'} ${record.name} → ${record.convertedName}`
+        : `❌ ${record.name}`;
+    const details = document.createElement('div');
+    details.className = 'history-details';
+    const parts = [i18n.formatDate(record.timestamp), describeHistorySettings(record)];
+    if (record.outputSize !== null) parts.push(converter.formatFileSize(record.outputSize));
+    details.textContent = parts.join(' • ');
+    text.append(name, details);
+
+    const outcome = record.verification
+        ? formatVerification(record)
+        : record.error ? `❌ ${record.error}` : '';
+    if (outcome) {
+        const line = document.createElement('div');
+        line.className = 'history-outcome';
+        line.textContent = outcome;
+        text.appendChild(line);
+    }
+    item.appendChild(text);
+
+    const entry = selectedFiles.find(candidate =>
+        candidate.id === record.entryId && candidate.result && candidate.result.timestamp === record.timestamp
+    );
+    if (entry) {
+        const link = document.createElement('a');
+        link.className = 'download-btn';
+        link.textContent = '⬇️';
+        link.href = converter.generateDownloadLink(entry.result);
+        link.download = entry.result.convertedName;
+        link.setAttribute('aria-label', i18n.t('history.download', { name: entry.result.convertedName }));
+        item.appendChild(link);
+    } else if (record.status === 'completed') {
+        const expired = document.createElement('span');
+        expired.className = 'history-expired';
+        expired.textContent = i18n.t('history.deleted');
+        item.appendChild(expired);
+    }
+    return item;
+}
+
+/**
+ * Delete the whole conversion history
+ */
+async function clearHistory() {
+    if (!queueStore) return;
+    const confirmed = await Modal.confirm(i18n.t('confirm.clearHistory'), {
+        title: i18n.t('confirm.clearHistoryTitle'),
+        confirmLabel: i18n.t('modal.delete'),
+        cancelLabel: i18n.t('modal.cancel'),
+        danger: true
+    });
+    if (!confirmed) return;
+    await writeToStore(() => queueStore.clearHistory());
+    await loadHistory();
+    showNotification(i18n.t('notify.historyCleared'), 'success');
+}
+
+// ================================================
+// OUTPUT SETTINGS
+// ================================================
+
+/**
+ * Settings shown in the settings panel and per-file overrides, labelled by settings.field.<key>
+ */
+const SETTING_FIELDS = [
+    'outputFormat',
+    'sampleRate',
+    'bitDepth',
+    'dither',
+    'effectiveDepth',
+    'channels',
+    'compressionLevel',
+    'resampleQuality',
+    'channelMapping',
+    'loudness',
+    'loudnessTarget',
+    'truePeakLimit',
+    'verify'
+];
+
+/**
+ * Message key prefixes of settings whose values are words
+ */
+const SETTING_VALUE_MESSAGES = {
+    resampleQuality: 'settings.resample',
+    channelMapping: 'settings.mapping',
+    loudness: 'settings.loudness',
+    effectiveDepth: 'settings.depth'
+};
+
+/**
+ * Standards behind the normalization targets
+ */
+const LOUDNESS_TARGET_NAMES = {
+    '-24': 'ATSC A/85',
+    '-23': 'EBU R128',
+    '-18': 'ReplayGain',
+    '-14': 'Streaming'
+};
+
+/**
+ * Human readable label for a setting value
+ * @param {string} key - Setting key
+ * @param {*} value - Setting value
+ * @returns {string}
+ */
+function formatSettingValue(key, value) {
+    if (value === 'off') return i18n.t('settings.off');
+
+    switch (key) {
+        case 'outputFormat': {
+            const { name } = AudioConverter.OUTPUT_FORMATS[value];
+            return value === 'WAV' ? i18n.t('settings.format.promoted', { name }) : name;
+        }
+        case 'sampleRate':
+            return value === 'source' ? i18n.t('settings.sourceRate') : `${i18n.formatNumber(value / 1000)} kHz`;
+        case 'bitDepth':
+            return i18n.t('settings.bits', { bits: value });
+        case 'channels':
+            return converter.getLayoutName(value);
+        case 'compressionLevel':
+            if (Number(value) === 0) return i18n.t('settings.fastest', { level: 0 });
+            if (Number(value) === 8) return i18n.t('settings.smallest', { level: 8 });
+            return String(value);
+        case 'dither':
+            return converter.getDitherName(value);
+        case 'loudnessTarget': {
+            const name = LOUDNESS_TARGET_NAMES[value];
+            const level = `${i18n.formatNumber(Number(value))} LUFS`;
+            return name ? `${level} (${name})` : level;
+        }
+        case 'truePeakLimit':
+            return `${i18n.formatNumber(Number(value))} dBTP`;
+        case 'verify':
+            return i18n.t('settings.verify.on');
+        default: {
+            const prefix = SETTING_VALUE_MESSAGES[key];
+            return prefix && i18n.has(`${prefix}.${value}`) ? i18n.t(`${prefix}.${value}`) : String(value);
+        }
+    }
+}
+
+/**
+ * Build <option> elements for a setting
+ * @param {string} key - Setting key
+ * @param {string} [defaultLabel] - Adds a leading "use default" option
+ * @returns {string} HTML
+ */
+function buildSettingOptions(key, defaultLabel) {
+    const options = AudioConverter.SETTING_OPTIONS[key].map(value =>
+        `<option value="${value}">${formatSettingValue(key, value)}</option>`
+    );
+    if (defaultLabel) {
+        options.unshift(`<option value="">${defaultLabel}</option>`);
+    }
+    return options.join('');
+}
+
+/**
+ * Populate the settings panel from the converter settings
+ */
+function renderSettingsPanel() {
+    settingsGrid.innerHTML = SETTING_FIELDS.map(key => `
+        <label class="setting-field">
+            <span>${i18n.t(`settings.field.${key}`)}</span>
+            <select data-setting="${key}">${buildSettingOptions(key)}</select>
+        </label>
+    `).join('');
+
+    settingsGrid.querySelectorAll('select').forEach(select => {
+        select.value = String(converter.settings[select.dataset.setting]);
+    });
+    updateQualityBadge();
+    renderPresetBar();
+    renderMatrixEditor();
+}
+
+/**
+ * Apply a change made in the settings panel
+ * @param {Event} e - Change event
+ */
+function handleSettingChange(e) {
+    const key = e.target.dataset.setting;
+    if (!key) return;
+
+    try {
+        // Switching to a custom matrix starts from the automatic mapping
+        if (key === 'channelMapping' && e.target.value === 'custom' && !converter.settings.customMatrix) {
+            converter.setCustomMatrix(seedCustomMatrix(2, converter.settings.channels));
+        }
+        converter.updateSettings({ [key]: e.target.value });
+
+        const matrix = converter.settings.customMatrix;
+        if (key === 'channels' && matrix && matrix.outputs !== converter.settings.channels) {
+            converter.setCustomMatrix(seedCustomMatrix(matrix.inputs, converter.settings.channels));
+        }
+
+        saveSettings();
+        updateQualityBadge();
+        renderPresetBar();
+        renderMatrixEditor();
+        selectedFiles.forEach(updateFileOverrideSummary);
+        selectedFiles.forEach(refreshEstimate);
+    } catch (error) {
+        showNotification(`❌ ${errorMessage(error)}`, 'error');
+        e.target.value = String(converter.settings[key]);
+    }
+}
+
+/**
+ * Persist the default output settings
+ */
+function saveSettings() {
+    localStorage.setItem('outputSettings', JSON.stringify(converter.settings));
+}
+
+/**
+ * Load saved output settings
+ */
+function loadSettings() {
+    const saved = localStorage.getItem('outputSettings');
+    if (saved) {
+        try {
+            // Only restore known keys that were saved, so settings added later keep their defaults
+            const parsed = JSON.parse(saved);
+            if (parsed.customMatrix) {
+                converter.setCustomMatrix(parsed.customMatrix);
+            }
+            const changes = {};
+            SETTING_FIELDS.forEach(key => {
+                if (parsed[key] !== undefined) changes[key] = parsed[key];
+            });
+            converter.updateSettings(changes);
+        } catch (error) {
+            console.warn('Ignoring invalid saved settings:', error.message);
+            localStorage.removeItem('outputSettings');
+        }
+    }
+    renderSettingsPanel();
+}
+
+// ================================================
+// PRESETS
+// ================================================
+
+/**
+ * Value of the preset choice for settings that follow no preset
+ */
+const PRESET_NONE = 'none';
+
+/**
+ * Fill a preset <select>: built-in presets, then the saved ones
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {boolean} [perFile=false] - Lead with "default" for a file's panel
+ */
+function fillPresetSelect(select, perFile = false) {
+    const option = (value, label) => new Option(label, value);
+    const group = (label, presets) => {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = label;
+        presets.forEach(preset => optgroup.appendChild(option(preset.id, converter.getPresetName(preset))));
+        return optgroup;
+    };
+
+    const presets = converter.presets.all();
+    const saved = presets.filter(preset => !preset.builtIn);
+    const none = option(PRESET_NONE, i18n.t('preset.none'));
+    none.disabled = perFile; // a file gets custom settings by changing them, not by picking this
+
+    select.replaceChildren(
+        ...(perFile ? [option('', i18n.t('settings.default'))] : []),
+        none,
+        group(i18n.t('preset.builtIn'), presets.filter(preset => preset.builtIn)),
+        ...(saved.length > 0 ? [group(i18n.t('preset.saved'), saved)] : [])
+    );
+}
+
+/**
+ * Show which preset the default settings follow
+ */
+function renderPresetBar() {
+    const preset = converter.presets.match(converter.settings);
+    fillPresetSelect(presetSelect);
+    presetSelect.value = preset ? preset.id : PRESET_NONE;
+    deletePresetBtn.disabled = !preset || preset.builtIn;
+}
+
+/**
+ * Refill every preset list after presets were added or deleted
+ */
+function refreshPresetLists() {
+    renderPresetBar();
+    updateQualityBadge();
+    fileList.querySelectorAll('.file-settings [data-preset]').forEach(select => fillPresetSelect(select, true));
+    selectedFiles.forEach(syncFileSettings);
+    selectedFiles.forEach(updateFileOverrideSummary);
+}
+
+/**
+ * Apply a preset to the whole queue
+ * It becomes the default, and files not yet queued drop their own
+ * values of the settings it sets so they follow it too
+ * @param {string} id - Preset id
+ */
+function applyPresetToQueue(id) {
+    const preset = converter.presets.get(id);
+    if (!preset) {
+        renderPresetBar();
+        return;
+    }
+
+    try {
+        converter.applyPreset(id);
+    } catch (error) {
+        showNotification(`❌ ${errorMessage(error)}`, 'error');
+        renderPresetBar();
+        return;
+    }
+
+    selectedFiles.forEach(entry => {
+        if (entry.status === 'queued' || entry.status === 'converting') return;
+        const keys = Object.keys(preset.settings).filter(key => key in entry.overrides);
+        if (keys.length === 0) return;
+        keys.forEach(key => delete entry.overrides[key]);
+        saveEntry(entry);
+    });
+
+    saveSettings();
+    renderSettingsPanel();
+    selectedFiles.forEach(syncFileSettings);
+    selectedFiles.forEach(updateFileOverrideSummary);
+    selectedFiles.forEach(refreshEstimate);
+    showNotification(i18n.t('notify.presetApplied', { name: converter.getPresetName(preset) }), 'success');
+}
+
+/**
+ * Apply a preset to one file, or go back to the defaults
+ * @param {Object} entry - Queue entry
+ * @param {string} id - Preset id, '' for the defaults
+ */
+function applyPresetToFile(entry, id) {
+    const preset = converter.presets.get(id);
+    entry.overrides = preset ? { ...entry.overrides, ...preset.settings } : {};
+    syncFileSettings(entry);
+    updateFileOverrideSummary(entry);
+    refreshEstimate(entry);
+    saveEntry(entry);
+}
+
+/**
+ * Ask for a name and save the default settings as a preset
+ */
+async function promptSavePreset() {
+    const current = converter.presets.match(converter.settings);
+    const field = document.createElement('label');
+    field.className = 'setting-field';
+    const label = document.createElement('span');
+    label.textContent = i18n.t('preset.nameLabel');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = PresetLibrary.MAX_NAME_LENGTH;
+    input.value = current && !current.builtIn ? current.name : '';
+    input.dataset.autofocus = '';
+    field.append(label, input);
+
+    const modal = new Modal({
+        title: i18n.t('preset.nameTitle'),
+        content: field,
+        actions: [
+            { label: i18n.t('modal.cancel'), value: false, variant: 'secondary' },
+            { label: i18n.t('modal.save'), value: true, variant: 'primary' }
+        ],
+        dismissValue: false
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') modal.close(true);
+    });
+    if (!await modal.open()) return;
+
+    const name = input.value.trim();
+    if (!name) return;
+    if (converter.presets.has(name) && !(current && current.name === name)) {
+        const replace = await Modal.confirm(i18n.t('preset.replace', { name }), {
+            title: i18n.t('preset.nameTitle'),
+            confirmLabel: i18n.t('modal.save'),
+            cancelLabel: i18n.t('modal.cancel')
+        });
+        if (!replace) return;
+    }
+
+    try {
+        const preset = converter.savePreset(name);
+        savePresets();
+        refreshPresetLists();
+        showNotification(i18n.t('notify.presetSaved', { name: preset.name }), 'success');
+    } catch (error) {
+        showNotification(`❌ ${errorMessage(error)}`, 'error');
+    }
+}
+
+/**
+ * Delete the saved preset the default settings follow
+ */
+async function deleteCurrentPreset() {
+    const preset = converter.presets.match(converter.settings);
+    if (!preset || preset.builtIn) return;
+
+    const confirmed = await Modal.confirm(i18n.t('preset.deleteConfirm', { name: preset.name }), {
+        title: i18n.t('preset.delete'),
+        confirmLabel: i18n.t('modal.delete'),
+        cancelLabel: i18n.t('modal.cancel'),
+        danger: true
+    });
+    if (!confirmed) return;
+
+    converter.presets.remove(preset.id);
+    savePresets();
+    refreshPresetLists();
+    showNotification(i18n.t('notify.presetDeleted', { name: preset.name }), 'success');
+}
+
+/**
+ * Import presets from a file exported here or by a teammate
+ * @param {File} file - JSON file
+ */
+async function importPresets(file) {
+    try {
+        const presets = converter.presets.import(JSON.parse(await file.text()));
+        savePresets();
+        refreshPresetLists();
+        showNotification(i18n.t('notify.presetsImported', { count: presets.length }), 'success');
+    } catch (error) {
+        showNotification(i18n.t('notify.presetImportFailed', { error: errorMessage(error) }), 'error');
+    }
+}
+
+/**
+ * Download the saved presets as JSON
+ */
+function exportPresets() {
+    const data = converter.presets.export();
+    if (data.presets.length === 0) {
+        showNotification(i18n.t('notify.noPresetsToExport'), 'warning');
+        return;
+    }
+
+    if (presetsUrl) URL.revokeObjectURL(presetsUrl);
+    presetsUrl = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2) + '\n'], { type: 'application/json' }));
+    triggerDownload(presetsUrl, 'studiograde-presets.json');
+}
+
+/**
+ * Persist the saved presets, next to the other preferences
+ */
+function savePresets() {
+    localStorage.setItem('presets', JSON.stringify(converter.presets.export()));
+}
+
+/**
+ * Load the saved presets
+ */
+function loadPresets() {
+    const saved = localStorage.getItem('presets');
+    if (!saved) return;
+    try {
+        converter.presets.load(JSON.parse(saved));
+    } catch (error) {
+        console.warn('Ignoring invalid saved presets:', error.message);
+        localStorage.removeItem('presets');
+    }
+}
+
+// ================================================
+// CUSTOM CHANNEL MATRIX
+// ================================================
+
+/**
+ * Build a custom matrix prefilled with the automatic mapping
+ * @param {number} inputs - Source channel count
+ * @param {number} outputs - Output channel count
+ * @returns {Object} { inputs, outputs, gains }
+ */
+function seedCustomMatrix(inputs, outputs) {
+    const gains = ChannelMixer.createMatrix(inputs, outputs)
+        .map(row => row.map(gain => Math.round(gain * 1000) / 1000));
+    return { inputs, outputs, gains };
+}
+
+/**
+ * Show the matrix editor when the custom channel mapping is selected
+ * Rows are output speakers, columns are source speakers
+ */
+function renderMatrixEditor() {
+    const matrix = converter.settings.customMatrix;
+    matrixEditor.hidden = converter.settings.channelMapping !== 'custom' || !matrix;
+    if (matrixEditor.hidden) return;
+
+    const inputs = ChannelMixer.speakers(matrix.inputs);
+    const outputs = ChannelMixer.speakers(matrix.outputs);
+    const sourceOptions = Object.keys(ChannelMixer.LAYOUTS).map(count =>
+        `<option value="${count}">${formatSettingValue('channels', count)}</option>`
+    ).join('');
+
+    matrixEditor.innerHTML = `
+        <div class="matrix-toolbar">
+            <label class="setting-field">
+                <span>${i18n.t('matrix.sourceChannels')}</span>
+                <select data-matrix-inputs>${sourceOptions}</select>
+            </label>
+            <button class="btn btn-secondary" onclick="resetCustomMatrix()">${i18n.t('matrix.reset')}</button>
+        </div>
+        <table class="matrix-table">
+            <thead>
+                <tr><th scope="col">${i18n.t('matrix.corner')}</th>${inputs.map(name => `<th scope="col">${name}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${outputs.map((name, row) => `
+                    <tr>
+                        <th scope="row">${name}</th>
+                        ${inputs.map((source, col) => `
+                            <td><input type="number" step="0.05" min="-${ChannelMixer.MAX_GAIN}" max="${ChannelMixer.MAX_GAIN}"
+                                data-row="${row}" data-col="${col}" value="${matrix.gains[row][col]}"
+                                aria-label="${i18n.t('matrix.gain', { source, output: name })}"></td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="matrix-hint">${i18n.t('matrix.hint', { layout: formatSettingValue('channels', matrix.inputs) })}</p>
+    `;
+    matrixEditor.querySelector('[data-matrix-inputs]').value = String(matrix.inputs);
+}
+
+/**
+ * Apply an edit made in the matrix editor
+ * @param {Event} e - Change event
+ */
+function handleMatrixChange(e) {
+    const matrix = converter.settings.customMatrix;
+    const target = e.target;
+
+    try {
+        if (target.dataset.matrixInputs !== undefined) {
+            converter.setCustomMatrix(seedCustomMatrix(Number(target.value), matrix.outputs));
+            renderMatrixEditor();
+        } else if (target.dataset.row !== undefined) {
+            const gains = matrix.gains.map(row => row.slice());
+            gains[target.dataset.row][target.dataset.col] = Number(target.value);
+            converter.setCustomMatrix({ ...matrix, gains });
+        } else {
+            return;
+        }
+        saveSettings();
+        renderPresetBar();
+    } catch (error) {
+        showNotification(`❌ ${errorMessage(error)}`, 'error');
+        renderMatrixEditor();
+    }
+}
+
+/**
+ * Reset the custom matrix to the automatic mapping
+ */
+function resetCustomMatrix() {
+    const { inputs, outputs } = converter.settings.customMatrix;
+    converter.setCustomMatrix(seedCustomMatrix(inputs, outputs));
+    saveSettings();
+    renderPresetBar();
+    renderMatrixEditor();
+}
+
+/**
+ * Show the default output settings in the hero badge
+ */
+function updateQualityBadge() {
+    const info = converter.getQualityInfo();
+    const preset = info.preset ? `${info.preset} • ` : '';
+    qualityBadge.textContent = `⚡ ${preset}${info.format} ${info.sampleRate} • ${info.channels} • ${info.bitDepth} • Zero Loss`;
+}
+
+/**
+ * Show or hide the per-file settings of a file row
+ * @param {number} id - Entry id
+ */
+function toggleFileSettings(id) {
+    const entry = findEntry(id);
+    const fileItem = fileList.querySelector(`.file-item[data-id="${id}"]`);
+    if (!entry || !fileItem) return;
+
+    let panel = fileItem.querySelector('.file-settings');
+    if (panel) {
+        panel.hidden = !panel.hidden;
+        return;
+    }
+
+    panel = document.createElement('div');
+    panel.className = 'file-settings';
+    panel.innerHTML = `
+        <label class="setting-field">
+            <span>${i18n.t('preset.field')}</span>
+            <select data-preset></select>
+        </label>
+    ` + SETTING_FIELDS.map(key => `
+        <label class="setting-field">
+            <span>${i18n.t(`settings.field.${key}`)}</span>
+            <select data-setting="${key}">${buildSettingOptions(key, i18n.t('settings.default'))}</select>
+        </label>
+    `).join('');
+
+    const locked = entry.status === 'queued' || entry.status === 'converting';
+    const presetField = panel.querySelector('[data-preset]');
+    fillPresetSelect(presetField, true);
+    presetField.disabled = locked;
+    presetField.addEventListener('change', () => applyPresetToFile(entry, presetField.value));
+
+    panel.querySelectorAll('select[data-setting]').forEach(select => {
+        const key = select.dataset.setting;
+        select.disabled = locked;
+        select.addEventListener('change', () => {
+            if (select.value === '') {
+                delete entry.overrides[key];
+            } else {
+                entry.overrides[key] = select.value;
+            }
+            syncFileSettings(entry);
+            updateFileOverrideSummary(entry);
+            refreshEstimate(entry);
+            saveEntry(entry);
+        });
+    });
+
+    fileItem.querySelector('.file-info').appendChild(panel);
+    syncFileSettings(entry);
+}
+
+/**
+ * Show a file's overrides, and the preset they follow, in its open settings panel
+ * @param {Object} entry - Queue entry
+ */
+function syncFileSettings(entry) {
+    const panel = fileList.querySelector(`.file-item[data-id="${entry.id}"] .file-settings`);
+    if (!panel) return;
+
+    panel.querySelectorAll('select[data-setting]').forEach(select => {
+        const key = select.dataset.setting;
+        select.value = key in entry.overrides ? String(entry.overrides[key]) : '';
+    });
+
+    const overridden = Object.keys(entry.overrides).length > 0;
+    const preset = overridden ? converter.presets.match(converter.resolveSettings(entry.overrides)) : null;
+    panel.querySelector('[data-preset]').value = preset ? preset.id : overridden ? PRESET_NONE : '';
+}
+
+/**
+ * Show the settings a file will be converted with, if they differ from the defaults
+ * @param {Object} entry - Queue entry
+ */
+function updateFileOverrideSummary(entry) {
+    const fileItem = fileList.querySelector(`.file-item[data-id="${entry.id}"]`);
+    if (!fileItem) return;
+
+    const summary = fileItem.querySelector('.file-overrides');
+    const keys = Object.keys(entry.overrides);
+    if (keys.length === 0) {
+        summary.textContent = '';
+        return;
+    }
+
+    const info = converter.getQualityInfo(converter.resolveSettings(entry.overrides));
+    const preset = info.preset ? `${info.preset} • ` : '';
+    summary.textContent = `⚙️ ${preset}${info.format} ${info.sampleRate} • ${info.channels} • ${info.bitDepth}`;
+}
+
+// ================================================
+// TAG EDITOR
+// ================================================
+
+/**
+ * Tag fields shown in the editor, as Vorbis comment names, labelled by tags.field.<name>
+ * Other fields read from the source (e.g. ReplayGain) are kept as they are
+ */
+const TAG_FIELDS = [
+    'TITLE',
+    'ARTIST',
+    'ALBUM',
+    'ALBUMARTIST',
+    'TRACKNUMBER',
+    'DISCNUMBER',
+    'DATE',
+    'GENRE',
+    'ISRC',
+    'COMMENT'
+];
+
+/**
+ * Show or hide the tag editor of a file row
+ * Tags are read from the source the first time the editor opens
+ * @param {number} id - Entry id
+ */
+async function toggleFileTags(id) {
+    const entry = findEntry(id);
+    const fileItem = fileList.querySelector(`.file-item[data-id="${id}"]`);
+    if (!entry || !fileItem) return;
+
+    let panel = fileItem.querySelector('.file-tags');
+    if (panel) {
+        panel.hidden = !panel.hidden;
+        return;
+    }
+
+    panel = document.createElement('div');
+    panel.className = 'file-tags';
+    panel.textContent = i18n.t('tags.reading');
+    fileItem.querySelector('.file-info').appendChild(panel);
+
+    if (!entry.tags) {
+        entry.tags = await converter.readTags(entry.file);
+        saveEntry(entry);
+    }
+    renderTagEditor(entry, panel);
+}
+
+/**
+ * Fill a tag editor panel from an entry's tags
+ * @param {Object} entry - Queue entry
+ * @param {HTMLElement} panel - The .file-tags element
+ */
+function renderTagEditor(entry, panel) {
+    const { fields } = entry.tags;
+    const otherCount = Object.keys(fields).filter(key => !TAG_FIELDS.includes(key)).length;
+
+    panel.innerHTML = `
+        ${TAG_FIELDS.map(key => `
+            <label class="setting-field">
+                <span>${i18n.t(`tags.field.${key}`)}</span>
+                <input type="text" data-tag="${key}">
+            </label>
+        `).join('')}
+        <div class="tag-artwork">
+            <img alt="" hidden>
+            <span class="tag-artwork-info"></span>
+            <button class="btn btn-secondary" data-action="remove-artwork">${i18n.t('tags.removeArtwork')}</button>
+        </div>
+        <div class="tag-extra">${otherCount > 0 ? i18n.t('tags.otherKept', { count: otherCount }) : ''}</div>
+    `;
+
+    panel.querySelectorAll('input[data-tag]').forEach(input => {
+        const key = input.dataset.tag;
+        input.value = fields[key] || '';
+        input.addEventListener('input', () => {
+            if (input.value.trim() === '') {
+                delete fields[key];
+            } else {
+                fields[key] = input.value;
+            }
+            saveEntry(entry);
+        });
+    });
+
+    panel.querySelector('[data-action="remove-artwork"]').addEventListener('click', () => {
+        entry.tags.pictures = [];
+        updateTagArtwork(entry, panel);
+        saveEntry(entry);
+    });
+
+    updateTagArtwork(entry, panel);
+    updateFileItem(entry);
+}
+
+/**
+ * Show the cover art of an entry in its tag editor
+ * @param {Object} entry - Queue entry
+ * @param {HTMLElement} panel - The .file-tags element
+ */
+function updateTagArtwork(entry, panel) {
+    const { pictures } = entry.tags;
+    const img = panel.querySelector('.tag-artwork img');
+    const info = panel.querySelector('.tag-artwork-info');
+    const removeBtn = panel.querySelector('[data-action="remove-artwork"]');
+
+    // Prefer the front cover (type 3)
+    const cover = pictures.find(picture => picture.type === 3) || pictures[0];
+    img.hidden = !cover;
+    removeBtn.hidden = !cover;
+    if (!cover) {
+        img.removeAttribute('src');
+        info.textContent = i18n.t('tags.noArtwork');
+        return;
+    }
+
+    const url = URL.createObjectURL(new Blob([cover.data], { type: cover.mime }));
+    img.onload = img.onerror = () => URL.revokeObjectURL(url);
+    img.src = url;
+
+    const size = cover.width && cover.height ? ` • ${cover.width}×${cover.height}` : '';
+    info.textContent = i18n.t('tags.images', { count: pictures.length }) + size;
+}
+
+// ================================================
+// WAVEFORM EDITOR
+// ================================================
+
+/**
+ * Min/max pairs computed per file for the waveform view
+ */
+const WAVEFORM_BUCKETS = 800;
+
+/**
+ * Show or hide the waveform editor of a file row
+ * The waveform is computed on a worker the first time the editor opens
+ * @param {number} id - Entry id
+ */
+async function toggleFileWaveform(id) {
+    const entry = findEntry(id);
+    const fileItem = fileList.querySelector(`.file-item[data-id="${id}"]`);
+    if (!entry || !fileItem) return;
+
+    let panel = fileItem.querySelector('.file-waveform');
+    if (panel) {
+        panel.hidden = !panel.hidden;
+        if (!panel.hidden && entry.peaks) drawWaveform(entry, panel);
+        return;
+    }
+
+    panel = document.createElement('div');
+    panel.className = 'file-waveform';
+    panel.textContent = i18n.t('waveform.reading');
+    fileItem.querySelector('.file-info').appendChild(panel);
+
+    if (!entry.peaks) {
+        try {
+            entry.peaks = await converter.computePeaks(entry.file, WAVEFORM_BUCKETS);
+        } catch (error) {
+            panel.textContent = i18n.t('waveform.unavailable', { error: error.message });
+            return;
+        }
+    }
+    renderWaveformEditor(entry, panel);
+}
+
+/**
+ * Fill a waveform editor panel from an entry's edits
+ * Clicking the waveform moves the nearer of the in and out points
+ * @param {Object} entry - Queue entry
+ * @param {HTMLElement} panel - The .file-waveform element
+ */
+function renderWaveformEditor(entry, panel) {
+    const curveOptions = AudioEditor.FADE_CURVES.map(curve =>
+        `<option value="${curve}">${i18n.t(`waveform.curve.${curve}`)}</option>`
+    ).join('');
+    const silenceOptions = AudioEditor.SILENCE_THRESHOLDS.map(threshold =>
+        `<option value="${threshold}">${i18n.t('waveform.below', { threshold })}</option>`
+    ).join('');
+
+    panel.innerHTML = `
+        <canvas class="waveform-canvas" aria-label="${i18n.t('waveform.label', { name: entry.file.name })}"></canvas>
+        <div class="waveform-controls">
+            <label class="setting-field">
+                <span>${i18n.t('waveform.in')}</span>
+                <input type="number" min="0" step="0.1" data-edit="start">
+            </label>
+            <label class="setting-field">
+                <span>${i18n.t('waveform.out')}</span>
+                <input type="number" min="0" step="0.1" data-edit="end" placeholder="${i18n.t('waveform.end')}">
+            </label>
+            <label class="setting-field">
+                <span>${i18n.t('waveform.fadeIn')}</span>
+                <input type="number" min="0" step="0.1" data-edit="fadeIn">
+            </label>
+            <label class="setting-field">
+                <span>${i18n.t('waveform.fadeOut')}</span>
+                <input type="number" min="0" step="0.1" data-edit="fadeOut">
+            </label>
+            <label class="setting-field">
+                <span>${i18n.t('waveform.fadeCurve')}</span>
+                <select data-edit="fadeCurve">${curveOptions}</select>
+            </label>
+            <label class="setting-field">
+                <span>${i18n.t('waveform.trimSilence')}</span>
+                <select data-edit="silence"><option value="off">${i18n.t('settings.off')}</option>${silenceOptions}</select>
+            </label>
+            <button class="btn btn-secondary" data-action="reset-edits">${i18n.t('waveform.reset')}</button>
+        </div>
+    `;
+
+    const canvas = panel.querySelector('canvas');
+    const readEdits = () => ({ ...AudioEditor.DEFAULT_EDITS, ...entry.edits });
+    const fillControls = () => {
+        const edits = readEdits();
+        panel.querySelectorAll('input[data-edit]').forEach(input => {
+            const value = edits[input.dataset.edit];
+            input.value = typeof value === 'number' && (value > 0 || input.dataset.edit === 'end') ? value : '';
+        });
+        panel.querySelector('[data-edit="fadeCurve"]').value = edits.fadeCurve;
+        panel.querySelector('[data-edit="silence"]').value = edits.trimSilence ? String(edits.silenceThreshold) : 'off';
+    };
+
+    panel.querySelectorAll('input[data-edit]').forEach(input => {
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            const valid = Number.isFinite(value) && value >= 0;
+            const fallback = input.dataset.edit === 'end' ? null : 0;
+            setEntryEdits(entry, { ...readEdits(), [input.dataset.edit]: valid ? value : fallback });
+        });
+    });
+    panel.querySelector('[data-edit="fadeCurve"]').addEventListener('change', (e) => {
+        setEntryEdits(entry, { ...readEdits(), fadeCurve: e.target.value });
+    });
+    panel.querySelector('[data-edit="silence"]').addEventListener('change', (e) => {
+        const trimSilence = e.target.value !== 'off';
+        setEntryEdits(entry, {
+            ...readEdits(),
+            trimSilence,
+            silenceThreshold: trimSilence ? Number(e.target.value) : AudioEditor.DEFAULT_EDITS.silenceThreshold
+        });
+    });
+    panel.querySelector('[data-action="reset-edits"]').addEventListener('click', () => {
+        setEntryEdits(entry, null);
+        fillControls();
+    });
+
+    canvas.addEventListener('click', (e) => {
+        if (entry.status === 'queued' || entry.status === 'converting') return;
+        const { duration } = entry.peaks;
+        const rect = canvas.getBoundingClientRect();
+        const time = Math.round(((e.clientX - rect.left) / rect.width) * duration * 10) / 10;
+        const edits = readEdits();
+        const end = edits.end === null ? duration : edits.end;
+        const key = Math.abs(time - edits.start) <= Math.abs(time - end) ? 'start' : 'end';
+        setEntryEdits(entry, { ...edits, [key]: key === 'end' && time >= duration ? null : time });
+        fillControls();
+    });
+
+    fillControls();
+    drawWaveform(entry, panel);
+    updateFileItem(entry);
+}
+
+/**
+ * Store an entry's edits and refresh its row
+ * @param {Object} entry - Queue entry
+ * @param {Object|null} edits - New edits; edits that change nothing are dropped
+ */
+function setEntryEdits(entry, edits) {
+    entry.edits = AudioEditor.isEmpty(edits) ? null : edits;
+    updateFileEditSummary(entry);
+    refreshEstimate(entry);
+    saveEntry(entry);
+
+    const panel = fileList.querySelector(`.file-item[data-id="${entry.id}"] .file-waveform`);
+    if (panel && entry.peaks) drawWaveform(entry, panel);
+}
+
+/**
+ * Part of a file kept by its edits, as the waveform shows it
+ * Silence is found on the waveform overview, so it is approximate;
+ * the conversion trims to the exact sample
+ * @param {Object} entry - Queue entry with peaks
+ * @returns {Object} { start, end } in seconds
+ */
+function previewEditRegion(entry) {
+    const { min, max, duration } = entry.peaks;
+    const edits = { ...AudioEditor.DEFAULT_EDITS, ...entry.edits };
+    let start = Math.min(edits.start, duration);
+    let end = edits.end === null ? duration : Math.min(edits.end, duration);
+
+    if (edits.trimSilence && end > start) {
+        const threshold = 10 ** (edits.silenceThreshold / 20);
+        const bucketOf = (time) => Math.min(min.length - 1, Math.floor((time / duration) * min.length));
+        const loud = (b) => Math.max(-min[b], max[b]) > threshold;
+        let first = bucketOf(start);
+        let last = bucketOf(end);
+        while (first <= last && !loud(first)) first++;
+        while (last >= first && !loud(last)) last--;
+
+        if (first > last) return { start, end: start };
+        start = Math.max(start, (first / min.length) * duration);
+        end = Math.min(end, ((last + 1) / min.length) * duration);
+    }
+    return { start, end };
+}
+
+/**
+ * Draw an entry's waveform with its kept region, fades and in/out points
+ * @param {Object} entry - Queue entry with peaks
+ * @param {HTMLElement} panel - The .file-waveform element
+ */
+function drawWaveform(entry, panel) {
+    const canvas = panel.querySelector('canvas');
+    const { min, max, duration } = entry.peaks;
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+    const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+    canvas.width = width;
+    canvas.height = height;
+
+    const styles = getComputedStyle(document.body);
+    const accent = styles.getPropertyValue('--primary-color').trim();
+    const muted = styles.getPropertyValue('--border-light').trim();
+    const context = canvas.getContext('2d');
+    const mid = height / 2;
+    const x = (time) => (duration > 0 ? (time / duration) * width : 0);
+
+    const edits = { ...AudioEditor.DEFAULT_EDITS, ...entry.edits };
+    const region = previewEditRegion(entry);
+
+    for (let px = 0; px < width; px++) {
+        const bucket = Math.min(min.length - 1, Math.floor((px / width) * min.length));
+        const time = (px / width) * duration;
+        context.fillStyle = time >= region.start && time < region.end ? accent : muted;
+        const top = mid - max[bucket] * mid;
+        context.fillRect(px, top, 1, Math.max(1, mid - min[bucket] * mid - top));
+    }
+
+    // Fade envelopes over the kept region
+    const length = region.end - region.start;
+    context.strokeStyle = styles.getPropertyValue('--warning-color').trim();
+    context.lineWidth = ratio;
+    [['in', Math.min(edits.fadeIn, length)], ['out', Math.min(edits.fadeOut, length)]].forEach(([direction, fade]) => {
+        if (!(fade > 0)) return;
+        const from = direction === 'in' ? region.start : region.end - fade;
+        context.beginPath();
+        for (let step = 0; step <= 32; step++) {
+            const t = step / 32;
+            const gain = AudioEditor.fadeGain(direction === 'in' ? t : 1 - t, edits.fadeCurve);
+            const px = x(from + t * fade);
+            const py = height - gain * height;
+            if (step === 0) context.moveTo(px, py);
+            else context.lineTo(px, py);
+        }
+        context.stroke();
+    });
+
+    // In and out points
+    context.fillStyle = accent;
+    [edits.start, edits.end === null ? duration : edits.end].forEach(time => {
+        context.fillRect(Math.min(width - ratio, x(time)), 0, ratio * 2, height);
+    });
+}
+
+/**
+ * Show an entry's edits in its row
+ * @param {Object} entry - Queue entry
+ */
+function updateFileEditSummary(entry) {
+    const summary = fileList.querySelector(`.file-item[data-id="${entry.id}"] .file-edits`);
+    if (!summary) return;
+
+    const { edits } = entry;
+    if (!edits) {
+        summary.textContent = '';
+        return;
+    }
+
+    const time = (seconds) => converter.formatDuration(seconds, 1);
+    const parts = [];
+    if (edits.start > 0 || edits.end !== null) {
+        parts.push(`${time(edits.start)} – ${edits.end === null ? i18n.t('edits.end') : time(edits.end)}`);
+    }
+    if (edits.fadeIn > 0 || edits.fadeOut > 0) {
+        parts.push(i18n.t('edits.fade', {
+            fadeIn: edits.fadeIn,
+            fadeOut: edits.fadeOut,
+            curve: i18n.t(`waveform.curve.${edits.fadeCurve}`)
+        }));
+    }
+    if (edits.trimSilence) {
+        parts.push(i18n.t('edits.silence', { threshold: edits.silenceThreshold }));
+    }
+    summary.textContent = `✂️ ${parts.join(' • ')}`;
+}
+
+// ================================================
+// PREVIEW PLAYER
+// ================================================
+
+/**
+ * Show or hide the A/B preview of a file row
+ * Only one preview plays at a time; hiding a panel stops it
+ * @param {number} id - Entry id
+ */
+function toggleFilePreview(id) {
+    const entry = findEntry(id);
+    const fileItem = fileList.querySelector(`.file-item[data-id="${id}"]`);
+    if (!entry || !fileItem) return;
+
+    let panel = fileItem.querySelector('.file-preview');
+    if (panel) {
+        panel.hidden = !panel.hidden;
+        if (panel.hidden && activePreview && activePreview.entry === entry) closePreview();
+        return;
+    }
+
+    panel = document.createElement('div');
+    panel.className = 'file-preview';
+    panel.innerHTML = `
+        <div class="preview-controls">
+            <button class="btn btn-secondary" data-action="play"><span>▶️</span> ${i18n.t('preview.play')}</button>
+            <div class="preview-modes" role="radiogroup" aria-label="${i18n.t('preview.source')}">
+                <label><input type="radio" name="preview-mode-${entry.id}" value="source" checked> ${i18n.t('preview.a')}</label>
+                <label><input type="radio" name="preview-mode-${entry.id}" value="output"> ${i18n.t('preview.b')}</label>
+                <label><input type="radio" name="preview-mode-${entry.id}" value="null"> ${i18n.t('preview.null')}</label>
+            </div>
+            <span class="preview-time">${converter.formatDuration(0)} / ${converter.formatDuration(0)}</span>
+        </div>
+        <div class="preview-loop">
+            <label class="preview-loop-toggle"><input type="checkbox" data-loop="enabled"> ${i18n.t('preview.loop')}</label>
+            <label class="setting-field">
+                <span>${i18n.t('preview.from')}</span>
+                <input type="number" min="0" step="0.1" value="0" data-loop="start">
+            </label>
+            <label class="setting-field">
+                <span>${i18n.t('preview.to')}</span>
+                <input type="number" min="0" step="0.1" data-loop="end">
+            </label>
+        </div>
+        <div class="preview-note" aria-live="polite"></div>
+    `;
+
+    panel.querySelector('[data-action="play"]').addEventListener('click', () => togglePreviewPlayback(entry, panel));
+    panel.querySelectorAll('input[type="radio"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            if (activePreview && activePreview.entry === entry) activePreview.player.setMode(radio.value);
+        });
+    });
+    panel.querySelectorAll('input[data-loop]').forEach(input => {
+        input.addEventListener('change', () => applyPreviewLoop(entry, panel));
+    });
+
+    fileItem.querySelector('.file-info').appendChild(panel);
+    updatePreviewControls(entry, panel);
+}
+
+/**
+ * Play or pause an entry's preview, loading it first if needed
+ * Loads again when the entry has a newer result than the one loaded
+ * @param {Object} entry - Queue entry
+ * @param {HTMLElement} panel - The .file-preview element
+ */
+async function togglePreviewPlayback(entry, panel) {
+    if (activePreview && activePreview.entry !== entry) closePreview();
+
+    if (!activePreview) {
+        if (!previewContext) {
+            const Context = window.AudioContext || window.webkitAudioContext;
+            if (!Context) {
+                panel.querySelector('.preview-note').textContent = i18n.t('preview.noWebAudio');
+                return;
+            }
+            previewContext = new Context();
+        }
+        activePreview = { entry, player: new PreviewPlayer(previewContext), loaded: undefined, frame: null };
+        activePreview.player.onEnded = () => updatePreviewControls(entry, panel);
+    }
+
+    const preview = activePreview;
+    const { player } = preview;
+    if (previewContext.state === 'suspended') await previewContext.resume();
+
+    if (player.playing) {
+        player.pause();
+        updatePreviewControls(entry, panel);
+        return;
+    }
+
+    const result = entry.status === 'completed' ? entry.result : null;
+    if (preview.loaded !== result) {
+        const note = panel.querySelector('.preview-note');
+        note.textContent = i18n.t('preview.loading');
+        try {
+            await player.load(entry.file, result && result.blob, { offset: result ? result.offset : 0 });
+        } catch (error) {
+            note.textContent = i18n.t('preview.unavailable', { error: error.message });
+            return;
+        }
+        // Closed or replaced while decoding
+        if (activePreview !== preview) return;
+        preview.loaded = result;
+        player.setMode(panel.querySelector('input[type="radio"]:checked').value);
+        applyPreviewLoop(entry, panel);
+    }
+
+    player.play();
+    updatePreviewControls(entry, panel);
+    trackPreviewTime(entry, panel);
+}
+
+/**
+ * Pass an entry's loop inputs to its player
+ * @param {Object} entry - Queue entry
+ * @param {HTMLElement} panel - The .file-preview element
+ */
+function applyPreviewLoop(entry, panel) {
+    if (!activePreview || activePreview.entry !== entry) return;
+
+    const enabled = panel.querySelector('[data-loop="enabled"]').checked;
+    const start = parseFloat(panel.querySelector('[data-loop="start"]').value) || 0;
+    const end = parseFloat(panel.querySelector('[data-loop="end"]').value);
+    const { player } = activePreview;
+    player.setLoop(enabled ? start : null, Number.isFinite(end) ? end : player.duration);
+}
+
+/**
+ * Keep the time display of the playing preview current
+ * @param {Object} entry - Queue entry
+ * @param {HTMLElement} panel - The .file-preview element
+ */
+function trackPreviewTime(entry, panel) {
+    const preview = activePreview;
+    if (!preview || preview.entry !== entry) return;
+
+    cancelAnimationFrame(preview.frame);
+    const tick = () => {
+        const { player } = preview;
+        panel.querySelector('.preview-time').textContent =
+            `${converter.formatDuration(player.position)} / ${converter.formatDuration(player.duration)}`;
+        if (player.playing && activePreview === preview) {
+            preview.frame = requestAnimationFrame(tick);
+        }
+    };
+    tick();
+}
+
+/**
+ * Sync a preview panel with its entry and player
+ * B and the null test need a converted result
+ * @param {Object} entry - Queue entry
+ * @param {HTMLElement} panel - The .file-preview element
+ */
+function updatePreviewControls(entry, panel) {
+    const preview = activePreview && activePreview.entry === entry ? activePreview : null;
+    const player = preview && preview.player;
+    const hasOutput = entry.status === 'completed';
+
+    panel.querySelector('[data-action="play"]').innerHTML = player && player.playing
+        ? `<span>⏸️</span> ${i18n.t('preview.pause')}`
+        : `<span>▶️</span> ${i18n.t('preview.play')}`;
+
+    panel.querySelectorAll('input[type="radio"]').forEach(radio => {
+        radio.disabled = radio.value !== 'source' && !hasOutput;
+        if (radio.disabled && radio.checked) {
+            panel.querySelector('input[value="source"]').checked = true;
+            if (player) player.setMode('source');
+        }
+    });
+
+    const note = panel.querySelector('.preview-note');
+    if (!player || !player.source) {
+        note.textContent = hasOutput ? '' : i18n.t('preview.needsOutput');
+    } else if (preview.loaded !== (hasOutput ? entry.result : null)) {
+        note.textContent = i18n.t('preview.reload');
+    } else {
+        note.textContent = describePreview(player);
+    }
+}
+
+/**
+ * Explain level matching and the null test result of a loaded preview
+ * @param {PreviewPlayer} player - Loaded player
+ * @returns {string}
+ */
+function describePreview(player) {
+    if (!player.output) return i18n.t('preview.needsOutput');
+
+    const parts = [];
+    const levelDb = 20 * Math.log10(player.levelGain);
+    parts.push(levelDb === 0
+        ? i18n.t('preview.levelsEqual')
+        : i18n.t('preview.levelMatched', { gain: i18n.formatFixed(levelDb, 1, { signDisplay: 'exceptZero' }) }));
+
+    if (player.residual === null) {
+        parts.push(i18n.t('preview.nullChannels', {
+            from: player.source.numberOfChannels,
+            to: player.output.numberOfChannels
+        }));
+    } else if (player.residual === -Infinity) {
+        parts.push(i18n.t('preview.nullIdentical'));
+    } else {
+        parts.push(i18n.t('preview.nullResidual', { level: i18n.formatFixed(player.residual, 1) }));
+    }
+    return parts.join(' • ');
+}
+
+/**
+ * Stop the open preview and free its decoded audio
+ */
+function closePreview() {
+    if (!activePreview) return;
+    const { entry, player, frame } = activePreview;
+    cancelAnimationFrame(frame);
+    player.close();
+    activePreview = null;
+
+    const panel = fileList.querySelector(`.file-item[data-id="${entry.id}"] .file-preview`);
+    if (panel) updatePreviewControls(entry, panel);
+}
+
+// ================================================
+// NOTIFICATIONS
+// ================================================
+
+/**
+ * Show notification to user
+ * @param {string} message - Notification message
+ * @param {string} type - Notification type (success, error, warning, info)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.details] - Lines shown collapsed under the message
+ */
+function showNotification(message, type = 'info', options = {}) {
+    notifications.notify(message, type, options);
+}
+
+/**
+ * Message of an error in the page's language
+ * The converter translates its own errors; the preset library's carry
+ * a message key instead
+ * @param {Error} error - Error to describe
+ * @returns {string}
+ */
+function errorMessage(error) {
+    return error.key ? i18n.t(error.key, error.params) : error.message;
+}
+
+// ================================================
+// EVENT LISTENERS
+// ================================================
+
+// Theme toggle
+themeToggle.addEventListener('click', toggleTheme);
+
+// Language switcher
+languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+
+// Clear all button
+clearAllBtn.addEventListener('click', clearAll);
+
+// Start conversion button
+startConversionBtn.addEventListener('click', startConversion);
+
+// Queue controls
+pauseBtn.addEventListener('click', togglePause);
+cancelAllBtn.addEventListener('click', cancelAll);
+downloadAllBtn.addEventListener('click', downloadAll);
+reportBtn.addEventListener('click', downloadVerificationReport);
+
+// Conversion history
+historySearch.addEventListener('input', renderHistory);
+clearHistoryBtn.addEventListener('click', clearHistory);
+autoRetrySelect.addEventListener('change', () => setAutoRetryLimit(Number(autoRetrySelect.value)));
+conversionModeSelect.addEventListener('change', () => setConversionMode(conversionModeSelect.value));
+serverUrlInput.addEventListener('change', () => setConversionMode('server'));
+
+// Output settings panel
+settingsGrid.addEventListener('change', handleSettingChange);
+
+// Presets
+presetSelect.addEventListener('change', () => applyPresetToQueue(presetSelect.value));
+savePresetBtn.addEventListener('click', promptSavePreset);
+deletePresetBtn.addEventListener('click', deleteCurrentPreset);
+importPresetsBtn.addEventListener('click', () => presetFileInput.click());
+exportPresetsBtn.addEventListener('click', exportPresets);
+presetFileInput.addEventListener('change', () => {
+    if (presetFileInput.files[0]) importPresets(presetFileInput.files[0]);
+    presetFileInput.value = '';
+});
+matrixEditor.addEventListener('change', handleMatrixChange);
+
+// Prevent default drag behavior on document
+document.addEventListener('dragover', (e) => e.preventDefault());
+document.addEventListener('drop', (e) => e.preventDefault());
+
+// Handle paste event for files and folders
+document.addEventListener('paste', async (e) => {
+    if (!Array.from(e.clipboardData.items).some(item => item.kind === 'file')) return;
+
+    const files = await FolderReader.fromDataTransfer(e.clipboardData);
     if (files.length > 0) {
         handleFiles(files);
     }
@@ -486,6 +3146,12 @@ document.addEventListener('paste', (e) => {
  */
 function init() {
     loadTheme();
+    loadLanguage();
+    loadAutoRetry();
+    loadConversionMode();
+    loadPresets();
+    loadSettings();
+    queueReady = openQueueStore();
     console.log('🎧 StudioGrade Audio Converter initialized');
     console.log('📝 Supported formats:', converter.supportedFormats);
     console.log('⚙️ Quality settings:', converter.getQualityInfo());
@@ -500,6 +3166,15 @@ if (document.readyState === 'loading') {
 
 // Make functions available globally for onclick handlers
 window.removeFile = removeFile;
+window.retryFile = retryFile;
+window.cancelFile = cancelFile;
+window.toggleFileSettings = toggleFileSettings;
+window.toggleFileTags = toggleFileTags;
+window.toggleFileWaveform = toggleFileWaveform;
+window.toggleFilePreview = toggleFilePreview;
+window.resetCustomMatrix = resetCustomMatrix;
 window.clearAll = clearAll;
+window.downloadAll = downloadAll;
 window.startConversion = startConversion;
 window.toggleTheme = toggleTheme;
+window.setLanguage = setLanguage;
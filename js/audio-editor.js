@@ -0,0 +1,187 @@
+/**
+ * StudioGrade Audio Converter
+ * Audio Editor
+ *
+ * Applies the per-file edits from the waveform view: in/out points,
+ * automatic trimming of leading and trailing silence, and fade-in/out
+ * curves. Also reduces a file to min/max peaks for drawing. Runs in
+ * the conversion worker, so it must not touch the DOM.
+ */
+
+class AudioEditor {
+    /**
+     * Apply edits to decoded channels
+     * Times are in seconds of the source, so edits made before knowing
+     * the output rate still line up
+     * @param {Array<Float32Array>} channels - Samples per channel
+     * @param {number} sampleRate - Rate of the samples
+     * @param {Object} edits - See DEFAULT_EDITS
+     * @param {Object} [region] - From region(), when the caller already has it
+     * @returns {Array<Float32Array>} Edited channels (the input arrays when nothing is trimmed)
+     * @throws {Error} If nothing is left after trimming
+     */
+    static apply(channels, sampleRate, edits, region = AudioEditor.region(channels, sampleRate, edits)) {
+        const { start, end } = region;
+        if (end <= start) {
+            throw new Error('Nothing left to convert after trimming');
+        }
+
+        const length = channels[0].length;
+        const output = start === 0 && end === length
+            ? channels
+            : channels.map(samples => samples.slice(start, end));
+
+        const fadeIn = Math.min(Math.round((edits.fadeIn || 0) * sampleRate), end - start);
+        const fadeOut = Math.min(Math.round((edits.fadeOut || 0) * sampleRate), end - start);
+        const curve = edits.fadeCurve || 'linear';
+        output.forEach(samples => {
+            if (fadeIn > 0) AudioEditor.applyFade(samples, 0, fadeIn, curve, 'in');
+            if (fadeOut > 0) AudioEditor.applyFade(samples, samples.length - fadeOut, fadeOut, curve, 'out');
+        });
+        return output;
+    }
+
+    /**
+     * Sample range kept by the in/out points and silence trimming
+     * @param {Array<Float32Array>} channels - Samples per channel
+     * @param {number} sampleRate - Rate of the samples
+     * @param {Object} edits - See DEFAULT_EDITS
+     * @returns {Object} { start, end } with end exclusive
+     */
+    static region(channels, sampleRate, edits) {
+        const length = channels[0].length;
+        const clamp = (value) => Math.min(length, Math.max(0, Math.round(value * sampleRate)));
+        let start = clamp(edits.start || 0);
+        let end = typeof edits.end === 'number' ? clamp(edits.end) : length;
+
+        if (edits.trimSilence && end > start) {
+            ({ start, end } = AudioEditor.silenceBounds(channels, start, end, edits.silenceThreshold));
+        }
+        return { start, end };
+    }
+
+    /**
+     * First and last sample louder than a threshold on any channel
+     * @param {Array<Float32Array>} channels - Samples per channel
+     * @param {number} start - First sample to search
+     * @param {number} end - One past the last sample to search
+     * @param {number} thresholdDb - Level in dBFS below which audio counts as silence
+     * @returns {Object} { start, end }, empty (start === end) when all of it is silence
+     */
+    static silenceBounds(channels, start, end, thresholdDb) {
+        const threshold = 10 ** (thresholdDb / 20);
+        const loud = (i) => channels.some(samples => Math.abs(samples[i]) > threshold);
+
+        let first = start;
+        while (first < end && !loud(first)) first++;
+        let last = end;
+        while (last > first && !loud(last - 1)) last--;
+        return { start: first, end: last };
+    }
+
+    /**
+     * Scale a range of samples by a fade curve, in place
+     * @param {Float32Array} samples - Channel samples
+     * @param {number} from - First sample of the fade
+     * @param {number} length - Fade length in samples
+     * @param {string} curve - One of FADE_CURVES
+     * @param {string} direction - 'in' or 'out'
+     */
+    static applyFade(samples, from, length, curve, direction) {
+        for (let i = 0; i < length; i++) {
+            const t = (i + 0.5) / length;
+            samples[from + i] *= AudioEditor.fadeGain(direction === 'in' ? t : 1 - t, curve);
+        }
+    }
+
+    /**
+     * Gain of a fade-in curve
+     * Fade-outs use the same curve backwards
+     * @param {number} t - Position in the fade, 0-1
+     * @param {string} curve - One of FADE_CURVES
+     * @returns {number}
+     */
+    static fadeGain(t, curve) {
+        switch (curve) {
+            case 'equalPower':
+                return Math.sin((t * Math.PI) / 2);
+            case 'exponential':
+                return t * t;
+            case 'logarithmic':
+                return 1 - (1 - t) * (1 - t);
+            case 'scurve':
+                return 0.5 - 0.5 * Math.cos(t * Math.PI);
+            default:
+                return t;
+        }
+    }
+
+    /**
+     * Reduce channels to min/max pairs for drawing a waveform
+     * All channels share one trace
+     * @param {Array<Float32Array>} channels - Samples per channel
+     * @param {number} buckets - Number of pairs
+     * @returns {Object} { min, max } Float32Arrays of length buckets
+     */
+    static peaks(channels, buckets) {
+        const length = channels[0].length;
+        const min = new Float32Array(buckets);
+        const max = new Float32Array(buckets);
+
+        for (let b = 0; b < buckets; b++) {
+            const from = Math.floor((b * length) / buckets);
+            const to = Math.max(from + 1, Math.floor(((b + 1) * length) / buckets));
+            let low = 0;
+            let high = 0;
+            for (const samples of channels) {
+                for (let i = from; i < to && i < length; i++) {
+                    const value = samples[i];
+                    if (value < low) low = value;
+                    if (value > high) high = value;
+                }
+            }
+            min[b] = low;
+            max[b] = high;
+        }
+        return { min, max };
+    }
+
+    /**
+     * Whether a set of edits changes anything
+     * @param {Object} [edits] - See DEFAULT_EDITS
+     * @returns {boolean}
+     */
+    static isEmpty(edits) {
+        return !edits || (
+            !(edits.start > 0) &&
+            typeof edits.end !== 'number' &&
+            !(edits.fadeIn > 0) &&
+            !(edits.fadeOut > 0) &&
+            !edits.trimSilence
+        );
+    }
+}
+
+/**
+ * Edits that leave a file as it is
+ * start and end are seconds (end null keeps the rest of the file),
+ * fades are seconds, silenceThreshold is dBFS
+ */
+AudioEditor.DEFAULT_EDITS = {
+    start: 0,
+    end: null,
+    fadeIn: 0,
+    fadeOut: 0,
+    fadeCurve: 'linear',
+    trimSilence: false,
+    silenceThreshold: -60
+};
+
+AudioEditor.FADE_CURVES = ['linear', 'equalPower', 'exponential', 'logarithmic', 'scurve'];
+
+AudioEditor.SILENCE_THRESHOLDS = [-80, -70, -60, -50, -40];
+
+// Export for use in workers and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioEditor;
+}
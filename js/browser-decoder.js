@@ -0,0 +1,83 @@
+/**
+ * StudioGrade Audio Converter
+ * Browser Decoder
+ *
+ * The browser binding of AudioConverter's decoding: the Web Audio API
+ * turns any format the browser plays into PCM, and an <audio> element
+ * reads durations the container headers don't carry. The Node
+ * command line passes its own decoder instead (node/node-decoder.js).
+ */
+
+class BrowserDecoder {
+    /**
+     * @param {I18n} [i18n] - Language of the error messages
+     */
+    constructor(i18n = new I18n()) {
+        this.i18n = i18n;
+    }
+
+    /**
+     * Decode an audio file to PCM using the Web Audio API
+     * The browser resamples to the context rate during decoding, so
+     * callers pass the source rate and resample in the pipeline instead.
+     * Must run on the main thread: workers have no AudioContext
+     * @param {File} file - The audio file
+     * @param {number} sampleRate - Rate to decode at
+     * @returns {Promise<AudioBuffer>}
+     */
+    async decode(file, sampleRate) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) {
+            throw new Error(this.i18n.t('error.noWebAudio'));
+        }
+
+        const arrayBuffer = await file.arrayBuffer();
+        const context = new OfflineContext(1, 1, sampleRate);
+
+        return new Promise((resolve, reject) => {
+            const onError = (error) => {
+                reject(new Error(this.i18n.t('error.decode', {
+                    reason: (error && error.message) || this.i18n.t('error.decodeUnknown')
+                })));
+            };
+            const promise = context.decodeAudioData(arrayBuffer, resolve, onError);
+            if (promise && typeof promise.catch === 'function') {
+                promise.catch(onError);
+            }
+        });
+    }
+
+    /**
+     * Read the duration of a file with an <audio> element
+     * @param {File} file - The audio file
+     * @returns {Promise<number>} Duration in seconds
+     */
+    duration(file) {
+        return new Promise((resolve, reject) => {
+            if (typeof Audio === 'undefined') {
+                reject(new Error('Audio element is not available'));
+                return;
+            }
+
+            const audio = new Audio();
+            const url = URL.createObjectURL(file);
+
+            audio.addEventListener('loadedmetadata', () => {
+                URL.revokeObjectURL(url);
+                resolve(audio.duration);
+            });
+
+            audio.addEventListener('error', () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(this.i18n.t('error.metadata')));
+            });
+
+            audio.src = url;
+        });
+    }
+}
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrowserDecoder;
+}
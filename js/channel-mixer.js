@@ -0,0 +1,318 @@
+/**
+ * StudioGrade Audio Converter
+ * Channel Mixer
+ *
+ * Maps decoded channels onto the output speaker layout with a gain
+ * matrix. Downmixing folds missing speakers with ITU-R BS.775
+ * coefficients; upmixing fills empty speakers by duplication or a
+ * passive matrix decode. Custom matrices bypass both.
+ *
+ * Channel order follows the FLAC / WAVE defaults for each count.
+ */
+
+class ChannelMixer {
+    /**
+     * Build the gain matrix for a conversion
+     * @param {number} inputCount - Source channel count
+     * @param {number} outputCount - Output channel count
+     * @param {Object} [options]
+     * @param {string} [options.strategy='duplicate'] - duplicate, matrix, direct or custom
+     * @param {Object} [options.customMatrix] - { inputs, outputs, gains } when strategy is custom
+     * @param {number} [options.lfeGain=0] - LFE level folded into the mains when the output has no LFE
+     * @param {boolean} [options.normalize=true] - Scale down so no output can exceed full scale
+     * @returns {Array<Array<number>>} Rows are output channels, columns input channels
+     */
+    static createMatrix(inputCount, outputCount, options = {}) {
+        const { strategy = 'duplicate', customMatrix, lfeGain = 0, normalize = true } = options;
+
+        if (strategy === 'custom') {
+            ChannelMixer.validateMatrix(customMatrix);
+            if (customMatrix.inputs !== inputCount || customMatrix.outputs !== outputCount) {
+                throw new Error(
+                    `Custom matrix is ${customMatrix.inputs} → ${customMatrix.outputs} channels, ` +
+                    `conversion needs ${inputCount} → ${outputCount}`
+                );
+            }
+            return customMatrix.gains.map(row => row.slice());
+        }
+        if (!ChannelMixer.STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown channel mapping: ${strategy}`);
+        }
+
+        const inputs = ChannelMixer.speakers(inputCount);
+        const outputs = ChannelMixer.speakers(outputCount);
+        const matrix = outputs.map(() => new Array(inputCount).fill(0));
+        const add = (speaker, input, gain) => {
+            matrix[outputs.indexOf(speaker)][input] += gain;
+        };
+
+        // Downmix: route every source speaker, folding the ones the output lacks
+        inputs.forEach((speaker, i) => {
+            if (speaker === 'LFE' && !outputs.includes('LFE')) {
+                if (lfeGain > 0) {
+                    const mains = outputs.includes('FL') ? ['FL', 'FR'] : ['FC'];
+                    mains.forEach(target => add(target, i, lfeGain / mains.length));
+                }
+                return;
+            }
+            ChannelMixer.resolve(speaker, outputs, ChannelMixer.FOLDS)
+                .forEach(([target, gain]) => add(target, i, gain));
+        });
+
+        // Upmix: fill output speakers that received nothing
+        if (strategy !== 'direct') {
+            const silent = outputs.filter((speaker, o) =>
+                speaker !== 'LFE' && matrix[o].every(gain => gain === 0));
+
+            if (strategy === 'matrix' && inputCount <= 2) {
+                ChannelMixer.matrixDecode(inputs, outputs, silent, add);
+            } else {
+                silent.forEach(speaker => {
+                    ChannelMixer.resolve(speaker, inputs, ChannelMixer.SOURCES)
+                        .forEach(([source, gain]) => add(speaker, inputs.indexOf(source), gain));
+                });
+            }
+        }
+
+        if (normalize) {
+            const peak = Math.max(...matrix.map(row => row.reduce((sum, g) => sum + Math.abs(g), 0)));
+            if (peak > 1) {
+                matrix.forEach(row => row.forEach((g, i) => { row[i] = g / peak; }));
+            }
+        }
+        return matrix;
+    }
+
+    /**
+     * Apply a gain matrix
+     * @param {Array<Float32Array>} channels - Input channels
+     * @param {Array<Array<number>>} matrix - From createMatrix
+     * @returns {Array<Float32Array>} Output channels
+     */
+    static apply(channels, matrix) {
+        const length = channels[0].length;
+        return matrix.map(row => {
+            // Pass-through rows keep the original buffer
+            const nonZero = row.map((gain, i) => [gain, i]).filter(([gain]) => gain !== 0);
+            if (nonZero.length === 1 && nonZero[0][0] === 1) {
+                return channels[nonZero[0][1]];
+            }
+
+            const out = new Float32Array(length);
+            nonZero.forEach(([gain, i]) => {
+                const input = channels[i];
+                for (let n = 0; n < length; n++) out[n] += input[n] * gain;
+            });
+            return out;
+        });
+    }
+
+    /**
+     * Check whether a matrix leaves every channel untouched
+     * @param {Array<Array<number>>} matrix - Gain matrix
+     * @returns {boolean}
+     */
+    static isIdentity(matrix) {
+        return matrix.every((row, o) =>
+            row.length === matrix.length && row.every((gain, i) => gain === (i === o ? 1 : 0)));
+    }
+
+    /**
+     * Check the shape and values of a user-defined matrix
+     * @param {Object} customMatrix - { inputs, outputs, gains }
+     * @throws {Error} If the matrix is malformed
+     */
+    static validateMatrix(customMatrix) {
+        if (!customMatrix || !Array.isArray(customMatrix.gains)) {
+            throw ChannelMixer.matrixError('Custom matrix is not set', 'error.matrix.unset');
+        }
+        const { inputs, outputs, gains } = customMatrix;
+        [inputs, outputs].forEach(count => {
+            if (!Number.isInteger(count) || count < 1 || count > 8) {
+                throw ChannelMixer.matrixError(`Custom matrix channel count must be 1-8, got ${count}`, 'error.matrix.channels', { count });
+            }
+        });
+        if (gains.length !== outputs || gains.some(row => !Array.isArray(row) || row.length !== inputs)) {
+            throw ChannelMixer.matrixError(`Custom matrix must have ${outputs} rows of ${inputs} gains`, 'error.matrix.shape', { inputs, outputs });
+        }
+        gains.forEach(row => row.forEach(gain => {
+            if (typeof gain !== 'number' || !Number.isFinite(gain) || Math.abs(gain) > ChannelMixer.MAX_GAIN) {
+                throw ChannelMixer.matrixError(
+                    `Custom matrix gains must be numbers between -${ChannelMixer.MAX_GAIN} and ${ChannelMixer.MAX_GAIN}`,
+                    'error.matrix.gain',
+                    { max: ChannelMixer.MAX_GAIN }
+                );
+            }
+        }));
+    }
+
+    /**
+     * Error for a malformed custom matrix
+     * The mixer runs in workers without messages; key and params let
+     * the converter report it in the page's language
+     * @param {string} message - English message
+     * @param {string} key - Message key
+     * @param {Object} [params] - Placeholder values
+     * @returns {Error}
+     */
+    static matrixError(message, key, params = {}) {
+        return Object.assign(new Error(message), { key, params });
+    }
+
+    /**
+     * Speaker names for a channel count, in FLAC / WAVE order
+     * @param {number} count - Channel count
+     * @returns {Array<string>}
+     */
+    static speakers(count) {
+        const layout = ChannelMixer.LAYOUTS[count];
+        if (!layout) {
+            throw new Error(`No channel layout for ${count} channels`);
+        }
+        return layout;
+    }
+
+    /**
+     * WAVEFORMATEXTENSIBLE dwChannelMask for a channel count
+     * @param {number} count - Channel count
+     * @returns {number}
+     */
+    static channelMask(count) {
+        return ChannelMixer.speakers(count)
+            .reduce((mask, speaker) => mask | ChannelMixer.SPEAKER_BITS[speaker], 0);
+    }
+
+    // ------------------------------------------------
+    // Internals
+    // ------------------------------------------------
+
+    /**
+     * Route a speaker through a fallback table
+     * Takes the first candidate whose speakers all exist in `available`;
+     * if none does, follows the last candidate recursively
+     * @param {string} speaker - Speaker to route
+     * @param {Array<string>} available - Speakers that can be used
+     * @param {Object} table - FOLDS or SOURCES
+     * @param {number} [gain=1] - Accumulated gain
+     * @returns {Array<[string, number]>} Speaker and gain pairs
+     */
+    static resolve(speaker, available, table, gain = 1) {
+        if (available.includes(speaker)) return [[speaker, gain]];
+
+        const candidates = table[speaker] || [];
+        if (candidates.length === 0) return [];
+
+        const direct = candidates.find(candidate =>
+            candidate.every(([target]) => available.includes(target)));
+        const route = direct || candidates[candidates.length - 1];
+
+        return route.flatMap(([target, g]) => ChannelMixer.resolve(target, available, table, gain * g));
+    }
+
+    /**
+     * Passive matrix decode of a mono or stereo source
+     * Center gets the sum, surrounds get the difference (mono surround)
+     * @param {Array<string>} inputs - Source speakers
+     * @param {Array<string>} outputs - Output speakers
+     * @param {Array<string>} silent - Output speakers still unfed
+     * @param {Function} add - (speaker, inputIndex, gain)
+     */
+    static matrixDecode(inputs, outputs, silent, add) {
+        const left = inputs.indexOf(inputs.includes('FL') ? 'FL' : 'FC');
+        const right = inputs.indexOf(inputs.includes('FR') ? 'FR' : 'FC');
+        const stereo = left !== right;
+
+        silent.forEach(speaker => {
+            if (speaker === 'FL' || speaker === 'FR') {
+                add(speaker, speaker === 'FL' ? left : right, 1);
+            } else if (speaker === 'FC') {
+                add(speaker, left, 0.5);
+                add(speaker, right, 0.5);
+            } else if (stereo) {
+                // A mono source has no difference signal to steer
+                add(speaker, left, 0.5);
+                add(speaker, right, -0.5);
+            }
+        });
+    }
+}
+
+/**
+ * Channel mapping strategies besides 'custom'
+ */
+ChannelMixer.STRATEGIES = ['duplicate', 'matrix', 'direct'];
+
+/**
+ * Default speaker order per channel count (FLAC format specification)
+ */
+ChannelMixer.LAYOUTS = {
+    1: ['FC'],
+    2: ['FL', 'FR'],
+    3: ['FL', 'FR', 'FC'],
+    4: ['FL', 'FR', 'BL', 'BR'],
+    5: ['FL', 'FR', 'FC', 'BL', 'BR'],
+    6: ['FL', 'FR', 'FC', 'LFE', 'BL', 'BR'],
+    7: ['FL', 'FR', 'FC', 'LFE', 'BC', 'SL', 'SR'],
+    8: ['FL', 'FR', 'FC', 'LFE', 'BL', 'BR', 'SL', 'SR']
+};
+
+/**
+ * WAVEFORMATEXTENSIBLE speaker position bits
+ */
+ChannelMixer.SPEAKER_BITS = {
+    FL: 0x1,
+    FR: 0x2,
+    FC: 0x4,
+    LFE: 0x8,
+    BL: 0x10,
+    BR: 0x20,
+    BC: 0x100,
+    SL: 0x200,
+    SR: 0x400
+};
+
+/**
+ * Where a speaker goes when the output lacks it (ITU-R BS.775, -3 dB folds)
+ */
+ChannelMixer.FOLDS = {
+    FL: [[['FC', Math.SQRT1_2]]],
+    FR: [[['FC', Math.SQRT1_2]]],
+    FC: [[['FL', Math.SQRT1_2], ['FR', Math.SQRT1_2]]],
+    BL: [[['SL', Math.SQRT1_2]], [['FL', Math.SQRT1_2]]],
+    BR: [[['SR', Math.SQRT1_2]], [['FR', Math.SQRT1_2]]],
+    SL: [[['BL', Math.SQRT1_2]], [['FL', Math.SQRT1_2]]],
+    SR: [[['BR', Math.SQRT1_2]], [['FR', Math.SQRT1_2]]],
+    BC: [
+        [['BL', Math.SQRT1_2], ['BR', Math.SQRT1_2]],
+        [['SL', Math.SQRT1_2], ['SR', Math.SQRT1_2]],
+        [['FL', 0.5], ['FR', 0.5]]
+    ]
+};
+
+/**
+ * Where an empty output speaker copies from when duplicating
+ */
+ChannelMixer.SOURCES = {
+    FL: [[['FC', 1]]],
+    FR: [[['FC', 1]]],
+    FC: [[['FL', 0.5], ['FR', 0.5]]],
+    BL: [[['SL', 1]], [['FL', 1]]],
+    BR: [[['SR', 1]], [['FR', 1]]],
+    SL: [[['BL', 1]], [['FL', 1]]],
+    SR: [[['BR', 1]], [['FR', 1]]],
+    BC: [
+        [['BL', 0.5], ['BR', 0.5]],
+        [['SL', 0.5], ['SR', 0.5]],
+        [['FL', 0.5], ['FR', 0.5]]
+    ]
+};
+
+/**
+ * Largest gain accepted in a custom matrix (+12 dB)
+ */
+ChannelMixer.MAX_GAIN = 4;
+
+// Export for use in workers and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChannelMixer;
+}
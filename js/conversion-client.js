@@ -0,0 +1,274 @@
+/**
+ * StudioGrade Audio Converter
+ * Conversion Client
+ *
+ * Talks to the conversion server (node/server.js): uploads a file in
+ * chunks, resuming from what the server has after a dropped request,
+ * submits a job, follows its progress over Server-Sent Events and
+ * downloads the output. Uses only fetch, so it runs in the page and in
+ * Node alike.
+ */
+
+class ConversionClient {
+    /**
+     * @param {string} baseUrl - Server origin, e.g. "http://localhost:8080"
+     * @param {Object} [options]
+     * @param {number} [options.chunkSize] - Upload chunk size in bytes
+     */
+    constructor(baseUrl, { chunkSize = ConversionClient.CHUNK_SIZE } = {}) {
+        this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+        this.chunkSize = chunkSize;
+    }
+
+    /**
+     * Convert a file on the server
+     * Progress covers the upload, the conversion and the download, in
+     * proportion to ConversionClient.STAGE_WEIGHTS
+     * @param {File} file - The audio file
+     * @param {Object} job - Job options
+     * @param {Object} job.settings - Resolved output settings
+     * @param {Object} [job.tags] - Tags and artwork to write; the server reads the source's when omitted
+     * @param {Object} [job.loudness] - { track, album } measurements (album mode)
+     * @param {Object} [job.edits] - Trim and fades
+     * @param {Function} [job.onProgress] - Receives progress 0-100
+     * @param {AbortSignal} [job.signal] - Cancels the upload or the job
+     * @returns {Promise<Object>} The pipeline result, as ConversionPipeline.convert returns it
+     */
+    async convert(file, { settings, tags, loudness, edits, onProgress = () => {}, signal } = {}) {
+        const weights = ConversionClient.STAGE_WEIGHTS;
+        const stage = (offset, weight) => (progress) => onProgress(offset + progress * weight);
+
+        const upload = await this.upload(file, { signal, onProgress: stage(0, weights.upload) });
+        const { id } = await this.request('POST', '/api/jobs', {
+            body: { upload: upload.id, settings, tags, loudness, edits },
+            signal
+        });
+
+        try {
+            const result = await this.follow(id, { signal, onProgress: stage(100 * weights.upload, weights.convert) });
+            const response = await this.fetch('GET', `/api/jobs/${id}/output`, { signal });
+            // Typed by the server's Content-Type, e.g. audio/flac
+            const blob = await response.blob();
+            onProgress(100);
+            return { ...result, blob };
+        } catch (error) {
+            // Nobody will download it; free the server's copy now rather than at expiry
+            if (JobQueue.isAbortError(error)) this.request('DELETE', `/api/jobs/${id}`).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Upload a file in chunks
+     * A chunk that fails is retried from the offset the server reports
+     * having received, so only what was lost is sent again
+     * @param {File} file - File to upload
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the upload
+     * @param {Function} [options.onProgress] - Receives progress 0-100
+     * @returns {Promise<Object>} Upload status { id, name, size, received, complete, expiresAt }
+     */
+    async upload(file, { signal, onProgress = () => {} } = {}) {
+        let upload = await this.request('POST', '/api/uploads', {
+            body: { name: file.name, size: file.size, type: file.type },
+            signal
+        });
+
+        let failures = 0;
+        while (!upload.complete) {
+            const chunk = file.slice(upload.received, upload.received + this.chunkSize);
+            try {
+                upload = await this.request('PUT', `/api/uploads/${upload.id}?offset=${upload.received}`, {
+                    body: chunk,
+                    signal
+                });
+                failures = 0;
+            } catch (error) {
+                // 409: the server has a different offset, e.g. a reply was lost after the write
+                const resumable = !error.status || error.status === 409;
+                if (JobQueue.isAbortError(error) || !resumable || ++failures > ConversionClient.CHUNK_RETRIES) {
+                    throw error;
+                }
+                upload = await this.request('GET', `/api/uploads/${upload.id}`, { signal });
+            }
+            onProgress(file.size > 0 ? (upload.received / file.size) * 100 : 100);
+        }
+        return upload;
+    }
+
+    /**
+     * Follow a job's events until it finishes
+     * @param {string} id - Job id
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops following
+     * @param {Function} [options.onProgress] - Receives progress 0-100
+     * @returns {Promise<Object>} The job's result
+     * @throws {Error} With the server's message if the job failed
+     */
+    async follow(id, { signal, onProgress = () => {} } = {}) {
+        const response = await this.fetch('GET', `/api/jobs/${id}/events`, { signal });
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffered = '';
+
+        try {
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                // Events are separated by a blank line
+                buffered += value;
+                const events = buffered.split('\n\n');
+                buffered = events.pop();
+
+                for (const text of events) {
+                    const event = ConversionClient.parseEvent(text);
+                    if (!event) continue;
+                    if (event.type === 'progress') onProgress(event.data.progress);
+                    if (event.type === 'done') return event.data.result;
+                    if (event.type === 'failed') throw new Error(event.data.error);
+                    if (event.type === 'cancelled') throw JobQueue.abortError();
+                }
+            }
+        } catch (error) {
+            if (signal && signal.aborted) throw JobQueue.abortError();
+            throw error;
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+        throw new Error('Connection to the conversion server closed before the job finished');
+    }
+
+    /**
+     * Check that the server is reachable
+     * @returns {Promise<Object>} { ok, version, retention }
+     */
+    health() {
+        return this.request('GET', '/api/health');
+    }
+
+    /**
+     * Send a request and parse its JSON reply
+     * @param {string} method - HTTP method
+     * @param {string} path - Path under the server origin
+     * @param {Object} [options]
+     * @param {Object|Blob} [options.body] - JSON value, or a Blob sent as is
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<*>}
+     */
+    async request(method, path, options = {}) {
+        const response = await this.fetch(method, path, options);
+        const text = await response.text();
+        return text ? ConversionClient.parse(text) : null;
+    }
+
+    /**
+     * Send a request, failing on error statuses
+     * @param {string} method - HTTP method
+     * @param {string} path - Path under the server origin
+     * @param {Object} [options]
+     * @param {Object|Blob} [options.body] - JSON value, or a Blob sent as is
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Response>}
+     * @throws {Error} With `status` set when the server answered with an error
+     */
+    async fetch(method, path, { body, signal } = {}) {
+        const isBlob = typeof Blob !== 'undefined' && body instanceof Blob;
+        let response;
+        try {
+            response = await fetch(this.baseUrl + path, {
+                method,
+                signal,
+                headers: body === undefined ? {} : { 'Content-Type': isBlob ? 'application/octet-stream' : 'application/json' },
+                body: body === undefined || isBlob ? body : ConversionClient.stringify(body)
+            });
+        } catch (error) {
+            if (signal && signal.aborted) throw JobQueue.abortError();
+            throw new Error(`Could not reach the conversion server: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            const reply = await response.text().then(ConversionClient.parse).catch(() => null);
+            const error = new Error((reply && reply.error) || `Conversion server replied ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    /**
+     * Parse one Server-Sent Event
+     * @param {string} text - Lines of the event, without the blank line
+     * @returns {Object|null} { type, data } or null for comments
+     */
+    static parseEvent(text) {
+        let type = 'message';
+        const data = [];
+        text.split('\n').forEach(line => {
+            if (line.startsWith('event:')) type = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+        });
+        return data.length > 0 ? { type, data: ConversionClient.parse(data.join('\n')) } : null;
+    }
+
+    /**
+     * JSON that keeps typed arrays (artwork, spectrograms)
+     * @param {*} value - Value to encode
+     * @returns {string}
+     */
+    static stringify(value) {
+        return JSON.stringify(value, (key, item) => {
+            if (!ArrayBuffer.isView(item)) return item;
+            const bytes = new Uint8Array(item.buffer, item.byteOffset, item.byteLength);
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            }
+            return { $typed: item.constructor.name, base64: btoa(binary) };
+        });
+    }
+
+    /**
+     * Parse JSON written by stringify
+     * @param {string} text - JSON text
+     * @returns {*}
+     */
+    static parse(text) {
+        return JSON.parse(text, (key, item) => {
+            if (!item || typeof item.$typed !== 'string' || !ConversionClient.TYPED_ARRAYS.includes(item.$typed)) {
+                return item;
+            }
+            const binary = atob(item.base64);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+            return item.$typed === 'Uint8Array' ? bytes : new globalThis[item.$typed](bytes.buffer);
+        });
+    }
+}
+
+/**
+ * Upload chunk size; small enough to resend cheaply, large enough to keep requests few
+ */
+ConversionClient.CHUNK_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Consecutive failed chunks tolerated before an upload gives up
+ */
+ConversionClient.CHUNK_RETRIES = 3;
+
+/**
+ * Share of the progress bar each stage of a server conversion takes
+ */
+ConversionClient.STAGE_WEIGHTS = { upload: 0.3, convert: 0.65, download: 0.05 };
+
+/**
+ * Typed arrays stringify/parse carry
+ */
+ConversionClient.TYPED_ARRAYS = [
+    'Uint8Array', 'Int8Array', 'Uint16Array', 'Int16Array', 'Uint32Array', 'Int32Array',
+    'Float32Array', 'Float64Array'
+];
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversionClient;
+}
@@ -0,0 +1,29 @@
+/**
+ * StudioGrade Audio Converter
+ * Conversion Worker
+ *
+ * Runs ConversionPipeline jobs (convert, analyze, estimate, peaks) off the main thread.
+ * Protocol: receives { id, type, ... }, replies with
+ * { id, type: 'progress' | 'result' | 'error', ... }.
+ */
+
+importScripts('md5.js', 'flac-encoder.js', 'pcm-writer.js', 'resampler.js', 'channel-mixer.js', 'loudness.js', 'dither.js', 'spectrum-analyzer.js', 'audio-editor.js', 'flac-decoder.js', 'output-verifier.js', 'job-queue.js', 'pipeline.js');
+
+self.onmessage = async (e) => {
+    const { id } = e.data;
+
+    let lastReported = -1;
+    const reportProgress = (progress) => {
+        const rounded = Math.floor(progress);
+        if (rounded === lastReported) return;
+        lastReported = rounded;
+        self.postMessage({ id, type: 'progress', progress });
+    };
+
+    try {
+        const result = await ConversionPipeline.handle(e.data, reportProgress);
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
@@ -2,58 +2,140 @@
  * StudioGrade Audio Converter
  * Audio Processing Module
  * 
- * This module handles the core audio conversion logic
- * In production, this would interface with a backend API using FFmpeg
+ * This module handles the core audio conversion logic:
+ * decoding on the main thread, encoding (FLAC or a PCM container) on
+ * a pool of workers.
+ * Decoding and workers are platform bindings: the browser's by
+ * default, Node's when the command line passes its own. In server
+ * mode (setServer) conversions run on a conversion server instead
  */
 
 class AudioConverter {
-    constructor() {
+    /**
+     * @param {I18n} [i18n] - Language of the messages and formatted values it returns
+     * @param {Object} [bindings]
+     * @param {Object} [bindings.decoder] - { decode(file, sampleRate), duration(file) },
+     *     see BrowserDecoder (the default)
+     * @param {WorkerPool} [bindings.workerPool] - Runs pipeline jobs; defaults to Web Workers
+     */
+    constructor(i18n = new I18n(), { decoder, workerPool } = {}) {
+        this.i18n = i18n;
+        this.decoder = decoder || new BrowserDecoder(i18n);
         this.settings = {
             outputFormat: 'FLAC',
             sampleRate: 96000,
             channels: 8, // 7.1 Surround
             bitDepth: 24,
-            codec: 'flac'
+            dither: 'tpdf', // requantization noise: off, tpdf or a noise-shaping curve
+            effectiveDepth: 'detect', // detect: never write more bits than the source really has
+            codec: 'flac',
+            compressionLevel: 5, // 0 (fastest) - 8 (smallest)
+            resampleQuality: 'standard', // fast, standard or mastering
+            channelMapping: 'duplicate', // how missing speakers are filled when upmixing
+            customMatrix: null, // { inputs, outputs, gains } for channelMapping 'custom'
+            loudness: 'off', // off, track or album: measure and write ReplayGain tags
+            loudnessTarget: 'off', // normalize to this integrated loudness (LUFS)
+            truePeakLimit: -1, // limiter ceiling in dBTP when normalizing
+            verify: 'on' // decode the output and compare it with the encoded samples
         };
         
+        // Files are identified by content; these extensions only name what is recognized
         this.supportedFormats = [
-            'audio/mpeg',      // MP3
-            'audio/wav',       // WAV
-            'audio/x-wav',     // WAV
-            'audio/wave',      // WAV
-            'audio/aac',       // AAC
-            'audio/ogg',       // OGG
-            'audio/mp4',       // M4A
-            'audio/x-m4a',     // M4A
-            'audio/flac',      // FLAC
-            'audio/x-flac',    // FLAC
-            'audio/wma',       // WMA
-            'audio/webm',      // WebM
-            'audio/opus'       // Opus
+            ...Object.keys(MetadataParser.EXTENSIONS),
+            ...MetadataParser.UNSNIFFED_EXTENSIONS
         ];
+
+        // Encoding runs on one worker per CPU core
+        this.workerPool = workerPool || new WorkerPool('js/conversion-worker.js', {
+            fallback: (message, onProgress, signal) => ConversionPipeline.handle(message, onProgress, signal)
+        });
+
+        // Limits how many files are decoded and held in memory at once
+        this.fileQueue = new JobQueue(this.workerPool.size);
+
+        // Automatic retries per file after a failed conversion
+        this.autoRetryLimit = 1;
+
+        // Converts on a server when set, see setServer
+        this.client = null;
+
+        // Built-in and user presets; the app loads and saves the user's
+        this.presets = new PresetLibrary({ validate: (settings) => this.validatePresetSettings(settings) });
     }
 
     /**
-     * Validate if file is a supported audio format
+     * Convert on a conversion server (node/server.js) instead of this device
+     * Only conversions move: waveforms, trial encodes and album loudness
+     * measurements still run here
+     * @param {string|null} url - Server origin, or null to convert locally
+     */
+    setServer(url) {
+        this.client = url ? new ConversionClient(url) : null;
+    }
+
+    /**
+     * Where conversions run
+     * @returns {string} 'local' or 'server'
+     */
+    get mode() {
+        return this.client ? 'server' : 'local';
+    }
+
+    /**
+     * Validate a file by its content signature
+     * The MIME type is ignored: browsers report it from the extension,
+     * and often leave it empty for FLAC, Opus or WMA
      * @param {File} file - The file to validate
-     * @returns {boolean}
+     * @returns {Promise<Object>} { valid, format, container, detectedBy, problem, message }
+     *     where problem is null or one of MetadataParser.sniff's problems
      */
-    isValidAudioFile(file) {
-        return this.supportedFormats.includes(file.type) || 
-               file.type.startsWith('audio/');
+    async validateAudioFile(file) {
+        let sniffed;
+        try {
+            sniffed = await MetadataParser.sniff(file);
+        } catch (error) {
+            return { valid: false, format: null, container: null, detectedBy: null, problem: 'unreadable', message: this.i18n.t('validate.unreadable') };
+        }
+
+        const { format, container, detectedBy, problem } = sniffed;
+        let message = '';
+        switch (problem) {
+            case 'empty':
+                message = this.i18n.t('validate.empty');
+                break;
+            case 'truncated':
+                // A bare ID3 tag has no container to name
+                message = container
+                    ? this.i18n.t('validate.truncatedContainer', { container })
+                    : this.i18n.t('validate.truncated');
+                break;
+            case 'corrupt':
+                message = this.i18n.t('validate.corrupt', { container });
+                break;
+            case 'mismatch':
+                message = this.i18n.t('validate.mismatch', { extension: this.getFileExtension(file.name).toUpperCase() });
+                break;
+            case 'unsupported':
+                message = this.i18n.t('validate.unsupported');
+                break;
+        }
+        return { valid: !problem, format, container, detectedBy, problem, message };
     }
 
     /**
-     * Format file size to human readable string
+     * Format file size to human readable string, in the locale's notation
      * @param {number} bytes - File size in bytes
      * @returns {string}
      */
     formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
         const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+        const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+        const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(k)), units.length - 1) : 0;
+        return this.i18n.formatNumber(bytes / Math.pow(k, i), {
+            style: 'unit',
+            unit: units[i],
+            maximumFractionDigits: 2
+        });
     }
 
     /**
@@ -66,158 +148,840 @@ class AudioConverter {
     }
 
     /**
-     * Estimate output file size (FLAC is typically 50-60% of WAV)
-     * @param {number} originalSize - Original file size in bytes
+     * Estimate the size of a file once converted
+     * The PCM size at the output rate, channel count and bit depth, times
+     * the compression ratio of a trial encode (see trialEncode) or, until
+     * there is one, a typical FLAC ratio (the sample width for the PCM
+     * formats). Silence trimming isn't counted
+     * @param {Object} metadata - From getAudioMetadata
+     * @param {Object} [options]
+     * @param {Object} [options.settings] - Per-file overrides of the output settings
+     * @param {Object} [options.edits] - Trim and fades, see AudioEditor.DEFAULT_EDITS
+     * @param {Object} [options.trial] - From trialEncode
+     * @returns {Object|null} { bytes, refined } where refined means a trial encode with
+     *     these settings backs it, or null when the duration is unknown
+     */
+    estimateOutputSize(metadata, { settings: overrides, edits, trial } = {}) {
+        if (!metadata || !(metadata.duration > 0)) return null;
+
+        const settings = this.resolveSettings(overrides);
+        const { start, end } = { ...AudioEditor.DEFAULT_EDITS, ...edits };
+        const until = typeof end === 'number' ? Math.min(end, metadata.duration) : metadata.duration;
+        const duration = Math.max(0, until - Math.min(start, until));
+
+        const sampleRate = settings.sampleRate === 'source'
+            ? metadata.sampleRate || AudioConverter.FALLBACK_SAMPLE_RATE
+            : settings.sampleRate;
+        const pcmBytes = duration * sampleRate * settings.channels * (settings.bitDepth / 8);
+        const bytesPerSample = Math.ceil(settings.bitDepth / 8);
+        const typicalRatio = settings.outputFormat === 'FLAC'
+            ? AudioConverter.TYPICAL_FLAC_RATIO
+            : bytesPerSample / (settings.bitDepth / 8);
+        const ratio = trial ? trial.ratio : typicalRatio;
+        const metadataBytes = trial ? trial.metadataBytes : AudioConverter.TYPICAL_METADATA_BYTES;
+
+        return {
+            bytes: Math.round(pcmBytes * ratio + metadataBytes),
+            refined: Boolean(trial) && trial.key === this.estimateKey(overrides)
+        };
+    }
+
+    /**
+     * Trial-encode an excerpt of a file to learn how well it compresses
+     * Queued behind conversions; the file is decoded in full, but only
+     * AudioConverter.TRIAL_SECONDS from its middle are encoded
+     * @param {File} file - The audio file
+     * @param {Object} [options]
+     * @param {Object} [options.settings] - Per-file overrides of the output settings
+     * @param {Object} [options.tags] - Tags and artwork to write; read from the source when omitted
+     * @param {AbortSignal} [options.signal] - Cancels the trial
+     * @returns {Promise<Object>} { ratio, metadataBytes, bitDepth, key } for estimateOutputSize
+     */
+    async trialEncode(file, { settings: overrides, tags, signal } = {}) {
+        const settings = this.resolveSettings(overrides);
+        const key = this.estimateKey(overrides);
+        const priority = AudioConverter.ESTIMATE_PRIORITY;
+
+        return this.fileQueue.add(async () => {
+            const outputTags = tags || await this.readTags(file);
+            const { channels, sampleRate } = await this.decodeForJob(file, settings, signal, {
+                excerpt: AudioConverter.TRIAL_SECONDS
+            });
+            const result = await this.workerPool.run(
+                { type: 'estimate', job: { channels, sampleRate, settings, tags: outputTags } },
+                { transfer: channels.map(ch => ch.buffer), priority, signal }
+            );
+            return { ...result, key };
+        }, { priority, signal });
+    }
+
+    /**
+     * Identify the settings that change how a file compresses
+     * A trial encode made with other settings only approximates the ratio
+     * @param {Object} [overrides] - Per-file overrides of the output settings
      * @returns {string}
      */
-    estimateOutputSize(originalSize) {
-        const estimatedSize = originalSize * 0.55;
-        return this.formatFileSize(estimatedSize);
+    estimateKey(overrides) {
+        const settings = this.resolveSettings(overrides);
+        return JSON.stringify(AudioConverter.ESTIMATE_SETTINGS.map(key => settings[key]));
     }
 
     /**
-     * Get audio file metadata using Web Audio API
+     * Get audio file metadata
+     * Stream parameters come from the container headers; the duration
+     * falls back to the browser's <audio> element when the header
+     * doesn't carry it
      * @param {File} file - The audio file
-     * @returns {Promise<Object>}
+     * @returns {Promise<Object>} { container, codec, sampleRate, channels, bitDepth, bitrate, duration, formattedDuration }
      */
     async getAudioMetadata(file) {
-        return new Promise((resolve, reject) => {
-            const audio = new Audio();
-            const url = URL.createObjectURL(file);
-            
-            audio.addEventListener('loadedmetadata', () => {
-                const metadata = {
-                    duration: audio.duration,
-                    formattedDuration: this.formatDuration(audio.duration)
-                };
-                URL.revokeObjectURL(url);
-                resolve(metadata);
-            });
-            
-            audio.addEventListener('error', () => {
-                URL.revokeObjectURL(url);
-                reject(new Error('Failed to load audio metadata'));
-            });
-            
-            audio.src = url;
-        });
+        const header = await MetadataParser.probe(file).catch(() => null);
+        const metadata = {
+            container: null,
+            codec: null,
+            sampleRate: null,
+            channels: null,
+            bitDepth: null,
+            bitrate: null,
+            duration: null,
+            ...header
+        };
+
+        if (!(metadata.duration > 0)) {
+            metadata.duration = await this.getMediaDuration(file).catch(() => null);
+        }
+        if (!header && metadata.duration === null) {
+            throw new Error(this.i18n.t('error.metadata'));
+        }
+
+        metadata.formattedDuration = metadata.duration !== null ? this.formatDuration(metadata.duration) : null;
+        return metadata;
+    }
+
+    /**
+     * Read the duration of a file from the decoder, for headers that don't carry it
+     * @param {File} file - The audio file
+     * @returns {Promise<number>} Duration in seconds
+     */
+    getMediaDuration(file) {
+        return this.decoder.duration(file);
     }
 
     /**
-     * Format duration in seconds to MM:SS
+     * Format duration in seconds to MM:SS, in the locale's digits
      * @param {number} seconds - Duration in seconds
+     * @param {number} [fractionDigits=0] - Decimals of the seconds, truncated like the whole seconds
      * @returns {string}
      */
-    formatDuration(seconds) {
+    formatDuration(seconds, fractionDigits = 0) {
+        const scale = 10 ** fractionDigits;
         const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
+        const secs = Math.floor((seconds % 60) * scale) / scale;
+        return `${this.i18n.formatNumber(mins, { useGrouping: false })}:${this.i18n.formatNumber(secs, {
+            minimumIntegerDigits: 2,
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits
+        })}`;
+    }
+
+    /**
+     * Decode an audio file to PCM
+     * Callers pass the source rate and resample in the pipeline: the
+     * browser would otherwise resample to the rate it decodes at
+     * @param {File} file - The audio file
+     * @param {number} sampleRate - Rate to decode at
+     * @returns {Promise<Object>} AudioBuffer, or an object with the same
+     *     sampleRate, length, numberOfChannels and getChannelData
+     */
+    decodeAudio(file, sampleRate) {
+        return this.decoder.decode(file, sampleRate);
     }
 
     /**
-     * Simulate audio conversion process
-     * In production, this would send file to backend API
+     * Convert an audio file to the output format (FLAC unless set otherwise)
+     * Decodes on the main thread, then encodes on the worker pool, or
+     * uploads it to the conversion server in server mode
      * @param {File} file - The audio file to convert
-     * @param {Function} progressCallback - Callback for progress updates
-     * @returns {Promise<Object>}
-     */
-    async convertToFLAC(file, progressCallback) {
-        return new Promise((resolve, reject) => {
-            // Simulate conversion process
-            let progress = 0;
-            const totalSteps = 100;
-            const stepDuration = 30; // ms per step (3 seconds total)
-            
-            const interval = setInterval(() => {
-                // Simulate realistic conversion progress
-                const increment = Math.random() * 15 + 5;
-                progress += increment;
-                
-                if (progress >= 100) {
-                    progress = 100;
-                    clearInterval(interval);
-                    
-                    // Simulate converted file data
-                    const convertedFile = {
-                        originalName: file.name,
-                        convertedName: file.name.replace(/\.[^/.]+$/, '.flac'),
-                        originalSize: file.size,
-                        estimatedSize: this.estimateOutputSize(file.size),
-                        settings: this.settings,
-                        timestamp: new Date().toISOString()
-                    };
-                    
-                    resolve(convertedFile);
-                } else {
-                    progressCallback(Math.min(progress, 100));
-                }
-            }, stepDuration);
-            
-            // Simulate potential error (very rare)
-            setTimeout(() => {
-                if (Math.random() < 0.001) { // 0.1% chance
-                    clearInterval(interval);
-                    reject(new Error('Conversion failed: Simulated error'));
-                }
-            }, 1000);
-        });
+     * @param {Function} progressCallback - Callback for progress updates (0-100)
+     * @param {Object} [options]
+     * @param {number} [options.priority=0] - Worker queue priority, higher runs first
+     * @param {AbortSignal} [options.signal] - Cancels the conversion
+     * @param {Object} [options.settings] - Per-file overrides of the output settings
+     * @param {Object} [options.tags] - Tags and artwork to write; read from the source when omitted
+     * @param {Object} [options.loudness] - { track, album } measurements from analyzeLoudness (album mode)
+     * @param {Object} [options.edits] - Trim and fades, see AudioEditor.DEFAULT_EDITS
+     * @param {string} [options.path] - Path of the file within an imported folder, mirrored by convertedPath
+     * @returns {Promise<Object>} Converted file descriptor including the encoded Blob
+     */
+    async convertToFLAC(file, progressCallback = () => {}, { priority = 0, signal, settings: overrides, tags, loudness, edits, path = file.name } = {}) {
+        if (signal && signal.aborted) throw JobQueue.abortError();
+
+        const settings = this.resolveSettings(overrides);
+        const result = this.client
+            // The server reads the source's tags itself unless they were edited
+            ? await this.client.convert(file, { settings, tags, loudness, edits, signal, onProgress: progressCallback })
+            : await this.convertLocally(file, progressCallback, { priority, signal, settings, tags, loudness, edits });
+
+        const { extension } = AudioConverter.OUTPUT_FORMATS[settings.outputFormat];
+        const convertedName = `${file.name.replace(/\.[^/.]+$/, '')}.${extension}`;
+        return {
+            originalName: file.name,
+            convertedName,
+            convertedPath: FolderReader.directory(path) + convertedName,
+            originalSize: file.size,
+            outputSize: result.blob.size,
+            formattedSize: this.formatFileSize(result.blob.size),
+            blob: result.blob,
+            md5: result.md5,
+            duration: result.duration,
+            offset: result.offset,
+            loudness: result.loudness,
+            spectrum: result.spectrum,
+            effectiveBitDepth: result.effectiveBitDepth,
+            dither: result.dither,
+            verification: result.verification,
+            settings: {
+                ...settings,
+                sampleRate: result.sampleRate,
+                channels: result.channels,
+                bitDepth: result.bitDepth
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Decode a file here and encode it on the worker pool
+     * @param {File} file - The audio file
+     * @param {Function} progressCallback - Callback for progress updates (0-100)
+     * @param {Object} options - As convertToFLAC's, with settings resolved
+     * @returns {Promise<Object>} From ConversionPipeline.convert
+     */
+    async convertLocally(file, progressCallback, { priority, signal, settings, tags, loudness, edits }) {
+        const outputTags = tags || await this.readTags(file);
+        const { channels, sampleRate, bitDepth } = await this.decodeForJob(file, settings, signal);
+
+        return this.workerPool.run(
+            { type: 'convert', job: { channels, sampleRate, settings, tags: outputTags, loudness, edits, sourceBitDepth: bitDepth } },
+            {
+                transfer: channels.map(ch => ch.buffer),
+                priority,
+                signal,
+                onProgress: progressCallback
+            }
+        );
+    }
+
+    /**
+     * Measure the loudness a file would have after conversion
+     * Used for album mode, where every file's gain depends on the whole batch
+     * @param {File} file - The audio file
+     * @param {Function} progressCallback - Callback for progress updates (0-100)
+     * @param {Object} [options]
+     * @param {number} [options.priority=0] - Worker queue priority, higher runs first
+     * @param {AbortSignal} [options.signal] - Cancels the analysis
+     * @param {Object} [options.settings] - Per-file overrides of the output settings
+     * @param {Object} [options.edits] - Trim and fades, see AudioEditor.DEFAULT_EDITS
+     * @returns {Promise<Object>} From LoudnessMeter.analyze
+     */
+    async analyzeLoudness(file, progressCallback = () => {}, { priority = 0, signal, settings: overrides, edits } = {}) {
+        if (signal && signal.aborted) throw JobQueue.abortError();
+
+        const settings = this.resolveSettings(overrides);
+        const { channels, sampleRate } = await this.decodeForJob(file, settings, signal);
+
+        return this.workerPool.run(
+            { type: 'analyze', job: { channels, sampleRate, settings, edits } },
+            {
+                transfer: channels.map(ch => ch.buffer),
+                priority,
+                signal,
+                onProgress: progressCallback
+            }
+        );
+    }
+
+    /**
+     * Compute a waveform overview of a file
+     * Decodes at the source rate on the main thread, reduces on a worker
+     * @param {File} file - The audio file
+     * @param {number} buckets - Number of min/max pairs
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the computation
+     * @returns {Promise<Object>} { min, max, duration }
+     */
+    async computePeaks(file, buckets, { signal } = {}) {
+        if (signal && signal.aborted) throw JobQueue.abortError();
+
+        const { channels, sampleRate } = await this.decodeForJob(file, { sampleRate: 'source' }, signal);
+        return this.workerPool.run(
+            { type: 'peaks', job: { channels, sampleRate, buckets } },
+            {
+                transfer: channels.map(ch => ch.buffer),
+                // Ahead of conversions, someone is waiting to see it
+                priority: AudioConverter.INTERACTIVE_PRIORITY,
+                signal
+            }
+        );
+    }
+
+    /**
+     * Decode a file into transferable channel buffers for a pipeline job
+     * Decodes at the source rate so resampling happens in our own
+     * converter. If the header can't be read, the browser does it
+     * @param {File} file - The audio file
+     * @param {Object} settings - Resolved output settings
+     * @param {AbortSignal} [signal] - Cancels after decoding
+     * @param {Object} [options]
+     * @param {number} [options.excerpt] - Keep only this many seconds from the middle
+     * @returns {Promise<Object>} { channels, sampleRate, bitDepth } where bitDepth is the header's, if any
+     */
+    async decodeForJob(file, settings, signal, { excerpt } = {}) {
+        const probe = await MetadataParser.probe(file).catch(() => null);
+        const decodeRate = (probe && probe.sampleRate) ||
+            (settings.sampleRate === 'source' ? AudioConverter.FALLBACK_SAMPLE_RATE : settings.sampleRate);
+
+        const audioBuffer = await this.decodeAudio(file, decodeRate);
+        if (signal && signal.aborted) throw JobQueue.abortError();
+
+        const length = excerpt ? Math.min(audioBuffer.length, Math.round(excerpt * audioBuffer.sampleRate)) : audioBuffer.length;
+        const start = Math.floor((audioBuffer.length - length) / 2);
+
+        // Copy out of the AudioBuffer so the buffers can be transferred
+        const channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c).slice(start, start + length));
+        }
+        return { channels, sampleRate: audioBuffer.sampleRate, bitDepth: (probe && probe.bitDepth) || null };
+    }
+
+    /**
+     * Read tags and embedded artwork from a source file
+     * Unreadable tags never block a conversion
+     * @param {File} file - The audio file
+     * @returns {Promise<Object>} { fields, pictures }
+     */
+    async readTags(file) {
+        try {
+            return await TagReader.read(file);
+        } catch (error) {
+            console.warn(`Could not read tags of ${file.name}:`, error.message);
+            return TagReader.empty();
+        }
     }
 
     /**
      * Batch convert multiple files
+     * Files run through a sliding-window queue: a new file starts as soon
+     * as any running one finishes, so a slow file never stalls the rest.
+     * Failed files are re-queued up to `retries` times; cancelled files
+     * are never retried. Files in album loudness mode are measured
+     * first (the first half of their progress) and converted once the
+     * whole album is known
      * @param {Array<File>} files - Array of files to convert
-     * @param {Function} progressCallback - Callback for individual file progress
-     * @param {number} concurrentLimit - Maximum concurrent conversions
-     * @returns {Promise<Array>}
+     * @param {Function} progressCallback - Called with (file, progress, index)
+     * @param {Object} [options]
+     * @param {Function} [options.priority] - (file, index) => number, higher runs first
+     * @param {AbortSignal} [options.signal] - Cancels the whole batch
+     * @param {Function} [options.fileSignal] - (file, index) => AbortSignal, cancels one file
+     * @param {Function} [options.fileSettings] - (file, index) => Object, per-file setting overrides
+     * @param {Function} [options.fileTags] - (file, index) => Object, edited tags (undefined reads the source)
+     * @param {Function} [options.fileEdits] - (file, index) => Object, trim and fades (undefined keeps the whole file)
+     * @param {Function} [options.filePath] - (file, index) => string, path within an imported folder
+     * @param {number} [options.retries] - Automatic retries per file (default: autoRetryLimit)
+     * @param {Function} [options.onFileStart] - Called with (file, index)
+     * @param {Function} [options.onFileRetry] - Called with (file, error, index, attempt)
+     * @param {Function} [options.onFileComplete] - Called with (file, result, index)
+     * @param {Function} [options.onFileError] - Called with (file, error, index)
+     * @returns {Promise<Array<Object>>} Settled result per file, in input order
      */
-    async batchConvert(files, progressCallback, concurrentLimit = 10) {
-        const results = [];
-        const chunks = [];
-        
-        // Split files into chunks for batch processing
-        for (let i = 0; i < files.length; i += concurrentLimit) {
-            chunks.push(files.slice(i, i + concurrentLimit));
-        }
-        
-        // Process each chunk
-        for (const chunk of chunks) {
-            const chunkResults = await Promise.all(
-                chunk.map((file, index) => 
-                    this.convertToFLAC(file, (progress) => {
-                        progressCallback(file, progress);
-                    })
-                )
-            );
-            results.push(...chunkResults);
+    async batchConvert(files, progressCallback = () => {}, options = {}) {
+        const {
+            priority = () => 0,
+            signal,
+            fileSignal = () => undefined,
+            fileSettings = () => undefined,
+            fileTags = () => undefined,
+            fileEdits = () => undefined,
+            filePath = (file) => file.name,
+            retries = this.autoRetryLimit,
+            onFileStart = () => {},
+            onFileRetry = () => {},
+            onFileComplete = () => {},
+            onFileError = () => {}
+        } = options;
+
+        const jobs = files.map((file, index) => {
+            const combined = JobQueue.anySignal([signal, fileSignal(file, index)]);
+            return {
+                file,
+                index,
+                priority: priority(file, index),
+                signal: combined.signal,
+                dispose: combined.dispose,
+                settings: fileSettings(file, index),
+                edits: fileEdits(file, index)
+            };
+        });
+        const albumJobs = jobs.filter(job => this.isAlbumMode(job.settings));
+        const album = this.measureAlbum(albumJobs, { onFileStart, progressCallback });
+
+        return Promise.allSettled(jobs.map(async ({ file, index, priority: jobPriority, signal: jobSignal, dispose, settings, edits }) => {
+            const measured = albumJobs.some(job => job.index === index) ? (await album).get(index) : null;
+            const scale = measured ? (progress) => 50 + progress / 2 : (progress) => progress;
+            const loudness = measured && { track: measured.track, album: measured.album };
+
+            const attempt = (attemptNumber) => this.fileQueue.add(() => {
+                onFileStart(file, index);
+                return this.convertToFLAC(file, (progress) => {
+                    progressCallback(file, scale(progress), index);
+                }, {
+                    priority: jobPriority,
+                    signal: jobSignal,
+                    settings,
+                    tags: fileTags(file, index),
+                    loudness,
+                    edits,
+                    path: filePath(file, index)
+                });
+            }, { priority: jobPriority, signal: jobSignal }).catch((error) => {
+                if (JobQueue.isAbortError(error) || attemptNumber >= retries) throw error;
+                onFileRetry(file, error, index, attemptNumber + 1);
+                return attempt(attemptNumber + 1);
+            });
+
+            return attempt(0).then((result) => {
+                onFileComplete(file, result, index);
+                return result;
+            }, (error) => {
+                onFileError(file, error, index);
+                throw error;
+            }).finally(dispose);
+        }));
+    }
+
+    /**
+     * Measure every album-mode file of a batch, then the album as a whole
+     * A file whose measurement fails or is cancelled is left out of the
+     * album; its conversion then measures it on its own
+     * @param {Array<Object>} jobs - { file, index, priority, signal, settings, edits }
+     * @param {Object} callbacks - { onFileStart, progressCallback } as in batchConvert
+     * @returns {Promise<Map<number, Object|null>>} By file index: { track, album } or null
+     */
+    async measureAlbum(jobs, { onFileStart, progressCallback }) {
+        const measurements = await Promise.all(jobs.map(({ file, index, priority, signal, settings, edits }) =>
+            this.fileQueue.add(() => {
+                onFileStart(file, index);
+                return this.analyzeLoudness(file, (progress) => {
+                    progressCallback(file, progress / 2, index);
+                }, { priority, signal, settings, edits });
+            }, { priority, signal }).catch((error) => {
+                if (!JobQueue.isAbortError(error)) console.warn(`Could not measure ${file.name}:`, error);
+                return null;
+            })
+        ));
+
+        const measured = measurements.filter(Boolean);
+        const album = measured.length > 0 ? LoudnessMeter.combine(measured) : null;
+        return new Map(jobs.map((job, i) => {
+            const track = measurements[i];
+            return [job.index, track && {
+                track: { integrated: track.integrated, range: track.range, truePeak: track.truePeak },
+                album
+            }];
+        }));
+    }
+
+    /**
+     * Whether a file's settings put it in album loudness mode
+     * Invalid overrides count as no, the conversion reports them
+     * @param {Object} [overrides] - Per-file setting overrides
+     * @returns {boolean}
+     */
+    isAlbumMode(overrides) {
+        try {
+            return this.resolveSettings(overrides).loudness === 'album';
+        } catch (error) {
+            return false;
         }
-        
-        return results;
     }
-  /**
-     * Generate download link for converted file
-     * In production, this would download from backend
+
+    /**
+     * Pause the conversion queue; running files finish, queued files wait
+     */
+    pause() {
+        this.fileQueue.pause();
+        this.workerPool.pause();
+    }
+
+    /**
+     * Resume the conversion queue
+     */
+    resume() {
+        this.fileQueue.resume();
+        this.workerPool.resume();
+    }
+
+    /**
+     * Whether the conversion queue is paused
+     * @returns {boolean}
+     */
+    get isPaused() {
+        return this.fileQueue.isPaused;
+    }
+
+    /**
+     * Get an object URL for a converted file
+     * The URL is created once and kept on the result until revoked
      * @param {Object} convertedFile - Converted file data
      * @returns {string}
      */
     generateDownloadLink(convertedFile) {
-        // In production, this would be an actual file URL from server
-        return '#download-' + convertedFile.convertedName;
+        if (!convertedFile.downloadUrl) {
+            convertedFile.downloadUrl = URL.createObjectURL(convertedFile.blob);
+        }
+        return convertedFile.downloadUrl;
     }
 
     /**
-     * Get conversion quality info
-     * @returns {Object}
+     * Release the object URL of a converted file
+     * @param {Object} [convertedFile] - Converted file data
+     */
+    revokeDownloadLink(convertedFile) {
+        if (convertedFile && convertedFile.downloadUrl) {
+            URL.revokeObjectURL(convertedFile.downloadUrl);
+            convertedFile.downloadUrl = null;
+        }
+    }
+
+    /**
+     * Bundle converted files into a ZIP archive (stored, ZIP64 when needed)
+     * The archive references the converted Blobs instead of copying them
+     * @param {Array<Object>} convertedFiles - Converted file data
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels bundling
+     * @param {Function} [options.onProgress] - Called with progress 0-100
+     * @returns {Promise<Blob>}
+     */
+    async createZipBundle(convertedFiles, { signal, onProgress = () => {} } = {}) {
+        const zip = new ZipWriter();
+        const totalBytes = convertedFiles.reduce((sum, file) => sum + file.blob.size, 0);
+        const usedNames = new Set();
+        let doneBytes = 0;
+
+        for (const convertedFile of convertedFiles) {
+            // Files imported from folders keep their folders in the archive
+            const name = AudioConverter.uniqueName(AudioConverter.outputPath(convertedFile), usedNames);
+            await zip.add(name, convertedFile.blob, {
+                date: new Date(convertedFile.timestamp),
+                signal,
+                onProgress: (read) => onProgress(totalBytes ? ((doneBytes + read) / totalBytes) * 100 : 100)
+            });
+            doneBytes += convertedFile.blob.size;
+        }
+
+        return new Blob(zip.finish(), { type: 'application/zip' });
+    }
+
+    /**
+     * Plain-text log of the bit-exact verification of a batch, in the converter's language
+     * Numbers stay unformatted so the log can be compared and searched
+     * @param {Array<Object>} convertedFiles - Converted file data
+     * @returns {Blob}
      */
-    getQualityInfo() {
+    createVerificationReport(convertedFiles) {
+        const { i18n } = this;
+        const verified = convertedFiles.filter(file => file.verification);
+        const passed = verified.filter(file => file.verification.passed).length;
+        const lines = [
+            i18n.t('report.title'),
+            i18n.t('report.created', { date: new Date().toISOString() }),
+            i18n.t('report.summary', {
+                files: convertedFiles.length,
+                passed,
+                failed: verified.length - passed,
+                skipped: convertedFiles.length - verified.length
+            })
+        ];
+
+        convertedFiles.forEach(file => {
+            const { verification, settings } = file;
+            const names = { path: AudioConverter.outputPath(file), source: file.originalName };
+            lines.push('');
+            if (!verification) {
+                lines.push(i18n.t('report.skipped', names));
+                return;
+            }
+
+            lines.push(i18n.t(verification.passed ? 'report.passed' : 'report.failed', names));
+            lines.push(i18n.t('report.format', {
+                format: verification.format || i18n.t('report.unknown'),
+                rate: settings.sampleRate / 1000,
+                channels: settings.channels,
+                bits: settings.bitDepth
+            }));
+            lines.push(i18n.t('report.samples', { compared: verification.samplesCompared, mismatches: verification.mismatches }));
+
+            const mismatch = verification.firstMismatch;
+            if (mismatch) {
+                lines.push(i18n.t('report.firstMismatch', {
+                    sample: mismatch.sample,
+                    seconds: (mismatch.sample / settings.sampleRate).toFixed(3),
+                    channel: mismatch.channel + 1,
+                    expected: mismatch.expected,
+                    actual: mismatch.actual
+                }));
+            }
+            if (verification.md5) {
+                lines.push(i18n.t('report.md5Stored', { md5: verification.md5.stored || i18n.t('report.notSet') }));
+                lines.push(i18n.t(verification.md5.matches ? 'report.md5Decoded' : 'report.md5Mismatch', { md5: verification.md5.decoded }));
+            }
+            if (verification.error) {
+                lines.push(i18n.t('report.error', { error: verification.error }));
+            }
+        });
+
+        return new Blob([lines.join('\n') + '\n'], { type: 'text/plain' });
+    }
+
+    /**
+     * Path of a converted file, with the folders it was imported from
+     * Results stored before folder import have only a name
+     * @param {Object} convertedFile - Converted file data
+     * @returns {string} e.g. "Album/CD1/01.flac"
+     */
+    static outputPath(convertedFile) {
+        return convertedFile.convertedPath || convertedFile.convertedName;
+    }
+
+    /**
+     * Make a file name unique within a set by numbering repeats
+     * @param {string} name - Wanted name
+     * @param {Set<string>} used - Names taken so far (the result is added)
+     * @returns {string} e.g. "track (2).flac"
+     */
+    static uniqueName(name, used) {
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const extension = dot > 0 ? name.slice(dot) : '';
+
+        let candidate = name;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+            candidate = `${base} (${n})${extension}`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    /**
+     * Get conversion quality info, labelled in the converter's language
+     * @returns {Object} Display values; preset is the name of the preset
+     *     the settings follow, or null
+     */
+    getQualityInfo(settings = this.settings) {
+        const { i18n } = this;
+        const preset = this.presets.match(settings);
         return {
-            format: this.settings.outputFormat,
-            sampleRate: `${this.settings.sampleRate / 1000}kHz`,
-            channels: this.settings.channels === 8 ? '7.1 Surround' : `${this.settings.channels} Channels`,
-            bitDepth: `${this.settings.bitDepth}-bit`,
-            quality: 'Studio Grade - Lossless'
+            preset: preset ? this.getPresetName(preset) : null,
+            format: AudioConverter.OUTPUT_FORMATS[settings.outputFormat].name,
+            sampleRate: settings.sampleRate === 'source'
+                ? i18n.t('quality.sourceRate')
+                : `${i18n.formatNumber(settings.sampleRate / 1000)}kHz`,
+            channels: this.getLayoutName(settings.channels),
+            bitDepth: i18n.t('settings.bits', { bits: settings.bitDepth }),
+            dither: this.getDitherName(settings.dither),
+            compressionLevel: settings.outputFormat === 'FLAC'
+                ? i18n.t('quality.level', { level: settings.compressionLevel })
+                : i18n.t('quality.uncompressed'),
+            loudness: typeof settings.loudnessTarget === 'number'
+                ? `${i18n.formatNumber(settings.loudnessTarget)} LUFS / ${i18n.formatNumber(settings.truePeakLimit)} dBTP`
+                : i18n.t(settings.loudness === 'off' ? 'quality.untouched' : 'quality.measured'),
+            verify: i18n.t(settings.verify === 'on' ? 'settings.verify.on' : 'settings.off'),
+            quality: i18n.t('completion.lossless')
         };
     }
 
+    /**
+     * Display name of a preset; built-in ones in the converter's language
+     * @param {Object} preset - From the preset library
+     * @returns {string}
+     */
+    getPresetName(preset) {
+        return preset.builtIn ? this.i18n.t(preset.name) : preset.name;
+    }
+
+    /**
+     * Make a preset's settings the default output settings
+     * Settings the preset doesn't set keep their values
+     * @param {string} id - Preset id
+     * @returns {Object} The new settings
+     * @throws {Error} If there is no such preset
+     */
+    applyPreset(id) {
+        const preset = this.presets.get(id);
+        if (!preset) throw new Error(this.i18n.t('error.unknownPreset', { id }));
+        this.settings = this.validateSettings({ ...this.settings, ...preset.settings });
+        return this.settings;
+    }
+
+    /**
+     * Save settings as a user preset
+     * Every setting is kept, so the preset reproduces them exactly
+     * @param {string} name - Preset name
+     * @param {Object} [settings] - Settings to save (default: the current defaults)
+     * @returns {Object} The preset
+     */
+    savePreset(name, settings = this.settings) {
+        const saved = {};
+        Object.keys(AudioConverter.SETTING_OPTIONS).forEach(key => {
+            saved[key] = settings[key];
+        });
+        if (settings.channelMapping === 'custom') saved.customMatrix = settings.customMatrix;
+        return this.presets.save(name, saved);
+    }
+
+    /**
+     * Validate the settings of a preset, which may set only some of them
+     * @param {Object} settings - Preset settings
+     * @returns {Object} Normalized copy with the same keys
+     * @throws {Error} If a key is unknown or a value is not supported
+     */
+    validatePresetSettings(settings) {
+        Object.keys(settings).forEach(key => {
+            if (!(key in AudioConverter.SETTING_OPTIONS) && key !== 'customMatrix') {
+                throw new Error(this.i18n.t('error.unknownSetting', { key }));
+            }
+        });
+        const resolved = this.validateSettings({ ...this.settings, ...settings });
+        const normalized = {};
+        Object.keys(settings).forEach(key => {
+            normalized[key] = resolved[key];
+        });
+        return normalized;
+    }
+
+    /**
+     * Display name of a dither curve in the converter's language
+     * @param {string} dither - Dither setting
+     * @returns {string}
+     */
+    getDitherName(dither) {
+        const key = dither === 'off' ? 'settings.off' : `settings.dither.${dither}`;
+        return this.i18n.has(key) ? this.i18n.t(key) : AudioConverter.DITHER_NAMES[dither] || String(dither);
+    }
+
+    /**
+     * Display name of a channel count in the converter's language
+     * @param {number|string} channels - Channel count
+     * @returns {string} e.g. "7.1 Surround", or "3 Channels" without a named layout
+     */
+    getLayoutName(channels) {
+        const key = `settings.layout.${channels}`;
+        return this.i18n.has(key) ? this.i18n.t(key) : this.i18n.t('settings.channelCount', { count: Number(channels) });
+    }
+
+    /**
+     * Validate and normalize a complete set of output settings
+     * @param {Object} settings - Settings to validate
+     * @returns {Object} Normalized copy
+     * @throws {Error} If a value is not supported
+     */
+    validateSettings(settings) {
+        const options = AudioConverter.SETTING_OPTIONS;
+        const normalized = { ...settings };
+
+        Object.keys(options).forEach(key => {
+            const value = AudioConverter.normalizeSettingValue(key, normalized[key]);
+            if (!options[key].includes(value)) {
+                const field = `settings.field.${key}`;
+                throw new Error(this.i18n.t('error.invalidSetting', {
+                    field: this.i18n.has(field) ? this.i18n.t(field) : key,
+                    value: String(settings[key])
+                }));
+            }
+            normalized[key] = value;
+        });
+
+        if (normalized.channelMapping === 'custom') {
+            this.validateMatrix(normalized.customMatrix);
+        }
+
+        normalized.codec = normalized.outputFormat.toLowerCase();
+        return normalized;
+    }
+
+    /**
+     * Coerce a raw setting value (e.g. from a <select>) to its canonical type
+     * @param {string} key - Setting name
+     * @param {*} value - Raw value
+     * @returns {string|number}
+     */
+    static normalizeSettingValue(key, value) {
+        if (key === 'outputFormat') return String(value).toUpperCase();
+        if (['resampleQuality', 'channelMapping', 'loudness', 'dither', 'effectiveDepth', 'verify'].includes(key)) return String(value);
+        if (key === 'sampleRate' && value === 'source') return value;
+        if (key === 'loudnessTarget' && value === 'off') return value;
+        return Number(value);
+    }
+
+    /**
+     * Change the default output settings
+     * @param {Object} changes - Settings to change
+     * @returns {Object} The new settings
+     * @throws {Error} If a key is unknown or a value is not supported
+     */
+    updateSettings(changes) {
+        Object.keys(changes).forEach(key => {
+            if (!(key in AudioConverter.SETTING_OPTIONS)) {
+                throw new Error(this.i18n.t('error.unknownSetting', { key }));
+            }
+        });
+        this.settings = this.validateSettings({ ...this.settings, ...changes });
+        return this.settings;
+    }
+
+    /**
+     * Set the user-defined channel matrix used by channelMapping 'custom'
+     * @param {Object|null} customMatrix - { inputs, outputs, gains }, rows are output channels
+     * @returns {Object} The new settings
+     * @throws {Error} If the matrix is malformed
+     */
+    setCustomMatrix(customMatrix) {
+        if (customMatrix !== null) {
+            this.validateMatrix(customMatrix);
+        }
+        this.settings = this.validateSettings({ ...this.settings, customMatrix });
+        return this.settings;
+    }
+
+    /**
+     * Check a user-defined channel matrix, reporting in the converter's language
+     * @param {Object} customMatrix - { inputs, outputs, gains }
+     * @throws {Error} If the matrix is malformed
+     */
+    validateMatrix(customMatrix) {
+        try {
+            ChannelMixer.validateMatrix(customMatrix);
+        } catch (error) {
+            throw new Error(this.i18n.t(error.key, error.params));
+        }
+    }
+
+    /**
+     * Merge per-file overrides over the default settings
+     * Empty override values fall back to the defaults
+     * @param {Object} [overrides] - Per-file settings
+     * @returns {Object} Validated settings
+     */
+    resolveSettings(overrides = {}) {
+        const merged = { ...this.settings };
+        Object.keys(overrides).forEach(key => {
+            const value = overrides[key];
+            if (value !== undefined && value !== null && value !== '') merged[key] = value;
+        });
+        return this.validateSettings(merged);
+    }
+
     /**
      * Validate file size (max 1GB per file for demo)
      * @param {File} file - File to validate
@@ -230,11 +994,93 @@ class AudioConverter {
             size: file.size,
             maxSize: maxSize,
             message: file.size > maxSize ? 
-                `File terlalu besar. Maksimum ${this.formatFileSize(maxSize)}` : ''
+                this.i18n.t('validate.tooLarge', { size: this.formatFileSize(maxSize) }) : ''
         };
     }
 }
 
+/**
+ * Output formats: display name and file extension
+ * WAV becomes RF64 when it passes 4 GB; RF64 is written as RF64 regardless
+ */
+AudioConverter.OUTPUT_FORMATS = {
+    FLAC: { name: 'FLAC', extension: 'flac' },
+    WAV: { name: 'WAV', extension: 'wav' },
+    RF64: { name: 'RF64', extension: 'wav' },
+    AIFF: { name: 'AIFF', extension: 'aif' },
+    AIFC: { name: 'AIFF-C', extension: 'aifc' },
+    W64: { name: 'Wave64', extension: 'w64' },
+    CAF: { name: 'CAF', extension: 'caf' }
+};
+
+/**
+ * Values accepted by updateSettings and per-file overrides
+ */
+AudioConverter.SETTING_OPTIONS = {
+    outputFormat: Object.keys(AudioConverter.OUTPUT_FORMATS),
+    sampleRate: ['source', 44100, 48000, 88200, 96000, 176400, 192000],
+    bitDepth: [16, 20, 24],
+    dither: ['off', 'tpdf', 'highpass', 'lipshitz', 'fweighted'],
+    effectiveDepth: ['detect', 'keep'],
+    channels: [1, 2, 4, 6, 8],
+    compressionLevel: [0, 1, 2, 3, 4, 5, 6, 7, 8],
+    resampleQuality: ['fast', 'standard', 'mastering'],
+    channelMapping: ['duplicate', 'matrix', 'direct', 'custom'],
+    loudness: ['off', 'track', 'album'],
+    loudnessTarget: ['off', -24, -23, -18, -16, -14],
+    truePeakLimit: [-2, -1, -0.5, -0.1],
+    verify: ['off', 'on']
+};
+
+/**
+ * Display names for dither curves
+ */
+AudioConverter.DITHER_NAMES = {
+    off: 'Off',
+    tpdf: 'TPDF',
+    highpass: 'TPDF + high-pass shaping',
+    lipshitz: 'TPDF + E-weighted shaping',
+    fweighted: 'TPDF + F-weighted shaping'
+};
+
+/**
+ * Worker queue priority of jobs the user is waiting on, e.g. waveforms
+ */
+AudioConverter.INTERACTIVE_PRIORITY = 1000;
+
+/**
+ * Worker queue priority of trial encodes, behind every conversion
+ */
+AudioConverter.ESTIMATE_PRIORITY = -1000;
+
+/**
+ * Seconds of audio a trial encode compresses
+ */
+AudioConverter.TRIAL_SECONDS = 10;
+
+/**
+ * Output size over PCM size assumed before a trial encode, typical for music
+ */
+AudioConverter.TYPICAL_FLAC_RATIO = 0.6;
+
+/**
+ * Header, tag and artwork bytes assumed before a trial encode
+ */
+AudioConverter.TYPICAL_METADATA_BYTES = 8192;
+
+/**
+ * Settings a trial encode depends on, see estimateKey
+ */
+AudioConverter.ESTIMATE_SETTINGS = [
+    'outputFormat', 'sampleRate', 'channels', 'bitDepth', 'dither', 'effectiveDepth',
+    'compressionLevel', 'resampleQuality', 'channelMapping', 'customMatrix'
+];
+
+/**
+ * Decode rate used for 'source' when the file header can't be read
+ */
+AudioConverter.FALLBACK_SAMPLE_RATE = 48000;
+
 // Export for use in app.js
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AudioConverter;
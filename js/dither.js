@@ -0,0 +1,162 @@
+/**
+ * StudioGrade Audio Converter
+ * Dither
+ *
+ * Requantizes float samples to integers. Samples that are already on
+ * the output grid pass through untouched; everything else gets TPDF
+ * dither, optionally with error-feedback noise shaping that moves the
+ * requantization noise to where the ear is least sensitive. Also
+ * detects sources whose real resolution is lower than their container
+ * claims, e.g. 16-bit audio padded into a 24-bit file.
+ */
+
+class Dither {
+    /**
+     * @param {number} bitDepth - Output bit depth
+     * @param {Object} [options]
+     * @param {string} [options.curve='tpdf'] - off, tpdf, highpass, lipshitz or fweighted
+     * @param {number} [options.sampleRate] - Output rate; shaped curves fall back to tpdf above MAX_SHAPED_RATE
+     * @param {number} [options.seed=1] - Noise seed, so the same input always gives the same output
+     */
+    constructor(bitDepth, options = {}) {
+        const { curve = 'tpdf', sampleRate = 0, seed = 1 } = options;
+        this.curve = Dither.resolveCurve(curve, sampleRate);
+        this.scale = 2 ** (bitDepth - 1);
+        this.max = this.scale - 1;
+        this.min = -this.scale;
+        this.coefficients = Dither.CURVES[this.curve] || [];
+        this.errors = new Float64Array(this.coefficients.length);
+        this.state = (seed >>> 0) || 1;
+    }
+
+    /**
+     * Quantize samples [start, end) of a channel
+     * Call with consecutive ranges; the noise shaper carries its error
+     * history from one range to the next
+     * @param {Float32Array} input - Samples in the range [-1, 1]
+     * @param {Int32Array} output - Receives the quantized samples
+     * @param {number} start - First sample
+     * @param {number} end - One past the last sample
+     */
+    processRange(input, output, start, end) {
+        const { scale, max, min, coefficients, errors } = this;
+        const order = coefficients.length;
+        const dither = this.curve !== 'off';
+
+        for (let i = start; i < end; i++) {
+            let value = input[i] * scale;
+            for (let k = 0; k < order; k++) value -= coefficients[k] * errors[k];
+
+            const quantized = Math.round(dither ? value + this.random() - this.random() : value);
+            if (order > 0) {
+                // The error is taken before clipping so the feedback loop stays bounded
+                errors.copyWithin(1, 0, order - 1);
+                errors[0] = quantized - value;
+            }
+            output[i] = quantized > max ? max : quantized < min ? min : quantized;
+        }
+    }
+
+    /**
+     * Uniform random number in [0, 1) from a xorshift32 generator
+     * @returns {number}
+     */
+    random() {
+        let x = this.state;
+        x ^= x << 13;
+        x ^= x >>> 17;
+        x ^= x << 5;
+        this.state = x >>> 0;
+        return this.state / 4294967296;
+    }
+
+    // ------------------------------------------------
+    // Helpers
+    // ------------------------------------------------
+
+    /**
+     * Curve actually used at a sample rate
+     * The shaping filters are designed for 44.1/48 kHz; at higher
+     * rates the noise is already far above the audible band
+     * @param {string} curve - Requested curve
+     * @param {number} sampleRate - Output rate
+     * @returns {string}
+     */
+    static resolveCurve(curve, sampleRate) {
+        if (curve === 'off' || curve === 'tpdf' || curve === 'highpass') return curve;
+        if (!(curve in Dither.CURVES)) throw new Error(`Unknown dither curve: ${curve}`);
+        return sampleRate > Dither.MAX_SHAPED_RATE ? 'tpdf' : curve;
+    }
+
+    /**
+     * Resolution the samples actually use
+     * Decoded integer PCM is exact in float, so a 16-bit source padded
+     * to 24 bits still lands on the 16-bit grid
+     * @param {Array<Float32Array>} channels - Samples in the range [-1, 1]
+     * @returns {number|null} Bits (1-24), 0 for digital silence, null when
+     *     the samples are not on the 24-bit grid (float or processed audio)
+     */
+    static effectiveBitDepth(channels) {
+        const scale = 2 ** 23;
+        let bits = 0;
+        for (const samples of channels) {
+            for (let i = 0; i < samples.length; i++) {
+                const value = samples[i] * scale;
+                if (!Number.isInteger(value)) return null;
+                bits |= value;
+            }
+        }
+        if (bits === 0) return 0;
+
+        let zeros = 0;
+        while (((bits >> zeros) & 1) === 0) zeros++;
+        return 24 - zeros;
+    }
+
+    /**
+     * Choose the output bit depth and dither for a set of samples
+     * @param {number|null} effective - From effectiveBitDepth
+     * @param {Object} settings - { bitDepth, dither, effectiveDepth }
+     * @returns {Object} { bitDepth, dither } where dither is off when
+     *     the samples fit the output exactly
+     */
+    static plan(effective, settings) {
+        let bitDepth = settings.bitDepth;
+        if (effective !== null && settings.effectiveDepth === 'detect') {
+            // Round up to a depth players expect rather than writing e.g. 12-bit FLAC
+            const fitted = Dither.BIT_DEPTHS.find(depth => depth >= effective);
+            bitDepth = Math.min(bitDepth, fitted);
+        }
+
+        const exact = effective !== null && effective <= bitDepth;
+        return { bitDepth, dither: exact ? 'off' : settings.dither };
+    }
+}
+
+/**
+ * Error feedback filters; the noise spectrum is shaped by 1 - sum(c[k] z^-(k+1))
+ * highpass: first-order, tilts the noise towards high frequencies
+ * lipshitz: 5-tap E-weighted curve (Lipshitz et al., 1991)
+ * fweighted: 9-tap F-weighted curve (Wannamaker, 1992)
+ */
+Dither.CURVES = {
+    tpdf: [],
+    highpass: [1],
+    lipshitz: [2.033, -2.165, 1.959, -1.590, 0.6149],
+    fweighted: [2.412, -3.370, 3.937, -4.174, 3.353, -2.205, 1.281, -0.569, 0.0847]
+};
+
+/**
+ * Highest rate the psychoacoustic curves are used at
+ */
+Dither.MAX_SHAPED_RATE = 48000;
+
+/**
+ * Output depths a detected resolution is rounded up to
+ */
+Dither.BIT_DEPTHS = [16, 20, 24];
+
+// Export for use in workers and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Dither;
+}
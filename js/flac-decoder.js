@@ -0,0 +1,408 @@
+/**
+ * StudioGrade Audio Converter
+ * FLAC Decoder
+ *
+ * Pure JavaScript FLAC decoder returning the exact integer samples,
+ * which the browser's decodeAudioData (float, resampled to the context
+ * rate) can't. Used to verify encoded output. Frame header CRC-8 and
+ * frame CRC-16 are checked, so corruption is reported where it is.
+ */
+
+// ================================================
+// BIT READER
+// ================================================
+
+/**
+ * MSB-first bit reader
+ */
+class BitReader {
+    /**
+     * @param {Uint8Array} bytes - Data
+     * @param {number} [offset=0] - Byte to start at
+     */
+    constructor(bytes, offset = 0) {
+        this.bytes = bytes;
+        this.byte = offset;
+        this.bit = 0;
+    }
+
+    /**
+     * Read an unsigned value
+     * @param {number} bits - Number of bits (up to 53)
+     * @returns {number}
+     */
+    readBits(bits) {
+        let value = 0;
+        while (bits > 0) {
+            if (this.byte >= this.bytes.length) throw new Error('Unexpected end of FLAC data');
+            const take = Math.min(8 - this.bit, bits);
+            const chunk = (this.bytes[this.byte] >>> (8 - this.bit - take)) & ((1 << take) - 1);
+            value = value * (1 << take) + chunk;
+            bits -= take;
+            this.bit += take;
+            if (this.bit === 8) {
+                this.bit = 0;
+                this.byte++;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Read a two's complement value
+     * @param {number} bits - Number of bits (up to 32)
+     * @returns {number}
+     */
+    readSigned(bits) {
+        const value = this.readBits(bits);
+        return bits > 0 && value >= 2 ** (bits - 1) ? value - 2 ** bits : value;
+    }
+
+    /**
+     * Count zero bits up to and including the next one bit
+     * @returns {number} Number of zeros
+     */
+    readUnary() {
+        let count = 0;
+        for (;;) {
+            if (this.byte >= this.bytes.length) throw new Error('Unexpected end of FLAC data');
+            const rest = (this.bytes[this.byte] << this.bit) & 0xff;
+            if (rest === 0) {
+                count += 8 - this.bit;
+                this.bit = 0;
+                this.byte++;
+                continue;
+            }
+            const zeros = Math.clz32(rest) - 24;
+            count += zeros;
+            this.bit += zeros + 1;
+            if (this.bit === 8) {
+                this.bit = 0;
+                this.byte++;
+            }
+            return count;
+        }
+    }
+
+    /**
+     * Skip to the next byte boundary
+     */
+    alignToByte() {
+        if (this.bit > 0) {
+            this.bit = 0;
+            this.byte++;
+        }
+    }
+}
+
+// ================================================
+// DECODER
+// ================================================
+
+class FlacDecoder {
+    /**
+     * @param {Uint8Array} bytes - Complete FLAC file
+     */
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.reader = null;
+        this.streamInfo = null;
+    }
+
+    /**
+     * Decode a whole file
+     * @param {Uint8Array} bytes - Complete FLAC file
+     * @returns {Object} { streamInfo, channels } with one Int32Array per channel
+     */
+    static decode(bytes) {
+        const decoder = new FlacDecoder(bytes);
+        const info = decoder.readHeader();
+        let capacity = info.totalSamples || info.maxBlockSize;
+        let channels = Array.from({ length: info.channels }, () => new Int32Array(capacity));
+        let length = 0;
+
+        for (let frame = decoder.readFrame(); frame; frame = decoder.readFrame()) {
+            if (length + frame.blockSize > capacity) {
+                capacity = Math.max(capacity * 2, length + frame.blockSize);
+                channels = channels.map(samples => {
+                    const grown = new Int32Array(capacity);
+                    grown.set(samples.subarray(0, length));
+                    return grown;
+                });
+            }
+            frame.channels.forEach((samples, c) => channels[c].set(samples, length));
+            length += frame.blockSize;
+        }
+
+        return { streamInfo: info, channels: channels.map(samples => samples.subarray(0, length)) };
+    }
+
+    /**
+     * Read the signature and metadata blocks
+     * @returns {Object} STREAMINFO { minBlockSize, maxBlockSize, minFrameSize, maxFrameSize,
+     *     sampleRate, channels, bitsPerSample, totalSamples, md5 }
+     * @throws {Error} If the data is not FLAC
+     */
+    readHeader() {
+        const bytes = this.bytes;
+        if (bytes.length < 42 || String.fromCharCode(...bytes.subarray(0, 4)) !== 'fLaC') {
+            throw new Error('Not a FLAC file');
+        }
+
+        let pos = 4;
+        let last = false;
+        while (!last) {
+            if (pos + 4 > bytes.length) throw new Error('Unexpected end of FLAC metadata');
+            last = (bytes[pos] & 0x80) !== 0;
+            const type = bytes[pos] & 0x7f;
+            const length = (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3];
+            if (type === 0) this.streamInfo = FlacDecoder.parseStreamInfo(bytes.subarray(pos + 4, pos + 4 + length));
+            pos += 4 + length;
+        }
+
+        if (!this.streamInfo) throw new Error('FLAC file has no STREAMINFO');
+        this.reader = new BitReader(bytes, pos);
+        return this.streamInfo;
+    }
+
+    /**
+     * Decode the next frame
+     * @returns {Object|null} { number, offset, blockSize, channels } or null at the end
+     * @throws {Error} On lost sync, CRC mismatches or invalid coding, naming the byte offset
+     */
+    readFrame() {
+        const r = this.reader;
+        const bytes = this.bytes;
+        if (r.byte >= bytes.length) return null;
+
+        const start = r.byte;
+        if (r.readBits(14) !== 0x3ffe) {
+            throw new Error(`Lost FLAC frame sync at byte ${start}`);
+        }
+        r.readBits(1);
+        r.readBits(1); // blocking strategy; the number below is a frame or sample number either way
+
+        const blockSizeCode = r.readBits(4);
+        const sampleRateCode = r.readBits(4);
+        const assignment = r.readBits(4);
+        const sampleSizeCode = r.readBits(3);
+        r.readBits(1);
+        const number = FlacDecoder.readUtf8Number(r);
+
+        let blockSize = FlacDecoder.BLOCK_SIZES[blockSizeCode];
+        if (blockSizeCode === 6) blockSize = r.readBits(8) + 1;
+        if (blockSizeCode === 7) blockSize = r.readBits(16) + 1;
+        if (!blockSize) throw new Error(`Reserved FLAC block size at byte ${start}`);
+
+        if (sampleRateCode === 12) r.readBits(8);
+        if (sampleRateCode === 13 || sampleRateCode === 14) r.readBits(16);
+        if (sampleRateCode === 15) throw new Error(`Invalid FLAC sample rate at byte ${start}`);
+
+        const bitsPerSample = sampleSizeCode === 0
+            ? this.streamInfo.bitsPerSample
+            : FlacDecoder.SAMPLE_SIZES[sampleSizeCode];
+        if (!bitsPerSample) throw new Error(`Reserved FLAC sample size at byte ${start}`);
+        if (assignment > 10) throw new Error(`Reserved FLAC channel assignment at byte ${start}`);
+
+        const headerEnd = r.byte;
+        if (r.readBits(8) !== FlacEncoder.crc8(bytes, start, headerEnd)) {
+            throw new Error(`FLAC frame header CRC mismatch at byte ${start}`);
+        }
+
+        // Side channels carry one extra bit
+        const channelCount = assignment < 8 ? assignment + 1 : 2;
+        const channels = [];
+        for (let c = 0; c < channelCount; c++) {
+            const side = (assignment === 8 && c === 1) || (assignment === 9 && c === 0) || (assignment === 10 && c === 1);
+            channels.push(this.readSubframe(blockSize, bitsPerSample + (side ? 1 : 0)));
+        }
+
+        r.alignToByte();
+        const footerStart = r.byte;
+        if (r.readBits(16) !== FlacEncoder.crc16(bytes, start, footerStart)) {
+            throw new Error(`FLAC frame CRC mismatch at byte ${start}`);
+        }
+
+        FlacDecoder.undoDecorrelation(channels, assignment, blockSize);
+        return { number, offset: start, blockSize, channels };
+    }
+
+    /**
+     * @param {number} n - Block size
+     * @param {number} bps - Bits per sample of this subframe
+     * @returns {Int32Array}
+     */
+    readSubframe(n, bps) {
+        const r = this.reader;
+        if (r.readBits(1) !== 0) throw new Error(`Invalid FLAC subframe padding at byte ${r.byte}`);
+        const type = r.readBits(6);
+        const wasted = r.readBits(1) ? r.readUnary() + 1 : 0;
+        const bits = bps - wasted;
+        const out = new Int32Array(n);
+
+        if (type === 0) {
+            out.fill(r.readSigned(bits));
+        } else if (type === 1) {
+            for (let i = 0; i < n; i++) out[i] = r.readSigned(bits);
+        } else if (type >= 8 && type <= 12) {
+            const order = type - 8;
+            for (let i = 0; i < order; i++) out[i] = r.readSigned(bits);
+            this.readResidual(out, n, order);
+            FlacDecoder.restoreFixed(out, n, order);
+        } else if (type >= 32) {
+            const order = type - 31;
+            for (let i = 0; i < order; i++) out[i] = r.readSigned(bits);
+            const precision = r.readBits(4) + 1;
+            const shift = r.readSigned(5);
+            if (precision === 16 || shift < 0) throw new Error(`Invalid FLAC LPC parameters at byte ${r.byte}`);
+            const coefficients = [];
+            for (let i = 0; i < order; i++) coefficients.push(r.readSigned(precision));
+            this.readResidual(out, n, order);
+            FlacDecoder.restoreLpc(out, n, coefficients, shift);
+        } else {
+            throw new Error(`Reserved FLAC subframe type ${type} at byte ${r.byte}`);
+        }
+
+        if (wasted > 0) {
+            for (let i = 0; i < n; i++) out[i] <<= wasted;
+        }
+        return out;
+    }
+
+    /**
+     * Read a partitioned Rice residual into out[order..n)
+     * @param {Int32Array} out - Receives the residual
+     * @param {number} n - Block size
+     * @param {number} order - Predictor order
+     */
+    readResidual(out, n, order) {
+        const r = this.reader;
+        const method = r.readBits(2);
+        if (method > 1) throw new Error(`Reserved FLAC residual coding at byte ${r.byte}`);
+        const paramBits = method === 0 ? 4 : 5;
+        const escape = (1 << paramBits) - 1;
+        const partitionOrder = r.readBits(4);
+        const size = n >> partitionOrder;
+
+        let i = order;
+        for (let p = 0; p < 1 << partitionOrder; p++) {
+            const end = (p + 1) * size;
+            const k = r.readBits(paramBits);
+            if (k === escape) {
+                const raw = r.readBits(5);
+                for (; i < end; i++) out[i] = raw > 0 ? r.readSigned(raw) : 0;
+                continue;
+            }
+            for (; i < end; i++) {
+                const folded = k > 0 ? r.readUnary() * 2 ** k + r.readBits(k) : r.readUnary();
+                out[i] = folded % 2 === 0 ? folded / 2 : -(folded + 1) / 2;
+            }
+        }
+    }
+
+    // ------------------------------------------------
+    // Helpers
+    // ------------------------------------------------
+
+    static restoreFixed(x, n, order) {
+        switch (order) {
+            case 0:
+                break;
+            case 1:
+                for (let i = 1; i < n; i++) x[i] += x[i - 1];
+                break;
+            case 2:
+                for (let i = 2; i < n; i++) x[i] += 2 * x[i - 1] - x[i - 2];
+                break;
+            case 3:
+                for (let i = 3; i < n; i++) x[i] += 3 * x[i - 1] - 3 * x[i - 2] + x[i - 3];
+                break;
+            default:
+                for (let i = 4; i < n; i++) x[i] += 4 * x[i - 1] - 6 * x[i - 2] + 4 * x[i - 3] - x[i - 4];
+        }
+    }
+
+    static restoreLpc(x, n, coefficients, shift) {
+        const order = coefficients.length;
+        const scale = 2 ** shift;
+        for (let i = order; i < n; i++) {
+            let sum = 0;
+            for (let j = 0; j < order; j++) sum += coefficients[j] * x[i - 1 - j];
+            x[i] += Math.floor(sum / scale);
+        }
+    }
+
+    static undoDecorrelation(channels, assignment, n) {
+        const [a, b] = channels;
+        if (assignment === 8) {
+            // left/side
+            for (let i = 0; i < n; i++) b[i] = a[i] - b[i];
+        } else if (assignment === 9) {
+            // side/right
+            for (let i = 0; i < n; i++) a[i] += b[i];
+        } else if (assignment === 10) {
+            // mid/side
+            for (let i = 0; i < n; i++) {
+                const side = b[i];
+                const mid = a[i] * 2 + (side & 1);
+                a[i] = (mid + side) >> 1;
+                b[i] = (mid - side) >> 1;
+            }
+        }
+    }
+
+    /**
+     * Read a frame or sample number in FLAC's extended UTF-8 coding
+     * @param {BitReader} r - Reader
+     * @returns {number}
+     */
+    static readUtf8Number(r) {
+        const first = r.readBits(8);
+        if (first < 0x80) return first;
+
+        let bytes = 2;
+        while (bytes < 7 && (first << bytes) & 0x80) bytes++;
+        let value = first & (0xff >> (bytes + 1));
+        for (let i = 1; i < bytes; i++) {
+            const next = r.readBits(8);
+            if ((next & 0xc0) !== 0x80) throw new Error(`Invalid FLAC frame number at byte ${r.byte}`);
+            value = value * 64 + (next & 0x3f);
+        }
+        return value;
+    }
+
+    /**
+     * @param {Uint8Array} data - STREAMINFO block body
+     * @returns {Object}
+     */
+    static parseStreamInfo(data) {
+        if (data.length < 34) throw new Error('FLAC STREAMINFO is too short');
+        const r = new BitReader(data);
+        return {
+            minBlockSize: r.readBits(16),
+            maxBlockSize: r.readBits(16),
+            minFrameSize: r.readBits(24),
+            maxFrameSize: r.readBits(24),
+            sampleRate: r.readBits(20),
+            channels: r.readBits(3) + 1,
+            bitsPerSample: r.readBits(5) + 1,
+            totalSamples: r.readBits(36),
+            md5: data.slice(18, 34)
+        };
+    }
+}
+
+/**
+ * Block sizes by frame header code; 6 and 7 are read from the header
+ */
+FlacDecoder.BLOCK_SIZES = [0, 192, 576, 1152, 2304, 4608, 0, 0, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+
+/**
+ * Bits per sample by frame header code; 0 means "from STREAMINFO"
+ */
+FlacDecoder.SAMPLE_SIZES = [0, 8, 12, 0, 16, 20, 24, 32];
+
+// Export for use in workers and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlacDecoder;
+}
@@ -0,0 +1,1004 @@
+/**
+ * StudioGrade Audio Converter
+ * FLAC Encoder
+ *
+ * Pure JavaScript FLAC encoder: STREAMINFO, constant/verbatim/fixed/LPC
+ * subframes, stereo decorrelation, partitioned Rice coding and the MD5
+ * audio signature. Input is integer PCM, one Int32Array per channel.
+ */
+
+/**
+ * Compression level presets, modelled on the reference encoder's -0 … -8
+ */
+const FLAC_COMPRESSION_LEVELS = [
+    { blockSize: 1152, maxLpcOrder: 0, maxPartitionOrder: 3, stereoDecorrelation: false, exhaustive: false },
+    { blockSize: 1152, maxLpcOrder: 0, maxPartitionOrder: 3, stereoDecorrelation: true, exhaustive: false },
+    { blockSize: 1152, maxLpcOrder: 0, maxPartitionOrder: 4, stereoDecorrelation: true, exhaustive: false },
+    { blockSize: 4096, maxLpcOrder: 6, maxPartitionOrder: 4, stereoDecorrelation: false, exhaustive: false },
+    { blockSize: 4096, maxLpcOrder: 8, maxPartitionOrder: 4, stereoDecorrelation: true, exhaustive: false },
+    { blockSize: 4096, maxLpcOrder: 8, maxPartitionOrder: 5, stereoDecorrelation: true, exhaustive: false },
+    { blockSize: 4096, maxLpcOrder: 8, maxPartitionOrder: 6, stereoDecorrelation: true, exhaustive: false },
+    { blockSize: 4096, maxLpcOrder: 12, maxPartitionOrder: 6, stereoDecorrelation: true, exhaustive: false },
+    { blockSize: 4096, maxLpcOrder: 12, maxPartitionOrder: 6, stereoDecorrelation: true, exhaustive: true }
+];
+
+// ================================================
+// BIT WRITER
+// ================================================
+
+/**
+ * Growable MSB-first bit writer
+ */
+class BitWriter {
+    constructor(capacity = 1 << 16) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+        this.acc = 0;
+        this.accBits = 0;
+    }
+
+    /**
+     * Make room for at least `extra` more bytes
+     * @param {number} extra - Bytes needed
+     */
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + extra) capacity *= 2;
+        const grown = new Uint8Array(capacity);
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    /**
+     * Write the low `bits` bits of value (bits <= 32)
+     * @param {number} value - Value to write (two's complement for negatives)
+     * @param {number} bits - Number of bits
+     */
+    writeBits(value, bits) {
+        if (bits === 0) return;
+        if (bits > 16) {
+            this.writeBits(value >>> 16, bits - 16);
+            this.writeBits(value & 0xffff, 16);
+            return;
+        }
+        this.ensure(4);
+        this.acc = (this.acc << bits) | (value & ((1 << bits) - 1));
+        this.accBits += bits;
+        while (this.accBits >= 8) {
+            this.accBits -= 8;
+            this.bytes[this.length++] = (this.acc >>> this.accBits) & 0xff;
+        }
+        this.acc &= (1 << this.accBits) - 1;
+    }
+
+    /**
+     * Write q zero bits followed by a one bit
+     * @param {number} q - Unary value
+     */
+    writeUnary(q) {
+        while (q >= 16) {
+            this.writeBits(0, 16);
+            q -= 16;
+        }
+        this.writeBits(1, q + 1);
+    }
+
+    /**
+     * Pad with zero bits to the next byte boundary
+     */
+    alignToByte() {
+        if (this.accBits > 0) {
+            this.writeBits(0, 8 - this.accBits);
+        }
+    }
+
+    /**
+     * Take the written bytes and reset the writer (must be byte aligned)
+     * @returns {Uint8Array}
+     */
+    flush() {
+        const out = this.bytes.slice(0, this.length);
+        this.length = 0;
+        return out;
+    }
+}
+
+// ================================================
+// CHECKSUMS
+// ================================================
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+
+for (let i = 0; i < 256; i++) {
+    let crc8 = i;
+    let crc16 = i << 8;
+    for (let j = 0; j < 8; j++) {
+        crc8 = crc8 & 0x80 ? ((crc8 << 1) ^ 0x07) & 0xff : (crc8 << 1) & 0xff;
+        crc16 = crc16 & 0x8000 ? ((crc16 << 1) ^ 0x8005) & 0xffff : (crc16 << 1) & 0xffff;
+    }
+    CRC8_TABLE[i] = crc8;
+    CRC16_TABLE[i] = crc16;
+}
+
+/**
+ * CRC-8 (poly 0x07) as used by FLAC frame headers
+ * @param {Uint8Array} bytes - Data
+ * @param {number} start - Start offset
+ * @param {number} end - End offset (exclusive)
+ * @returns {number}
+ */
+function flacCrc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+    return crc;
+}
+
+/**
+ * CRC-16 (poly 0x8005) as used by FLAC frame footers
+ * @param {Uint8Array} bytes - Data
+ * @param {number} start - Start offset
+ * @param {number} end - End offset (exclusive)
+ * @returns {number}
+ */
+function flacCrc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >>> 8) ^ bytes[i]];
+    }
+    return crc;
+}
+
+// ================================================
+// ENCODER
+// ================================================
+
+class FlacEncoder {
+    /**
+     * @param {Object} options
+     * @param {number} options.sampleRate - Sample rate in Hz
+     * @param {number} options.channels - Channel count (1-8)
+     * @param {number} options.bitsPerSample - Bits per sample (4-24)
+     * @param {number} [options.compressionLevel=5] - 0 (fastest) to 8 (smallest)
+     * @param {Array<{type: number, data: Uint8Array}>} [options.metadata] - Extra metadata blocks
+     */
+    constructor(options) {
+        const { sampleRate, channels, bitsPerSample, compressionLevel = 5, metadata = [] } = options;
+
+        if (!Number.isInteger(channels) || channels < 1 || channels > 8) {
+            throw new Error(`FLAC supports 1-8 channels, got ${channels}`);
+        }
+        if (!Number.isInteger(bitsPerSample) || bitsPerSample < 4 || bitsPerSample > 24) {
+            throw new Error(`FLAC encoder supports 4-24 bits per sample, got ${bitsPerSample}`);
+        }
+        if (!Number.isInteger(sampleRate) || sampleRate < 1 || sampleRate > 655350) {
+            throw new Error(`Invalid FLAC sample rate: ${sampleRate}`);
+        }
+
+        this.sampleRate = sampleRate;
+        this.channels = channels;
+        this.bitsPerSample = bitsPerSample;
+        this.metadata = metadata;
+        this.config = FLAC_COMPRESSION_LEVELS[Math.max(0, Math.min(8, compressionLevel | 0))];
+        this.blockSize = this.config.blockSize;
+
+        this.writer = new BitWriter();
+        this.md5 = new Md5();
+        this.md5Buffer = new Uint8Array(this.blockSize * channels * Math.ceil(bitsPerSample / 8));
+        this.frames = [];
+        this.frameNumber = 0;
+        this.totalSamples = 0;
+        this.minFrameSize = Infinity;
+        this.maxFrameSize = 0;
+        this.finished = false;
+
+        // Scratch buffers reused across blocks
+        this.residual = new Int32Array(this.blockSize);
+        this.bestResidual = new Int32Array(this.blockSize);
+        this.scratch = new Int32Array(this.blockSize);
+        this.stereo = {
+            mid: new Int32Array(this.blockSize),
+            side: new Int32Array(this.blockSize)
+        };
+    }
+
+    /**
+     * Encode every sample in the given channels
+     * @param {Array<Int32Array>} channelData - One array per channel
+     * @param {Function} [progressCallback] - Receives percentage 0-100
+     * @returns {Array<Uint8Array>} Encoded file as byte chunks
+     */
+    encode(channelData, progressCallback) {
+        const length = channelData[0].length;
+        for (let offset = 0; offset < length; offset += this.blockSize) {
+            this.encodeBlock(channelData, offset, Math.min(this.blockSize, length - offset));
+            if (progressCallback) {
+                progressCallback(Math.min(100, ((offset + this.blockSize) / length) * 100));
+            }
+        }
+        return this.finish();
+    }
+
+    /**
+     * Encode one block of samples as a FLAC frame
+     * @param {Array<Int32Array>} channelData - One array per channel
+     * @param {number} offset - First sample of the block
+     * @param {number} length - Block length (at most this.blockSize)
+     */
+    encodeBlock(channelData, offset, length) {
+        if (this.finished) throw new Error('Encoder already finished');
+        if (length <= 0) return;
+        if (length > this.blockSize) throw new Error('Block larger than encoder block size');
+
+        const blocks = channelData.map(ch => ch.subarray(offset, offset + length));
+        this.updateMd5(blocks, length);
+
+        const start = this.writer.length;
+        this.writeFrame(blocks, length);
+        const frameSize = this.writer.length - start;
+        this.minFrameSize = Math.min(this.minFrameSize, frameSize);
+        this.maxFrameSize = Math.max(this.maxFrameSize, frameSize);
+
+        this.frameNumber++;
+        this.totalSamples += length;
+
+        // Keep the writer small; frames are already byte aligned
+        if (this.writer.length >= 1 << 20) {
+            this.frames.push(this.writer.flush());
+        }
+    }
+
+    /**
+     * Finish encoding and build the complete stream
+     * @returns {Array<Uint8Array>} Header chunk followed by frame chunks
+     */
+    finish() {
+        if (!this.finished) {
+            if (this.writer.length > 0) this.frames.push(this.writer.flush());
+            this.md5Digest = this.md5.digest();
+            this.finished = true;
+        }
+        return [this.buildHeader(), ...this.frames];
+    }
+
+    /**
+     * Hex MD5 of the unencoded audio (available after finish)
+     * @returns {string}
+     */
+    getMd5() {
+        return this.md5Digest ? Md5.toHex(this.md5Digest) : '';
+    }
+
+    /**
+     * MIME type of the output
+     * @returns {string}
+     */
+    get mimeType() {
+        return 'audio/flac';
+    }
+
+    // ------------------------------------------------
+    // Stream header
+    // ------------------------------------------------
+
+    /**
+     * Build "fLaC" marker, STREAMINFO and any extra metadata blocks
+     * @returns {Uint8Array}
+     */
+    buildHeader() {
+        const blocks = [{ type: 0, data: this.buildStreamInfo() }, ...this.metadata];
+        const size = 4 + blocks.reduce((sum, b) => sum + 4 + b.data.length, 0);
+        const out = new Uint8Array(size);
+        out.set([0x66, 0x4c, 0x61, 0x43], 0); // "fLaC"
+
+        let pos = 4;
+        blocks.forEach((block, i) => {
+            const isLast = i === blocks.length - 1;
+            out[pos] = (isLast ? 0x80 : 0) | (block.type & 0x7f);
+            out[pos + 1] = (block.data.length >>> 16) & 0xff;
+            out[pos + 2] = (block.data.length >>> 8) & 0xff;
+            out[pos + 3] = block.data.length & 0xff;
+            out.set(block.data, pos + 4);
+            pos += 4 + block.data.length;
+        });
+        return out;
+    }
+
+    /**
+     * Build the 34-byte STREAMINFO block body
+     * @returns {Uint8Array}
+     */
+    buildStreamInfo() {
+        const w = new BitWriter(34);
+        w.writeBits(this.blockSize, 16);
+        w.writeBits(this.blockSize, 16);
+        w.writeBits(this.frameNumber > 0 ? this.minFrameSize : 0, 24);
+        w.writeBits(this.maxFrameSize, 24);
+        w.writeBits(this.sampleRate, 20);
+        w.writeBits(this.channels - 1, 3);
+        w.writeBits(this.bitsPerSample - 1, 5);
+        // 36-bit total sample count
+        w.writeBits(Math.floor(this.totalSamples / 0x100000000) & 0xf, 4);
+        w.writeBits(this.totalSamples >>> 0, 32);
+        const digest = this.md5Digest || new Uint8Array(16);
+        digest.forEach(b => w.writeBits(b, 8));
+        return w.flush();
+    }
+
+    /**
+     * Feed interleaved little-endian samples into the MD5 signature
+     * @param {Array<Int32Array>} blocks - Channel blocks
+     * @param {number} length - Block length
+     */
+    updateMd5(blocks, length) {
+        const bytesPerSample = Math.ceil(this.bitsPerSample / 8);
+        const buf = this.md5Buffer;
+        let p = 0;
+        for (let i = 0; i < length; i++) {
+            for (let c = 0; c < this.channels; c++) {
+                const v = blocks[c][i];
+                for (let b = 0; b < bytesPerSample; b++) {
+                    buf[p++] = (v >> (8 * b)) & 0xff;
+                }
+            }
+        }
+        this.md5.update(buf.subarray(0, p));
+    }
+
+    // ------------------------------------------------
+    // Frames
+    // ------------------------------------------------
+
+    /**
+     * Write a complete frame (header, subframes, footer)
+     * @param {Array<Int32Array>} blocks - Channel blocks
+     * @param {number} length - Block length
+     */
+    writeFrame(blocks, length) {
+        const w = this.writer;
+        const start = w.length;
+        const bps = this.bitsPerSample;
+
+        let assignment = this.channels - 1;
+        let subframes = blocks.map(block => ({ samples: block, bps }));
+        if (this.channels === 2 && this.config.stereoDecorrelation) {
+            ({ assignment, subframes } = this.chooseStereoMode(blocks, length));
+        }
+
+        this.writeFrameHeader(length, assignment);
+        w.writeBits(flacCrc8(w.bytes, start, w.length), 8);
+
+        subframes.forEach(sf => this.writeSubframe(sf.samples, length, sf.bps));
+
+        w.alignToByte();
+        w.writeBits(flacCrc16(w.bytes, start, w.length), 16);
+    }
+
+    /**
+     * Write the frame header up to (not including) its CRC-8
+     * @param {number} length - Block length
+     * @param {number} assignment - Channel assignment code
+     */
+    writeFrameHeader(length, assignment) {
+        const w = this.writer;
+        w.writeBits(0x3ffe, 14); // sync code
+        w.writeBits(0, 1);       // reserved
+        w.writeBits(0, 1);       // fixed block size stream
+
+        const blockSizeCode = FlacEncoder.blockSizeCode(length);
+        const sampleRateCode = FlacEncoder.sampleRateCode(this.sampleRate);
+        w.writeBits(blockSizeCode, 4);
+        w.writeBits(sampleRateCode, 4);
+        w.writeBits(assignment, 4);
+        w.writeBits(FlacEncoder.sampleSizeCode(this.bitsPerSample), 3);
+        w.writeBits(0, 1);
+
+        this.writeUtf8Number(this.frameNumber);
+
+        if (blockSizeCode === 6) w.writeBits(length - 1, 8);
+        if (blockSizeCode === 7) w.writeBits(length - 1, 16);
+
+        if (sampleRateCode === 12) w.writeBits(this.sampleRate / 1000, 8);
+        if (sampleRateCode === 13) w.writeBits(this.sampleRate, 16);
+        if (sampleRateCode === 14) w.writeBits(this.sampleRate / 10, 16);
+    }
+
+    /**
+     * Write a frame number using FLAC's extended UTF-8 coding
+     * @param {number} value - Frame number
+     */
+    writeUtf8Number(value) {
+        const w = this.writer;
+        if (value < 0x80) {
+            w.writeBits(value, 8);
+            return;
+        }
+        let bytes = 2;
+        while (bytes < 6 && value >= 2 ** (5 * bytes + 1)) bytes++;
+        const prefix = (0xff << (8 - bytes)) & 0xff;
+        w.writeBits(prefix | Math.floor(value / 2 ** (6 * (bytes - 1))), 8);
+        for (let i = bytes - 2; i >= 0; i--) {
+            w.writeBits(0x80 | (Math.floor(value / 2 ** (6 * i)) & 0x3f), 8);
+        }
+    }
+
+    /**
+     * Pick the cheapest of left/right, left/side, side/right and mid/side
+     * @param {Array<Int32Array>} blocks - Left and right blocks
+     * @param {number} length - Block length
+     * @returns {{assignment: number, subframes: Array}}
+     */
+    chooseStereoMode(blocks, length) {
+        const [left, right] = blocks;
+        const mid = this.stereo.mid.subarray(0, length);
+        const side = this.stereo.side.subarray(0, length);
+        for (let i = 0; i < length; i++) {
+            side[i] = left[i] - right[i];
+            mid[i] = (left[i] + right[i]) >> 1;
+        }
+
+        const costL = this.estimateFixedCost(left, length);
+        const costR = this.estimateFixedCost(right, length);
+        const costM = this.estimateFixedCost(mid, length);
+        const costS = this.estimateFixedCost(side, length);
+        const bps = this.bitsPerSample;
+
+        const modes = [
+            { cost: costL + costR, assignment: 1, subframes: [{ samples: left, bps }, { samples: right, bps }] },
+            { cost: costL + costS, assignment: 8, subframes: [{ samples: left, bps }, { samples: side, bps: bps + 1 }] },
+            { cost: costS + costR, assignment: 9, subframes: [{ samples: side, bps: bps + 1 }, { samples: right, bps }] },
+            { cost: costM + costS, assignment: 10, subframes: [{ samples: mid, bps }, { samples: side, bps: bps + 1 }] }
+        ];
+        return modes.reduce((best, mode) => (mode.cost < best.cost ? mode : best));
+    }
+
+    /**
+     * Rough bit cost of a block using the best fixed predictor
+     * @param {Int32Array} samples - Block samples
+     * @param {number} length - Block length
+     * @returns {number}
+     */
+    estimateFixedCost(samples, length) {
+        const sums = [0, 0, 0, 0, 0];
+        for (let i = 4; i < length; i++) {
+            const e0 = samples[i];
+            const e1 = e0 - samples[i - 1];
+            const e2 = e1 - (samples[i - 1] - samples[i - 2]);
+            const e3 = e2 - (samples[i - 1] - 2 * samples[i - 2] + samples[i - 3]);
+            const e4 = e3 - (samples[i - 1] - 3 * samples[i - 2] + 3 * samples[i - 3] - samples[i - 4]);
+            sums[0] += Math.abs(e0);
+            sums[1] += Math.abs(e1);
+            sums[2] += Math.abs(e2);
+            sums[3] += Math.abs(e3);
+            sums[4] += Math.abs(e4);
+        }
+        const n = Math.max(1, length - 4);
+        return Math.min(...sums.map(sum => n * Math.log2(1 + sum / n)));
+    }
+
+    // ------------------------------------------------
+    // Subframes
+    // ------------------------------------------------
+
+    /**
+     * Write the smallest subframe representation of a channel block
+     * @param {Int32Array} samples - Block samples
+     * @param {number} length - Block length
+     * @param {number} bps - Bits per sample for this subframe
+     */
+    writeSubframe(samples, length, bps) {
+        const w = this.writer;
+
+        // CONSTANT subframe for digital silence and DC
+        let constant = true;
+        let orBits = 0;
+        for (let i = 0; i < length; i++) {
+            orBits |= samples[i];
+            if (samples[i] !== samples[0]) constant = false;
+        }
+        if (constant) {
+            w.writeBits(0, 8); // pad + type 000000 + no wasted bits
+            w.writeBits(samples[0], bps);
+            return;
+        }
+
+        // Wasted bits: low bits that are zero in every sample
+        let wasted = 0;
+        while (((orBits >> wasted) & 1) === 0 && wasted < bps - 1) wasted++;
+        let data = samples;
+        if (wasted > 0) {
+            data = this.scratch.subarray(0, length);
+            for (let i = 0; i < length; i++) data[i] = samples[i] >> wasted;
+        }
+        const effectiveBps = bps - wasted;
+
+        const candidate = this.findBestPredictor(data, length, effectiveBps);
+
+        const verbatimBits = length * effectiveBps;
+        if (!candidate || candidate.bits >= verbatimBits) {
+            this.writeSubframeHeader(1, wasted);
+            for (let i = 0; i < length; i++) w.writeBits(data[i], effectiveBps);
+            return;
+        }
+
+        if (candidate.type === 'fixed') {
+            this.writeSubframeHeader(8 | candidate.order, wasted);
+        } else {
+            this.writeSubframeHeader(32 | (candidate.order - 1), wasted);
+        }
+
+        for (let i = 0; i < candidate.order; i++) w.writeBits(data[i], effectiveBps);
+
+        if (candidate.type === 'lpc') {
+            w.writeBits(candidate.precision - 1, 4);
+            w.writeBits(candidate.shift, 5);
+            candidate.coefficients.forEach(c => w.writeBits(c, candidate.precision));
+        }
+
+        this.writeResidual(candidate.residual, length, candidate.order, candidate.partitions);
+    }
+
+    /**
+     * Write the subframe header byte(s)
+     * @param {number} type - 6-bit subframe type
+     * @param {number} wasted - Wasted bits per sample
+     */
+    writeSubframeHeader(type, wasted) {
+        const w = this.writer;
+        w.writeBits(0, 1);
+        w.writeBits(type, 6);
+        if (wasted > 0) {
+            w.writeBits(1, 1);
+            w.writeUnary(wasted - 1);
+        } else {
+            w.writeBits(0, 1);
+        }
+    }
+
+    /**
+     * Search fixed and LPC predictors for the cheapest encoding
+     * @param {Int32Array} data - Block samples (wasted bits removed)
+     * @param {number} length - Block length
+     * @param {number} bps - Effective bits per sample
+     * @returns {Object|null} Best candidate with its residual and partitioning
+     */
+    findBestPredictor(data, length, bps) {
+        let best = null;
+
+        const consider = (type, order, extra) => {
+            const partitions = this.choosePartitions(this.residual, length, order);
+            const headerBits = order * bps + (extra ? extra.headerBits : 0);
+            const bits = headerBits + partitions.bits;
+            if (!best || bits < best.bits) {
+                this.bestResidual.set(this.residual.subarray(0, length));
+                best = { type, order, bits, partitions, ...(extra || {}) };
+            }
+        };
+
+        // Fixed predictors, orders 0-4
+        for (let order = 0; order <= 4 && order < length; order++) {
+            this.computeFixedResidual(data, length, order);
+            consider('fixed', order);
+        }
+
+        // Linear prediction
+        const maxOrder = Math.min(this.config.maxLpcOrder, length - 1);
+        if (maxOrder > 0 && length > 16) {
+            const lpc = FlacEncoder.computeLpc(data, length, maxOrder);
+            if (lpc) {
+                const precision = FlacEncoder.qlpPrecision(bps, length);
+                const orders = this.config.exhaustive
+                    ? lpc.coefficients.map((_, i) => i + 1)
+                    : [FlacEncoder.estimateBestOrder(lpc.errors, length, bps, precision)];
+
+                orders.forEach(order => {
+                    const quantized = FlacEncoder.quantizeCoefficients(lpc.coefficients[order - 1], precision);
+                    if (!quantized) return;
+                    if (!this.computeLpcResidual(data, length, quantized.coefficients, quantized.shift)) return;
+                    consider('lpc', order, {
+                        precision,
+                        shift: quantized.shift,
+                        coefficients: quantized.coefficients,
+                        headerBits: 4 + 5 + order * precision
+                    });
+                });
+            }
+        }
+
+        if (best) {
+            best.residual = this.bestResidual;
+            best.bits += 6; // residual method + partition order
+        }
+        return best;
+    }
+
+    /**
+     * Residual of the fixed polynomial predictor of the given order
+     * @param {Int32Array} x - Samples
+     * @param {number} n - Length
+     * @param {number} order - Predictor order 0-4
+     */
+    computeFixedResidual(x, n, order) {
+        const r = this.residual;
+        switch (order) {
+            case 0:
+                for (let i = 0; i < n; i++) r[i] = x[i];
+                break;
+            case 1:
+                for (let i = 1; i < n; i++) r[i] = x[i] - x[i - 1];
+                break;
+            case 2:
+                for (let i = 2; i < n; i++) r[i] = x[i] - 2 * x[i - 1] + x[i - 2];
+                break;
+            case 3:
+                for (let i = 3; i < n; i++) r[i] = x[i] - 3 * x[i - 1] + 3 * x[i - 2] - x[i - 3];
+                break;
+            default:
+                for (let i = 4; i < n; i++) r[i] = x[i] - 4 * x[i - 1] + 6 * x[i - 2] - 4 * x[i - 3] + x[i - 4];
+        }
+    }
+
+    /**
+     * Residual of a quantized LPC predictor
+     * @param {Int32Array} x - Samples
+     * @param {number} n - Length
+     * @param {Array<number>} coefficients - Quantized coefficients
+     * @param {number} shift - Quantization shift
+     * @returns {boolean} False if a residual would overflow 32 bits
+     */
+    computeLpcResidual(x, n, coefficients, shift) {
+        const r = this.residual;
+        const order = coefficients.length;
+        const scale = 2 ** shift;
+        for (let i = order; i < n; i++) {
+            let sum = 0;
+            for (let j = 0; j < order; j++) sum += coefficients[j] * x[i - 1 - j];
+            const value = x[i] - Math.floor(sum / scale);
+            if (value > 0x3fffffff || value < -0x40000000) return false;
+            r[i] = value;
+        }
+        return true;
+    }
+
+    // ------------------------------------------------
+    // Residual coding
+    // ------------------------------------------------
+
+    /**
+     * Choose the partition order and Rice parameters with the fewest bits
+     * @param {Int32Array} residual - Residual (valid from `order`)
+     * @param {number} length - Block length
+     * @param {number} order - Predictor order
+     * @returns {{order: number, params: Array<number>, bits: number}}
+     */
+    choosePartitions(residual, length, order) {
+        let maxPartitionOrder = 0;
+        while (
+            maxPartitionOrder < this.config.maxPartitionOrder &&
+            length % (1 << (maxPartitionOrder + 1)) === 0 &&
+            (length >> (maxPartitionOrder + 1)) > order
+        ) {
+            maxPartitionOrder++;
+        }
+
+        // Folded sums at the finest partition order, merged upwards
+        const count = 1 << maxPartitionOrder;
+        const size = length >> maxPartitionOrder;
+        let sums = new Float64Array(count);
+        let counts = new Int32Array(count);
+        for (let p = 0; p < count; p++) {
+            const start = p === 0 ? order : p * size;
+            const end = (p + 1) * size;
+            let sum = 0;
+            for (let i = start; i < end; i++) {
+                const v = residual[i];
+                sum += v >= 0 ? 2 * v : -2 * v - 1;
+            }
+            sums[p] = sum;
+            counts[p] = end - start;
+        }
+
+        let best = null;
+        for (let po = maxPartitionOrder; po >= 0; po--) {
+            let bits = 0;
+            const params = [];
+            for (let p = 0; p < sums.length; p++) {
+                const { k, cost } = FlacEncoder.bestRiceParameter(sums[p], counts[p]);
+                params.push(k);
+                bits += cost;
+            }
+            const wide = params.some(k => k > 14);
+            bits += sums.length * (wide ? 5 : 4);
+            if (!best || bits < best.bits) best = { order: po, params, bits, wide };
+
+            if (po > 0) {
+                const merged = new Float64Array(sums.length / 2);
+                const mergedCounts = new Int32Array(sums.length / 2);
+                for (let p = 0; p < merged.length; p++) {
+                    merged[p] = sums[2 * p] + sums[2 * p + 1];
+                    mergedCounts[p] = counts[2 * p] + counts[2 * p + 1];
+                }
+                sums = merged;
+                counts = mergedCounts;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Write a partitioned Rice residual
+     * @param {Int32Array} residual - Residual (valid from `order`)
+     * @param {number} length - Block length
+     * @param {number} order - Predictor order
+     * @param {Object} partitions - Result of choosePartitions
+     */
+    writeResidual(residual, length, order, partitions) {
+        const w = this.writer;
+        const paramBits = partitions.wide ? 5 : 4;
+        w.writeBits(partitions.wide ? 1 : 0, 2);
+        w.writeBits(partitions.order, 4);
+
+        const size = length >> partitions.order;
+        partitions.params.forEach((k, p) => {
+            w.writeBits(k, paramBits);
+            const start = p === 0 ? order : p * size;
+            const end = (p + 1) * size;
+            const mask = (1 << k) - 1;
+            for (let i = start; i < end; i++) {
+                const v = residual[i];
+                const u = v >= 0 ? 2 * v : -2 * v - 1;
+                w.writeUnary(Math.floor(u / (1 << k)));
+                if (k > 0) w.writeBits(u & mask, k);
+            }
+        });
+    }
+
+    /**
+     * Best Rice parameter for a partition from its folded sum
+     * @param {number} sum - Sum of folded residuals
+     * @param {number} n - Samples in the partition
+     * @returns {{k: number, cost: number}}
+     */
+    static bestRiceParameter(sum, n) {
+        if (n === 0) return { k: 0, cost: 0 };
+        const mean = sum / n;
+        const guess = mean > 1 ? Math.floor(Math.log2(mean)) : 0;
+        let best = null;
+        for (let k = Math.max(0, guess - 1); k <= Math.min(30, guess + 1); k++) {
+            const cost = n * (k + 1) + Math.floor(sum / 2 ** k);
+            if (!best || cost < best.cost) best = { k, cost };
+        }
+        return best;
+    }
+
+    // ------------------------------------------------
+    // Linear prediction helpers
+    // ------------------------------------------------
+
+    /**
+     * Windowed autocorrelation followed by Levinson-Durbin recursion
+     * @param {Int32Array} data - Samples
+     * @param {number} n - Length
+     * @param {number} maxOrder - Highest order to compute
+     * @returns {{coefficients: Array<Float64Array>, errors: Array<number>}|null}
+     */
+    static computeLpc(data, n, maxOrder) {
+        // Tukey(0.5) window
+        const windowed = new Float64Array(n);
+        const taper = Math.floor(n * 0.25);
+        for (let i = 0; i < n; i++) {
+            let w = 1;
+            if (i < taper) w = 0.5 - 0.5 * Math.cos((Math.PI * i) / taper);
+            else if (i >= n - taper) w = 0.5 - 0.5 * Math.cos((Math.PI * (n - 1 - i)) / taper);
+            windowed[i] = data[i] * w;
+        }
+
+        const autoc = new Float64Array(maxOrder + 1);
+        for (let lag = 0; lag <= maxOrder; lag++) {
+            let sum = 0;
+            for (let i = lag; i < n; i++) sum += windowed[i] * windowed[i - lag];
+            autoc[lag] = sum;
+        }
+        if (autoc[0] === 0) return null;
+
+        const coefficients = [];
+        const errors = [];
+        let lpc = new Float64Array(0);
+        let error = autoc[0];
+
+        for (let order = 1; order <= maxOrder; order++) {
+            let acc = autoc[order];
+            for (let j = 0; j < order - 1; j++) acc -= lpc[j] * autoc[order - 1 - j];
+            const reflection = acc / error;
+
+            const next = new Float64Array(order);
+            next[order - 1] = reflection;
+            for (let j = 0; j < order - 1; j++) {
+                next[j] = lpc[j] - reflection * lpc[order - 2 - j];
+            }
+            lpc = next;
+            error *= 1 - reflection * reflection;
+            coefficients.push(lpc);
+            errors.push(Math.max(error, 0));
+            if (error <= 0) break;
+        }
+        return { coefficients, errors };
+    }
+
+    /**
+     * Pick the LPC order with the lowest predicted bit cost
+     * @param {Array<number>} errors - Prediction error per order
+     * @param {number} n - Block length
+     * @param {number} bps - Bits per sample
+     * @param {number} precision - Coefficient precision
+     * @returns {number}
+     */
+    static estimateBestOrder(errors, n, bps, precision) {
+        let bestOrder = 1;
+        let bestBits = Infinity;
+        errors.forEach((error, i) => {
+            const order = i + 1;
+            const perSample = error > 0 ? Math.max(0, 0.5 * Math.log2((error / n) * 2 * Math.LN2)) : 0;
+            const bits = perSample * (n - order) + order * (bps + precision);
+            if (bits < bestBits) {
+                bestBits = bits;
+                bestOrder = order;
+            }
+        });
+        return bestOrder;
+    }
+
+    /**
+     * Coefficient precision as chosen by the reference encoder
+     * @param {number} bps - Bits per sample
+     * @param {number} n - Block length
+     * @returns {number}
+     */
+    static qlpPrecision(bps, n) {
+        let precision;
+        if (n <= 192) precision = 7;
+        else if (n <= 384) precision = 8;
+        else if (n <= 576) precision = 9;
+        else if (n <= 1152) precision = 10;
+        else if (n <= 2304) precision = 11;
+        else if (n <= 4608) precision = 12;
+        else precision = 13;
+        if (bps > 16) precision += 2;
+        return Math.min(15, precision);
+    }
+
+    /**
+     * Quantize LPC coefficients with error feedback
+     * @param {Float64Array} lpc - Coefficients
+     * @param {number} precision - Coefficient precision in bits
+     * @returns {{coefficients: Array<number>, shift: number}|null}
+     */
+    static quantizeCoefficients(lpc, precision) {
+        const qmax = (1 << (precision - 1)) - 1;
+        const qmin = -qmax - 1;
+        let cmax = 0;
+        for (const c of lpc) cmax = Math.max(cmax, Math.abs(c));
+        if (cmax === 0) return null;
+
+        let shift = Math.floor(Math.log2(qmax / cmax));
+        shift = Math.min(15, shift);
+        if (shift < 0) return null;
+
+        const scale = 2 ** shift;
+        const coefficients = [];
+        let error = 0;
+        for (const c of lpc) {
+            error += c * scale;
+            const q = Math.max(qmin, Math.min(qmax, Math.round(error)));
+            error -= q;
+            coefficients.push(q);
+        }
+        return { coefficients, shift };
+    }
+
+    // ------------------------------------------------
+    // Header codes
+    // ------------------------------------------------
+
+    static blockSizeCode(size) {
+        if (size === 192) return 1;
+        for (let n = 2; n <= 5; n++) if (size === 576 << (n - 2)) return n;
+        for (let n = 8; n <= 15; n++) if (size === 256 << (n - 8)) return n;
+        return size <= 256 ? 6 : 7;
+    }
+
+    static sampleRateCode(rate) {
+        const table = {
+            88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6,
+            24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11
+        };
+        if (table[rate]) return table[rate];
+        if (rate % 1000 === 0 && rate <= 255000) return 12;
+        if (rate <= 65535) return 13;
+        if (rate % 10 === 0 && rate <= 655350) return 14;
+        return 0;
+    }
+
+    static sampleSizeCode(bps) {
+        const table = { 8: 1, 12: 2, 16: 4, 20: 5, 24: 6 };
+        return table[bps] || 0;
+    }
+
+    /**
+     * Build a VORBIS_COMMENT metadata block body
+     * Unlike the rest of FLAC, lengths here are little-endian
+     * @param {Array<[string, string]>} comments - Field name and value pairs
+     * @param {string} [vendor] - Vendor string
+     * @returns {{type: number, data: Uint8Array}}
+     */
+    static vorbisCommentBlock(comments, vendor = FlacEncoder.VENDOR) {
+        const encoder = new TextEncoder();
+        const strings = [vendor, ...comments.map(([name, value]) => `${name}=${value}`)]
+            .map(text => encoder.encode(text));
+        const size = strings.reduce((sum, s) => sum + 4 + s.length, 4);
+
+        const data = new Uint8Array(size);
+        const view = new DataView(data.buffer);
+        let pos = 0;
+        strings.forEach((bytes, i) => {
+            view.setUint32(pos, bytes.length, true);
+            data.set(bytes, pos + 4);
+            pos += 4 + bytes.length;
+            if (i === 0) {
+                view.setUint32(pos, comments.length, true);
+                pos += 4;
+            }
+        });
+        return { type: FlacEncoder.BLOCK_VORBIS_COMMENT, data };
+    }
+
+    /**
+     * Build a PICTURE metadata block body
+     * @param {Object} picture - { type, mime, description, width, height, depth, colors, data }
+     * @returns {{type: number, data: Uint8Array}}
+     * @throws {Error} If the picture doesn't fit in a metadata block
+     */
+    static pictureBlock(picture) {
+        const mime = new TextEncoder().encode(picture.mime || '');
+        const description = new TextEncoder().encode(picture.description || '');
+        const size = 32 + mime.length + description.length + picture.data.length;
+        if (size > FlacEncoder.MAX_BLOCK_SIZE) {
+            throw new Error(`Picture is too large for a FLAC metadata block (${size} bytes)`);
+        }
+
+        const data = new Uint8Array(size);
+        const view = new DataView(data.buffer);
+        let pos = 0;
+        view.setUint32(pos, picture.type || 0);
+        view.setUint32(pos + 4, mime.length);
+        data.set(mime, pos + 8);
+        pos += 8 + mime.length;
+        view.setUint32(pos, description.length);
+        data.set(description, pos + 4);
+        pos += 4 + description.length;
+        view.setUint32(pos, picture.width || 0);
+        view.setUint32(pos + 4, picture.height || 0);
+        view.setUint32(pos + 8, picture.depth || 0);
+        view.setUint32(pos + 12, picture.colors || 0);
+        view.setUint32(pos + 16, picture.data.length);
+        data.set(picture.data, pos + 20);
+        return { type: FlacEncoder.BLOCK_PICTURE, data };
+    }
+}
+
+FlacEncoder.BLOCK_VORBIS_COMMENT = 4;
+FlacEncoder.BLOCK_PICTURE = 6;
+FlacEncoder.MAX_BLOCK_SIZE = (1 << 24) - 1;
+FlacEncoder.VENDOR = 'StudioGrade Audio Converter';
+
+/**
+ * Frame checksums, shared with FlacDecoder
+ */
+FlacEncoder.crc8 = flacCrc8;
+FlacEncoder.crc16 = flacCrc16;
+
+// Export for use in workers and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlacEncoder;
+}
@@ -0,0 +1,159 @@
+/**
+ * StudioGrade Audio Converter
+ * Folder Reader
+ *
+ * Turns dropped or pasted items and folder picks into a flat list of
+ * files, each with its path relative to what the user picked, so a
+ * folder of albums can be queued in one go and written back out with
+ * the same structure. Folders are walked through the File System
+ * Access API where the browser has it, else through webkitGetAsEntry.
+ * Hidden files and folders (".DS_Store", "._track.flac") are left out.
+ */
+
+class FolderReader {
+    /**
+     * Read the files of a drop or paste, descending into folders
+     * Must be called while the event is being handled: the items are
+     * only readable until the handler returns, so every handle or entry
+     * is requested before the first await
+     * @param {DataTransfer} dataTransfer - From a drop or paste event
+     * @returns {Promise<Array<Object>>} { file, path } per file
+     */
+    static async fromDataTransfer(dataTransfer) {
+        const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+        if (items.length === 0) {
+            return FolderReader.fromFileList(dataTransfer.files || []);
+        }
+
+        const sources = items.map(item => {
+            if (typeof item.getAsFileSystemHandle === 'function') {
+                return { handle: item.getAsFileSystemHandle(), file: item.getAsFile() };
+            }
+            const entry = typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null;
+            return { entry, file: item.getAsFile() };
+        });
+
+        const results = [];
+        for (const source of sources) {
+            try {
+                const handle = source.handle && await source.handle;
+                if (handle) {
+                    await FolderReader.readHandle(handle, '', results);
+                } else if (source.entry) {
+                    await FolderReader.readEntry(source.entry, '', results);
+                } else if (source.file) {
+                    results.push({ file: source.file, path: source.file.name });
+                }
+            } catch (error) {
+                // An unreadable folder (e.g. no permission) doesn't stop the others
+                console.warn('Could not read a dropped item:', error.message);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Wrap the files of a file input, keeping the folder structure of a folder pick
+     * @param {FileList|Array<File>} files - Picked files
+     * @returns {Array<Object>} { file, path } per file
+     */
+    static fromFileList(files) {
+        return Array.from(files)
+            .map(file => ({ file, path: FolderReader.relativePath(file) }))
+            .filter(({ file, path }) => !(file.webkitRelativePath && FolderReader.isHidden(path)));
+    }
+
+    /**
+     * Path of a file relative to the picked folder, or its name
+     * @param {File} file - Picked file
+     * @returns {string}
+     */
+    static relativePath(file) {
+        return file.webkitRelativePath || file.name;
+    }
+
+    /**
+     * Folder part of a relative path
+     * @param {string} path - e.g. "Album/CD1/01.wav"
+     * @returns {string} e.g. "Album/CD1/", empty for a bare file name
+     */
+    static directory(path) {
+        return path.slice(0, path.lastIndexOf('/') + 1);
+    }
+
+    /**
+     * Whether any part of a path is hidden
+     * @param {string} path - Relative path
+     * @returns {boolean}
+     */
+    static isHidden(path) {
+        return path.split('/').some(part => part.startsWith('.'));
+    }
+
+    // ------------------------------------------------
+    // File System Access API
+    // ------------------------------------------------
+
+    /**
+     * @param {FileSystemHandle} handle - File or directory handle
+     * @param {string} parent - Path of the folder it is in, with a trailing slash
+     * @param {Array<Object>} results - Receives { file, path }
+     */
+    static async readHandle(handle, parent, results) {
+        if (handle.name.startsWith('.')) return;
+        const path = parent + handle.name;
+
+        if (handle.kind === 'file') {
+            results.push({ file: await handle.getFile(), path });
+            return;
+        }
+        for await (const child of handle.values()) {
+            await FolderReader.readHandle(child, `${path}/`, results);
+        }
+    }
+
+    // ------------------------------------------------
+    // File and Directory Entries API
+    // ------------------------------------------------
+
+    /**
+     * @param {FileSystemEntry} entry - File or directory entry
+     * @param {string} parent - Path of the folder it is in, with a trailing slash
+     * @param {Array<Object>} results - Receives { file, path }
+     */
+    static async readEntry(entry, parent, results) {
+        if (entry.name.startsWith('.')) return;
+        const path = parent + entry.name;
+
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            results.push({ file, path });
+            return;
+        }
+        for (const child of await FolderReader.readDirectory(entry)) {
+            await FolderReader.readEntry(child, `${path}/`, results);
+        }
+    }
+
+    /**
+     * List a directory entry
+     * readEntries returns the listing in batches (100 in Chrome) and an
+     * empty batch at the end
+     * @param {FileSystemDirectoryEntry} directory - Directory entry
+     * @returns {Promise<Array<FileSystemEntry>>}
+     */
+    static async readDirectory(directory) {
+        const reader = directory.createReader();
+        const entries = [];
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (batch.length === 0) return entries;
+            entries.push(...batch);
+        }
+    }
+}
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FolderReader;
+}
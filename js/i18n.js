@@ -0,0 +1,189 @@
+/**
+ * StudioGrade Audio Converter
+ * Internationalization
+ *
+ * Message catalogs with interpolation and pluralization, plus number
+ * and date formatting for the active locale. Catalogs live in
+ * js/locales and register themselves; a key missing from the active
+ * catalog falls back to English, then to the key itself.
+ *
+ * A message is either a string or, for messages with a {count}, an
+ * object of Intl.PluralRules categories ({ one, other, ... }).
+ */
+
+class I18n {
+    /**
+     * @param {string} [locale] - Locale to start with, see setLocale
+     */
+    constructor(locale = I18n.DEFAULT_LOCALE) {
+        this.setLocale(locale);
+    }
+
+    /**
+     * Add a locale's messages
+     * @param {string} locale - Locale code, e.g. 'id'
+     * @param {Object} catalog - Messages by key
+     */
+    static register(locale, catalog) {
+        I18n.CATALOGS[locale] = { ...I18n.CATALOGS[locale], ...catalog };
+    }
+
+    /**
+     * Pick the locale to start with
+     * @param {string|null} [saved] - Locale the user chose earlier
+     * @param {Array<string>} [preferred] - Languages the browser asks for, best first
+     * @returns {string} A registered locale
+     */
+    static detect(saved = null, preferred = typeof navigator !== 'undefined' ? navigator.languages || [] : []) {
+        const candidates = [saved, ...preferred].filter(Boolean);
+        for (const candidate of candidates) {
+            const language = candidate.toLowerCase().split('-')[0];
+            if (I18n.CATALOGS[language]) return language;
+        }
+        return I18n.DEFAULT_LOCALE;
+    }
+
+    /**
+     * @param {string} locale - A registered locale
+     * @throws {Error} If no catalog is registered for it
+     */
+    setLocale(locale) {
+        if (!I18n.CATALOGS[locale]) {
+            throw new Error(`Unknown locale: ${locale}`);
+        }
+        this.locale = locale;
+        this.pluralRules = new Intl.PluralRules(locale);
+        this.numberFormats = new Map();
+    }
+
+    /**
+     * Translate a message
+     * Placeholders like {name} are replaced by params; numbers are
+     * formatted for the locale. A plural message is chosen by params.count.
+     * @param {string} key - Message key, e.g. 'notify.filesAdded'
+     * @param {Object} [params] - Placeholder values
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        let message = this.lookup(key);
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            const category = typeof params.count === 'number' ? this.pluralRules.select(params.count) : 'other';
+            message = message[category] !== undefined ? message[category] : message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * Whether the active locale, or the English fallback, has a message
+     * @param {string} key - Message key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.lookup(key) !== undefined;
+    }
+
+    lookup(key) {
+        const own = I18n.CATALOGS[this.locale][key];
+        if (own !== undefined) return own;
+        const fallback = I18n.CATALOGS[I18n.DEFAULT_LOCALE];
+        return fallback ? fallback[key] : undefined;
+    }
+
+    // ------------------------------------------------
+    // Formatting
+    // ------------------------------------------------
+
+    /**
+     * @param {number} value - Number to format
+     * @param {Object} [options] - Intl.NumberFormat options
+     * @returns {string}
+     */
+    formatNumber(value, options = {}) {
+        const id = JSON.stringify(options);
+        let format = this.numberFormats.get(id);
+        if (!format) {
+            format = new Intl.NumberFormat(this.locale, options);
+            this.numberFormats.set(id, format);
+        }
+        return format.format(value);
+    }
+
+    /**
+     * Format with a fixed number of decimals, like toFixed() but with the locale's separators
+     * @param {number} value - Number to format
+     * @param {number} digits - Decimals
+     * @param {Object} [options] - More Intl.NumberFormat options, e.g. signDisplay
+     * @returns {string}
+     */
+    formatFixed(value, digits, options = {}) {
+        return this.formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits, ...options });
+    }
+
+    /**
+     * @param {Date|string|number} date - Date, ISO string or timestamp
+     * @param {Object} [options] - Intl.DateTimeFormat options
+     * @returns {string}
+     */
+    formatDate(date, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(new Date(date));
+    }
+
+    // ------------------------------------------------
+    // Static markup
+    // ------------------------------------------------
+
+    /**
+     * Translate marked elements of a page
+     * data-i18n sets the text; data-i18n-label, data-i18n-title and
+     * data-i18n-placeholder set aria-label, title and placeholder
+     * @param {ParentNode} root - Document or element to translate
+     */
+    translatePage(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        Object.entries(I18n.ATTRIBUTES).forEach(([data, attribute]) => {
+            root.querySelectorAll(`[data-i18n-${data}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${data}`)));
+            });
+        });
+    }
+}
+
+/**
+ * Messages by locale, filled by the files in js/locales
+ */
+I18n.CATALOGS = {};
+
+/**
+ * Locale used when nothing else matches, and for missing messages
+ */
+I18n.DEFAULT_LOCALE = 'en';
+
+/**
+ * Locales offered in the language switcher, by their own name
+ */
+I18n.LANGUAGES = {
+    en: 'English',
+    id: 'Bahasa Indonesia'
+};
+
+/**
+ * data-i18n-* suffixes and the attribute each one sets
+ */
+I18n.ATTRIBUTES = {
+    label: 'aria-label',
+    title: 'title',
+    placeholder: 'placeholder'
+};
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
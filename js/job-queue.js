@@ -0,0 +1,211 @@
+/**
+ * StudioGrade Audio Converter
+ * Job Queue
+ *
+ * Concurrency-limited priority queue. Jobs start as soon as a slot
+ * frees up (sliding window), highest priority first, FIFO within
+ * the same priority. The queue can be paused, and pending jobs are
+ * dropped when their AbortSignal fires.
+ */
+
+class JobQueue {
+    /**
+     * @param {number} concurrency - Maximum number of jobs running at once
+     */
+    constructor(concurrency = 1) {
+        this.concurrency = Math.max(1, concurrency | 0);
+        this.pending = [];
+        this.running = 0;
+        this.sequence = 0;
+        this.paused = false;
+        this.idleWaiters = [];
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {Function} task - Function returning a value or Promise
+     * @param {Object} [options]
+     * @param {number} [options.priority=0] - Higher runs first
+     * @param {AbortSignal} [options.signal] - Removes the job if aborted before it starts
+     * @returns {Promise<*>} Settles with the task's outcome
+     */
+    add(task, { priority = 0, signal } = {}) {
+        if (signal && signal.aborted) {
+            return Promise.reject(JobQueue.abortError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = {
+                task,
+                priority,
+                order: this.sequence++,
+                resolve,
+                reject,
+                detach: () => {}
+            };
+
+            if (signal) {
+                const onAbort = () => {
+                    const index = this.pending.indexOf(job);
+                    if (index === -1) return;
+                    this.pending.splice(index, 1);
+                    reject(JobQueue.abortError());
+                    this.checkIdle();
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                job.detach = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            this.pending.push(job);
+            this.next();
+        });
+    }
+
+    /**
+     * Stop starting new jobs; running jobs continue
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Start pending jobs again
+     */
+    resume() {
+        this.paused = false;
+        this.next();
+    }
+
+    /**
+     * Whether the queue is paused
+     * @returns {boolean}
+     */
+    get isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Number of jobs waiting to start
+     * @returns {number}
+     */
+    get size() {
+        return this.pending.length;
+    }
+
+    /**
+     * Number of jobs currently running
+     * @returns {number}
+     */
+    get activeCount() {
+        return this.running;
+    }
+
+    /**
+     * Resolve once no job is running or waiting
+     * @returns {Promise<void>}
+     */
+    onIdle() {
+        if (this.running === 0 && this.pending.length === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Start jobs until every slot is busy
+     */
+    next() {
+        while (!this.paused && this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.takeNext();
+            job.detach();
+            this.running++;
+
+            Promise.resolve()
+                .then(job.task)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    this.running--;
+                    this.next();
+                    this.checkIdle();
+                });
+        }
+    }
+
+    /**
+     * Remove and return the highest priority pending job
+     * @returns {Object}
+     */
+    takeNext() {
+        let bestIndex = 0;
+        for (let i = 1; i < this.pending.length; i++) {
+            const job = this.pending[i];
+            const best = this.pending[bestIndex];
+            if (job.priority > best.priority ||
+                (job.priority === best.priority && job.order < best.order)) {
+                bestIndex = i;
+            }
+        }
+        return this.pending.splice(bestIndex, 1)[0];
+    }
+
+    /**
+     * Notify onIdle waiters when the queue drains
+     */
+    checkIdle() {
+        if (this.running === 0 && this.pending.length === 0) {
+            const waiters = this.idleWaiters;
+            this.idleWaiters = [];
+            waiters.forEach(resolve => resolve());
+        }
+    }
+
+    /**
+     * Create the error used for cancelled jobs
+     * @returns {Error}
+     */
+    static abortError() {
+        const error = new Error('Conversion cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Check whether an error represents a cancellation
+     * @param {*} error - Error to check
+     * @returns {boolean}
+     */
+    static isAbortError(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    }
+
+    /**
+     * Combine signals into one that aborts when any of them does
+     * The followed signals may outlive the combined one (a batch signal
+     * is followed once per file), so call dispose when it is no longer needed
+     * @param {Array<AbortSignal|undefined>} signals - Signals to follow
+     * @returns {Object} { signal, dispose }; signal is undefined when none were given
+     */
+    static anySignal(signals) {
+        const active = signals.filter(Boolean);
+        if (active.length <= 1) return { signal: active[0], dispose: () => {} };
+
+        const controller = new AbortController();
+        const dispose = () => {
+            active.forEach(signal => signal.removeEventListener('abort', abort));
+        };
+        const abort = () => {
+            dispose();
+            controller.abort();
+        };
+        active.forEach(signal => {
+            if (signal.aborted) abort();
+            else signal.addEventListener('abort', abort, { once: true });
+        });
+        return { signal: controller.signal, dispose };
+    }
+}
+
+// Export for use in workers and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobQueue;
+}
@@ -0,0 +1,372 @@
+/**
+ * StudioGrade Audio Converter
+ * English messages
+ *
+ * The reference catalog: every key used in the app is defined here,
+ * other locales fall back to it.
+ */
+
+const MESSAGES_EN = {
+    // Page
+    'page.tagline': 'Unlimited conversion to FLAC 96kHz/7.1 Surround.',
+    'page.taglineQuality': 'Studio quality. Automatic. Perfect.',
+    'page.language': 'Language',
+    'page.footerPowered': 'Powered by Web Audio API • Client-Side Processing',
+    'theme.toLight': 'Switch to light mode',
+    'theme.toDark': 'Switch to dark mode',
+    'dropZone.title': 'Drop Audio Files or Folders Here',
+    'dropZone.hint': 'Or click to choose files • Every audio format is supported • Folders keep their structure',
+    'dropZone.add': 'Add Files (Unlimited)',
+    'dropZone.input': 'Select audio files',
+    'dropZone.addFolder': 'Add Folder',
+    'dropZone.folderInput': 'Select a folder',
+    'features.input.title': 'Universal Input',
+    'features.input.text': 'Accepts every audio format: MP3, WAV, AAC, OGG, M4A, WMA, ALAC and more.',
+    'features.config.title': 'Auto Configuration',
+    'features.config.text': 'Output defaults to FLAC 96kHz, 7.1 Surround for the highest quality.',
+    'features.batch.title': 'Batch Processing',
+    'features.batch.text': 'A parallel queue with one Web Worker per CPU core. New files start as soon as one finishes.',
+    'features.retention.title': 'Zero Retention',
+    'features.retention.text': 'Every file is deleted automatically within 1 hour. Privacy and security guaranteed.',
+
+    // Queue actions
+    'actions.autoRetry': 'Auto-retry',
+    'actions.autoRetryLabel': 'Automatic retries for failed files',
+    'actions.convertOn': 'Convert on',
+    'actions.convertOnLabel': 'Where files are converted',
+    'actions.mode.local': 'This device',
+    'actions.mode.server': 'Server',
+    'actions.serverUrlLabel': 'Conversion server address',
+    'actions.clearAll': 'Clear All',
+    'actions.pause': 'Pause',
+    'actions.resume': 'Resume',
+    'actions.cancelAll': 'Cancel All',
+    'actions.downloadAll': 'Download All ({count})',
+    'actions.zipping': 'Zipping... {percent}%',
+    'actions.report': 'Verification Report',
+    'actions.start': 'Start All Conversion',
+    'actions.converting': 'Converting...',
+    'actions.convertingProgress': 'Converting... {percent}%',
+    'actions.allCompleted': 'All Completed!',
+    'actions.someCompleted': '{succeeded}/{total} Completed',
+
+    // File rows
+    'status.ready': 'Ready',
+    'status.queued': 'Queued',
+    'status.converting': 'Converting...',
+    'status.completed': 'Completed ✓',
+    'status.failed': 'Failed ✗',
+    'status.cancelled': 'Cancelled',
+    'status.retry': 'Retry {attempt}/{limit}',
+    'file.readingMetadata': 'Reading metadata…',
+    'file.metadataUnavailable': 'Metadata unavailable',
+    'file.fromExtension': '{container} (from extension)',
+    'file.notExtension': '{container} (not {extension})',
+    'file.settings': 'File output settings',
+    'file.tags': 'Edit tags',
+    'file.waveform': 'Trim and fade',
+    'file.preview': 'Preview',
+    'file.download': 'Download converted file',
+    'file.retry': 'Retry conversion',
+    'file.remove': 'Remove file',
+    'file.cancel': 'Cancel conversion',
+    'estimate.file': 'Estimated output: {size}',
+    'estimate.fileHint': 'From a trial encode of {seconds} s of this file',
+    'estimate.rough': 'Estimated output: ~{size}',
+    'estimate.roughHint': 'From the output format alone, until {seconds} s of this file are trial-encoded',
+    'estimate.batch': { one: 'Estimated output: {size} for {count} file', other: 'Estimated output: {size} for {count} files' },
+    'estimate.unknown': { one: '{count} file not estimated', other: '{count} files not estimated' },
+    'estimate.free': '{free} of storage free',
+    'estimate.exceeds': '⚠️ More than the {free} of storage left',
+    'output.dither': 'Dither {name}',
+    'output.noDither': 'No dither (samples already fit)',
+    'output.padded': 'Source {claimed}-bit holds only {effective}-bit',
+    'verify.passed': { one: '✅ Bit-exact: {count} sample matches', other: '✅ Bit-exact: {count} samples match' },
+    'verify.md5Matches': 'MD5 {hash}… matches',
+    'verify.mismatches': {
+        one: '{count} sample differs, first #{sample} ({seconds} s) channel {channel}: {expected} ≠ {actual}',
+        other: '{count} samples differ, first #{sample} ({seconds} s) channel {channel}: {expected} ≠ {actual}'
+    },
+    'verify.md5Mismatch': 'MD5 mismatch',
+    'verify.failed': '❌ Verification failed: {reasons}',
+    'loudness.limiter': 'limiter {gain} dB',
+    'loudness.album': 'Album {level}',
+    'spectrum.lossy': 'Probably from a lossy file (spectrum cut off at {cutoff})',
+    'spectrum.upsampled': 'Probably upsampled from {rate} (empty above {cutoff})',
+    'spectrum.padded': '{claimed}-bit header, content only {effective}-bit',
+    'spectrum.spectrogram': 'Spectrogram of {name}',
+
+    // Notifications
+    'notify.waitForConversion': '⏳ Wait until the conversion finishes',
+    'notify.filesAdded': { one: '✅ {count} file added', other: '✅ {count} files added' },
+    'notify.filesRejected': { one: '❌ {count} file rejected: {summary}', other: '❌ {count} files rejected: {summary}' },
+    'notify.noFilesSelected': '⚠️ No files selected',
+    'notify.filesSkipped': { one: '⏭️ {count} file that isn\'t audio skipped', other: '⏭️ {count} files that aren\'t audio skipped' },
+    'notify.duplicate': 'File is already in the list',
+    'notify.fileRemoved': '🗑️ File removed',
+    'notify.convertingNotRemovable': '⏳ Files being converted can\'t be removed',
+    'notify.filesRemoved': { one: '✅ {count} file removed', other: '✅ {count} files removed' },
+    'notify.zipCreated': { one: '📦 {count} file bundled ({size})', other: '📦 {count} files bundled ({size})' },
+    'notify.zipFailed': '❌ Could not create the ZIP',
+    'notify.selectFilesFirst': '⚠️ Select files first',
+    'notify.conversionRunning': '⏳ A conversion is already running',
+    'notify.nothingToConvert': '⚠️ No files are waiting to be converted',
+    'notify.storageLow': '⚠️ The converted files (about {size}) may not fit in the {free} of browser storage left',
+    'notify.conversionError': '❌ Something went wrong during the conversion',
+    'notify.presetApplied': '✅ {name} applied to the whole queue',
+    'notify.presetSaved': '💾 Preset "{name}" saved',
+    'notify.presetDeleted': '🗑️ Preset "{name}" deleted',
+    'notify.presetsImported': { one: '📥 {count} preset imported', other: '📥 {count} presets imported' },
+    'notify.presetImportFailed': '❌ Could not import presets: {error}',
+    'notify.noPresetsToExport': '⚠️ Save a preset first, built-in presets are not exported',
+    'notify.serverConnected': '🖥️ Files will be converted on {url}',
+    'notify.serverUnreachable': '❌ Can\'t reach the conversion server at {url}: {error}',
+    'notify.fileCancelled': '⏹️ Conversion of {name} cancelled',
+    'notify.conversionsCancelled': { one: '⏹️ {count} conversion cancelled', other: '⏹️ {count} conversions cancelled' },
+    'notify.resumed': '▶️ Conversion resumed',
+    'notify.paused': '⏸️ Queue paused, running files still finish',
+    'notify.fileConverted': '✅ {name} converted',
+    'notify.resumingInterrupted': {
+        one: '▶️ Resuming {count} interrupted conversion',
+        other: '▶️ Resuming {count} interrupted conversions'
+    },
+    'notify.restored': {
+        one: '📂 {count} file restored from the previous session',
+        other: '📂 {count} files restored from the previous session'
+    },
+    'notify.expired': {
+        one: '🔒 {count} file deleted automatically after 1 hour',
+        other: '🔒 {count} files deleted automatically after 1 hour'
+    },
+    'notify.historyCleared': '✅ Conversion history cleared',
+
+    // Dialogs
+    'modal.confirm': 'Confirm',
+    'modal.ok': 'OK',
+    'modal.cancel': 'Cancel',
+    'modal.delete': 'Delete',
+    'modal.save': 'Save',
+    'confirm.clearAllTitle': '🗑️ Clear All',
+    'confirm.clearAll': { one: 'Remove {count} file from the list?', other: 'Remove {count} files from the list?' },
+    'confirm.clearHistoryTitle': '🗑️ Clear History',
+    'confirm.clearHistory': 'Delete the whole conversion history?',
+    'completion.title': '✨ Conversion Complete!',
+    'completion.outputQuality': '📊 Output Quality:',
+    'completion.group': { one: '• {count} file: {settings}', other: '• {count} files: {settings}' },
+    'completion.quality': '• Quality: {quality}',
+    'completion.lossless': 'Studio Grade - Lossless',
+    'completion.suspect': {
+        one: 'Encoded lossless, but {count} source is not truly lossless/hi-res (see below)',
+        other: 'Encoded lossless, but {count} sources are not truly lossless/hi-res (see below)'
+    },
+    'completion.verified': { one: '• Verification: {count} file bit-exact ✅', other: '• Verification: {count} files bit-exact ✅' },
+    'completion.verifyFailed': '• Verification: {failed} of {count} files FAILED ❌ ({names})',
+    'completion.download': '⬇️ Download each file with its ⬇️ button in the list, or all at once with Download All (ZIP).',
+    'completion.server': 'ℹ️ Files were uploaded to the conversion server at {url}, converted there and downloaded back. The server deletes its copies within 1 hour.',
+    'completion.local': 'ℹ️ Audio is decoded with the Web Audio API and encoded right in the browser. No file is uploaded to a server.',
+    'completion.privacy': '🔒 Privacy: every file is deleted automatically within 1 hour.',
+
+    // Conversion history
+    'history.title': '🕘 Conversion History',
+    'history.search': 'Search file name, format, sample rate…',
+    'history.searchLabel': 'Search conversion history',
+    'history.clear': 'Clear History',
+    'history.noMatches': 'No matching conversions',
+    'history.deleted': 'Already deleted',
+    'history.download': 'Download {name}',
+
+    // Output settings
+    'settings.title': '⚙️ Output Settings',
+    'preset.field': 'Preset',
+    'preset.none': 'Custom settings',
+    'preset.builtIn': 'Built-in',
+    'preset.saved': 'Saved',
+    'preset.archive': 'Archive (24-bit / 96 kHz)',
+    'preset.cd': 'CD (WAV 16-bit / 44.1 kHz)',
+    'preset.voice': 'Voice master (mono)',
+    'preset.save': 'Save as Preset',
+    'preset.delete': 'Delete Preset',
+    'preset.import': 'Import',
+    'preset.export': 'Export',
+    'preset.fileInput': 'Import a presets file',
+    'preset.nameTitle': '💾 Save as Preset',
+    'preset.nameLabel': 'Name of the preset',
+    'preset.replace': 'A preset named "{name}" already exists. Replace it?',
+    'preset.deleteConfirm': 'Delete the preset "{name}"?',
+    'preset.error.format': 'Not a StudioGrade preset file',
+    'preset.error.version': 'Preset file version {version} is newer than this converter supports',
+    'preset.error.noName': 'Preset name is empty',
+    'preset.error.longName': 'Preset name is longer than {max} characters: {name}',
+    'preset.error.noSettings': 'Preset {name} has no settings',
+    'preset.error.invalid': 'Preset {name}: {error}',
+    'settings.default': 'Default',
+    'settings.off': 'Off',
+    'settings.field.outputFormat': 'Format',
+    'settings.field.sampleRate': 'Sample Rate',
+    'settings.field.bitDepth': 'Bit Depth',
+    'settings.field.dither': 'Dither',
+    'settings.field.effectiveDepth': 'Source Depth',
+    'settings.field.channels': 'Channels',
+    'settings.field.compressionLevel': 'FLAC Compression',
+    'settings.field.resampleQuality': 'Resampler',
+    'settings.field.channelMapping': 'Channel Mapping',
+    'settings.field.loudness': 'Loudness',
+    'settings.field.loudnessTarget': 'Normalize',
+    'settings.field.truePeakLimit': 'True Peak Limit',
+    'settings.field.verify': 'Verify Output',
+    'settings.format.promoted': '{name} (RF64 past 4 GB)',
+    'settings.sourceRate': 'Source (no resampling)',
+    'settings.channelCount': { one: '{count} Channel', other: '{count} Channels' },
+    'settings.layout.1': 'Mono',
+    'settings.layout.2': 'Stereo',
+    'settings.layout.4': 'Quad',
+    'settings.layout.6': '5.1 Surround',
+    'settings.layout.8': '7.1 Surround',
+    'settings.bits': '{bits}-bit',
+    'settings.fastest': '{level} (Fastest)',
+    'settings.smallest': '{level} (Smallest)',
+    'settings.resample.fast': 'Fast',
+    'settings.resample.standard': 'Standard',
+    'settings.resample.mastering': 'Mastering',
+    'settings.mapping.duplicate': 'Duplicate',
+    'settings.mapping.matrix': 'Passive matrix',
+    'settings.mapping.direct': 'Direct (no fill)',
+    'settings.mapping.custom': 'Custom matrix',
+    'settings.loudness.track': 'Track (ReplayGain)',
+    'settings.loudness.album': 'Album (whole batch)',
+    'settings.depth.detect': 'Detect (no zero padding)',
+    'settings.depth.keep': 'Always use Bit Depth',
+    'settings.dither.tpdf': 'TPDF',
+    'settings.dither.highpass': 'TPDF + high-pass shaping',
+    'settings.dither.lipshitz': 'TPDF + E-weighted shaping',
+    'settings.dither.fweighted': 'TPDF + F-weighted shaping',
+    'settings.verify.on': 'Bit-exact check',
+    'matrix.sourceChannels': 'Source Channels',
+    'matrix.reset': '↺ Reset',
+    'matrix.corner': 'Out \\ In',
+    'matrix.gain': '{source} to {output}',
+    'matrix.hint': 'Applies to {layout} sources only.',
+
+    // Quality summary
+    'quality.sourceRate': 'Source rate',
+    'quality.level': 'Level {level}',
+    'quality.uncompressed': 'Uncompressed',
+    'quality.untouched': 'Untouched',
+    'quality.measured': 'Measured',
+
+    // Verification report
+    'report.title': 'StudioGrade Audio Converter - Verification Report',
+    'report.created': 'Created: {date}',
+    'report.summary': 'Files: {files} • Passed: {passed} • Failed: {failed} • Not verified: {skipped}',
+    'report.passed': '[PASS] {path} (from {source})',
+    'report.failed': '[FAIL] {path} (from {source})',
+    'report.skipped': '[SKIP] {path} (from {source})',
+    'report.format': '  Format: {format} • {rate} kHz • {channels} ch • {bits}-bit',
+    'report.unknown': 'unknown',
+    'report.samples': '  Samples compared: {compared} • Mismatches: {mismatches}',
+    'report.firstMismatch': '  First mismatch: sample {sample} ({seconds} s), channel {channel}: expected {expected}, got {actual}',
+    'report.md5Stored': '  MD5 stored:  {md5}',
+    'report.md5Decoded': '  MD5 decoded: {md5}',
+    'report.md5Mismatch': '  MD5 decoded: {md5} (MISMATCH)',
+    'report.notSet': '(not set)',
+    'report.error': '  Error: {error}',
+
+    // Tag editor
+    'tags.reading': 'Reading tags…',
+    'tags.field.TITLE': 'Title',
+    'tags.field.ARTIST': 'Artist',
+    'tags.field.ALBUM': 'Album',
+    'tags.field.ALBUMARTIST': 'Album Artist',
+    'tags.field.TRACKNUMBER': 'Track',
+    'tags.field.DISCNUMBER': 'Disc',
+    'tags.field.DATE': 'Date',
+    'tags.field.GENRE': 'Genre',
+    'tags.field.ISRC': 'ISRC',
+    'tags.field.COMMENT': 'Comment',
+    'tags.removeArtwork': '🗑️ Remove Artwork',
+    'tags.otherKept': { one: '+{count} other tag kept', other: '+{count} other tags kept' },
+    'tags.noArtwork': 'No artwork',
+    'tags.images': { one: '{count} image', other: '{count} images' },
+
+    // Waveform editor
+    'waveform.reading': 'Reading waveform…',
+    'waveform.unavailable': 'Waveform unavailable: {error}',
+    'waveform.label': 'Waveform of {name}',
+    'waveform.in': 'In (s)',
+    'waveform.out': 'Out (s)',
+    'waveform.end': 'End',
+    'waveform.fadeIn': 'Fade In (s)',
+    'waveform.fadeOut': 'Fade Out (s)',
+    'waveform.fadeCurve': 'Fade Curve',
+    'waveform.trimSilence': 'Trim Silence',
+    'waveform.below': 'Below {threshold} dB',
+    'waveform.reset': '↺ Reset',
+    'waveform.curve.linear': 'Linear',
+    'waveform.curve.equalPower': 'Equal power',
+    'waveform.curve.exponential': 'Exponential',
+    'waveform.curve.logarithmic': 'Logarithmic',
+    'waveform.curve.scurve': 'S-curve',
+    'edits.end': 'end',
+    'edits.fade': 'Fade {fadeIn} s / {fadeOut} s ({curve})',
+    'edits.silence': 'Trim silence < {threshold} dB',
+
+    // Preview player
+    'preview.play': 'Play',
+    'preview.pause': 'Pause',
+    'preview.source': 'Preview source',
+    'preview.a': 'A: Source',
+    'preview.b': 'B: Output',
+    'preview.null': 'Null test',
+    'preview.loop': 'Loop',
+    'preview.from': 'From (s)',
+    'preview.to': 'To (s)',
+    'preview.noWebAudio': 'The Web Audio API is not available in this browser',
+    'preview.loading': 'Loading preview…',
+    'preview.unavailable': 'Preview unavailable: {error}',
+    'preview.needsOutput': 'B and the null test are available once the conversion finishes',
+    'preview.reload': 'New result available, press Play to reload',
+    'preview.levelsEqual': 'A and B have the same level',
+    'preview.levelMatched': 'B level adjusted {gain} dB',
+    'preview.nullChannels': 'Null test can\'t reach zero: channel counts differ ({from} → {to})',
+    'preview.nullIdentical': 'Null test: identical, no difference',
+    'preview.nullResidual': 'Null test: peak difference {level} dBFS',
+
+    // Notification center
+    'notifications.region': 'Notifications',
+    'notifications.title': '🔔 Notifications',
+    'notifications.history': 'Notification history',
+    'notifications.clear': 'Clear',
+    'notifications.close': 'Close notification history',
+    'notifications.dismiss': 'Dismiss notification',
+    'notifications.empty': 'No notifications yet',
+    'notifications.details': 'Details ({count})',
+    'notifications.unread': 'Notifications ({count} unread)',
+
+    // Converter
+    'validate.unreadable': 'File can\'t be read',
+    'validate.empty': 'File is empty',
+    'validate.truncated': 'File is truncated (smaller than its header says)',
+    'validate.truncatedContainer': '{container} file is truncated (smaller than its header says)',
+    'validate.corrupt': '{container} header is corrupt or incomplete',
+    'validate.mismatch': 'Content is not a valid {extension}',
+    'validate.unsupported': 'Unsupported format',
+    'validate.tooLarge': 'File too large. Maximum {size}',
+    'error.metadata': 'Failed to load audio metadata',
+    'error.noWebAudio': 'Web Audio API is not available in this browser',
+    'error.decode': 'Failed to decode audio: {reason}',
+    'error.decodeUnknown': 'unsupported or corrupt data',
+    'error.unknownSetting': 'Unknown setting: {key}',
+    'error.invalidSetting': '{field} {value} is not supported',
+    'error.unknownPreset': 'Unknown preset: {id}',
+    'error.matrix.unset': 'Custom matrix is not set',
+    'error.matrix.channels': 'Custom matrix channel count must be 1-8, got {count}',
+    'error.matrix.shape': 'Custom matrix must have {outputs} rows of {inputs} gains',
+    'error.matrix.gain': 'Custom matrix gains must be numbers between -{max} and {max}'
+};
+
+I18n.register('en', MESSAGES_EN);
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MESSAGES_EN;
+}
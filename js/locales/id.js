@@ -0,0 +1,356 @@
+/**
+ * StudioGrade Audio Converter
+ * Indonesian messages
+ *
+ * Indonesian has no plural forms, so counted messages are plain strings.
+ */
+
+const MESSAGES_ID = {
+    // Page
+    'page.tagline': 'Konversi tanpa batas ke FLAC 96kHz/7.1 Surround.',
+    'page.taglineQuality': 'Kualitas studio. Otomatis. Sempurna.',
+    'page.language': 'Bahasa',
+    'page.footerPowered': 'Didukung Web Audio API • Diproses di Browser',
+    'theme.toLight': 'Beralih ke mode terang',
+    'theme.toDark': 'Beralih ke mode gelap',
+    'dropZone.title': 'Letakkan File atau Folder Audio di Sini',
+    'dropZone.hint': 'Atau klik untuk memilih file • Semua format audio didukung • Struktur folder dipertahankan',
+    'dropZone.add': 'Tambah File (Tanpa Batas)',
+    'dropZone.input': 'Pilih file audio',
+    'dropZone.addFolder': 'Tambah Folder',
+    'dropZone.folderInput': 'Pilih folder',
+    'features.input.title': 'Input Universal',
+    'features.input.text': 'Menerima semua format audio: MP3, WAV, AAC, OGG, M4A, WMA, ALAC, dan lainnya.',
+    'features.config.title': 'Konfigurasi Otomatis',
+    'features.config.text': 'Output bawaan FLAC 96kHz, 7.1 Surround untuk kualitas tertinggi.',
+    'features.batch.title': 'Proses Massal',
+    'features.batch.text': 'Antrian paralel dengan Web Worker sebanyak core CPU. File baru langsung mulai begitu satu selesai.',
+    'features.retention.title': 'Tanpa Penyimpanan',
+    'features.retention.text': 'Semua file dihapus otomatis dalam 1 jam. Privasi dan keamanan terjamin.',
+
+    // Queue actions
+    'actions.autoRetry': 'Coba ulang otomatis',
+    'actions.autoRetryLabel': 'Jumlah coba ulang otomatis untuk file yang gagal',
+    'actions.convertOn': 'Konversi di',
+    'actions.convertOnLabel': 'Tempat file dikonversi',
+    'actions.mode.local': 'Perangkat ini',
+    'actions.mode.server': 'Server',
+    'actions.serverUrlLabel': 'Alamat server konversi',
+    'actions.clearAll': 'Hapus Semua',
+    'actions.pause': 'Jeda',
+    'actions.resume': 'Lanjutkan',
+    'actions.cancelAll': 'Batalkan Semua',
+    'actions.downloadAll': 'Unduh Semua ({count})',
+    'actions.zipping': 'Membuat ZIP... {percent}%',
+    'actions.report': 'Laporan Verifikasi',
+    'actions.start': 'Mulai Semua Konversi',
+    'actions.converting': 'Mengonversi...',
+    'actions.convertingProgress': 'Mengonversi... {percent}%',
+    'actions.allCompleted': 'Semua Selesai!',
+    'actions.someCompleted': '{succeeded}/{total} Selesai',
+
+    // File rows
+    'status.ready': 'Siap',
+    'status.queued': 'Antre',
+    'status.converting': 'Mengonversi...',
+    'status.completed': 'Selesai ✓',
+    'status.failed': 'Gagal ✗',
+    'status.cancelled': 'Dibatalkan',
+    'status.retry': 'Coba ulang {attempt}/{limit}',
+    'file.readingMetadata': 'Membaca metadata…',
+    'file.metadataUnavailable': 'Metadata tidak tersedia',
+    'file.fromExtension': '{container} (dari ekstensi)',
+    'file.notExtension': '{container} (bukan {extension})',
+    'file.settings': 'Pengaturan output file',
+    'file.tags': 'Edit tag',
+    'file.waveform': 'Potong dan fade',
+    'file.preview': 'Pratinjau',
+    'file.download': 'Unduh file hasil konversi',
+    'file.retry': 'Coba ulang konversi',
+    'file.remove': 'Hapus file',
+    'file.cancel': 'Batalkan konversi',
+    'estimate.file': 'Perkiraan hasil: {size}',
+    'estimate.fileHint': 'Dari uji encode {seconds} dtk file ini',
+    'estimate.rough': 'Perkiraan hasil: ~{size}',
+    'estimate.roughHint': 'Hanya dari format keluaran, sampai {seconds} dtk file ini diuji encode',
+    'estimate.batch': 'Perkiraan hasil: {size} untuk {count} file',
+    'estimate.unknown': '{count} file belum diperkirakan',
+    'estimate.free': 'Sisa penyimpanan {free}',
+    'estimate.exceeds': '⚠️ Melebihi sisa penyimpanan {free}',
+    'output.dither': 'Dither {name}',
+    'output.noDither': 'Tanpa dither (sampel sudah pas)',
+    'output.padded': 'Sumber {claimed}-bit hanya berisi {effective}-bit',
+    'verify.passed': '✅ Bit-exact: {count} sampel cocok',
+    'verify.md5Matches': 'MD5 {hash}… cocok',
+    'verify.mismatches': '{count} sampel berbeda, pertama #{sample} ({seconds} s) kanal {channel}: {expected} ≠ {actual}',
+    'verify.md5Mismatch': 'MD5 tidak cocok',
+    'verify.failed': '❌ Verifikasi gagal: {reasons}',
+    'loudness.limiter': 'limiter {gain} dB',
+    'loudness.album': 'Album {level}',
+    'spectrum.lossy': 'Kemungkinan dari file lossy (spektrum terpotong di {cutoff})',
+    'spectrum.upsampled': 'Kemungkinan di-upsample dari {rate} (kosong di atas {cutoff})',
+    'spectrum.padded': 'Header {claimed}-bit, isi hanya {effective}-bit',
+    'spectrum.spectrogram': 'Spektrogram {name}',
+
+    // Notifications
+    'notify.waitForConversion': '⏳ Tunggu hingga konversi selesai',
+    'notify.filesAdded': '✅ {count} file ditambahkan',
+    'notify.filesRejected': '❌ {count} file ditolak: {summary}',
+    'notify.noFilesSelected': '⚠️ Tidak ada file yang dipilih',
+    'notify.filesSkipped': '⏭️ {count} file non-audio dilewati',
+    'notify.duplicate': 'File sudah ada dalam daftar',
+    'notify.fileRemoved': '🗑️ File dihapus',
+    'notify.convertingNotRemovable': '⏳ File yang sedang dikonversi tidak dapat dihapus',
+    'notify.filesRemoved': '✅ {count} file dihapus',
+    'notify.zipCreated': '📦 {count} file dibundel ({size})',
+    'notify.zipFailed': '❌ Gagal membuat ZIP',
+    'notify.selectFilesFirst': '⚠️ Pilih file terlebih dahulu',
+    'notify.conversionRunning': '⏳ Konversi sedang berlangsung',
+    'notify.nothingToConvert': '⚠️ Tidak ada file yang menunggu konversi',
+    'notify.storageLow': '⚠️ File hasil konversi (sekitar {size}) mungkin tidak muat di sisa penyimpanan browser {free}',
+    'notify.conversionError': '❌ Terjadi kesalahan saat konversi',
+    'notify.presetApplied': '✅ {name} diterapkan ke seluruh antrean',
+    'notify.presetSaved': '💾 Preset "{name}" disimpan',
+    'notify.presetDeleted': '🗑️ Preset "{name}" dihapus',
+    'notify.presetsImported': '📥 {count} preset diimpor',
+    'notify.presetImportFailed': '❌ Gagal mengimpor preset: {error}',
+    'notify.noPresetsToExport': '⚠️ Simpan preset terlebih dahulu, preset bawaan tidak diekspor',
+    'notify.serverConnected': '🖥️ File akan dikonversi di {url}',
+    'notify.serverUnreachable': '❌ Server konversi di {url} tidak dapat dihubungi: {error}',
+    'notify.fileCancelled': '⏹️ Konversi {name} dibatalkan',
+    'notify.conversionsCancelled': '⏹️ {count} konversi dibatalkan',
+    'notify.resumed': '▶️ Konversi dilanjutkan',
+    'notify.paused': '⏸️ Antrian dijeda, file yang sedang berjalan tetap diselesaikan',
+    'notify.fileConverted': '✅ {name} berhasil dikonversi',
+    'notify.resumingInterrupted': '▶️ Melanjutkan {count} konversi yang terputus',
+    'notify.restored': '📂 {count} file dari sesi sebelumnya dipulihkan',
+    'notify.expired': '🔒 {count} file dihapus otomatis setelah 1 jam',
+    'notify.historyCleared': '✅ Riwayat konversi dihapus',
+
+    // Dialogs
+    'modal.confirm': 'Konfirmasi',
+    'modal.ok': 'OK',
+    'modal.cancel': 'Batal',
+    'modal.delete': 'Hapus',
+    'modal.save': 'Simpan',
+    'confirm.clearAllTitle': '🗑️ Hapus Semua',
+    'confirm.clearAll': 'Hapus {count} file dari daftar?',
+    'confirm.clearHistoryTitle': '🗑️ Hapus Riwayat',
+    'confirm.clearHistory': 'Hapus seluruh riwayat konversi?',
+    'completion.title': '✨ Konversi Selesai!',
+    'completion.outputQuality': '📊 Kualitas Output:',
+    'completion.group': '• {count} file: {settings}',
+    'completion.quality': '• Kualitas: {quality}',
+    'completion.lossless': 'Studio Grade - Lossless',
+    'completion.suspect': 'Encode lossless, tetapi {count} sumber tidak benar-benar lossless/hi-res (lihat di bawah)',
+    'completion.verified': '• Verifikasi: {count} file bit-exact ✅',
+    'completion.verifyFailed': '• Verifikasi: {failed} dari {count} file GAGAL ❌ ({names})',
+    'completion.download': '⬇️ Unduh tiap file dengan tombol ⬇️ di daftar, atau semuanya sekaligus lewat Unduh Semua (ZIP).',
+    'completion.server': 'ℹ️ File diunggah ke server konversi di {url}, dikonversi di sana, lalu diunduh kembali. Server menghapus salinannya dalam 1 jam.',
+    'completion.local': 'ℹ️ Audio didekode dengan Web Audio API dan di-encode langsung di browser. Tidak ada file yang diunggah ke server.',
+    'completion.privacy': '🔒 Privasi: Semua file akan dihapus otomatis dalam 1 jam.',
+
+    // Conversion history
+    'history.title': '🕘 Riwayat Konversi',
+    'history.search': 'Cari nama file, format, sample rate…',
+    'history.searchLabel': 'Cari riwayat konversi',
+    'history.clear': 'Hapus Riwayat',
+    'history.noMatches': 'Tidak ada konversi yang cocok',
+    'history.deleted': 'Sudah dihapus',
+    'history.download': 'Unduh {name}',
+
+    // Output settings
+    'settings.title': '⚙️ Pengaturan Output',
+    'preset.field': 'Preset',
+    'preset.none': 'Pengaturan kustom',
+    'preset.builtIn': 'Bawaan',
+    'preset.saved': 'Tersimpan',
+    'preset.archive': 'Arsip (24-bit / 96 kHz)',
+    'preset.cd': 'CD (WAV 16-bit / 44,1 kHz)',
+    'preset.voice': 'Master suara (mono)',
+    'preset.save': 'Simpan sebagai Preset',
+    'preset.delete': 'Hapus Preset',
+    'preset.import': 'Impor',
+    'preset.export': 'Ekspor',
+    'preset.fileInput': 'Impor file preset',
+    'preset.nameTitle': '💾 Simpan sebagai Preset',
+    'preset.nameLabel': 'Nama preset',
+    'preset.replace': 'Preset bernama "{name}" sudah ada. Ganti?',
+    'preset.deleteConfirm': 'Hapus preset "{name}"?',
+    'preset.error.format': 'Bukan file preset StudioGrade',
+    'preset.error.version': 'File preset versi {version} lebih baru dari yang didukung konverter ini',
+    'preset.error.noName': 'Nama preset kosong',
+    'preset.error.longName': 'Nama preset lebih dari {max} karakter: {name}',
+    'preset.error.noSettings': 'Preset {name} tidak berisi pengaturan',
+    'preset.error.invalid': 'Preset {name}: {error}',
+    'settings.default': 'Bawaan',
+    'settings.off': 'Mati',
+    'settings.field.outputFormat': 'Format',
+    'settings.field.sampleRate': 'Sample Rate',
+    'settings.field.bitDepth': 'Bit Depth',
+    'settings.field.dither': 'Dither',
+    'settings.field.effectiveDepth': 'Kedalaman Sumber',
+    'settings.field.channels': 'Kanal',
+    'settings.field.compressionLevel': 'Kompresi FLAC',
+    'settings.field.resampleQuality': 'Resampler',
+    'settings.field.channelMapping': 'Pemetaan Kanal',
+    'settings.field.loudness': 'Loudness',
+    'settings.field.loudnessTarget': 'Normalisasi',
+    'settings.field.truePeakLimit': 'Batas True Peak',
+    'settings.field.verify': 'Verifikasi Output',
+    'settings.format.promoted': '{name} (RF64 di atas 4 GB)',
+    'settings.sourceRate': 'Sumber (tanpa resampling)',
+    'settings.channelCount': '{count} Kanal',
+    'settings.layout.1': 'Mono',
+    'settings.layout.2': 'Stereo',
+    'settings.layout.4': 'Quad',
+    'settings.layout.6': '5.1 Surround',
+    'settings.layout.8': '7.1 Surround',
+    'settings.bits': '{bits}-bit',
+    'settings.fastest': '{level} (Tercepat)',
+    'settings.smallest': '{level} (Terkecil)',
+    'settings.resample.fast': 'Cepat',
+    'settings.resample.standard': 'Standar',
+    'settings.resample.mastering': 'Mastering',
+    'settings.mapping.duplicate': 'Duplikasi',
+    'settings.mapping.matrix': 'Matriks pasif',
+    'settings.mapping.direct': 'Langsung (tanpa isian)',
+    'settings.mapping.custom': 'Matriks kustom',
+    'settings.loudness.track': 'Per lagu (ReplayGain)',
+    'settings.loudness.album': 'Album (seluruh batch)',
+    'settings.depth.detect': 'Deteksi (tanpa zero padding)',
+    'settings.depth.keep': 'Selalu pakai Bit Depth',
+    'settings.dither.tpdf': 'TPDF',
+    'settings.dither.highpass': 'TPDF + shaping high-pass',
+    'settings.dither.lipshitz': 'TPDF + shaping E-weighted',
+    'settings.dither.fweighted': 'TPDF + shaping F-weighted',
+    'settings.verify.on': 'Cek bit-exact',
+    'matrix.sourceChannels': 'Kanal Sumber',
+    'matrix.reset': '↺ Atur Ulang',
+    'matrix.corner': 'Keluar \\ Masuk',
+    'matrix.gain': '{source} ke {output}',
+    'matrix.hint': 'Hanya berlaku untuk sumber {layout}.',
+
+    // Quality summary
+    'quality.sourceRate': 'Rate sumber',
+    'quality.level': 'Level {level}',
+    'quality.uncompressed': 'Tanpa kompresi',
+    'quality.untouched': 'Tidak diubah',
+    'quality.measured': 'Diukur',
+
+    // Verification report
+    'report.title': 'StudioGrade Audio Converter - Laporan Verifikasi',
+    'report.created': 'Dibuat: {date}',
+    'report.summary': 'File: {files} • Lolos: {passed} • Gagal: {failed} • Tidak diverifikasi: {skipped}',
+    'report.passed': '[LOLOS] {path} (dari {source})',
+    'report.failed': '[GAGAL] {path} (dari {source})',
+    'report.skipped': '[LEWAT] {path} (dari {source})',
+    'report.format': '  Format: {format} • {rate} kHz • {channels} kanal • {bits}-bit',
+    'report.unknown': 'tidak diketahui',
+    'report.samples': '  Sampel dibandingkan: {compared} • Selisih: {mismatches}',
+    'report.firstMismatch': '  Selisih pertama: sampel {sample} ({seconds} dtk), kanal {channel}: seharusnya {expected}, didapat {actual}',
+    'report.md5Stored': '  MD5 tersimpan:     {md5}',
+    'report.md5Decoded': '  MD5 hasil dekode: {md5}',
+    'report.md5Mismatch': '  MD5 hasil dekode: {md5} (TIDAK COCOK)',
+    'report.notSet': '(tidak diisi)',
+    'report.error': '  Kesalahan: {error}',
+
+    // Tag editor
+    'tags.reading': 'Membaca tag…',
+    'tags.field.TITLE': 'Judul',
+    'tags.field.ARTIST': 'Artis',
+    'tags.field.ALBUM': 'Album',
+    'tags.field.ALBUMARTIST': 'Artis Album',
+    'tags.field.TRACKNUMBER': 'Trek',
+    'tags.field.DISCNUMBER': 'Disk',
+    'tags.field.DATE': 'Tanggal',
+    'tags.field.GENRE': 'Genre',
+    'tags.field.ISRC': 'ISRC',
+    'tags.field.COMMENT': 'Komentar',
+    'tags.removeArtwork': '🗑️ Hapus Artwork',
+    'tags.otherKept': '+{count} tag lain dipertahankan',
+    'tags.noArtwork': 'Tanpa artwork',
+    'tags.images': '{count} gambar',
+
+    // Waveform editor
+    'waveform.reading': 'Membaca waveform…',
+    'waveform.unavailable': 'Waveform tidak tersedia: {error}',
+    'waveform.label': 'Waveform {name}',
+    'waveform.in': 'Masuk (s)',
+    'waveform.out': 'Keluar (s)',
+    'waveform.end': 'Akhir',
+    'waveform.fadeIn': 'Fade In (s)',
+    'waveform.fadeOut': 'Fade Out (s)',
+    'waveform.fadeCurve': 'Kurva Fade',
+    'waveform.trimSilence': 'Potong Hening',
+    'waveform.below': 'Di bawah {threshold} dB',
+    'waveform.reset': '↺ Atur Ulang',
+    'waveform.curve.linear': 'Linear',
+    'waveform.curve.equalPower': 'Daya sama',
+    'waveform.curve.exponential': 'Eksponensial',
+    'waveform.curve.logarithmic': 'Logaritmik',
+    'waveform.curve.scurve': 'Kurva S',
+    'edits.end': 'akhir',
+    'edits.fade': 'Fade {fadeIn} s / {fadeOut} s ({curve})',
+    'edits.silence': 'Potong hening < {threshold} dB',
+
+    // Preview player
+    'preview.play': 'Putar',
+    'preview.pause': 'Jeda',
+    'preview.source': 'Sumber pratinjau',
+    'preview.a': 'A: Sumber',
+    'preview.b': 'B: Hasil',
+    'preview.null': 'Null test',
+    'preview.loop': 'Ulang',
+    'preview.from': 'Dari (s)',
+    'preview.to': 'Sampai (s)',
+    'preview.noWebAudio': 'Web Audio API tidak tersedia di browser ini',
+    'preview.loading': 'Memuat pratinjau…',
+    'preview.unavailable': 'Pratinjau tidak tersedia: {error}',
+    'preview.needsOutput': 'B dan null test tersedia setelah konversi selesai',
+    'preview.reload': 'Hasil baru tersedia, tekan Putar untuk memuat ulang',
+    'preview.levelsEqual': 'Level A dan B sama',
+    'preview.levelMatched': 'Level B disesuaikan {gain} dB',
+    'preview.nullChannels': 'Null test tidak bisa nol: jumlah kanal berbeda ({from} → {to})',
+    'preview.nullIdentical': 'Null test: identik, tidak ada selisih',
+    'preview.nullResidual': 'Null test: selisih puncak {level} dBFS',
+
+    // Notification center
+    'notifications.region': 'Notifikasi',
+    'notifications.title': '🔔 Notifikasi',
+    'notifications.history': 'Riwayat notifikasi',
+    'notifications.clear': 'Bersihkan',
+    'notifications.close': 'Tutup riwayat notifikasi',
+    'notifications.dismiss': 'Tutup notifikasi',
+    'notifications.empty': 'Belum ada notifikasi',
+    'notifications.details': 'Detail ({count})',
+    'notifications.unread': 'Notifikasi ({count} belum dibaca)',
+
+    // Converter
+    'validate.unreadable': 'File tidak dapat dibaca',
+    'validate.empty': 'File kosong',
+    'validate.truncated': 'File terpotong (lebih kecil dari ukuran di header)',
+    'validate.truncatedContainer': 'File {container} terpotong (lebih kecil dari ukuran di header)',
+    'validate.corrupt': 'Header {container} rusak atau tidak lengkap',
+    'validate.mismatch': 'Isi file bukan {extension} yang valid',
+    'validate.unsupported': 'Format tidak didukung',
+    'validate.tooLarge': 'File terlalu besar. Maksimum {size}',
+    'error.metadata': 'Gagal membaca metadata audio',
+    'error.noWebAudio': 'Web Audio API tidak tersedia di browser ini',
+    'error.decode': 'Gagal mendekode audio: {reason}',
+    'error.decodeUnknown': 'data tidak didukung atau rusak',
+    'error.unknownSetting': 'Pengaturan tidak dikenal: {key}',
+    'error.invalidSetting': '{field} {value} tidak didukung',
+    'error.unknownPreset': 'Preset tidak dikenal: {id}',
+    'error.matrix.unset': 'Matriks kustom belum diatur',
+    'error.matrix.channels': 'Jumlah kanal matriks kustom harus 1-8, bukan {count}',
+    'error.matrix.shape': 'Matriks kustom harus berisi {outputs} baris dengan {inputs} gain',
+    'error.matrix.gain': 'Gain matriks kustom harus berupa angka antara -{max} dan {max}'
+};
+
+I18n.register('id', MESSAGES_ID);
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MESSAGES_ID;
+}
@@ -0,0 +1,462 @@
+/**
+ * StudioGrade Audio Converter
+ * Loudness Meter
+ *
+ * ITU-R BS.1770-4 / EBU R128 measurement: K-weighted integrated
+ * loudness with absolute and relative gating, loudness range
+ * (EBU Tech 3342) and true peak from an oversampled signal.
+ * Also applies normalization gain and a true-peak limiter.
+ *
+ * Runs inside the conversion worker; must not touch the DOM.
+ */
+
+class LoudnessMeter {
+    /**
+     * Measure a signal
+     * @param {Array<Float32Array>} channels - Samples per channel, in FLAC speaker order
+     * @param {number} sampleRate - Sample rate
+     * @param {Function} [onProgress] - Receives progress 0-100
+     * @param {Function} [checkpoint] - Yields and checks for cancellation
+     * @returns {Promise<Object>} { integrated, range, truePeak, samplePeak, blocks, shortTerm }
+     *   loudness in LUFS / LU, peaks in dBTP / dBFS; blocks and shortTerm
+     *   are the ungated mean-square powers, kept for album measurement
+     */
+    static async analyze(channels, sampleRate, onProgress = () => {}, checkpoint = async () => {}) {
+        const length = channels[0].length;
+        const segmentLength = Math.round(sampleRate * LoudnessMeter.SEGMENT_SECONDS);
+        const segments = new Float64Array(Math.floor(length / segmentLength));
+        const weights = LoudnessMeter.channelWeights(channels.length);
+        const filters = LoudnessMeter.kWeighting(sampleRate);
+        const phases = LoudnessMeter.interpolationPhases(LoudnessMeter.oversampling(sampleRate));
+        const chunk = 1 << 16;
+        let truePeak = 0;
+        let samplePeak = 0;
+
+        for (let c = 0; c < channels.length; c++) {
+            const samples = channels[c];
+            const weight = weights[c];
+            const state = filters.map(() => ({ z1: 0, z2: 0 }));
+
+            for (let start = 0; start < length; start += chunk) {
+                const end = Math.min(length, start + chunk);
+
+                // Mean square of the K-weighted signal per 100 ms segment
+                if (weight > 0) {
+                    for (let n = start; n < end; n++) {
+                        let value = samples[n];
+                        for (let f = 0; f < filters.length; f++) {
+                            const { b0, b1, b2, a1, a2 } = filters[f];
+                            const s = state[f];
+                            const out = b0 * value + s.z1;
+                            s.z1 = b1 * value - a1 * out + s.z2;
+                            s.z2 = b2 * value - a2 * out;
+                            value = out;
+                        }
+                        const segment = (n / segmentLength) | 0;
+                        if (segment < segments.length) segments[segment] += weight * value * value;
+                    }
+                }
+
+                const peaks = LoudnessMeter.peakRange(samples, start, end, phases);
+                if (peaks.sample > samplePeak) samplePeak = peaks.sample;
+                if (peaks.true > truePeak) truePeak = peaks.true;
+
+                onProgress(((c + (end / length)) / channels.length) * 100);
+                await checkpoint();
+            }
+        }
+
+        const blocks = LoudnessMeter.windowPowers(segments, segmentLength, LoudnessMeter.MOMENTARY_SEGMENTS);
+        const shortTerm = LoudnessMeter.windowPowers(segments, segmentLength, LoudnessMeter.SHORT_TERM_SEGMENTS);
+        return {
+            ...LoudnessMeter.summarize(blocks, shortTerm),
+            truePeak: LoudnessMeter.toDecibels(truePeak),
+            samplePeak: LoudnessMeter.toDecibels(samplePeak),
+            blocks,
+            shortTerm
+        };
+    }
+
+    /**
+     * Measure several signals as one programme (album mode)
+     * @param {Array<Object>} measurements - Results of analyze
+     * @returns {Object} { integrated, range, truePeak, samplePeak }
+     */
+    static combine(measurements) {
+        const join = (key) => {
+            const all = new Float64Array(measurements.reduce((sum, m) => sum + m[key].length, 0));
+            let offset = 0;
+            measurements.forEach(m => {
+                all.set(m[key], offset);
+                offset += m[key].length;
+            });
+            return all;
+        };
+        return {
+            ...LoudnessMeter.summarize(join('blocks'), join('shortTerm')),
+            truePeak: Math.max(...measurements.map(m => m.truePeak)),
+            samplePeak: Math.max(...measurements.map(m => m.samplePeak))
+        };
+    }
+
+    /**
+     * Gated integrated loudness and loudness range from window powers
+     * @param {Float64Array} blocks - 400 ms block powers
+     * @param {Float64Array} shortTerm - 3 s window powers
+     * @returns {Object} { integrated, range } (-Infinity / 0 for silence)
+     */
+    static summarize(blocks, shortTerm) {
+        const integrated = LoudnessMeter.gatedPowers(blocks, LoudnessMeter.RELATIVE_GATE);
+        const mean = integrated.reduce((sum, p) => sum + p, 0) / integrated.length;
+
+        // EBU Tech 3342: spread between the 10th and 95th percentile of short-term loudness
+        const levels = LoudnessMeter.gatedPowers(shortTerm, LoudnessMeter.RANGE_GATE)
+            .map(LoudnessMeter.toLoudness)
+            .sort((a, b) => a - b);
+        const percentile = (p) => levels[Math.round((levels.length - 1) * p)];
+
+        return {
+            integrated: integrated.length > 0 ? LoudnessMeter.toLoudness(mean) : -Infinity,
+            range: levels.length > 0 ? percentile(0.95) - percentile(0.1) : 0
+        };
+    }
+
+    /**
+     * Scale every channel in place
+     * Channels that share a buffer (duplicated by the mixer) are scaled once
+     * @param {Array<Float32Array>} channels - Samples per channel
+     * @param {number} gainDb - Gain in dB
+     */
+    static applyGain(channels, gainDb) {
+        const gain = 10 ** (gainDb / 20);
+        new Set(channels).forEach(samples => {
+            for (let n = 0; n < samples.length; n++) samples[n] *= gain;
+        });
+    }
+
+    /**
+     * Look-ahead limiter keeping the true peak under a ceiling, in place
+     * The gain curve is a forward minimum of the required gain followed by
+     * a moving average of the same length, which reaches the required gain
+     * by each peak without stepping, then releases exponentially.
+     * @param {Array<Float32Array>} channels - Samples per channel
+     * @param {number} sampleRate - Sample rate
+     * @param {number} ceilingDb - Maximum true peak in dBTP
+     * @param {Function} [onProgress] - Receives progress 0-100
+     * @param {Function} [checkpoint] - Yields and checks for cancellation
+     * @returns {Promise<number>} Deepest gain reduction in dB
+     */
+    static async limit(channels, sampleRate, ceilingDb, onProgress = () => {}, checkpoint = async () => {}) {
+        const ceiling = 10 ** (ceilingDb / 20);
+        const length = channels[0].length;
+        const buffers = [...new Set(channels)];
+        const phases = LoudnessMeter.interpolationPhases(LoudnessMeter.oversampling(sampleRate));
+        const lookahead = Math.max(
+            Math.round(sampleRate * LoudnessMeter.LIMITER_LOOKAHEAD),
+            LoudnessMeter.INTERPOLATION_TAPS
+        );
+        const release = 1 - Math.exp(-1 / (sampleRate * LoudnessMeter.LIMITER_RELEASE));
+
+        // Monotonic queue for the forward minimum, ring buffer for the moving average
+        const queueSize = lookahead + 2;
+        const queueIndex = new Int32Array(queueSize);
+        const queueValue = new Float64Array(queueSize);
+        let head = 0;
+        let count = 0;
+        const size = lookahead + 1;
+        const averageRing = new Float64Array(size).fill(1);
+        let averageSum = size;
+        let ringPos = 0;
+        let gain = 1;
+        let deepest = 1;
+
+        for (let i = 0; i < length + lookahead; i++) {
+            if (i < length) {
+                let peak = 0;
+                for (const samples of buffers) {
+                    const value = LoudnessMeter.peakAt(samples, i, phases);
+                    if (value > peak) peak = value;
+                }
+                const required = peak > ceiling ? ceiling / peak : 1;
+                while (count > 0 && queueValue[(head + count - 1) % queueSize] >= required) count--;
+                queueIndex[(head + count) % queueSize] = i;
+                queueValue[(head + count) % queueSize] = required;
+                count++;
+            }
+
+            // Sample j gets its gain once everything it looks ahead to is known;
+            // the averaging window also needs the minima before sample 0
+            const j = i - lookahead;
+            while (count > 0 && queueIndex[head] < j) {
+                head = (head + 1) % queueSize;
+                count--;
+            }
+            const minimum = count > 0 ? queueValue[head] : 1;
+
+            averageSum += minimum - averageRing[ringPos];
+            averageRing[ringPos] = minimum;
+            ringPos = (ringPos + 1) % size;
+            if (j < 0) continue;
+
+            gain = Math.min(averageSum / size, gain + (1 - gain) * release);
+            if (gain < deepest) deepest = gain;
+            if (gain < 1) {
+                for (const samples of buffers) samples[j] *= gain;
+            }
+
+            if ((j & 0xffff) === 0) {
+                onProgress((j / length) * 100);
+                await checkpoint();
+            }
+        }
+        onProgress(100);
+        return LoudnessMeter.toDecibels(deepest);
+    }
+
+    /**
+     * ReplayGain 2.0 tags (reference -18 LUFS, peaks as linear true peak)
+     * @param {Object} track - { integrated, truePeak } of the output
+     * @param {Object} [album] - { integrated, truePeak } of the output album
+     * @returns {Array<[string, string]>}
+     */
+    static replayGainTags(track, album) {
+        const tags = [];
+        const add = (scope, { integrated, truePeak }) => {
+            if (!Number.isFinite(integrated)) return;
+            const gain = LoudnessMeter.REPLAYGAIN_REFERENCE - integrated;
+            tags.push([`REPLAYGAIN_${scope}_GAIN`, `${gain >= 0 ? '+' : ''}${gain.toFixed(2)} dB`]);
+            tags.push([`REPLAYGAIN_${scope}_PEAK`, (10 ** (truePeak / 20)).toFixed(6)]);
+        };
+        add('TRACK', track);
+        if (album) add('ALBUM', album);
+        return tags;
+    }
+
+    // ------------------------------------------------
+    // Internals
+    // ------------------------------------------------
+
+    /**
+     * K-weighting pre-filter (high shelf) and RLB high-pass as biquads,
+     * derived for any sample rate from the BS.1770 analog prototypes
+     * @param {number} sampleRate - Sample rate
+     * @returns {Array<Object>} { b0, b1, b2, a1, a2 } per stage
+     */
+    static kWeighting(sampleRate) {
+        const shelf = (() => {
+            const K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+            const Q = 0.7071752369554196;
+            const Vh = 10 ** (3.999843853973347 / 20);
+            const Vb = Vh ** 0.4996667741545416;
+            const a0 = 1 + K / Q + K * K;
+            return {
+                b0: (Vh + (Vb * K) / Q + K * K) / a0,
+                b1: (2 * (K * K - Vh)) / a0,
+                b2: (Vh - (Vb * K) / Q + K * K) / a0,
+                a1: (2 * (K * K - 1)) / a0,
+                a2: (1 - K / Q + K * K) / a0
+            };
+        })();
+        const highPass = (() => {
+            const K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+            const Q = 0.5003270373238773;
+            const a0 = 1 + K / Q + K * K;
+            return {
+                b0: 1,
+                b1: -2,
+                b2: 1,
+                a1: (2 * (K * K - 1)) / a0,
+                a2: (1 - K / Q + K * K) / a0
+            };
+        })();
+        return [shelf, highPass];
+    }
+
+    /**
+     * BS.1770 channel weights: LFE is ignored, surrounds count +1.5 dB
+     * @param {number} count - Channel count
+     * @returns {Array<number>}
+     */
+    static channelWeights(count) {
+        return ChannelMixer.speakers(count).map(speaker => LoudnessMeter.CHANNEL_WEIGHTS[speaker]);
+    }
+
+    /**
+     * Oversampling factor for true peak: 4x below 96 kHz, 2x below 192 kHz
+     * @param {number} sampleRate - Sample rate
+     * @returns {number}
+     */
+    static oversampling(sampleRate) {
+        return sampleRate < 96000 ? 4 : sampleRate < 192000 ? 2 : 1;
+    }
+
+    /**
+     * Windowed-sinc taps for the points between two samples
+     * Phase p interpolates at n + p / factor from samples n - 5 … n + 6
+     * @param {number} factor - Oversampling factor
+     * @returns {Array<Float64Array>} One tap set per intermediate point
+     */
+    static interpolationPhases(factor) {
+        const taps = LoudnessMeter.INTERPOLATION_TAPS;
+        const half = taps / 2;
+        const phases = [];
+        for (let p = 1; p < factor; p++) {
+            const h = new Float64Array(taps);
+            let sum = 0;
+            for (let k = 0; k < taps; k++) {
+                const t = k - half + 1 - p / factor;
+                const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+                h[k] = sinc * (0.5 + 0.5 * Math.cos((Math.PI * t) / half));
+                sum += h[k];
+            }
+            h.forEach((value, k) => { h[k] = value / sum; });
+            phases.push(h);
+        }
+        return phases;
+    }
+
+    /**
+     * Sample and true peak over a range of one channel
+     * @param {Float32Array} samples - Channel samples
+     * @param {number} start - First sample
+     * @param {number} end - Sample to stop before
+     * @param {Array<Float64Array>} phases - From interpolationPhases
+     * @returns {Object} { sample, true } as linear amplitudes
+     */
+    static peakRange(samples, start, end, phases) {
+        let sample = 0;
+        let truePeak = 0;
+        for (let n = start; n < end; n++) {
+            const value = Math.abs(samples[n]);
+            if (value > sample) sample = value;
+            const peak = LoudnessMeter.peakAt(samples, n, phases);
+            if (peak > truePeak) truePeak = peak;
+        }
+        return { sample, true: truePeak };
+    }
+
+    /**
+     * Largest magnitude at a sample and the points up to the next one
+     * @param {Float32Array} samples - Channel samples
+     * @param {number} n - Sample index
+     * @param {Array<Float64Array>} phases - From interpolationPhases
+     * @returns {number}
+     */
+    static peakAt(samples, n, phases) {
+        let peak = Math.abs(samples[n]);
+        if (phases.length === 0) return peak;
+
+        const taps = LoudnessMeter.INTERPOLATION_TAPS;
+        const base = n - taps / 2 + 1;
+        const inside = base >= 0 && base + taps <= samples.length;
+        for (let p = 0; p < phases.length; p++) {
+            const h = phases[p];
+            let sum = 0;
+            if (inside) {
+                for (let k = 0; k < taps; k++) sum += h[k] * samples[base + k];
+            } else {
+                // Zero padding past either end
+                for (let k = 0; k < taps; k++) {
+                    const i = base + k;
+                    if (i >= 0 && i < samples.length) sum += h[k] * samples[i];
+                }
+            }
+            const value = Math.abs(sum);
+            if (value > peak) peak = value;
+        }
+        return peak;
+    }
+
+    /**
+     * Mean-square power of every sliding window of whole segments
+     * @param {Float64Array} segments - Weighted sums of squares per segment
+     * @param {number} segmentLength - Samples per segment
+     * @param {number} span - Segments per window
+     * @returns {Float64Array}
+     */
+    static windowPowers(segments, segmentLength, span) {
+        const count = Math.max(0, segments.length - span + 1);
+        const powers = new Float64Array(count);
+        let sum = 0;
+        for (let i = 0; i < segments.length; i++) {
+            sum += segments[i];
+            if (i >= span) sum -= segments[i - span];
+            if (i >= span - 1) powers[i - span + 1] = Math.max(0, sum) / (span * segmentLength);
+        }
+        return powers;
+    }
+
+    /**
+     * Powers that pass the absolute gate and a gate relative to their mean
+     * @param {Float64Array} powers - Window powers
+     * @param {number} relativeGate - Relative threshold in LU
+     * @returns {Array<number>}
+     */
+    static gatedPowers(powers, relativeGate) {
+        const absolute = LoudnessMeter.toPower(LoudnessMeter.ABSOLUTE_GATE);
+        const loud = Array.from(powers).filter(p => p > absolute);
+        if (loud.length === 0) return [];
+
+        const mean = loud.reduce((sum, p) => sum + p, 0) / loud.length;
+        const relative = mean * 10 ** (relativeGate / 10);
+        return loud.filter(p => p > relative);
+    }
+
+    static toLoudness(power) {
+        return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+    }
+
+    static toPower(loudness) {
+        return 10 ** ((loudness + 0.691) / 10);
+    }
+
+    static toDecibels(amplitude) {
+        return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+    }
+}
+
+/**
+ * Gating and windowing (BS.1770-4, EBU Tech 3341 / 3342)
+ */
+LoudnessMeter.SEGMENT_SECONDS = 0.1;
+LoudnessMeter.MOMENTARY_SEGMENTS = 4;
+LoudnessMeter.SHORT_TERM_SEGMENTS = 30;
+LoudnessMeter.ABSOLUTE_GATE = -70;
+LoudnessMeter.RELATIVE_GATE = -10;
+LoudnessMeter.RANGE_GATE = -20;
+
+/**
+ * Loudness weight per speaker (G_i in BS.1770)
+ */
+LoudnessMeter.CHANNEL_WEIGHTS = {
+    FL: 1,
+    FR: 1,
+    FC: 1,
+    LFE: 0,
+    BL: 1.41,
+    BR: 1.41,
+    BC: 1.41,
+    SL: 1.41,
+    SR: 1.41
+};
+
+/**
+ * Taps per interpolated point of the true-peak filter
+ */
+LoudnessMeter.INTERPOLATION_TAPS = 12;
+
+/**
+ * Limiter look-ahead and release time in seconds
+ */
+LoudnessMeter.LIMITER_LOOKAHEAD = 0.005;
+LoudnessMeter.LIMITER_RELEASE = 0.1;
+
+/**
+ * ReplayGain 2.0 reference level in LUFS
+ */
+LoudnessMeter.REPLAYGAIN_REFERENCE = -18;
+
+// Export for use in workers and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoudnessMeter;
+}
@@ -0,0 +1,149 @@
+/**
+ * StudioGrade Audio Converter
+ * MD5 Digest
+ *
+ * Incremental MD5 (RFC 1321) used for the FLAC STREAMINFO
+ * audio signature. Works in the page, in workers and in Node.
+ */
+
+class Md5 {
+    constructor() {
+        this.state = new Int32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+        this.buffer = new Uint8Array(64);
+        this.words = new Int32Array(16);
+        this.bufferLength = 0;
+        this.length = 0;
+    }
+
+    /**
+     * Feed bytes into the digest
+     * @param {Uint8Array} bytes - Data to hash
+     * @returns {Md5}
+     */
+    update(bytes) {
+        let offset = 0;
+        this.length += bytes.length;
+
+        // Top up a partially filled block first
+        if (this.bufferLength > 0) {
+            const take = Math.min(64 - this.bufferLength, bytes.length);
+            this.buffer.set(bytes.subarray(0, take), this.bufferLength);
+            this.bufferLength += take;
+            offset = take;
+            if (this.bufferLength < 64) return this;
+            this.processBlock(this.buffer, 0);
+            this.bufferLength = 0;
+        }
+
+        while (offset + 64 <= bytes.length) {
+            this.processBlock(bytes, offset);
+            offset += 64;
+        }
+
+        if (offset < bytes.length) {
+            this.buffer.set(bytes.subarray(offset), 0);
+            this.bufferLength = bytes.length - offset;
+        }
+        return this;
+    }
+
+    /**
+     * Finish the digest
+     * @returns {Uint8Array} 16-byte digest
+     */
+    digest() {
+        const bitLength = this.length * 8;
+        const padLength = this.bufferLength < 56 ? 56 - this.bufferLength : 120 - this.bufferLength;
+        const padding = new Uint8Array(padLength + 8);
+        padding[0] = 0x80;
+
+        // Message length in bits, little-endian 64-bit
+        const low = bitLength >>> 0;
+        const high = Math.floor(bitLength / 0x100000000) >>> 0;
+        for (let i = 0; i < 4; i++) {
+            padding[padLength + i] = (low >>> (8 * i)) & 0xff;
+            padding[padLength + 4 + i] = (high >>> (8 * i)) & 0xff;
+        }
+        this.update(padding);
+
+        const out = new Uint8Array(16);
+        for (let i = 0; i < 4; i++) {
+            for (let j = 0; j < 4; j++) {
+                out[i * 4 + j] = (this.state[i] >>> (8 * j)) & 0xff;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Run the MD5 compression function over one 64-byte block
+     * @param {Uint8Array} bytes - Source bytes
+     * @param {number} offset - Block offset
+     */
+    processBlock(bytes, offset) {
+        const x = this.words;
+        for (let i = 0; i < 16; i++) {
+            const p = offset + i * 4;
+            x[i] = bytes[p] | (bytes[p + 1] << 8) | (bytes[p + 2] << 16) | (bytes[p + 3] << 24);
+        }
+
+        let a = this.state[0];
+        let b = this.state[1];
+        let c = this.state[2];
+        let d = this.state[3];
+
+        for (let i = 0; i < 64; i++) {
+            let f;
+            let g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+            const sum = (a + f + Md5.K[i] + x[g]) | 0;
+            const s = Md5.S[i];
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << s) | (sum >>> (32 - s)))) | 0;
+        }
+
+        this.state[0] = (this.state[0] + a) | 0;
+        this.state[1] = (this.state[1] + b) | 0;
+        this.state[2] = (this.state[2] + c) | 0;
+        this.state[3] = (this.state[3] + d) | 0;
+    }
+
+    /**
+     * Format a digest as lowercase hex
+     * @param {Uint8Array} digest - Digest bytes
+     * @returns {string}
+     */
+    static toHex(digest) {
+        return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+Md5.S = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+Md5.K = Array.from({ length: 64 }, (_, i) =>
+    Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0
+);
+
+// Export for use in workers and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Md5;
+}
@@ -0,0 +1,1146 @@
+/**
+ * StudioGrade Audio Converter
+ * Metadata Parser
+ *
+ * Reads stream parameters straight from container headers so the
+ * converter knows the source sample rate before the Web Audio API
+ * decodes (and resamples) the file, and so the file list can show
+ * what each source really is.
+ *
+ * Supported: WAV/RF64/BW64, AIFF/AIFC, FLAC, MP3 (Xing/Info/VBRI),
+ * MP4/M4A, Ogg (Vorbis, Opus, FLAC), WebM/Matroska and ADTS AAC.
+ * ASF (WMA) is recognized by its signature only.
+ */
+
+class MetadataParser {
+    /**
+     * Read the header of a file and parse its stream parameters
+     * @param {Blob} file - The audio file
+     * @returns {Promise<Object|null>} { container, codec, sampleRate, channels, bitDepth, duration, bitrate } or null
+     */
+    static async probe(file) {
+        const head = await MetadataParser.read(file, 0, MetadataParser.PROBE_BYTES);
+        const tagSize = MetadataParser.id3v2Size(head);
+
+        // Large ID3v2 tags (embedded artwork) can push the first frame past the probe window
+        if (tagSize > 0 && tagSize + 4096 > head.length) {
+            const rest = await MetadataParser.read(file, tagSize, tagSize + MetadataParser.PROBE_BYTES);
+            return MetadataParser.parse(rest, { fileSize: file.size - tagSize });
+        }
+
+        const start = tagSize;
+        const format = MetadataParser.detect(head.subarray(start));
+
+        // The moov atom is often at the end of the file, after the media data
+        if (format === 'mp4') {
+            return MetadataParser.probeMp4(file);
+        }
+
+        // Ogg stores the stream length only in the granule position of the last page
+        const tail = format === 'ogg'
+            ? await MetadataParser.read(file, Math.max(0, file.size - MetadataParser.TAIL_BYTES), file.size)
+            : null;
+
+        return MetadataParser.parse(head, { fileSize: file.size, tail });
+    }
+
+    /**
+     * Parse stream parameters from the start of a file
+     * @param {Uint8Array} bytes - Leading bytes of the file
+     * @param {Object} [options]
+     * @param {number} [options.fileSize] - Total file size, for durations and average bitrates
+     * @param {Uint8Array} [options.tail] - Trailing bytes of the file (Ogg duration)
+     * @returns {Object|null}
+     */
+    static parse(bytes, { fileSize = bytes.length, tail = null } = {}) {
+        // Skip an ID3v2 tag in front of any container
+        const start = MetadataParser.id3v2Size(bytes);
+        const data = bytes.subarray(start);
+        const size = fileSize - start;
+
+        let info = null;
+        switch (MetadataParser.detect(data)) {
+            case 'wav': info = MetadataParser.parseWav(data); break;
+            case 'aiff': info = MetadataParser.parseAiff(data); break;
+            case 'flac': info = MetadataParser.parseFlac(data); break;
+            case 'ogg': info = MetadataParser.parseOgg(data, tail); break;
+            case 'mp4': info = MetadataParser.parseMp4(data, size); break;
+            case 'webm': info = MetadataParser.parseWebm(data); break;
+            case 'mp3': info = MetadataParser.parseMp3(data, size); break;
+            case 'aac': info = MetadataParser.parseAdts(data); break;
+        }
+        if (!info) return null;
+
+        // Fall back to the average bitrate over the whole file
+        if (!info.bitrate && info.duration > 0) {
+            info.bitrate = Math.round((size * 8) / info.duration);
+        }
+        return info;
+    }
+
+    /**
+     * Identify the container from its leading bytes
+     * @param {Uint8Array} bytes - Leading bytes (after any ID3v2 tag)
+     * @returns {string|null} wav, aiff, flac, ogg, mp4, webm, asf, aac, mp3 or null
+     */
+    static detect(bytes) {
+        const tag = MetadataParser.ascii(bytes, 0, 4);
+        if ((tag === 'RIFF' || tag === 'RF64' || tag === 'BW64') && MetadataParser.ascii(bytes, 8, 4) === 'WAVE') return 'wav';
+        if (tag === 'FORM' && /^AIF[FC]$/.test(MetadataParser.ascii(bytes, 8, 4))) return 'aiff';
+        if (tag === 'fLaC') return 'flac';
+        if (tag === 'OggS') return 'ogg';
+        if (MetadataParser.ascii(bytes, 4, 4) === 'ftyp') return 'mp4';
+        if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) return 'webm';
+        if (MetadataParser.ASF_HEADER_GUID.every((b, i) => bytes[i] === b)) return 'asf';
+        if (MetadataParser.isAdtsFrame(bytes, 0)) return 'aac';
+        if (MetadataParser.findMpegFrame(bytes, 0) >= 0) return 'mp3';
+        return null;
+    }
+
+    /**
+     * Identify a file by its content, falling back to the extension
+     * for formats without a reliable signature
+     * @param {Blob} file - The file (a File for the extension fallback)
+     * @returns {Promise<Object>} { format, container, detectedBy, problem }
+     *   detectedBy is 'signature' or 'extension'; problem is null or one of
+     *   empty, truncated, corrupt, mismatch, unsupported
+     */
+    static async sniff(file) {
+        const name = file.name || '';
+        const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : '';
+        const result = { format: null, container: null, detectedBy: null, problem: null };
+
+        if (file.size === 0) {
+            return { ...result, problem: 'empty' };
+        }
+
+        const head = await MetadataParser.read(file, 0, MetadataParser.PROBE_BYTES);
+        const tagSize = MetadataParser.id3v2Size(head);
+        if (tagSize >= file.size) {
+            // An ID3 tag with nothing after it
+            return { ...result, problem: 'truncated' };
+        }
+        const data = tagSize > 0 && tagSize + 4096 > head.length
+            ? await MetadataParser.read(file, tagSize, tagSize + MetadataParser.PROBE_BYTES)
+            : head.subarray(tagSize);
+        const size = file.size - tagSize;
+        const format = MetadataParser.detect(data);
+
+        if (!format) {
+            if (MetadataParser.UNSNIFFED_EXTENSIONS.includes(extension)) {
+                return { ...result, format: extension, container: extension.toUpperCase(), detectedBy: 'extension' };
+            }
+            // A known extension whose signature is missing means the header is damaged
+            return { ...result, problem: MetadataParser.EXTENSIONS[extension] ? 'mismatch' : 'unsupported' };
+        }
+
+        result.format = format;
+        result.container = MetadataParser.CONTAINER_NAMES[format];
+        result.detectedBy = 'signature';
+
+        if (MetadataParser.isTruncated(data, format, size)) {
+            result.problem = 'truncated';
+        } else if (MetadataParser.HEADER_FORMATS.includes(format)) {
+            // These containers carry their stream parameters up front
+            const info = MetadataParser.parse(data, { fileSize: size });
+            if (info) {
+                result.container = info.container;
+            } else {
+                result.problem = 'corrupt';
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Check the sizes a container declares against the real file size
+     * @param {Uint8Array} bytes - Leading bytes (after any ID3v2 tag)
+     * @param {string} format - From detect
+     * @param {number} size - Bytes from the container start to the end of the file
+     * @returns {boolean}
+     */
+    static isTruncated(bytes, format, size) {
+        const view = MetadataParser.view(bytes);
+        switch (format) {
+            case 'wav': {
+                // RF64 keeps its sizes in ds64; streaming writers leave 0 or 0xFFFFFFFF
+                const riffSize = view.getUint32(4, true);
+                return MetadataParser.ascii(bytes, 0, 4) === 'RIFF' &&
+                    riffSize !== 0 && riffSize !== 0xffffffff && riffSize + 8 > size;
+            }
+            case 'aiff':
+                return view.getUint32(4, false) + 8 > size;
+            case 'flac': {
+                // Every metadata block must fit before the first frame
+                let pos = 4;
+                while (pos + 4 <= bytes.length) {
+                    const last = bytes[pos] & 0x80;
+                    pos += 4 + ((bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]);
+                    if (pos > size) return true;
+                    if (last) return pos >= size;
+                }
+                return bytes.length === size;
+            }
+            case 'mp4': {
+                let pos = 0;
+                while (pos + 8 <= bytes.length) {
+                    const box = MetadataParser.readBox(bytes, pos, size - pos);
+                    if (box.size < box.headerSize) return false;
+                    if (pos + box.size > size) return true;
+                    pos += box.size;
+                }
+                return false;
+            }
+            case 'webm': {
+                const ebml = MetadataParser.readEbmlElement(bytes, 0);
+                const id = ebml && MetadataParser.readVint(bytes, ebml.end, true);
+                if (!id || id.value !== 0x18538067) return false;
+                const length = MetadataParser.readVint(bytes, ebml.end + id.length, false);
+                return !!length && !length.unknown &&
+                    ebml.end + id.length + length.length + length.value > size;
+            }
+            case 'asf':
+                return bytes.length >= 24 && MetadataParser.readUint64(view, 16, true) > size;
+            default:
+                return false;
+        }
+    }
+
+    // ------------------------------------------------
+    // WAV / AIFF / FLAC
+    // ------------------------------------------------
+
+    static parseWav(bytes) {
+        const view = MetadataParser.view(bytes);
+        let info = null;
+        let dataSize64 = null;
+        let pos = 12;
+
+        while (pos + 8 <= bytes.length) {
+            const id = MetadataParser.ascii(bytes, pos, 4);
+            const size = view.getUint32(pos + 4, true);
+
+            if (id === 'ds64' && pos + 32 <= bytes.length) {
+                // RF64: the real data size lives here, the data chunk says 0xFFFFFFFF
+                dataSize64 = MetadataParser.readUint64(view, pos + 16, true);
+            } else if (id === 'fmt ' && pos + 24 <= bytes.length) {
+                let formatTag = view.getUint16(pos + 8, true);
+                let bitDepth = view.getUint16(pos + 22, true);
+                // WAVE_FORMAT_EXTENSIBLE: the real format is the first two bytes of the sub-format GUID
+                if (formatTag === 0xfffe && size >= 40 && pos + 34 <= bytes.length) {
+                    bitDepth = view.getUint16(pos + 26, true) || bitDepth;
+                    formatTag = view.getUint16(pos + 32, true);
+                }
+                info = {
+                    container: MetadataParser.ascii(bytes, 0, 4) === 'RIFF' ? 'WAV' : 'RF64',
+                    codec: MetadataParser.WAVE_FORMATS[formatTag] || `Format 0x${formatTag.toString(16)}`,
+                    sampleRate: view.getUint32(pos + 12, true),
+                    channels: view.getUint16(pos + 10, true),
+                    bitDepth,
+                    bitrate: view.getUint32(pos + 16, true) * 8,
+                    duration: null
+                };
+            } else if (id === 'data' && info) {
+                const dataSize = size === 0xffffffff && dataSize64 !== null ? dataSize64 : size;
+                if (info.bitrate > 0) info.duration = (dataSize * 8) / info.bitrate;
+                return info;
+            }
+            pos += 8 + size + (size & 1);
+        }
+        return info;
+    }
+
+    static parseAiff(bytes) {
+        const view = MetadataParser.view(bytes);
+        const isAifc = MetadataParser.ascii(bytes, 8, 4) === 'AIFC';
+        let pos = 12;
+
+        while (pos + 8 <= bytes.length) {
+            const id = MetadataParser.ascii(bytes, pos, 4);
+            const size = view.getUint32(pos + 4, false);
+            if (id === 'COMM' && pos + 26 <= bytes.length) {
+                const channels = view.getUint16(pos + 8, false);
+                const frames = view.getUint32(pos + 10, false);
+                const bitDepth = view.getUint16(pos + 14, false);
+                const sampleRate = Math.round(MetadataParser.readExtended(view, pos + 16));
+                const compression = isAifc ? MetadataParser.ascii(bytes, pos + 26, 4) : 'NONE';
+                return {
+                    container: isAifc ? 'AIFC' : 'AIFF',
+                    codec: MetadataParser.AIFC_COMPRESSIONS[compression] || compression.trim(),
+                    sampleRate,
+                    channels,
+                    bitDepth,
+                    bitrate: sampleRate * channels * bitDepth,
+                    duration: sampleRate > 0 ? frames / sampleRate : null
+                };
+            }
+            pos += 8 + size + (size & 1);
+        }
+        return null;
+    }
+
+    static parseFlac(bytes) {
+        // STREAMINFO is always the first metadata block
+        if (bytes.length < 8 + 18) return null;
+        const p = 8;
+        const view = MetadataParser.view(bytes);
+        const sampleRate = (bytes[p + 10] << 12) | (bytes[p + 11] << 4) | (bytes[p + 12] >> 4);
+        const totalSamples = (bytes[p + 13] & 0x0f) * 2 ** 32 + view.getUint32(p + 14, false);
+        return {
+            container: 'FLAC',
+            codec: 'FLAC',
+            sampleRate,
+            channels: ((bytes[p + 12] >> 1) & 0x07) + 1,
+            bitDepth: (((bytes[p + 12] & 0x01) << 4) | (bytes[p + 13] >> 4)) + 1,
+            bitrate: null,
+            // 0 means "unknown" in STREAMINFO
+            duration: totalSamples > 0 && sampleRate > 0 ? totalSamples / sampleRate : null
+        };
+    }
+
+    // ------------------------------------------------
+    // MP3 / ADTS
+    // ------------------------------------------------
+
+    static parseMp3(bytes, fileSize = bytes.length) {
+        const pos = MetadataParser.findMpegFrame(bytes, 0);
+        if (pos < 0) return null;
+
+        const frame = MetadataParser.readMpegHeader(bytes, pos);
+        const view = MetadataParser.view(bytes);
+        const info = {
+            container: 'MPEG',
+            codec: ['MP1', 'MP2', 'MP3'][frame.layer - 1],
+            sampleRate: frame.sampleRate,
+            channels: frame.channels,
+            bitDepth: null,
+            bitrate: frame.bitrate,
+            duration: null
+        };
+
+        // Xing/Info sits after the side information, VBRI at a fixed offset
+        const sideInfo = frame.version === 1
+            ? (frame.channels === 1 ? 17 : 32)
+            : (frame.channels === 1 ? 9 : 17);
+        const xing = pos + 4 + sideInfo;
+        const vbri = pos + 4 + 32;
+
+        let frames = 0;
+        let audioBytes = 0;
+        const xingTag = MetadataParser.ascii(bytes, xing, 4);
+        if ((xingTag === 'Xing' || xingTag === 'Info') && xing + 16 <= bytes.length) {
+            const flags = view.getUint32(xing + 4, false);
+            let field = xing + 8;
+            if (flags & 0x1) { frames = view.getUint32(field, false); field += 4; }
+            if (flags & 0x2) audioBytes = view.getUint32(field, false);
+        } else if (MetadataParser.ascii(bytes, vbri, 4) === 'VBRI' && vbri + 18 <= bytes.length) {
+            audioBytes = view.getUint32(vbri + 10, false);
+            frames = view.getUint32(vbri + 14, false);
+        }
+
+        if (frames > 0) {
+            info.duration = (frames * frame.samplesPerFrame) / frame.sampleRate;
+            info.bitrate = Math.round(((audioBytes || fileSize - pos) * 8) / info.duration);
+        } else if (frame.bitrate > 0) {
+            // Constant bitrate: the size tells the length
+            info.duration = ((fileSize - pos) * 8) / frame.bitrate;
+        }
+        return info;
+    }
+
+    /**
+     * Find the first MPEG audio frame, confirmed by a second frame
+     * right after it when the buffer is long enough
+     * @param {Uint8Array} bytes - Buffer to search
+     * @param {number} from - Start offset
+     * @returns {number} Offset or -1
+     */
+    static findMpegFrame(bytes, from) {
+        const limit = Math.min(bytes.length - 4, from + MetadataParser.MPEG_SYNC_WINDOW);
+        for (let pos = from; pos <= limit; pos++) {
+            if (bytes[pos] !== 0xff || (bytes[pos + 1] & 0xe0) !== 0xe0) continue;
+            const frame = MetadataParser.readMpegHeader(bytes, pos);
+            if (!frame) continue;
+
+            const next = pos + frame.frameLength;
+            if (next + 4 > bytes.length) return pos;
+            if (bytes[next] === 0xff && (bytes[next + 1] & 0xe0) === 0xe0 && MetadataParser.readMpegHeader(bytes, next)) {
+                return pos;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Decode a 4-byte MPEG audio frame header
+     * @param {Uint8Array} bytes - Buffer
+     * @param {number} pos - Header offset
+     * @returns {Object|null} Null if the header is invalid
+     */
+    static readMpegHeader(bytes, pos) {
+        const versionBits = (bytes[pos + 1] >> 3) & 0x03;
+        const layerBits = (bytes[pos + 1] >> 1) & 0x03;
+        const bitrateIndex = bytes[pos + 2] >> 4;
+        const rateIndex = (bytes[pos + 2] >> 2) & 0x03;
+        if (versionBits === 1 || layerBits === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+        const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+        const layer = 4 - layerBits;
+        const table = version === 1 ? MetadataParser.MPEG_BITRATES.v1[layer - 1]
+            : MetadataParser.MPEG_BITRATES.v2[layer === 1 ? 0 : 1];
+        const bitrate = table[bitrateIndex] * 1000;
+        const sampleRate = [44100, 48000, 32000][rateIndex] / (version === 1 ? 1 : version === 2 ? 2 : 4);
+        const padding = (bytes[pos + 2] >> 1) & 0x01;
+        const samplesPerFrame = layer === 1 ? 384 : layer === 3 && version !== 1 ? 576 : 1152;
+
+        // Free-format streams (bitrate index 0) have no computable frame length
+        const frameLength = bitrate === 0 ? 0 : layer === 1
+            ? (Math.floor((12 * bitrate) / sampleRate) + padding) * 4
+            : Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding;
+
+        return {
+            version,
+            layer,
+            bitrate,
+            sampleRate,
+            samplesPerFrame,
+            frameLength: frameLength || 4,
+            channels: ((bytes[pos + 3] >> 6) & 0x03) === 3 ? 1 : 2
+        };
+    }
+
+    /**
+     * Check for an ADTS frame header, confirmed by the next frame when it is in range
+     * @param {Uint8Array} bytes - Buffer
+     * @param {number} pos - Header offset
+     * @returns {boolean}
+     */
+    static isAdtsFrame(bytes, pos) {
+        const isHeader = (at) => at + 7 <= bytes.length && bytes[at] === 0xff &&
+            (bytes[at + 1] & 0xf6) === 0xf0 && ((bytes[at + 2] >> 2) & 0x0f) < 13;
+        if (!isHeader(pos)) return false;
+
+        const frameLength = ((bytes[pos + 3] & 0x03) << 11) | (bytes[pos + 4] << 3) | (bytes[pos + 5] >> 5);
+        if (frameLength < 7) return false;
+        return pos + frameLength + 7 > bytes.length || isHeader(pos + frameLength);
+    }
+
+    static parseAdts(bytes) {
+        const channelConfig = ((bytes[2] & 0x01) << 2) | (bytes[3] >> 6);
+        return {
+            container: 'ADTS',
+            codec: 'AAC',
+            sampleRate: MetadataParser.AAC_SAMPLE_RATES[(bytes[2] >> 2) & 0x0f],
+            channels: channelConfig > 0 && channelConfig < 7 ? channelConfig : channelConfig === 7 ? 8 : null,
+            bitDepth: null,
+            bitrate: null,
+            duration: null
+        };
+    }
+
+    // ------------------------------------------------
+    // MP4 / M4A
+    // ------------------------------------------------
+
+    /**
+     * Locate and parse the moov atom wherever it sits in the file
+     * @param {Blob} file - The audio file
+     * @returns {Promise<Object|null>}
+     */
+    static async probeMp4(file) {
+        const moov = await MetadataParser.readMoov(file);
+        return moov ? MetadataParser.parseMoov(moov, file.size) : null;
+    }
+
+    /**
+     * Read the moov atom payload of an MP4 file
+     * Walks the top-level boxes, since moov often follows the media data
+     * @param {Blob} file - The MP4 file
+     * @returns {Promise<Uint8Array|null>}
+     */
+    static async readMoov(file) {
+        let pos = 0;
+        while (pos + 8 <= file.size) {
+            const header = await MetadataParser.read(file, pos, pos + 16);
+            const { type, size, headerSize } = MetadataParser.readBox(header, 0, file.size - pos);
+            if (size < headerSize) return null;
+
+            if (type === 'moov') {
+                if (size > MetadataParser.MAX_MOOV_BYTES) return null;
+                return MetadataParser.read(file, pos + headerSize, pos + size);
+            }
+            pos += size;
+        }
+        return null;
+    }
+
+    static parseMp4(bytes, fileSize = bytes.length) {
+        const moov = MetadataParser.findBox(bytes, 0, bytes.length, 'moov');
+        return moov ? MetadataParser.parseMoov(bytes.subarray(moov.start, moov.end), fileSize) : null;
+    }
+
+    /**
+     * Parse the first sound track of a moov atom payload
+     * @param {Uint8Array} moov - moov payload
+     * @param {number} fileSize - Total file size
+     * @returns {Object|null}
+     */
+    static parseMoov(moov, fileSize) {
+        const view = MetadataParser.view(moov);
+
+        for (const trak of MetadataParser.children(moov, 0, moov.length, 'trak')) {
+            const mdia = MetadataParser.findBox(moov, trak.start, trak.end, 'mdia');
+            if (!mdia) continue;
+            const hdlr = MetadataParser.findBox(moov, mdia.start, mdia.end, 'hdlr');
+            if (!hdlr || MetadataParser.ascii(moov, hdlr.start + 8, 4) !== 'soun') continue;
+
+            const info = {
+                container: 'MP4',
+                codec: null,
+                sampleRate: null,
+                channels: null,
+                bitDepth: null,
+                bitrate: null,
+                duration: null
+            };
+
+            const mdhd = MetadataParser.findBox(moov, mdia.start, mdia.end, 'mdhd');
+            if (mdhd) {
+                const v1 = moov[mdhd.start] === 1;
+                const timescale = view.getUint32(mdhd.start + (v1 ? 20 : 12), false);
+                const duration = v1
+                    ? MetadataParser.readUint64(view, mdhd.start + 24, false)
+                    : view.getUint32(mdhd.start + 16, false);
+                if (timescale > 0) info.duration = duration / timescale;
+            }
+
+            const stsd = MetadataParser.findPath(moov, mdia, ['minf', 'stbl', 'stsd']);
+            if (stsd) {
+                Object.assign(info, MetadataParser.parseSampleEntry(moov, stsd.start + 8));
+            }
+            return info;
+        }
+        return null;
+    }
+
+    /**
+     * Parse an audio sample entry from stsd
+     * @param {Uint8Array} bytes - moov payload
+     * @param {number} pos - Sample entry offset
+     * @returns {Object} Codec and stream fields
+     */
+    static parseSampleEntry(bytes, pos) {
+        const view = MetadataParser.view(bytes);
+        const entry = MetadataParser.readBox(bytes, pos, bytes.length - pos);
+        const format = entry.type;
+        const soundVersion = view.getUint16(pos + 16, false);
+
+        const info = {
+            codec: MetadataParser.MP4_CODECS[format] || format.trim(),
+            channels: view.getUint16(pos + 24, false),
+            bitDepth: view.getUint16(pos + 26, false),
+            sampleRate: view.getUint32(pos + 32, false) >>> 16
+        };
+
+        // QuickTime sound description v2 moves the real values further in
+        let childStart = pos + 36;
+        if (soundVersion === 1) {
+            childStart = pos + 52;
+        } else if (soundVersion === 2) {
+            info.sampleRate = Math.round(view.getFloat64(pos + 40, false));
+            info.channels = view.getUint32(pos + 48, false);
+            info.bitDepth = view.getUint32(pos + 56, false);
+            childStart = pos + 72;
+        }
+        const end = pos + entry.size;
+
+        const alac = MetadataParser.findBox(bytes, childStart, end, 'alac');
+        if (format === 'alac' && alac) {
+            info.bitDepth = bytes[alac.start + 9];
+            info.channels = bytes[alac.start + 13];
+            info.sampleRate = view.getUint32(alac.start + 24, false);
+        }
+
+        const dfla = MetadataParser.findBox(bytes, childStart, end, 'dfLa');
+        if (format === 'fLaC' && dfla) {
+            // dfLa holds FLAC metadata blocks after a 4-byte version/flags
+            // field, which lines up with the "fLaC" marker parseFlac skips
+            const { sampleRate, channels, bitDepth } = MetadataParser.parseFlac(
+                bytes.subarray(dfla.start, dfla.end)
+            ) || {};
+            Object.assign(info, { sampleRate, channels, bitDepth });
+        }
+
+        const esds = MetadataParser.findBox(bytes, childStart, end, 'esds');
+        if (esds) {
+            Object.assign(info, MetadataParser.parseEsds(bytes, esds.start + 4, esds.end));
+        }
+
+        // Lossy codecs have no meaningful bit depth
+        if (!MetadataParser.LOSSLESS_CODECS.includes(info.codec)) {
+            info.bitDepth = null;
+        }
+        return info;
+    }
+
+    /**
+     * Parse an MPEG-4 elementary stream descriptor
+     * @param {Uint8Array} bytes - Buffer
+     * @param {number} pos - Start of the ES_Descriptor
+     * @param {number} end - End of the esds payload
+     * @returns {Object} Codec, bitrate and AAC configuration fields
+     */
+    static parseEsds(bytes, pos, end) {
+        const view = MetadataParser.view(bytes);
+        const result = {};
+        const readDescriptor = (at) => {
+            const tag = bytes[at];
+            let length = 0;
+            let i = at + 1;
+            for (let n = 0; n < 4 && i < end; n++) {
+                const b = bytes[i++];
+                length = (length << 7) | (b & 0x7f);
+                if (!(b & 0x80)) break;
+            }
+            return { tag, start: i, end: i + length };
+        };
+
+        const es = readDescriptor(pos);
+        if (es.tag !== 0x03) return result;
+        const flags = bytes[es.start + 2];
+        let at = es.start + 3;
+        if (flags & 0x80) at += 2;
+        if (flags & 0x40) at += 1 + bytes[at];
+        if (flags & 0x20) at += 2;
+
+        const config = readDescriptor(at);
+        if (config.tag !== 0x04 || config.start + 13 > end) return result;
+        const objectType = bytes[config.start];
+        result.codec = MetadataParser.MP4_OBJECT_TYPES[objectType] || result.codec;
+        const avgBitrate = view.getUint32(config.start + 9, false);
+        if (avgBitrate > 0) result.bitrate = avgBitrate;
+
+        // AudioSpecificConfig: object type, frequency index, channel configuration
+        const specific = readDescriptor(config.start + 13);
+        if (objectType === 0x40 && specific.tag === 0x05 && specific.start + 2 <= end) {
+            const b0 = bytes[specific.start];
+            const b1 = bytes[specific.start + 1];
+            const audioObjectType = b0 >> 3;
+            const rateIndex = ((b0 & 0x07) << 1) | (b1 >> 7);
+            const channelConfig = (b1 >> 3) & 0x0f;
+            const rate = MetadataParser.AAC_SAMPLE_RATES[rateIndex];
+            if (rate) result.sampleRate = rate;
+            if (channelConfig > 0 && channelConfig < 7) result.channels = channelConfig;
+            if (channelConfig === 7) result.channels = 8;
+
+            // Explicit SBR (HE-AAC) signals the output rate after the core config
+            if ((audioObjectType === 5 || audioObjectType === 29) && specific.start + 3 <= end) {
+                const extIndex = ((b1 & 0x07) << 1) | (bytes[specific.start + 2] >> 7);
+                result.codec = audioObjectType === 29 ? 'HE-AACv2' : 'HE-AAC';
+                if (MetadataParser.AAC_SAMPLE_RATES[extIndex]) {
+                    result.sampleRate = MetadataParser.AAC_SAMPLE_RATES[extIndex];
+                }
+            }
+        }
+        return result;
+    }
+
+    // ------------------------------------------------
+    // Ogg
+    // ------------------------------------------------
+
+    static parseOgg(bytes, tail = null) {
+        // First page carries the codec identification header
+        const segments = bytes[26];
+        const packet = 27 + segments;
+        const view = MetadataParser.view(bytes);
+        let info = null;
+        let granuleRate = null;
+        let preSkip = 0;
+
+        if (MetadataParser.ascii(bytes, packet, 8) === 'OpusHead') {
+            // Opus always decodes at 48 kHz
+            info = { container: 'Ogg', codec: 'Opus', channels: bytes[packet + 9], sampleRate: 48000, bitDepth: null };
+            preSkip = view.getUint16(packet + 10, true);
+            granuleRate = 48000;
+        } else if (bytes[packet] === 1 && MetadataParser.ascii(bytes, packet + 1, 6) === 'vorbis') {
+            const nominal = view.getInt32(packet + 20, true);
+            info = {
+                container: 'Ogg',
+                codec: 'Vorbis',
+                channels: bytes[packet + 11],
+                sampleRate: view.getUint32(packet + 12, true),
+                bitDepth: null,
+                bitrate: nominal > 0 ? nominal : null
+            };
+            granuleRate = info.sampleRate;
+        } else if (MetadataParser.ascii(bytes, packet + 1, 4) === 'FLAC') {
+            const flac = MetadataParser.parseFlac(bytes.subarray(packet + 9));
+            if (!flac) return null;
+            info = { ...flac, container: 'Ogg' };
+            granuleRate = info.sampleRate;
+        } else {
+            return null;
+        }
+
+        info.bitrate = info.bitrate || null;
+        info.duration = info.duration || null;
+        const granule = tail ? MetadataParser.lastGranule(tail, view.getUint32(14, true)) : null;
+        if (granule !== null && granuleRate > 0) {
+            info.duration = Math.max(0, granule - preSkip) / granuleRate;
+        }
+        return info;
+    }
+
+    /**
+     * Granule position of the last page of a logical stream
+     * @param {Uint8Array} tail - Trailing bytes of the file
+     * @param {number} serial - Stream serial number
+     * @returns {number|null}
+     */
+    static lastGranule(tail, serial) {
+        const view = MetadataParser.view(tail);
+        for (let pos = tail.length - 27; pos >= 0; pos--) {
+            if (tail[pos] !== 0x4f || MetadataParser.ascii(tail, pos, 4) !== 'OggS') continue;
+            if (view.getUint32(pos + 14, true) !== serial) continue;
+            const lo = view.getUint32(pos + 6, true);
+            const hi = view.getUint32(pos + 10, true);
+            // -1 marks a page on which no packet ends
+            if (lo === 0xffffffff && hi === 0xffffffff) continue;
+            return hi * 2 ** 32 + lo;
+        }
+        return null;
+    }
+
+    // ------------------------------------------------
+    // WebM / Matroska
+    // ------------------------------------------------
+
+    static parseWebm(bytes) {
+        const ebml = MetadataParser.readEbmlElement(bytes, 0);
+        if (!ebml) return null;
+
+        let docType = 'matroska';
+        MetadataParser.ebmlChildren(bytes, ebml.start, ebml.end, (id, start, end) => {
+            if (id === 0x4282) docType = MetadataParser.ascii(bytes, start, end - start).replace(/\0+$/, '');
+        });
+
+        const info = {
+            container: docType === 'webm' ? 'WebM' : 'Matroska',
+            codec: null,
+            sampleRate: null,
+            channels: null,
+            bitDepth: null,
+            bitrate: null,
+            duration: null
+        };
+
+        const segment = MetadataParser.readEbmlElement(bytes, ebml.end);
+        if (!segment || segment.id !== 0x18538067) return info;
+
+        let timecodeScale = 1000000;
+        let rawDuration = null;
+        let foundTrack = false;
+        MetadataParser.ebmlChildren(bytes, segment.start, segment.end, (id, start, end) => {
+            if (id === 0x1549a966) {
+                // Info
+                MetadataParser.ebmlChildren(bytes, start, end, (childId, s, e) => {
+                    if (childId === 0x2ad7b1) timecodeScale = MetadataParser.readUint(bytes, s, e);
+                    if (childId === 0x4489) rawDuration = MetadataParser.readFloat(bytes, s, e);
+                });
+            } else if (id === 0x1654ae6b && !foundTrack) {
+                // Tracks
+                MetadataParser.ebmlChildren(bytes, start, end, (childId, s, e) => {
+                    if (childId !== 0xae || foundTrack) return;
+                    const track = MetadataParser.parseMatroskaTrack(bytes, s, e);
+                    if (track) {
+                        Object.assign(info, track);
+                        foundTrack = true;
+                    }
+                });
+            }
+            // Clusters hold the media; everything we need comes before them
+            return id !== 0x1f43b675;
+        });
+
+        if (rawDuration !== null) info.duration = (rawDuration * timecodeScale) / 1e9;
+        return info;
+    }
+
+    /**
+     * Parse a Matroska TrackEntry if it is an audio track
+     * @param {Uint8Array} bytes - Buffer
+     * @param {number} start - TrackEntry payload start
+     * @param {number} end - TrackEntry payload end
+     * @returns {Object|null}
+     */
+    static parseMatroskaTrack(bytes, start, end) {
+        let type = 0;
+        let codecId = '';
+        const track = {};
+        MetadataParser.ebmlChildren(bytes, start, end, (id, s, e) => {
+            if (id === 0x83) type = MetadataParser.readUint(bytes, s, e);
+            if (id === 0x86) codecId = MetadataParser.ascii(bytes, s, e - s);
+            if (id === 0xe1) {
+                MetadataParser.ebmlChildren(bytes, s, e, (audioId, as, ae) => {
+                    if (audioId === 0xb5) track.sampleRate = Math.round(MetadataParser.readFloat(bytes, as, ae));
+                    if (audioId === 0x9f) track.channels = MetadataParser.readUint(bytes, as, ae);
+                    if (audioId === 0x6264) track.bitDepth = MetadataParser.readUint(bytes, as, ae);
+                });
+            }
+        });
+        if (type !== 2) return null;
+
+        const codec = Object.keys(MetadataParser.MATROSKA_CODECS).find(prefix => codecId.startsWith(prefix));
+        track.codec = codec ? MetadataParser.MATROSKA_CODECS[codec] : codecId;
+        if (track.codec === 'Opus') track.sampleRate = 48000;
+        if (!MetadataParser.LOSSLESS_CODECS.includes(track.codec)) track.bitDepth = null;
+        return track;
+    }
+
+    /**
+     * Read an EBML element header
+     * @param {Uint8Array} bytes - Buffer
+     * @param {number} pos - Element offset
+     * @returns {Object|null} { id, start, end } with end clamped to the buffer
+     */
+    static readEbmlElement(bytes, pos) {
+        const id = MetadataParser.readVint(bytes, pos, true);
+        if (!id) return null;
+        const size = MetadataParser.readVint(bytes, pos + id.length, false);
+        if (!size) return null;
+        const start = pos + id.length + size.length;
+        const end = size.unknown ? bytes.length : Math.min(bytes.length, start + size.value);
+        return { id: id.value, start, end };
+    }
+
+    /**
+     * Walk the child elements of an EBML master element
+     * @param {Uint8Array} bytes - Buffer
+     * @param {number} start - Payload start
+     * @param {number} end - Payload end
+     * @param {Function} visit - (id, start, end); return false to stop
+     */
+    static ebmlChildren(bytes, start, end, visit) {
+        let pos = start;
+        while (pos < end) {
+            const element = MetadataParser.readEbmlElement(bytes, pos);
+            if (!element || visit(element.id, element.start, element.end) === false) return;
+            pos = element.end;
+        }
+    }
+
+    /**
+     * Read an EBML variable-length integer
+     * @param {Uint8Array} bytes - Buffer
+     * @param {number} pos - Offset
+     * @param {boolean} keepMarker - IDs keep the length marker bit, sizes drop it
+     * @returns {Object|null} { value, length, unknown }
+     */
+    static readVint(bytes, pos, keepMarker) {
+        if (pos >= bytes.length) return null;
+        const first = bytes[pos];
+        let length = 1;
+        while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+        if (length > 8 || pos + length > bytes.length) return null;
+
+        let value = keepMarker ? first : first & (0xff >> length);
+        let allOnes = value === (0xff >> length);
+        for (let i = 1; i < length; i++) {
+            value = value * 256 + bytes[pos + i];
+            if (bytes[pos + i] !== 0xff) allOnes = false;
+        }
+        return { value, length, unknown: !keepMarker && allOnes };
+    }
+
+    static readUint(bytes, start, end) {
+        let value = 0;
+        for (let i = start; i < end; i++) value = value * 256 + bytes[i];
+        return value;
+    }
+
+    static readFloat(bytes, start, end) {
+        const view = MetadataParser.view(bytes);
+        if (end - start === 4) return view.getFloat32(start, false);
+        if (end - start === 8) return view.getFloat64(start, false);
+        return 0;
+    }
+
+    // ------------------------------------------------
+    // Helpers
+    // ------------------------------------------------
+
+    /**
+     * Read a byte range of a Blob
+     * @param {Blob} file - Source
+     * @param {number} start - First byte
+     * @param {number} end - Byte to stop before
+     * @returns {Promise<Uint8Array>}
+     */
+    static async read(file, start, end) {
+        return new Uint8Array(await file.slice(start, end).arrayBuffer());
+    }
+
+    /**
+     * Total size of a leading ID3v2 tag, including header and footer
+     * @param {Uint8Array} bytes - Leading bytes of the file
+     * @returns {number} 0 if there is no tag
+     */
+    static id3v2Size(bytes) {
+        if (bytes.length < 10 || MetadataParser.ascii(bytes, 0, 3) !== 'ID3') return 0;
+        const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+        return 10 + size + (bytes[5] & 0x10 ? 10 : 0);
+    }
+
+    /**
+     * Read an ISO BMFF box header
+     * @param {Uint8Array} bytes - Buffer
+     * @param {number} pos - Box offset
+     * @param {number} remaining - Bytes left in the parent (for size 0 boxes)
+     * @returns {Object} { type, size, headerSize }
+     */
+    static readBox(bytes, pos, remaining) {
+        const view = MetadataParser.view(bytes);
+        let size = view.getUint32(pos, false);
+        let headerSize = 8;
+        if (size === 1 && pos + 16 <= bytes.length) {
+            size = MetadataParser.readUint64(view, pos + 8, false);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = remaining;
+        }
+        return { type: MetadataParser.ascii(bytes, pos + 4, 4), size, headerSize };
+    }
+
+    /**
+     * List child boxes of a given type
+     * @param {Uint8Array} bytes - Buffer
+     * @param {number} start - Parent payload start
+     * @param {number} end - Parent payload end
+     * @param {string} type - Box type
+     * @returns {Array<{start: number, end: number}>} Payload ranges
+     */
+    static children(bytes, start, end, type) {
+        const found = [];
+        let pos = start;
+        while (pos + 8 <= end) {
+            const box = MetadataParser.readBox(bytes, pos, end - pos);
+            if (box.size < box.headerSize) break;
+            if (box.type === type) {
+                found.push({ start: pos + box.headerSize, end: Math.min(end, pos + box.size) });
+            }
+            pos += box.size;
+        }
+        return found;
+    }
+
+    static findBox(bytes, start, end, type) {
+        return MetadataParser.children(bytes, start, end, type)[0] || null;
+    }
+
+    static findPath(bytes, parent, path) {
+        return path.reduce((box, type) => box && MetadataParser.findBox(bytes, box.start, box.end, type), parent);
+    }
+
+    static view(bytes) {
+        return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    }
+
+    static ascii(bytes, offset, length) {
+        if (offset < 0 || offset + length > bytes.length) return '';
+        return String.fromCharCode(...bytes.subarray(offset, offset + length));
+    }
+
+    static readUint64(view, offset, littleEndian) {
+        const first = view.getUint32(offset, littleEndian);
+        const second = view.getUint32(offset + 4, littleEndian);
+        return littleEndian ? second * 2 ** 32 + first : first * 2 ** 32 + second;
+    }
+
+    /**
+     * Read an 80-bit IEEE 754 extended float (AIFF sample rate)
+     * @param {DataView} view - Data view
+     * @param {number} offset - Byte offset
+     * @returns {number}
+     */
+    static readExtended(view, offset) {
+        const exponent = view.getUint16(offset, false) & 0x7fff;
+        const hi = view.getUint32(offset + 2, false);
+        const lo = view.getUint32(offset + 6, false);
+        if (exponent === 0 && hi === 0 && lo === 0) return 0;
+        return (hi * 2 ** 32 + lo) * 2 ** (exponent - 16383 - 63);
+    }
+}
+
+MetadataParser.PROBE_BYTES = 256 * 1024;
+MetadataParser.TAIL_BYTES = 64 * 1024;
+MetadataParser.MAX_MOOV_BYTES = 32 * 1024 * 1024;
+
+/**
+ * How far past the start to look for an MPEG frame sync
+ */
+MetadataParser.MPEG_SYNC_WINDOW = 64 * 1024;
+
+/**
+ * Codecs that carry a real bit depth
+ */
+MetadataParser.LOSSLESS_CODECS = ['PCM', 'IEEE Float', 'FLAC', 'ALAC'];
+
+/**
+ * WAVE format tags
+ */
+MetadataParser.WAVE_FORMATS = {
+    0x0001: 'PCM',
+    0x0002: 'MS ADPCM',
+    0x0003: 'IEEE Float',
+    0x0006: 'A-law',
+    0x0007: 'µ-law',
+    0x0011: 'IMA ADPCM',
+    0x0055: 'MP3'
+};
+
+/**
+ * AIFC compression types
+ */
+MetadataParser.AIFC_COMPRESSIONS = {
+    NONE: 'PCM',
+    twos: 'PCM',
+    sowt: 'PCM',
+    fl32: 'IEEE Float',
+    fl64: 'IEEE Float',
+    FL32: 'IEEE Float',
+    FL64: 'IEEE Float',
+    ulaw: 'µ-law',
+    alaw: 'A-law'
+};
+
+/**
+ * Kilobit rates per bitrate index: MPEG-1 layers I-III, MPEG-2/2.5 layer I and layers II/III
+ */
+MetadataParser.MPEG_BITRATES = {
+    v1: [
+        [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    ],
+    v2: [
+        [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    ]
+};
+
+/**
+ * MP4 sample entry formats
+ */
+MetadataParser.MP4_CODECS = {
+    mp4a: 'AAC',
+    alac: 'ALAC',
+    fLaC: 'FLAC',
+    Opus: 'Opus',
+    'ac-3': 'AC-3',
+    'ec-3': 'E-AC-3',
+    '.mp3': 'MP3',
+    lpcm: 'PCM',
+    sowt: 'PCM',
+    twos: 'PCM'
+};
+
+/**
+ * MPEG-4 objectTypeIndication values for audio
+ */
+MetadataParser.MP4_OBJECT_TYPES = {
+    0x40: 'AAC',
+    0x66: 'AAC',
+    0x67: 'AAC',
+    0x68: 'AAC',
+    0x69: 'MP3',
+    0x6b: 'MP3',
+    0xa9: 'DTS'
+};
+
+/**
+ * First 16 bytes of an ASF file (ASF_Header_Object GUID)
+ */
+MetadataParser.ASF_HEADER_GUID = [
+    0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11, 0xa6, 0xd9, 0x00, 0xaa, 0x00, 0x62, 0xce, 0x6c
+];
+
+/**
+ * Display names for the formats detect returns
+ */
+MetadataParser.CONTAINER_NAMES = {
+    wav: 'WAV',
+    aiff: 'AIFF',
+    flac: 'FLAC',
+    ogg: 'Ogg',
+    mp4: 'MP4',
+    webm: 'WebM',
+    asf: 'ASF',
+    aac: 'ADTS',
+    mp3: 'MPEG'
+};
+
+/**
+ * Formats whose stream parameters must parse from the probe window
+ * (MP4 may keep its moov at the end, ASF is not parsed)
+ */
+MetadataParser.HEADER_FORMATS = ['wav', 'aiff', 'flac', 'ogg', 'webm', 'aac', 'mp3'];
+
+/**
+ * File extensions of the formats detect recognizes
+ */
+MetadataParser.EXTENSIONS = {
+    wav: 'wav',
+    wave: 'wav',
+    bwf: 'wav',
+    rf64: 'wav',
+    aif: 'aiff',
+    aiff: 'aiff',
+    aifc: 'aiff',
+    flac: 'flac',
+    ogg: 'ogg',
+    oga: 'ogg',
+    opus: 'ogg',
+    mp4: 'mp4',
+    m4a: 'mp4',
+    m4b: 'mp4',
+    webm: 'webm',
+    weba: 'webm',
+    mka: 'webm',
+    wma: 'asf',
+    asf: 'asf',
+    aac: 'aac',
+    mp3: 'mp3',
+    mp2: 'mp3'
+};
+
+/**
+ * Audio extensions accepted on the extension alone, for formats
+ * the browser may decode but that have no signature check here
+ */
+MetadataParser.UNSNIFFED_EXTENSIONS = ['ac3', 'eac3', 'caf', 'amr', '3gp'];
+
+MetadataParser.AAC_SAMPLE_RATES = [
+    96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350
+];
+
+/**
+ * Matroska CodecID prefixes
+ */
+MetadataParser.MATROSKA_CODECS = {
+    A_OPUS: 'Opus',
+    A_VORBIS: 'Vorbis',
+    A_AAC: 'AAC',
+    A_FLAC: 'FLAC',
+    A_ALAC: 'ALAC',
+    'A_MPEG/L3': 'MP3',
+    'A_PCM/FLOAT': 'IEEE Float',
+    A_PCM: 'PCM',
+    A_AC3: 'AC-3',
+    A_EAC3: 'E-AC-3'
+};
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MetadataParser;
+}
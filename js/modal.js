@@ -0,0 +1,214 @@
+/**
+ * StudioGrade Audio Converter
+ * Modal
+ *
+ * Accessible modal dialog used instead of alert() and confirm(). Focus
+ * moves into the dialog and stays there, Escape and the backdrop
+ * dismiss it, and focus returns to where it was. open() resolves with
+ * the chosen action instead of blocking the page, so conversions keep
+ * running while it is shown. Default labels come from the page's i18n.
+ */
+
+class Modal {
+    /**
+     * @param {Object} options
+     * @param {string} options.title - Heading
+     * @param {string|Node|Array<Node>} [options.content] - Body; strings keep their line breaks
+     * @param {Array<Object>} [options.actions] - Buttons { label, value, variant } in display
+     *     order; variant is 'primary', 'secondary' or 'danger'
+     * @param {*} [options.dismissValue=null] - Result when dismissed with Escape or the backdrop
+     * @param {string} [options.className] - Extra class for the dialog, for wider layouts
+     */
+    constructor({
+        title,
+        content = '',
+        actions = [{ label: i18n.t('modal.ok'), value: true, variant: 'primary' }],
+        dismissValue = null,
+        className = ''
+    }) {
+        this.title = title;
+        this.content = content;
+        this.actions = actions;
+        this.dismissValue = dismissValue;
+        this.className = className;
+        this.element = null; // backdrop while open
+        this.dialog = null;
+        this.previousFocus = null;
+        this.result = null;
+        this.resolve = null;
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+
+    /**
+     * Ask a yes/no question
+     * @param {string} message - Question
+     * @param {Object} [options]
+     * @param {string} [options.title] - Heading, "Confirm" in the page's language by default
+     * @param {string} [options.confirmLabel] - Label of the confirming button, "OK" by default
+     * @param {string} [options.cancelLabel] - Label of the cancelling button, "Cancel" by default
+     * @param {boolean} [options.danger=false] - Style the confirming button as destructive
+     * @returns {Promise<boolean>} Whether the user confirmed
+     */
+    static confirm(message, {
+        title = i18n.t('modal.confirm'),
+        confirmLabel = i18n.t('modal.ok'),
+        cancelLabel = i18n.t('modal.cancel'),
+        danger = false
+    } = {}) {
+        return new Modal({
+            title,
+            content: message,
+            actions: [
+                { label: cancelLabel, value: false, variant: 'secondary' },
+                { label: confirmLabel, value: true, variant: danger ? 'danger' : 'primary' }
+            ],
+            dismissValue: false
+        }).open();
+    }
+
+    /**
+     * Show the dialog
+     * @returns {Promise<*>} Value of the chosen action, or dismissValue
+     */
+    open() {
+        if (this.element) return this.result;
+
+        this.result = new Promise(resolve => {
+            this.resolve = resolve;
+        });
+        this.previousFocus = document.activeElement;
+        this.element = this.render();
+        document.body.appendChild(this.element);
+        document.body.classList.add('modal-open');
+        document.addEventListener('keydown', this.onKeyDown, true);
+        Modal.stack.push(this);
+
+        const first = this.dialog.querySelector('[data-autofocus]') || this.dialog.querySelector('.modal-actions button:last-child');
+        (first || this.dialog).focus();
+        return this.result;
+    }
+
+    /**
+     * Hide the dialog and settle open()
+     * @param {*} [value] - Result, dismissValue when omitted
+     */
+    close(value = this.dismissValue) {
+        if (!this.element) return;
+
+        document.removeEventListener('keydown', this.onKeyDown, true);
+        this.element.remove();
+        this.element = null;
+        Modal.stack = Modal.stack.filter(modal => modal !== this);
+        if (Modal.stack.length === 0) document.body.classList.remove('modal-open');
+
+        if (this.previousFocus && document.contains(this.previousFocus)) this.previousFocus.focus();
+        this.resolve(value);
+    }
+
+    // ------------------------------------------------
+    // Rendering
+    // ------------------------------------------------
+
+    render() {
+        const backdrop = document.createElement('div');
+        backdrop.className = 'modal-backdrop';
+        backdrop.addEventListener('mousedown', (e) => {
+            if (e.target === backdrop) this.close();
+        });
+
+        const id = `modal-${++Modal.count}`;
+        const dialog = document.createElement('div');
+        dialog.className = ['modal', this.className].filter(Boolean).join(' ');
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', `${id}-title`);
+        dialog.tabIndex = -1;
+
+        const heading = document.createElement('h3');
+        heading.id = `${id}-title`;
+        heading.textContent = this.title;
+
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+        if (typeof this.content === 'string') {
+            const message = document.createElement('p');
+            message.className = 'modal-message';
+            message.id = `${id}-message`;
+            message.textContent = this.content;
+            body.appendChild(message);
+            dialog.setAttribute('aria-describedby', message.id);
+        } else {
+            body.append(...[].concat(this.content));
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'modal-actions';
+        this.actions.forEach(({ label, value, variant = 'secondary' }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = variant === 'danger' ? 'btn-primary btn-danger' : `btn-${variant}`;
+            button.textContent = label;
+            button.addEventListener('click', () => this.close(value));
+            actions.appendChild(button);
+        });
+
+        dialog.append(heading, body, actions);
+        backdrop.appendChild(dialog);
+        this.dialog = dialog;
+        return backdrop;
+    }
+
+    /**
+     * Escape dismisses; Tab cycles within the dialog
+     * Only the topmost dialog reacts
+     * @param {KeyboardEvent} e
+     */
+    onKeyDown(e) {
+        if (Modal.stack[Modal.stack.length - 1] !== this) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = Array.from(this.dialog.querySelectorAll(Modal.FOCUSABLE))
+            .filter(element => !element.disabled && element.offsetParent !== null);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = this.dialog.contains(document.activeElement);
+        if (e.shiftKey && (document.activeElement === first || !inside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+/**
+ * Open dialogs, topmost last
+ */
+Modal.stack = [];
+
+/**
+ * Source of unique element ids
+ */
+Modal.count = 0;
+
+/**
+ * Elements Tab can reach inside a dialog
+ */
+Modal.FOCUSABLE = 'button, [href], input, select, textarea, summary, [tabindex]:not([tabindex="-1"])';
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Modal;
+}
@@ -0,0 +1,366 @@
+/**
+ * StudioGrade Audio Converter
+ * Notification Center
+ *
+ * Non-blocking toasts with a severity each, announced to screen readers
+ * through live regions (errors assertively, the rest politely). A
+ * message repeated while its toast is still up bumps a counter instead
+ * of stacking another toast. Every notification is also kept in a
+ * history drawer, so a toast that timed out can still be read.
+ */
+
+class NotificationCenter {
+    /**
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.toggle] - Button that opens the drawer; shows the unread count
+     * @param {HTMLElement} [options.root=document.body] - Where the toasts and drawer are added
+     * @param {I18n} [options.i18n] - Language of the drawer and controls; call updateLabels() after changing it
+     */
+    constructor({ toggle = null, root = document.body, i18n = new I18n() } = {}) {
+        this.toggle = toggle;
+        this.i18n = i18n;
+        this.history = []; // newest first: { message, type, details, time, count }
+        this.toasts = new Map(); // key → { record, element, timer, remaining, started, held }
+        this.unread = 0;
+
+        this.region = document.createElement('section');
+        this.region.className = 'toast-region';
+
+        this.politeRegion = NotificationCenter.createLiveRegion('polite');
+        this.assertiveRegion = NotificationCenter.createLiveRegion('assertive');
+
+        this.drawer = this.renderDrawer();
+        this.list = this.drawer.querySelector('.notification-list');
+        root.append(this.region, this.politeRegion, this.assertiveRegion, this.drawer);
+        this.updateLabels();
+
+        if (this.toggle) {
+            this.toggle.setAttribute('aria-expanded', 'false');
+            this.toggle.addEventListener('click', () => this.toggleDrawer());
+        }
+        this.drawer.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeDrawer();
+        });
+    }
+
+    /**
+     * Show a notification
+     * @param {string} message - Text, may contain line breaks
+     * @param {string} [type='info'] - 'success', 'error', 'warning' or 'info'
+     * @param {Object} [options]
+     * @param {Array<string>} [options.details] - Lines shown collapsed under the message
+     * @returns {Object} History record
+     */
+    notify(message, type = 'info', { details = [] } = {}) {
+        const key = [type, message, ...details].join('\n');
+        let toast = this.toasts.get(key);
+
+        if (toast) {
+            toast.record.count++;
+            toast.record.time = new Date();
+            this.history = [toast.record, ...this.history.filter(record => record !== toast.record)];
+            this.updateToast(toast);
+            this.startTimer(toast, NotificationCenter.DURATIONS[type]);
+        } else {
+            const record = { message, type, details, time: new Date(), count: 1 };
+            this.history.unshift(record);
+            this.history.length = Math.min(this.history.length, NotificationCenter.HISTORY_LIMIT);
+            toast = this.showToast(key, record);
+        }
+
+        if (this.drawer.hidden) this.unread++;
+        this.announce(toast.record);
+        this.renderHistory();
+        this.updateBadge();
+        return toast.record;
+    }
+
+    /**
+     * Remove a toast; its notification stays in the history
+     * @param {string} key - Toast key
+     */
+    dismiss(key) {
+        const toast = this.toasts.get(key);
+        if (!toast) return;
+        clearTimeout(toast.timer);
+        toast.element.remove();
+        this.toasts.delete(key);
+    }
+
+    openDrawer() {
+        this.drawer.hidden = false;
+        this.unread = 0;
+        this.updateBadge();
+        this.renderHistory();
+        this.drawer.querySelector('.notification-drawer-close').focus();
+    }
+
+    closeDrawer() {
+        if (this.drawer.hidden) return;
+        this.drawer.hidden = true;
+        this.updateBadge();
+        if (this.toggle) this.toggle.focus();
+    }
+
+    toggleDrawer() {
+        if (this.drawer.hidden) {
+            this.openDrawer();
+        } else {
+            this.closeDrawer();
+        }
+    }
+
+    clearHistory() {
+        this.history = [];
+        this.unread = 0;
+        this.renderHistory();
+        this.updateBadge();
+    }
+
+    /**
+     * Label the region, drawer and toast controls in the current language
+     * Notifications keep the language they were shown in
+     */
+    updateLabels() {
+        const { i18n } = this;
+        this.region.setAttribute('aria-label', i18n.t('notifications.region'));
+        this.drawer.setAttribute('aria-label', i18n.t('notifications.history'));
+        this.drawer.querySelector('h3').textContent = i18n.t('notifications.title');
+        this.drawer.querySelector('.notification-drawer-clear').textContent = i18n.t('notifications.clear');
+        this.drawer.querySelector('.notification-drawer-close').setAttribute('aria-label', i18n.t('notifications.close'));
+        this.region.querySelectorAll('.toast-close').forEach(button => {
+            button.setAttribute('aria-label', i18n.t('notifications.dismiss'));
+        });
+        this.renderHistory();
+        this.updateBadge();
+    }
+
+    // ------------------------------------------------
+    // Toasts
+    // ------------------------------------------------
+
+    /**
+     * @param {string} key - Identifies repeats of the same notification
+     * @param {Object} record - History record
+     * @returns {Object} Shown toast
+     */
+    showToast(key, record) {
+        const element = document.createElement('div');
+        element.className = `toast toast-${record.type}`;
+
+        const message = document.createElement('div');
+        message.className = 'toast-message';
+        message.textContent = record.message;
+        element.appendChild(message);
+
+        if (record.details.length > 0) {
+            element.appendChild(this.renderDetails(record.details));
+        }
+
+        const count = document.createElement('span');
+        count.className = 'toast-count';
+        count.hidden = true;
+
+        const close = document.createElement('button');
+        close.className = 'toast-close';
+        close.textContent = '✕';
+        close.setAttribute('aria-label', this.i18n.t('notifications.dismiss'));
+        close.addEventListener('click', () => this.dismiss(key));
+        element.append(count, close);
+
+        const toast = { record, element, timer: null, remaining: 0, started: 0, held: false };
+        // Hovering or focusing a toast holds it, so it can be read and its details opened
+        element.addEventListener('mouseenter', () => this.holdTimer(toast));
+        element.addEventListener('focusin', () => this.holdTimer(toast));
+        element.addEventListener('mouseleave', () => {
+            if (!element.contains(document.activeElement)) this.releaseTimer(toast);
+        });
+        element.addEventListener('focusout', (e) => {
+            if (!element.contains(e.relatedTarget) && !element.matches(':hover')) this.releaseTimer(toast);
+        });
+
+        this.toasts.set(key, toast);
+        this.region.appendChild(element);
+        this.startTimer(toast, NotificationCenter.DURATIONS[record.type]);
+
+        // Oldest toasts make room; they stay in the history
+        while (this.toasts.size > NotificationCenter.MAX_TOASTS) {
+            this.dismiss(this.toasts.keys().next().value);
+        }
+        return toast;
+    }
+
+    updateToast(toast) {
+        const count = toast.element.querySelector('.toast-count');
+        count.hidden = toast.record.count < 2;
+        count.textContent = `×${this.i18n.formatNumber(toast.record.count)}`;
+    }
+
+    /**
+     * (Re)start a toast's countdown
+     * @param {Object} toast - Shown toast
+     * @param {number} duration - Milliseconds until it is dismissed
+     */
+    startTimer(toast, duration) {
+        clearTimeout(toast.timer);
+        toast.remaining = duration;
+        if (toast.held) return;
+        toast.started = Date.now();
+        toast.timer = setTimeout(() => {
+            for (const [key, shown] of this.toasts) {
+                if (shown === toast) this.dismiss(key);
+            }
+        }, duration);
+    }
+
+    holdTimer(toast) {
+        if (toast.held) return;
+        clearTimeout(toast.timer);
+        toast.held = true;
+        toast.remaining = Math.max(NotificationCenter.MIN_REMAINING, toast.remaining - (Date.now() - toast.started));
+    }
+
+    releaseTimer(toast) {
+        if (!toast.held) return;
+        toast.held = false;
+        this.startTimer(toast, toast.remaining);
+    }
+
+    /**
+     * Have screen readers read a notification
+     * The region is emptied first so a repeated message is read again
+     * @param {Object} record - History record
+     */
+    announce(record) {
+        const region = record.type === 'error' ? this.assertiveRegion : this.politeRegion;
+        const text = [record.message, ...record.details].join('. ');
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = text;
+        }, NotificationCenter.ANNOUNCE_DELAY);
+    }
+
+    // ------------------------------------------------
+    // History drawer
+    // ------------------------------------------------
+
+    renderDrawer() {
+        const drawer = document.createElement('aside');
+        drawer.className = 'notification-drawer';
+        drawer.hidden = true;
+        drawer.innerHTML = `
+            <div class="notification-drawer-header">
+                <h3></h3>
+                <button class="btn-secondary notification-drawer-clear"></button>
+                <button class="toast-close notification-drawer-close">✕</button>
+            </div>
+            <ol class="notification-list"></ol>
+        `;
+        drawer.querySelector('.notification-drawer-clear').addEventListener('click', () => this.clearHistory());
+        drawer.querySelector('.notification-drawer-close').addEventListener('click', () => this.closeDrawer());
+        return drawer;
+    }
+
+    renderHistory() {
+        if (this.drawer.hidden) return;
+        this.list.innerHTML = '';
+
+        if (this.history.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'notification-empty';
+            empty.textContent = this.i18n.t('notifications.empty');
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.history.forEach(record => {
+            const item = document.createElement('li');
+            item.className = `notification-item toast-${record.type}`;
+
+            const time = document.createElement('time');
+            time.dateTime = record.time.toISOString();
+            time.textContent = this.i18n.formatDate(record.time, { timeStyle: 'medium' }) +
+                (record.count > 1 ? ` • ×${this.i18n.formatNumber(record.count)}` : '');
+            const message = document.createElement('div');
+            message.className = 'toast-message';
+            message.textContent = record.message;
+            item.append(time, message);
+
+            if (record.details.length > 0) {
+                item.appendChild(this.renderDetails(record.details));
+            }
+            this.list.appendChild(item);
+        });
+    }
+
+    updateBadge() {
+        if (!this.toggle) return;
+        this.toggle.dataset.unread = this.unread > 0 ? String(Math.min(this.unread, 99)) : '';
+        this.toggle.setAttribute('aria-expanded', String(!this.drawer.hidden));
+        this.toggle.setAttribute('aria-label', this.unread > 0
+            ? this.i18n.t('notifications.unread', { count: this.unread })
+            : this.i18n.t('notifications.region'));
+    }
+
+    // ------------------------------------------------
+    // Helpers
+    // ------------------------------------------------
+
+    renderDetails(details) {
+        const element = document.createElement('details');
+        element.className = 'toast-details';
+        const summary = document.createElement('summary');
+        summary.textContent = this.i18n.t('notifications.details', { count: details.length });
+        const list = document.createElement('ul');
+        details.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        element.append(summary, list);
+        return element;
+    }
+
+    static createLiveRegion(politeness) {
+        const region = document.createElement('div');
+        region.className = 'visually-hidden';
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        return region;
+    }
+}
+
+/**
+ * How long toasts stay up by severity (ms)
+ */
+NotificationCenter.DURATIONS = {
+    success: 4000,
+    info: 4000,
+    warning: 6000,
+    error: 10000
+};
+
+/**
+ * Time a held toast still gets once released (ms)
+ */
+NotificationCenter.MIN_REMAINING = 1500;
+
+/**
+ * Toasts on screen at once
+ */
+NotificationCenter.MAX_TOASTS = 4;
+
+/**
+ * Notifications kept in the drawer
+ */
+NotificationCenter.HISTORY_LIMIT = 100;
+
+/**
+ * Pause between clearing and filling a live region (ms), so repeats are read
+ */
+NotificationCenter.ANNOUNCE_DELAY = 100;
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotificationCenter;
+}
@@ -0,0 +1,350 @@
+/**
+ * StudioGrade Audio Converter
+ * Output Verifier
+ *
+ * Decodes a finished file and compares it sample for sample with the
+ * PCM that went into the encoder. For FLAC the decoded audio is also
+ * hashed and checked against the MD5 in STREAMINFO, which is what a
+ * player's own verify (flac -t) would check later. The PCM containers
+ * are read from their headers and data chunk, a slice at a time. Runs
+ * in the conversion worker, so it must not touch the DOM.
+ */
+
+/**
+ * Running sample comparison against the encoder input
+ */
+class SampleComparison {
+    /**
+     * @param {Array<Int32Array>} expected - Samples per channel
+     */
+    constructor(expected) {
+        this.expected = expected;
+        this.length = expected.length > 0 ? expected[0].length : 0;
+        this.position = 0;
+        this.compared = 0;
+        this.mismatches = 0;
+        this.firstMismatch = null;
+    }
+
+    /**
+     * @throws {Error} If the decoded layout can't match
+     */
+    checkLayout(channels, totalSamples) {
+        if (channels !== this.expected.length) {
+            throw new Error(`Decoded ${channels} channels, expected ${this.expected.length}`);
+        }
+        if (totalSamples && totalSamples !== this.length) {
+            throw new Error(`Header declares ${totalSamples} samples, expected ${this.length}`);
+        }
+    }
+
+    /**
+     * Compare the next block of decoded samples
+     * @param {Array<Int32Array>} channels - Decoded samples per channel
+     * @param {number} length - Samples in the block
+     */
+    compare(channels, length) {
+        const count = Math.min(length, this.length - this.position);
+        for (let c = 0; c < channels.length; c++) {
+            const decoded = channels[c];
+            const original = this.expected[c];
+            for (let i = 0; i < count; i++) {
+                if (decoded[i] === original[this.position + i]) continue;
+                this.mismatches++;
+                const sample = this.position + i;
+                if (!this.firstMismatch || sample < this.firstMismatch.sample) {
+                    this.firstMismatch = { sample, channel: c, expected: original[sample], actual: decoded[i] };
+                }
+            }
+        }
+        this.compared += count;
+        this.position += length;
+    }
+
+    /**
+     * @throws {Error} If the decoded length differs from the input
+     */
+    finish() {
+        if (this.position !== this.length) {
+            throw new Error(`Decoded ${this.position} samples, expected ${this.length}`);
+        }
+    }
+}
+
+class OutputVerifier {
+    /**
+     * Verify an encoded file
+     * @param {Blob} blob - Encoded FLAC file or PCM container (WAV, RF64, AIFF, AIFF-C, W64, CAF)
+     * @param {Array<Int32Array>} expected - Samples per channel that were encoded
+     * @param {Function} [onProgress] - Receives progress 0-100
+     * @param {Function} [checkpoint] - Async function awaited between frames
+     * @param {Object} [options]
+     * @param {number} [options.bitDepth] - Depth the samples were quantized to, for containers
+     *     that declare only the width they are stored in (CAF)
+     * @returns {Promise<Object>} { passed, format, samplesCompared, mismatches,
+     *     firstMismatch, md5, error } where firstMismatch is
+     *     { sample, channel, expected, actual } or null, and md5 is
+     *     { stored, decoded, matches } (stored null when the format has none)
+     */
+    static async verify(blob, expected, onProgress = () => {}, checkpoint = async () => {}, { bitDepth } = {}) {
+        const head = new Uint8Array(await blob.slice(0, OutputVerifier.HEAD_BYTES).arrayBuffer());
+        const comparison = new SampleComparison(expected);
+        const report = {
+            passed: false,
+            format: OutputVerifier.detectFormat(head),
+            samplesCompared: 0,
+            mismatches: 0,
+            firstMismatch: null,
+            md5: null,
+            error: null
+        };
+
+        try {
+            if (report.format === 'FLAC') {
+                const bytes = new Uint8Array(await blob.arrayBuffer());
+                report.md5 = await OutputVerifier.verifyFlac(bytes, comparison, onProgress, checkpoint);
+            } else if (report.format) {
+                const layout = await OutputVerifier.readLayout(blob, report.format);
+                await OutputVerifier.verifyPcm(blob, layout, comparison, { bitDepth, onProgress, checkpoint });
+            } else {
+                throw new Error('Unsupported output format');
+            }
+            comparison.finish();
+        } catch (error) {
+            if (JobQueue.isAbortError(error)) throw error;
+            report.error = error.message;
+        }
+
+        report.samplesCompared = comparison.compared;
+        report.mismatches = comparison.mismatches;
+        report.firstMismatch = comparison.firstMismatch;
+        report.passed = !report.error &&
+            comparison.mismatches === 0 &&
+            (!report.md5 || report.md5.matches);
+        return report;
+    }
+
+    /**
+     * @param {Uint8Array} bytes - Start of the file, at least 28 bytes
+     * @returns {string|null} 'FLAC', 'WAV', 'RF64', 'AIFF', 'AIFC', 'W64', 'CAF' or null
+     */
+    static detectFormat(bytes) {
+        const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        if (tag(0) === 'fLaC') return 'FLAC';
+        if (tag(0) === 'RIFF' && tag(8) === 'WAVE') return 'WAV';
+        if (tag(0) === 'RF64' && tag(8) === 'WAVE') return 'RF64';
+        if (tag(0) === 'FORM' && (tag(8) === 'AIFF' || tag(8) === 'AIFC')) return tag(8);
+        if (tag(0) === 'riff' && tag(24) === 'wave') return 'W64';
+        if (tag(0) === 'caff') return 'CAF';
+        return null;
+    }
+
+    /**
+     * Decode frame by frame, comparing and hashing as it goes
+     * @returns {Promise<Object>} { stored, decoded, matches }
+     */
+    static async verifyFlac(bytes, comparison, onProgress, checkpoint) {
+        const decoder = new FlacDecoder(bytes);
+        const info = decoder.readHeader();
+        comparison.checkLayout(info.channels, info.totalSamples);
+
+        const bytesPerSample = Math.ceil(info.bitsPerSample / 8);
+        const md5 = new Md5();
+        for (let frame = decoder.readFrame(); frame; frame = decoder.readFrame()) {
+            comparison.compare(frame.channels, frame.blockSize);
+            md5.update(OutputVerifier.interleave(frame.channels, frame.blockSize, bytesPerSample));
+            onProgress((comparison.position / Math.max(1, info.totalSamples)) * 100);
+            await checkpoint();
+        }
+
+        // An all-zero signature means the encoder didn't compute one
+        const stored = info.md5.some(byte => byte !== 0) ? Md5.toHex(info.md5) : null;
+        const decoded = Md5.toHex(md5.digest());
+        return { stored, decoded, matches: stored === null || stored === decoded };
+    }
+
+    /**
+     * Read the data chunk slice by slice and compare it
+     * Samples stored wider than their depth sit in the top bits
+     * @param {Blob} blob - The file
+     * @param {Object} layout - From readLayout
+     * @param {SampleComparison} comparison - Running comparison
+     * @param {Object} options - { bitDepth, onProgress, checkpoint } as for verify
+     */
+    static async verifyPcm(blob, layout, comparison, { bitDepth, onProgress, checkpoint }) {
+        const { channels, bytesPerSample, littleEndian } = layout;
+        const frameBytes = channels * bytesPerSample;
+        const frames = Math.floor(layout.length / frameBytes);
+        const shift = bytesPerSample * 8 - (bitDepth || layout.validBits);
+        comparison.checkLayout(channels, frames);
+
+        const framesPerSlice = Math.max(1, Math.floor(OutputVerifier.SLICE_BYTES / frameBytes));
+        const decoded = Array.from({ length: channels }, () => new Int32Array(framesPerSlice));
+        for (let start = 0; start < frames; start += framesPerSlice) {
+            const count = Math.min(framesPerSlice, frames - start);
+            const from = layout.offset + start * frameBytes;
+            const bytes = new Uint8Array(await blob.slice(from, from + count * frameBytes).arrayBuffer());
+
+            let pos = 0;
+            for (let i = 0; i < count; i++) {
+                for (let c = 0; c < channels; c++) {
+                    decoded[c][i] = OutputVerifier.readSample(bytes, pos, bytesPerSample, littleEndian) >> shift;
+                    pos += bytesPerSample;
+                }
+            }
+            comparison.compare(decoded, count);
+            onProgress(((start + count) / frames) * 100);
+            await checkpoint();
+        }
+        onProgress(100);
+    }
+
+    /**
+     * Find the sample format and data chunk of a PCM container
+     * @param {Blob} blob - The file
+     * @param {string} format - From detectFormat
+     * @returns {Promise<Object>} { channels, bytesPerSample, validBits, littleEndian, offset, length }
+     * @throws {Error} If the file is not integer PCM or has no format or data chunk
+     */
+    static async readLayout(blob, format) {
+        const read = async (pos, size) => new DataView(await blob.slice(pos, pos + size).arrayBuffer());
+        const tag = (view, at) => String.fromCharCode(...new Uint8Array(view.buffer, at, 4));
+        const uint64 = (view, at, littleEndian) => {
+            const high = view.getUint32(littleEndian ? at + 4 : at, littleEndian);
+            return high * 0x100000000 + view.getUint32(littleEndian ? at : at + 4, littleEndian);
+        };
+        // Format chunk bodies are short: one read covers a chunk's header and body
+        const headBytes = 64;
+
+        let sample = null;
+        let data = null;
+        if (format === 'WAV' || format === 'RF64') {
+            let dataSize64 = null;
+            for (let pos = 12; pos + 8 <= blob.size && !data;) {
+                const view = await read(pos, headBytes);
+                const id = tag(view, 0);
+                let size = view.getUint32(4, true);
+                if (id === 'ds64') dataSize64 = uint64(view, 16, true);
+                if (id === 'fmt ') sample = OutputVerifier.readWaveFormat(view, 8, size);
+                if (id === 'data') {
+                    // RF64 leaves 0xFFFFFFFF here and keeps the real size in ds64
+                    if (size === 0xffffffff && dataSize64 !== null) size = dataSize64;
+                    data = { offset: pos + 8, length: size };
+                }
+                pos += 8 + size + (size & 1);
+            }
+        } else if (format === 'W64') {
+            for (let pos = 40; pos + 24 <= blob.size && !data;) {
+                const view = await read(pos, headBytes);
+                const id = tag(view, 0);
+                const size = uint64(view, 16, true);
+                if (id === 'fmt ') sample = OutputVerifier.readWaveFormat(view, 24, size - 24);
+                if (id === 'data') data = { offset: pos + 24, length: size - 24 };
+                pos += Math.ceil(size / 8) * 8;
+            }
+        } else if (format === 'AIFF' || format === 'AIFC') {
+            for (let pos = 12; pos + 8 <= blob.size && !(sample && data);) {
+                const view = await read(pos, headBytes);
+                const id = tag(view, 0);
+                const size = view.getUint32(4);
+                if (id === 'COMM') {
+                    const compression = format === 'AIFC' ? tag(view, 26) : 'NONE';
+                    if (compression !== 'NONE') throw new Error(`AIFF-C output is compressed (${compression})`);
+                    const bits = view.getUint16(14);
+                    sample = { channels: view.getUint16(8), bytesPerSample: Math.ceil(bits / 8), validBits: bits, littleEndian: false };
+                }
+                if (id === 'SSND') {
+                    const skip = view.getUint32(8);
+                    data = { offset: pos + 16 + skip, length: size - 8 - skip };
+                }
+                pos += 8 + size + (size & 1);
+            }
+        } else if (format === 'CAF') {
+            for (let pos = 8; pos + 12 <= blob.size && !data;) {
+                const view = await read(pos, headBytes);
+                const id = tag(view, 0);
+                const size = uint64(view, 4, false);
+                if (id === 'desc') {
+                    const flags = view.getUint32(24);
+                    if (tag(view, 20) !== 'lpcm' || (flags & 1)) throw new Error('CAF output is not integer PCM');
+                    const bits = view.getUint32(40);
+                    sample = { channels: view.getUint32(36), bytesPerSample: view.getUint32(28) / view.getUint32(36), validBits: bits, littleEndian: Boolean(flags & 2) };
+                }
+                if (id === 'data') {
+                    // An unknown size (all ones) runs to the end of the file; the edit count comes first
+                    const length = size >= 0xffffffffffff ? blob.size - pos - 16 : size - 4;
+                    data = { offset: pos + 16, length };
+                }
+                pos += 12 + size;
+            }
+        }
+
+        if (!sample || !data) throw new Error(`${format} output has no format or data chunk`);
+        return { ...sample, offset: data.offset, length: Math.min(data.length, blob.size - data.offset) };
+    }
+
+    /**
+     * Read a WAVEFORMATEX body, as WAV, RF64 and Wave64 store it
+     * @param {DataView} view - Chunk
+     * @param {number} at - Offset of the body in the view
+     * @param {number} size - Body size
+     * @returns {Object} { channels, bytesPerSample, validBits, littleEndian }
+     * @throws {Error} If the format is not integer PCM
+     */
+    static readWaveFormat(view, at, size) {
+        let tag = view.getUint16(at, true);
+        const bits = view.getUint16(at + 14, true);
+        let validBits = bits;
+        // WAVE_FORMAT_EXTENSIBLE keeps the real tag in its sub-format GUID
+        if (tag === 0xfffe && size >= 40) {
+            validBits = view.getUint16(at + 18, true) || bits;
+            tag = view.getUint16(at + 24, true);
+        }
+        if (tag !== 1) throw new Error('Output is not integer PCM');
+        return { channels: view.getUint16(at + 2, true), bytesPerSample: Math.ceil(bits / 8), validBits, littleEndian: true };
+    }
+
+    /**
+     * Read a signed sample; 8-bit samples are unsigned in the
+     * little-endian (RIFF) containers
+     */
+    static readSample(bytes, pos, bytesPerSample, littleEndian = true) {
+        if (bytesPerSample === 1) return littleEndian ? bytes[pos] - 128 : (bytes[pos] << 24) >> 24;
+        let value = 0;
+        for (let b = 0; b < bytesPerSample; b++) {
+            value = value * 256 + bytes[littleEndian ? pos + bytesPerSample - 1 - b : pos + b];
+        }
+        const range = 2 ** (bytesPerSample * 8);
+        return value >= range / 2 ? value - range : value;
+    }
+
+    /**
+     * Interleaved little-endian bytes, the layout FLAC's MD5 is computed over
+     */
+    static interleave(channels, length, bytesPerSample) {
+        const out = new Uint8Array(length * channels.length * bytesPerSample);
+        let pos = 0;
+        for (let i = 0; i < length; i++) {
+            for (const samples of channels) {
+                const value = samples[i];
+                for (let b = 0; b < bytesPerSample; b++) out[pos++] = (value >> (8 * b)) & 0xff;
+            }
+        }
+        return out;
+    }
+}
+
+/**
+ * Bytes read to recognize the format
+ */
+OutputVerifier.HEAD_BYTES = 64;
+
+/**
+ * Bytes of PCM data read and compared at a time
+ */
+OutputVerifier.SLICE_BYTES = 1 << 20;
+
+// Export for use in workers and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OutputVerifier;
+}
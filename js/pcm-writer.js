@@ -0,0 +1,645 @@
+/**
+ * StudioGrade Audio Converter
+ * PCM Writer
+ *
+ * Writes integer PCM into the uncompressed containers: WAV (promoted
+ * to RF64 once it passes the 4 GB RIFF limit), RF64, AIFF, AIFF-C,
+ * Sony Wave64 and CAF. It takes blocks like FlacEncoder does, so the
+ * pipeline drives either the same way; the header is built in finish(),
+ * once the data size is known. WAV and RF64 carry a BWF bext chunk and
+ * LIST/INFO tags, AIFF its text chunks and CAF an info chunk.
+ */
+
+class PcmWriter {
+    /**
+     * @param {Object} options
+     * @param {string} options.format - WAV, RF64, AIFF, AIFC, W64 or CAF
+     * @param {number} options.sampleRate - Sample rate in Hz
+     * @param {number} options.channels - Channel count
+     * @param {number} options.bitsPerSample - Bits per sample (16-24)
+     * @param {Object} [options.tags] - { fields } from TagReader; pictures are not written
+     * @param {Object} [options.loudness] - Output loudness { integrated, range, truePeak } for bext
+     * @param {Date} [options.date] - Origination date for bext (default now)
+     */
+    constructor(options) {
+        const { format, sampleRate, channels, bitsPerSample, tags, loudness = null, date = new Date() } = options;
+
+        this.container = PcmWriter.FORMATS[format];
+        if (!this.container) {
+            throw new Error(`Unsupported output format: ${format}`);
+        }
+        if (!Number.isInteger(channels) || channels < 1 || channels > 65535) {
+            throw new Error(`Invalid PCM channel count: ${channels}`);
+        }
+        if (!Number.isInteger(bitsPerSample) || bitsPerSample < 16 || bitsPerSample > 24) {
+            throw new Error(`PCM writer supports 16-24 bits per sample, got ${bitsPerSample}`);
+        }
+
+        this.format = format;
+        this.sampleRate = sampleRate;
+        this.channels = channels;
+        this.bitsPerSample = bitsPerSample;
+        this.bytesPerSample = Math.ceil(bitsPerSample / 8);
+        // 20-bit samples fill the top of a 3-byte container, as WAVE_FORMAT_EXTENSIBLE and AIFF store them
+        this.shift = this.bytesPerSample * 8 - bitsPerSample;
+        this.fields = (tags && tags.fields) || {};
+        this.loudness = loudness;
+        this.date = date;
+        this.blockSize = PcmWriter.BLOCK_SIZE;
+
+        this.blocks = [];
+        this.dataSize = 0;
+        this.totalSamples = 0;
+        this.md5 = new Md5();
+        this.md5Digest = null;
+        this.finished = false;
+    }
+
+    /**
+     * MIME type of the output
+     * @returns {string}
+     */
+    get mimeType() {
+        return this.container.type;
+    }
+
+    /**
+     * Interleave a block of samples into the container's byte order
+     * @param {Array<Int32Array>} pcm - Samples per channel
+     * @param {number} offset - First sample of the block
+     * @param {number} length - Samples in the block
+     */
+    encodeBlock(pcm, offset, length) {
+        const { channels, bytesPerSample, shift } = this;
+        const littleEndian = this.container.littleEndian;
+        const bytes = new Uint8Array(length * channels * bytesPerSample);
+        // The MD5 is taken over FLAC's layout (little-endian, not shifted) so it matches a FLAC output's
+        const signature = littleEndian && shift === 0 ? bytes : new Uint8Array(bytes.length);
+
+        let pos = 0;
+        for (let i = offset; i < offset + length; i++) {
+            for (let c = 0; c < channels; c++) {
+                const value = pcm[c][i];
+                const stored = value << shift;
+                for (let b = 0; b < bytesPerSample; b++) {
+                    bytes[littleEndian ? pos + b : pos + bytesPerSample - 1 - b] = (stored >> (8 * b)) & 0xff;
+                    signature[pos + b] = (value >> (8 * b)) & 0xff;
+                }
+                pos += bytesPerSample;
+            }
+        }
+
+        this.md5.update(signature);
+        this.blocks.push(bytes);
+        this.dataSize += bytes.length;
+        this.totalSamples += length;
+    }
+
+    /**
+     * Finish writing and build the complete file
+     * @returns {Array<Uint8Array>} Header, sample data and padding
+     */
+    finish() {
+        if (!this.finished) {
+            this.md5Digest = this.md5.digest();
+            this.finished = true;
+        }
+        return [this.buildHeader(), ...this.blocks, new Uint8Array(this.paddingSize())];
+    }
+
+    /**
+     * Hex MD5 of the audio, computed as FLAC's STREAMINFO signature (available after finish)
+     * @returns {string}
+     */
+    getMd5() {
+        return this.md5Digest ? Md5.toHex(this.md5Digest) : '';
+    }
+
+    /**
+     * Everything before the sample data, for the data written so far
+     * @returns {Uint8Array}
+     * @throws {Error} If the data is too large for the container
+     */
+    buildHeader() {
+        switch (this.container.layout) {
+            case 'riff': return this.buildRiffHeader();
+            case 'aiff': return this.buildAiffHeader();
+            case 'w64': return this.buildW64Header();
+            default: return this.buildCafHeader();
+        }
+    }
+
+    /**
+     * Bytes after the sample data that keep the last chunk aligned
+     * @returns {number}
+     */
+    paddingSize() {
+        switch (this.container.layout) {
+            case 'w64': return (8 - (this.dataSize % 8)) % 8;
+            case 'caf': return 0;
+            default: return this.dataSize & 1;
+        }
+    }
+
+    // ------------------------------------------------
+    // WAV and RF64
+    // ------------------------------------------------
+
+    /**
+     * RIFF header, fmt, bext and LIST chunks and the data chunk header
+     * A JUNK chunk reserves room for ds64 (EBU Tech 3306), so a WAV
+     * that grows past 4 GB becomes RF64 with the same layout
+     * @returns {Uint8Array}
+     */
+    buildRiffHeader() {
+        const chunks = [
+            PcmWriter.chunk('JUNK', new Uint8Array(PcmWriter.DS64_SIZE), true),
+            PcmWriter.chunk('fmt ', this.waveFormat(), true),
+            PcmWriter.chunk('bext', this.broadcastExtension(), true),
+            PcmWriter.chunk('LIST', this.infoList(), true)
+        ];
+        const size = 12 + PcmWriter.totalLength(chunks) + 8;
+        const riffSize = size - 8 + this.dataSize + this.paddingSize();
+        const rf64 = this.format === 'RF64' || riffSize > PcmWriter.MAX_UINT32;
+        if (rf64) chunks[0] = PcmWriter.chunk('ds64', this.dataSize64(riffSize), true);
+
+        const header = new Uint8Array(size);
+        const view = new DataView(header.buffer);
+        PcmWriter.setTag(header, 0, rf64 ? 'RF64' : 'RIFF');
+        view.setUint32(4, rf64 ? PcmWriter.MAX_UINT32 : riffSize, true);
+        PcmWriter.setTag(header, 8, 'WAVE');
+        const pos = PcmWriter.setAll(header, 12, chunks);
+        PcmWriter.setTag(header, pos, 'data');
+        view.setUint32(pos + 4, rf64 ? PcmWriter.MAX_UINT32 : this.dataSize, true);
+        return header;
+    }
+
+    /**
+     * WAVEFORMATEX body, shared by WAV, RF64 and Wave64
+     * WAVE_FORMAT_EXTENSIBLE, with the valid bits and speaker mask, is
+     * used for more than 2 channels or 16 bits, as Microsoft specifies
+     * @returns {Uint8Array}
+     */
+    waveFormat() {
+        const extensible = this.channels > 2 || this.bitsPerSample > 16;
+        const blockAlign = this.channels * this.bytesPerSample;
+        const body = new Uint8Array(extensible ? 40 : 16);
+        const view = new DataView(body.buffer);
+
+        view.setUint16(0, extensible ? PcmWriter.WAVE_FORMAT_EXTENSIBLE : PcmWriter.WAVE_FORMAT_PCM, true);
+        view.setUint16(2, this.channels, true);
+        view.setUint32(4, this.sampleRate, true);
+        view.setUint32(8, this.sampleRate * blockAlign, true);
+        view.setUint16(12, blockAlign, true);
+        view.setUint16(14, this.bytesPerSample * 8, true);
+        if (extensible) {
+            view.setUint16(16, 22, true);
+            view.setUint16(18, this.bitsPerSample, true);
+            view.setUint32(20, ChannelMixer.channelMask(this.channels), true);
+            body.set(PcmWriter.PCM_SUBFORMAT, 24);
+        }
+        return body;
+    }
+
+    /**
+     * ds64 body: the 64-bit sizes RF64 leaves out of the RIFF and data headers
+     * @param {number} riffSize - Size of the RIFF chunk
+     * @returns {Uint8Array}
+     */
+    dataSize64(riffSize) {
+        const body = new Uint8Array(PcmWriter.DS64_SIZE);
+        const view = new DataView(body.buffer);
+        PcmWriter.setUint64(view, 0, riffSize, true);
+        PcmWriter.setUint64(view, 8, this.dataSize, true);
+        PcmWriter.setUint64(view, 16, this.totalSamples, true);
+        return body; // no table entries
+    }
+
+    /**
+     * Broadcast Wave bext body, version 2 (EBU Tech 3285) with the loudness fields
+     * @returns {Uint8Array}
+     */
+    broadcastExtension() {
+        const mode = this.channels === 1 ? 'mono' : this.channels === 2 ? 'stereo' : 'multichannel';
+        const history = `A=PCM,F=${this.sampleRate},W=${this.bitsPerSample},M=${mode},T=${PcmWriter.SOFTWARE}\r\n`;
+        const body = new Uint8Array(602 + history.length);
+        const view = new DataView(body.buffer);
+        const pad = (value) => String(value).padStart(2, '0');
+        const date = this.date;
+
+        PcmWriter.setAscii(body, 0, this.fields.TITLE || '', 256);
+        PcmWriter.setAscii(body, 256, PcmWriter.SOFTWARE, 32);
+        PcmWriter.setAscii(body, 320, `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`, 10);
+        PcmWriter.setAscii(body, 330, `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`, 8);
+        view.setUint16(346, 2, true);
+
+        // Hundredths of LU/LUFS/dBTP; 0x7FFF marks a value that wasn't measured
+        const loudness = this.loudness || {};
+        [loudness.integrated, loudness.range, loudness.truePeak, undefined, undefined].forEach((value, i) => {
+            view.setInt16(412 + 2 * i, Number.isFinite(value) ? Math.round(value * 100) : 0x7fff, true);
+        });
+        PcmWriter.setAscii(body, 602, history, history.length);
+        return body;
+    }
+
+    /**
+     * LIST chunk body of type INFO with the tags WAV players read
+     * @returns {Uint8Array}
+     */
+    infoList() {
+        const entries = Object.entries(PcmWriter.INFO_FIELDS)
+            .filter(([, field]) => this.fields[field])
+            .map(([id, field]) => PcmWriter.chunk(id, PcmWriter.utf8(this.fields[field], true), true));
+        entries.push(PcmWriter.chunk('ISFT', PcmWriter.utf8(PcmWriter.SOFTWARE, true), true));
+
+        const body = new Uint8Array(4 + PcmWriter.totalLength(entries));
+        PcmWriter.setTag(body, 0, 'INFO');
+        PcmWriter.setAll(body, 4, entries);
+        return body;
+    }
+
+    // ------------------------------------------------
+    // AIFF and AIFF-C
+    // ------------------------------------------------
+
+    /**
+     * FORM header, COMM and text chunks and the SSND chunk header
+     * @returns {Uint8Array}
+     * @throws {Error} If the file would pass the 4 GB FORM limit
+     */
+    buildAiffHeader() {
+        const aifc = this.format === 'AIFC';
+        const chunks = [];
+        if (aifc) {
+            const version = new Uint8Array(4);
+            new DataView(version.buffer).setUint32(0, PcmWriter.AIFC_VERSION);
+            chunks.push(PcmWriter.chunk('FVER', version, false));
+        }
+        chunks.push(PcmWriter.chunk('COMM', this.commonChunk(aifc), false));
+        Object.entries(PcmWriter.AIFF_TEXT_CHUNKS)
+            .filter(([, field]) => this.fields[field])
+            .forEach(([id, field]) => chunks.push(PcmWriter.chunk(id, PcmWriter.utf8(this.fields[field]), false)));
+
+        const size = 12 + PcmWriter.totalLength(chunks) + 16;
+        const formSize = size - 8 + this.dataSize + this.paddingSize();
+        if (formSize > PcmWriter.MAX_UINT32) {
+            throw new Error(`${this.format} files are limited to 4 GB; use WAV, RF64, W64 or CAF for this output`);
+        }
+
+        const header = new Uint8Array(size);
+        const view = new DataView(header.buffer);
+        PcmWriter.setTag(header, 0, 'FORM');
+        view.setUint32(4, formSize);
+        PcmWriter.setTag(header, 8, aifc ? 'AIFC' : 'AIFF');
+        const pos = PcmWriter.setAll(header, 12, chunks);
+        PcmWriter.setTag(header, pos, 'SSND');
+        view.setUint32(pos + 4, 8 + this.dataSize);
+        // Data offset and block size stay 0
+        return header;
+    }
+
+    /**
+     * COMM body; AIFF-C adds the compression type, NONE for big-endian PCM
+     * @param {boolean} aifc - Write the AIFF-C form
+     * @returns {Uint8Array}
+     */
+    commonChunk(aifc) {
+        const name = 'not compressed';
+        const body = new Uint8Array(aifc ? 22 + ((name.length + 2) & ~1) : 18);
+        const view = new DataView(body.buffer);
+
+        view.setUint16(0, this.channels);
+        view.setUint32(2, this.totalSamples);
+        view.setUint16(6, this.bitsPerSample);
+        PcmWriter.setExtended(view, 8, this.sampleRate);
+        if (aifc) {
+            PcmWriter.setTag(body, 18, 'NONE');
+            body[22] = name.length;
+            PcmWriter.setAscii(body, 23, name, name.length);
+        }
+        return body;
+    }
+
+    // ------------------------------------------------
+    // Wave64
+    // ------------------------------------------------
+
+    /**
+     * riff and wave GUIDs, the fmt chunk and the data chunk header
+     * Wave64 chunks have GUID ids and 64-bit sizes that count their
+     * own header, and start on 8-byte boundaries
+     * @returns {Uint8Array}
+     */
+    buildW64Header() {
+        const format = PcmWriter.w64Chunk('fmt ', this.waveFormat());
+        const size = 40 + format.length + 24;
+        const header = new Uint8Array(size);
+        const view = new DataView(header.buffer);
+
+        header.set(PcmWriter.w64Guid('riff'), 0);
+        PcmWriter.setUint64(view, 16, size + this.dataSize + this.paddingSize(), true);
+        header.set(PcmWriter.w64Guid('wave'), 24);
+        header.set(format, 40);
+        header.set(PcmWriter.w64Guid('data'), 40 + format.length);
+        PcmWriter.setUint64(view, 56 + format.length, 24 + this.dataSize, true);
+        return header;
+    }
+
+    // ------------------------------------------------
+    // CAF
+    // ------------------------------------------------
+
+    /**
+     * File header, desc, chan and info chunks and the data chunk header
+     * @returns {Uint8Array}
+     */
+    buildCafHeader() {
+        const chunks = [PcmWriter.cafChunk('desc', this.audioDescription())];
+        if (this.channels > 2) chunks.push(PcmWriter.cafChunk('chan', this.channelLayout()));
+        chunks.push(PcmWriter.cafChunk('info', this.cafInfo()));
+
+        const size = 8 + PcmWriter.totalLength(chunks) + 16;
+        const header = new Uint8Array(size);
+        const view = new DataView(header.buffer);
+        PcmWriter.setTag(header, 0, 'caff');
+        view.setUint16(4, 1);
+        const pos = PcmWriter.setAll(header, 8, chunks);
+        PcmWriter.setTag(header, pos, 'data');
+        PcmWriter.setUint64(view, pos + 4, 4 + this.dataSize, false);
+        // Edit count stays 0
+        return header;
+    }
+
+    /**
+     * desc body: big-endian integer linear PCM
+     * CAF has no valid-bits field, so 20-bit audio is declared as the
+     * 24-bit samples it is stored in
+     * @returns {Uint8Array}
+     */
+    audioDescription() {
+        const body = new Uint8Array(32);
+        const view = new DataView(body.buffer);
+        view.setFloat64(0, this.sampleRate);
+        PcmWriter.setTag(body, 8, 'lpcm');
+        view.setUint32(12, 0);
+        view.setUint32(16, this.channels * this.bytesPerSample);
+        view.setUint32(20, 1);
+        view.setUint32(24, this.channels);
+        view.setUint32(28, this.bytesPerSample * 8);
+        return body;
+    }
+
+    /**
+     * chan body: the speakers as a WAVE-style channel bitmap
+     * @returns {Uint8Array}
+     */
+    channelLayout() {
+        const body = new Uint8Array(12);
+        const view = new DataView(body.buffer);
+        view.setUint32(0, PcmWriter.CAF_USE_CHANNEL_BITMAP);
+        view.setUint32(4, ChannelMixer.channelMask(this.channels));
+        return body;
+    }
+
+    /**
+     * info body: a count, then NUL-terminated key and value pairs
+     * @returns {Uint8Array}
+     */
+    cafInfo() {
+        const pairs = Object.entries(PcmWriter.CAF_INFO_KEYS)
+            .filter(([, field]) => this.fields[field])
+            .map(([key, field]) => [key, this.fields[field]]);
+        pairs.push(['encoding application', PcmWriter.SOFTWARE]);
+
+        const strings = pairs.flat().map(text => PcmWriter.utf8(text, true));
+        const body = new Uint8Array(4 + PcmWriter.totalLength(strings));
+        new DataView(body.buffer).setUint32(0, pairs.length);
+        PcmWriter.setAll(body, 4, strings);
+        return body;
+    }
+
+    // ------------------------------------------------
+    // Byte helpers
+    // ------------------------------------------------
+
+    /**
+     * RIFF or IFF chunk: id, 32-bit size, body and a pad byte if the size is odd
+     * @param {string} id - Four-character id
+     * @param {Uint8Array} body - Chunk body
+     * @param {boolean} littleEndian - RIFF (true) or IFF (false) byte order
+     * @returns {Uint8Array}
+     */
+    static chunk(id, body, littleEndian) {
+        const bytes = new Uint8Array(8 + body.length + (body.length & 1));
+        PcmWriter.setTag(bytes, 0, id);
+        new DataView(bytes.buffer).setUint32(4, body.length, littleEndian);
+        bytes.set(body, 8);
+        return bytes;
+    }
+
+    /**
+     * Wave64 chunk: GUID, 64-bit size including the header, body padded to 8 bytes
+     * @param {string} id - Four-character id the GUID starts with
+     * @param {Uint8Array} body - Chunk body
+     * @returns {Uint8Array}
+     */
+    static w64Chunk(id, body) {
+        const bytes = new Uint8Array(24 + Math.ceil(body.length / 8) * 8);
+        bytes.set(PcmWriter.w64Guid(id), 0);
+        PcmWriter.setUint64(new DataView(bytes.buffer), 16, 24 + body.length, true);
+        bytes.set(body, 24);
+        return bytes;
+    }
+
+    /**
+     * @param {string} id - riff, wave, fmt or data
+     * @returns {Uint8Array} The chunk's 16-byte GUID as stored
+     */
+    static w64Guid(id) {
+        const guid = new Uint8Array(16);
+        PcmWriter.setTag(guid, 0, id);
+        guid.set(id === 'riff' ? PcmWriter.W64_RIFF_GUID_TAIL : PcmWriter.W64_GUID_TAIL, 4);
+        return guid;
+    }
+
+    /**
+     * CAF chunk: type, 64-bit big-endian size and body
+     * @param {string} type - Four-character type
+     * @param {Uint8Array} body - Chunk body
+     * @returns {Uint8Array}
+     */
+    static cafChunk(type, body) {
+        const bytes = new Uint8Array(12 + body.length);
+        PcmWriter.setTag(bytes, 0, type);
+        PcmWriter.setUint64(new DataView(bytes.buffer), 4, body.length, false);
+        bytes.set(body, 12);
+        return bytes;
+    }
+
+    /**
+     * Write an 80-bit IEEE extended float, as AIFF stores the sample rate
+     * Only whole numbers below 2^32 are needed: the mantissa's low word stays 0
+     * @param {DataView} view - Target
+     * @param {number} at - Byte offset
+     * @param {number} value - Positive integer
+     */
+    static setExtended(view, at, value) {
+        const exponent = Math.floor(Math.log2(value));
+        view.setUint16(at, 16383 + exponent);
+        view.setUint32(at + 2, value * 2 ** (31 - exponent));
+        view.setUint32(at + 6, 0);
+    }
+
+    /**
+     * @param {DataView} view - Target
+     * @param {number} at - Byte offset
+     * @param {number} value - Integer below 2^53
+     * @param {boolean} littleEndian - Byte order
+     */
+    static setUint64(view, at, value, littleEndian) {
+        const high = Math.floor(value / 0x100000000);
+        const low = value >>> 0;
+        view.setUint32(at, littleEndian ? low : high, littleEndian);
+        view.setUint32(at + 4, littleEndian ? high : low, littleEndian);
+    }
+
+    static setTag(bytes, at, tag) {
+        for (let i = 0; i < 4; i++) bytes[at + i] = tag.charCodeAt(i);
+    }
+
+    /**
+     * Write text into a fixed-size field, zero-filled; non-ASCII characters become '?'
+     */
+    static setAscii(bytes, at, text, size) {
+        for (let i = 0; i < Math.min(text.length, size); i++) {
+            const code = text.charCodeAt(i);
+            bytes[at + i] = code < 0x80 ? code : 0x3f;
+        }
+    }
+
+    /**
+     * @param {string} text - Text to encode
+     * @param {boolean} [terminate=false] - Append a NUL
+     * @returns {Uint8Array}
+     */
+    static utf8(text, terminate = false) {
+        return new TextEncoder().encode(terminate ? `${text}\0` : text);
+    }
+
+    /**
+     * Copy byte arrays one after another
+     * @returns {number} Offset after the last one
+     */
+    static setAll(bytes, at, parts) {
+        parts.forEach(part => {
+            bytes.set(part, at);
+            at += part.length;
+        });
+        return at;
+    }
+
+    static totalLength(parts) {
+        return parts.reduce((sum, part) => sum + part.length, 0);
+    }
+}
+
+/**
+ * Containers by output format: chunk layout, sample byte order and MIME type
+ */
+PcmWriter.FORMATS = {
+    WAV: { layout: 'riff', littleEndian: true, type: 'audio/wav' },
+    RF64: { layout: 'riff', littleEndian: true, type: 'audio/wav' },
+    AIFF: { layout: 'aiff', littleEndian: false, type: 'audio/aiff' },
+    AIFC: { layout: 'aiff', littleEndian: false, type: 'audio/aiff' },
+    W64: { layout: 'w64', littleEndian: true, type: 'audio/x-w64' },
+    CAF: { layout: 'caf', littleEndian: false, type: 'audio/x-caf' }
+};
+
+/**
+ * Sample frames per block, the unit of progress and cancellation
+ */
+PcmWriter.BLOCK_SIZE = 16384;
+
+/**
+ * Largest size a 32-bit RIFF or IFF size field holds
+ */
+PcmWriter.MAX_UINT32 = 0xffffffff;
+
+/**
+ * Size of a ds64 body without table entries, reserved by JUNK in a WAV
+ */
+PcmWriter.DS64_SIZE = 28;
+
+PcmWriter.WAVE_FORMAT_PCM = 0x0001;
+PcmWriter.WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * KSDATAFORMAT_SUBTYPE_PCM, as stored
+ */
+PcmWriter.PCM_SUBFORMAT = new Uint8Array([
+    0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xaa, 0x00, 0x38, 0x9b, 0x71
+]);
+
+/**
+ * Wave64 GUIDs after their four-character start: riff's, and the one wave, fmt and data share
+ */
+PcmWriter.W64_RIFF_GUID_TAIL = new Uint8Array([0x2e, 0x91, 0xcf, 0x11, 0xa5, 0xd6, 0x28, 0xdb, 0x04, 0xc1, 0x00, 0x00]);
+PcmWriter.W64_GUID_TAIL = new Uint8Array([0xf3, 0xac, 0xd3, 0x11, 0x8c, 0xd1, 0x00, 0xc0, 0x4f, 0x8e, 0xdb, 0x8a]);
+
+/**
+ * AIFF-C version 1 timestamp, the only FVER value defined
+ */
+PcmWriter.AIFC_VERSION = 0xa2805140;
+
+/**
+ * kCAFChannelLayoutTag_UseChannelBitmap
+ */
+PcmWriter.CAF_USE_CHANNEL_BITMAP = 0x10000;
+
+/**
+ * Written as the originator and encoding software
+ */
+PcmWriter.SOFTWARE = 'StudioGrade Audio Converter';
+
+/**
+ * RIFF INFO ids and the tag fields they hold
+ */
+PcmWriter.INFO_FIELDS = {
+    INAM: 'TITLE',
+    IART: 'ARTIST',
+    IPRD: 'ALBUM',
+    ITRK: 'TRACKNUMBER',
+    ICRD: 'DATE',
+    IGNR: 'GENRE',
+    ICMT: 'COMMENT',
+    ICOP: 'COPYRIGHT'
+};
+
+/**
+ * AIFF text chunks and the tag fields they hold
+ */
+PcmWriter.AIFF_TEXT_CHUNKS = {
+    NAME: 'TITLE',
+    AUTH: 'ARTIST',
+    '(c) ': 'COPYRIGHT',
+    ANNO: 'COMMENT'
+};
+
+/**
+ * CAF info keys and the tag fields they hold
+ */
+PcmWriter.CAF_INFO_KEYS = {
+    title: 'TITLE',
+    artist: 'ARTIST',
+    album: 'ALBUM',
+    'track number': 'TRACKNUMBER',
+    year: 'DATE',
+    genre: 'GENRE',
+    comments: 'COMMENT',
+    copyright: 'COPYRIGHT'
+};
+
+// Export for use in workers and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PcmWriter;
+}
@@ -0,0 +1,561 @@
+/**
+ * StudioGrade Audio Converter
+ * Conversion Pipeline
+ *
+ * Turns decoded PCM into an encoded file. Runs inside the conversion
+ * worker, or on the main thread when workers are unavailable, so it
+ * must not touch the DOM.
+ *
+ * Stages: source analysis → edit → remix ⇄ resample → loudness → dither/quantize → encode → verify
+ */
+
+class ConversionPipeline {
+    /**
+     * Run a worker message
+     * @param {Object} message - { type: 'convert' | 'analyze' | 'estimate' | 'peaks', job }
+     * @param {Function} [progressCallback] - Receives progress 0-100
+     * @param {AbortSignal} [signal] - Checked between blocks when running on the main thread
+     * @returns {Promise<Object>}
+     */
+    static handle(message, progressCallback, signal) {
+        switch (message.type) {
+            case 'convert':
+                return ConversionPipeline.run(message.job, progressCallback, signal);
+            case 'analyze':
+                return ConversionPipeline.analyze(message.job, progressCallback, signal);
+            case 'estimate':
+                return ConversionPipeline.estimate(message.job, progressCallback, signal);
+            case 'peaks':
+                return ConversionPipeline.peaks(message.job);
+            default:
+                return Promise.reject(new Error(`Unknown job type: ${message.type}`));
+        }
+    }
+
+    /**
+     * Run a conversion job
+     * @param {Object} job
+     * @param {Array<Float32Array>} job.channels - Decoded samples per channel
+     * @param {number} job.sampleRate - Sample rate of the decoded samples
+     * @param {Object} job.settings - Output settings
+     * @param {Object} [job.tags] - Tags and artwork to write, from TagReader
+     * @param {Object} [job.loudness] - { track, album } measured beforehand (album mode)
+     * @param {number} [job.sourceBitDepth] - Bit depth the source header claims
+     * @param {Object} [job.edits] - Trim and fades, see AudioEditor.DEFAULT_EDITS
+     * @param {Function} [progressCallback] - Receives progress 0-100
+     * @param {AbortSignal} [signal] - Checked between blocks when running on the main thread
+     * @returns {Promise<Object>} Encoded Blob and stream details
+     */
+    static async run(job, progressCallback = () => {}, signal) {
+        const { settings } = job;
+        const known = job.loudness || {};
+        const normalize = typeof settings.loudnessTarget === 'number';
+        const tagged = settings.loudness === 'track' || settings.loudness === 'album';
+        const measure = normalize || tagged;
+
+        const checkpoint = ConversionPipeline.createCheckpoint(signal);
+        const plan = ConversionPipeline.plan(job);
+        const stages = ConversionPipeline.createStages(progressCallback, {
+            spectrum: 0.2,
+            ...ConversionPipeline.prepareWeights(job, plan),
+            analyze: measure && !known.track ? 0.5 : 0,
+            limit: normalize ? 0.3 : 0,
+            verify: normalize ? 0.5 : 0,
+            quantize: 0.1,
+            encode: 1,
+            check: settings.verify === 'on' ? 0.6 : 0
+        });
+
+        // Judged on the untouched source, before anything here changes its spectrum or bit depth
+        const spectrum = await SpectrumAnalyzer.analyze(
+            job.channels, job.sampleRate, { claimedBitDepth: job.sourceBitDepth }, stages.spectrum, checkpoint
+        );
+
+        const { channels, sampleRate, offset } = await ConversionPipeline.prepare(job, plan, stages, checkpoint);
+        const loudness = measure
+            ? await ConversionPipeline.processLoudness(channels, sampleRate, settings, known, stages, checkpoint)
+            : null;
+
+        // Source ReplayGain values no longer describe the output once it is measured or normalized
+        const tags = measure ? ConversionPipeline.withoutReplayGain(job.tags) : job.tags;
+        const replayGain = tagged
+            ? LoudnessMeter.replayGainTags(loudness, loudness.album)
+            : [];
+
+        // Checked after processing: any gain, remix or resampling takes the samples off the source grid
+        const effectiveBitDepth = Dither.effectiveBitDepth(channels);
+        const { bitDepth, dither } = Dither.plan(effectiveBitDepth, settings);
+        const pcm = await ConversionPipeline.quantize(
+            channels, bitDepth, { curve: dither, sampleRate }, stages.quantize, checkpoint
+        );
+
+        const encoder = ConversionPipeline.createEncoder(settings, {
+            sampleRate,
+            channels: pcm.length,
+            bitDepth,
+            tags,
+            replayGain,
+            loudness
+        });
+
+        const blob = await ConversionPipeline.encode(encoder, pcm, stages.encode, checkpoint);
+        const totalSamples = pcm[0].length;
+        const verification = settings.verify === 'on'
+            ? await OutputVerifier.verify(blob, pcm, stages.check, checkpoint, { bitDepth })
+            : null;
+
+        return {
+            blob,
+            md5: encoder.getMd5(),
+            sampleRate,
+            channels: pcm.length,
+            channelMask: ChannelMixer.channelMask(pcm.length),
+            bitDepth,
+            effectiveBitDepth,
+            dither: Dither.resolveCurve(dither, sampleRate),
+            totalSamples,
+            duration: totalSamples / sampleRate,
+            offset,
+            loudness,
+            spectrum,
+            verification
+        };
+    }
+
+    /**
+     * Measure the loudness a job would have, without encoding
+     * Runs the same remix and resample stages as run(), so the result
+     * describes the output layout and rate
+     * @param {Object} job - As for run(), tags are ignored
+     * @param {Function} [progressCallback] - Receives progress 0-100
+     * @param {AbortSignal} [signal] - Checked between blocks when running on the main thread
+     * @returns {Promise<Object>} From LoudnessMeter.analyze
+     */
+    static async analyze(job, progressCallback = () => {}, signal) {
+        const checkpoint = ConversionPipeline.createCheckpoint(signal);
+        const plan = ConversionPipeline.plan(job);
+        const stages = ConversionPipeline.createStages(progressCallback, {
+            ...ConversionPipeline.prepareWeights(job, plan),
+            analyze: 1
+        });
+
+        const { channels, sampleRate } = await ConversionPipeline.prepare(job, plan, stages, checkpoint);
+        return LoudnessMeter.analyze(channels, sampleRate, stages.analyze, checkpoint);
+    }
+
+    /**
+     * Trial-encode an excerpt to learn how well a file compresses
+     * Runs the remix, resample, dither and encode stages of run() with
+     * the same settings; loudness processing and verification are left
+     * out, they barely change the size. Uncompressed formats skip the
+     * encode: their size follows from the bit depth and the header
+     * @param {Object} job - As for run(), with an excerpt of the decoded samples
+     * @param {Function} [progressCallback] - Receives progress 0-100
+     * @param {AbortSignal} [signal] - Checked between blocks when running on the main thread
+     * @returns {Promise<Object>} { ratio, metadataBytes, bitDepth } where ratio is the
+     *     encoded size over the PCM size at the requested rate, channels and bit depth
+     */
+    static async estimate(job, progressCallback = () => {}, signal) {
+        const { settings } = job;
+        const compressed = settings.outputFormat === 'FLAC';
+        const checkpoint = ConversionPipeline.createCheckpoint(signal);
+        const plan = ConversionPipeline.plan(job);
+        const stages = ConversionPipeline.createStages(progressCallback, {
+            ...ConversionPipeline.prepareWeights(job, plan),
+            quantize: compressed ? 0.1 : 0,
+            encode: compressed ? 1 : 0
+        });
+
+        const { channels, sampleRate } = await ConversionPipeline.prepare(job, plan, stages, checkpoint);
+        const { bitDepth, dither } = Dither.plan(Dither.effectiveBitDepth(channels), settings);
+        if (!compressed) {
+            const writer = ConversionPipeline.createEncoder(settings, {
+                sampleRate,
+                channels: channels.length,
+                bitDepth,
+                tags: job.tags
+            });
+            return {
+                ratio: writer.bytesPerSample / (settings.bitDepth / 8),
+                metadataBytes: writer.buildHeader().length,
+                bitDepth
+            };
+        }
+
+        const pcm = await ConversionPipeline.quantize(
+            channels, bitDepth, { curve: dither, sampleRate }, stages.quantize, checkpoint
+        );
+
+        const encoder = new FlacEncoder({
+            sampleRate,
+            channels: pcm.length,
+            bitsPerSample: bitDepth,
+            compressionLevel: settings.compressionLevel
+        });
+        const blob = await ConversionPipeline.encode(encoder, pcm, stages.encode, checkpoint);
+
+        // Measured against the requested depth, so a depth lowered by effectiveDepth counts as compression
+        const pcmBytes = pcm[0].length * pcm.length * (settings.bitDepth / 8);
+        const metadata = ConversionPipeline.buildMetadata(pcm.length, job.tags);
+        return {
+            ratio: pcmBytes > 0 ? blob.size / pcmBytes : 1,
+            // "fLaC", STREAMINFO and a 4-byte header per block
+            metadataBytes: 4 + 4 + 34 + metadata.reduce((sum, block) => sum + 4 + block.data.length, 0),
+            bitDepth
+        };
+    }
+
+    /**
+     * Waveform overview of a decoded file, for the waveform view
+     * @param {Object} job
+     * @param {Array<Float32Array>} job.channels - Decoded samples per channel
+     * @param {number} job.sampleRate - Sample rate of the decoded samples
+     * @param {number} job.buckets - Number of min/max pairs
+     * @returns {Promise<Object>} { min, max, duration }
+     */
+    static async peaks(job) {
+        const { channels, sampleRate, buckets } = job;
+        return {
+            ...AudioEditor.peaks(channels, buckets),
+            duration: channels[0].length / sampleRate
+        };
+    }
+
+    /**
+     * Work out the remix and resample stages of a job
+     * @param {Object} job - Conversion job
+     * @returns {Object} { matrix, remix, remixFirst, targetRate }
+     */
+    static plan(job) {
+        const { channels, sampleRate, settings } = job;
+        // Every output format is fed through the mixer, which knows speaker layouts up to 7.1
+        if (channels.length > 8) {
+            throw new Error(`The channel mixer handles up to 8 channels (7.1), source has ${channels.length}`);
+        }
+
+        const matrix = ChannelMixer.createMatrix(channels.length, settings.channels, {
+            strategy: settings.channelMapping,
+            customMatrix: settings.customMatrix
+        });
+        return {
+            matrix,
+            remix: !ChannelMixer.isIdentity(matrix),
+            // Remix first when it drops channels so the resampler has less to do
+            remixFirst: settings.channels < channels.length,
+            targetRate: settings.sampleRate === 'source' ? sampleRate : settings.sampleRate
+        };
+    }
+
+    /**
+     * Progress weights of the stages prepare() runs
+     * @param {Object} job - Conversion job
+     * @param {Object} plan - From plan()
+     * @returns {Object<string, number>}
+     */
+    static prepareWeights(job, plan) {
+        return {
+            edit: AudioEditor.isEmpty(job.edits) ? 0 : 0.05,
+            remixBefore: plan.remix && plan.remixFirst ? 0.1 : 0,
+            resample: plan.targetRate !== job.sampleRate ? 1 : 0,
+            remixAfter: plan.remix && !plan.remixFirst ? 0.1 : 0
+        };
+    }
+
+    /**
+     * Apply edits, then remix and resample to the output layout and rate
+     * @param {Object} job - Conversion job
+     * @param {Object} plan - From plan()
+     * @param {Object} stages - From createStages, with the prepareWeights stages
+     * @param {Function} checkpoint - Yields and checks for cancellation
+     * @returns {Promise<Object>} { channels, sampleRate, offset } where offset is the
+     *     source time (seconds) the output starts at
+     */
+    static async prepare(job, plan, stages, checkpoint) {
+        const { matrix, remix, remixFirst, targetRate } = plan;
+        let { channels, sampleRate } = job;
+        let offset = 0;
+
+        if (!AudioEditor.isEmpty(job.edits)) {
+            const region = AudioEditor.region(channels, sampleRate, job.edits);
+            channels = AudioEditor.apply(channels, sampleRate, job.edits, region);
+            offset = region.start / sampleRate;
+            stages.edit(100);
+            await checkpoint();
+        }
+
+        if (remix && remixFirst) {
+            channels = ChannelMixer.apply(channels, matrix);
+            stages.remixBefore(100);
+            await checkpoint();
+        }
+
+        if (targetRate !== sampleRate) {
+            channels = await ConversionPipeline.resample(
+                channels, sampleRate, targetRate, job.settings.resampleQuality, stages.resample, checkpoint
+            );
+            sampleRate = targetRate;
+        }
+
+        if (remix && !remixFirst) {
+            channels = ChannelMixer.apply(channels, matrix);
+            stages.remixAfter(100);
+            await checkpoint();
+        }
+
+        return { channels, sampleRate, offset };
+    }
+
+    /**
+     * Measure, and optionally normalize and limit, the output signal in place
+     * Album mode normalizes every file by the same gain so their balance is kept
+     * @param {Array<Float32Array>} channels - Output channels
+     * @param {number} sampleRate - Output rate
+     * @param {Object} settings - Output settings
+     * @param {Object} known - { track, album } measured beforehand
+     * @param {Object} stages - From createStages (analyze, limit, verify)
+     * @param {Function} checkpoint - Yields and checks for cancellation
+     * @returns {Promise<Object>} Output loudness { integrated, range, truePeak, gain, limited, album }
+     */
+    static async processLoudness(channels, sampleRate, settings, known, stages, checkpoint) {
+        const summary = ({ integrated, range, truePeak }) => ({ integrated, range, truePeak });
+        const measured = known.track || await LoudnessMeter.analyze(channels, sampleRate, stages.analyze, checkpoint);
+        const album = settings.loudness === 'album' && known.album ? summary(known.album) : null;
+        const reference = album || measured;
+
+        // Silence has no loudness to normalize
+        if (typeof settings.loudnessTarget !== 'number' || !Number.isFinite(reference.integrated)) {
+            return { ...summary(measured), gain: 0, limited: 0, album };
+        }
+
+        const gain = settings.loudnessTarget - reference.integrated;
+        const ceiling = settings.truePeakLimit;
+        LoudnessMeter.applyGain(channels, gain);
+
+        if (measured.truePeak + gain <= ceiling) {
+            return {
+                integrated: measured.integrated + gain,
+                range: measured.range,
+                truePeak: measured.truePeak + gain,
+                gain,
+                limited: 0,
+                album: album && { ...album, integrated: album.integrated + gain, truePeak: Math.min(album.truePeak + gain, ceiling) }
+            };
+        }
+
+        const limited = await LoudnessMeter.limit(channels, sampleRate, ceiling, stages.limit, checkpoint);
+        const output = await LoudnessMeter.analyze(channels, sampleRate, stages.verify, checkpoint);
+        return {
+            ...summary(output),
+            gain,
+            limited,
+            album: album && { ...album, integrated: album.integrated + gain, truePeak: Math.min(album.truePeak + gain, ceiling) }
+        };
+    }
+
+    /**
+     * Resample every channel
+     * @param {Array<Float32Array>} channels - Input channels
+     * @param {number} inputRate - Source rate
+     * @param {number} outputRate - Target rate
+     * @param {string} quality - Resampler quality preset
+     * @param {Function} onProgress - Receives stage progress 0-100
+     * @param {Function} checkpoint - Yields and checks for cancellation
+     * @returns {Promise<Array<Float32Array>>}
+     */
+    static async resample(channels, inputRate, outputRate, quality, onProgress, checkpoint) {
+        const resampler = new Resampler(inputRate, outputRate, { quality });
+        const outputLength = resampler.outputLength(channels[0].length);
+        const chunk = 1 << 16;
+        const total = outputLength * channels.length;
+        let done = 0;
+
+        const output = [];
+        for (const input of channels) {
+            const resampled = new Float32Array(outputLength);
+            for (let start = 0; start < outputLength; start += chunk) {
+                const end = Math.min(outputLength, start + chunk);
+                resampler.processRange(input, resampled, start, end);
+                done += end - start;
+                onProgress((done / total) * 100);
+                await checkpoint();
+            }
+            output.push(resampled);
+        }
+        return output;
+    }
+
+    /**
+     * Set up the encoder of the output format
+     * FLAC gets the tags, artwork and ReplayGain as metadata blocks; the
+     * PCM containers get what their own tag chunks hold, see PcmWriter
+     * @param {Object} settings - Output settings
+     * @param {Object} stream
+     * @param {number} stream.sampleRate - Output rate
+     * @param {number} stream.channels - Output channel count
+     * @param {number} stream.bitDepth - Quantized bit depth
+     * @param {Object} [stream.tags] - { fields, pictures } to write
+     * @param {Array<[string, string]>} [stream.replayGain] - ReplayGain comments
+     * @param {Object} [stream.loudness] - Output loudness, for the BWF bext chunk
+     * @returns {FlacEncoder|PcmWriter}
+     */
+    static createEncoder(settings, { sampleRate, channels, bitDepth, tags, replayGain = [], loudness = null }) {
+        if (settings.outputFormat !== 'FLAC') {
+            return new PcmWriter({
+                format: settings.outputFormat,
+                sampleRate,
+                channels,
+                bitsPerSample: bitDepth,
+                tags,
+                loudness
+            });
+        }
+        return new FlacEncoder({
+            sampleRate,
+            channels,
+            bitsPerSample: bitDepth,
+            compressionLevel: settings.compressionLevel,
+            metadata: ConversionPipeline.buildMetadata(channels, tags, replayGain)
+        });
+    }
+
+    /**
+     * Extra FLAC metadata blocks for the output
+     * Multichannel files get a channel mask tag so players don't have to
+     * guess between e.g. side and back surrounds
+     * @param {number} channels - Output channel count
+     * @param {Object} [tags] - { fields, pictures } carried over from the source
+     * @param {Array<[string, string]>} [extra] - Generated comments, e.g. ReplayGain
+     * @returns {Array<{type: number, data: Uint8Array}>}
+     */
+    static buildMetadata(channels, tags, extra = []) {
+        const comments = Object.entries((tags && tags.fields) || {})
+            .filter(([name, value]) => value !== '' && !ConversionPipeline.GENERATED_FIELDS.includes(name))
+            .concat(extra);
+        if (channels > 2) {
+            const mask = ChannelMixer.channelMask(channels).toString(16).toUpperCase().padStart(4, '0');
+            comments.push(['WAVEFORMATEXTENSIBLE_CHANNEL_MASK', `0x${mask}`]);
+        }
+
+        const blocks = comments.length > 0 ? [FlacEncoder.vorbisCommentBlock(comments)] : [];
+        ((tags && tags.pictures) || []).forEach(picture => {
+            try {
+                blocks.push(FlacEncoder.pictureBlock(picture));
+            } catch (error) {
+                // Oversized artwork is dropped rather than failing the conversion
+            }
+        });
+        return blocks;
+    }
+
+    /**
+     * Copy of a tag set without ReplayGain fields
+     * @param {Object} [tags] - { fields, pictures }
+     * @returns {Object|undefined}
+     */
+    static withoutReplayGain(tags) {
+        if (!tags) return tags;
+        const fields = {};
+        Object.entries(tags.fields).forEach(([name, value]) => {
+            if (!name.startsWith('REPLAYGAIN_')) fields[name] = value;
+        });
+        return { ...tags, fields };
+    }
+
+    /**
+     * Quantize float samples to signed integers at the given bit depth
+     * Each channel gets its own noise seed so the dither is uncorrelated
+     * between speakers
+     * @param {Array<Float32Array>} channels - Samples in the range [-1, 1]
+     * @param {number} bitDepth - Target bit depth
+     * @param {Object} options - Dither options { curve, sampleRate }
+     * @param {Function} onProgress - Receives stage progress 0-100
+     * @param {Function} checkpoint - Yields and checks for cancellation
+     * @returns {Promise<Array<Int32Array>>}
+     */
+    static async quantize(channels, bitDepth, options, onProgress, checkpoint) {
+        const chunk = 1 << 16;
+        const total = channels[0].length * channels.length;
+        let done = 0;
+
+        const output = [];
+        for (let c = 0; c < channels.length; c++) {
+            const input = channels[c];
+            const dither = new Dither(bitDepth, { ...options, seed: c + 1 });
+            const quantized = new Int32Array(input.length);
+            for (let start = 0; start < input.length; start += chunk) {
+                const end = Math.min(input.length, start + chunk);
+                dither.processRange(input, quantized, start, end);
+                done += end - start;
+                onProgress((done / total) * 100);
+                await checkpoint();
+            }
+            output.push(quantized);
+        }
+        return output;
+    }
+
+    /**
+     * Encode block by block, yielding so the thread stays responsive
+     * @param {FlacEncoder|PcmWriter} encoder - Encoder set up for the samples
+     * @param {Array<Int32Array>} pcm - Quantized samples per channel
+     * @param {Function} onProgress - Receives stage progress 0-100
+     * @param {Function} checkpoint - Yields and checks for cancellation
+     * @returns {Promise<Blob>}
+     */
+    static async encode(encoder, pcm, onProgress, checkpoint) {
+        const totalSamples = pcm[0].length;
+        for (let offset = 0; offset < totalSamples; offset += encoder.blockSize) {
+            const length = Math.min(encoder.blockSize, totalSamples - offset);
+            encoder.encodeBlock(pcm, offset, length);
+            onProgress(((offset + length) / totalSamples) * 100);
+            await checkpoint();
+        }
+        return new Blob(encoder.finish(), { type: encoder.mimeType });
+    }
+
+    /**
+     * Split overall progress across weighted stages
+     * Stages with weight 0 are skipped but still get a (no-op) reporter
+     * @param {Function} progressCallback - Receives overall progress 0-100
+     * @param {Object<string, number>} weights - Relative cost per stage, in run order
+     * @returns {Object<string, Function>} Per-stage reporters taking 0-100
+     */
+    static createStages(progressCallback, weights) {
+        const total = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+        const stages = {};
+        let offset = 0;
+        Object.entries(weights).forEach(([name, weight]) => {
+            const start = offset;
+            stages[name] = (progress) => {
+                progressCallback(((start + (weight * progress) / 100) / total) * 100);
+            };
+            offset += weight;
+        });
+        return stages;
+    }
+
+    /**
+     * Create a function that yields every ~50 ms and throws if cancelled
+     * @param {AbortSignal} [signal] - Cancellation signal
+     * @returns {Function} Async checkpoint
+     */
+    static createCheckpoint(signal) {
+        let lastYield = Date.now();
+        return async () => {
+            if (Date.now() - lastYield <= 50) return;
+            await new Promise(resolve => setTimeout(resolve, 0));
+            lastYield = Date.now();
+            if (signal && signal.aborted) throw JobQueue.abortError();
+        };
+    }
+}
+
+/**
+ * Source tag fields that describe the old stream rather than the content
+ */
+ConversionPipeline.GENERATED_FIELDS = ['WAVEFORMATEXTENSIBLE_CHANNEL_MASK', 'ENCODER', 'ENCODED_BY'];
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversionPipeline;
+}
@@ -0,0 +1,238 @@
+/**
+ * StudioGrade Audio Converter
+ * Preset Library
+ *
+ * Named sets of output settings: a few built in for common targets,
+ * plus the user's own. A preset holds only the settings it sets, so
+ * applying one leaves the others alone. The user's presets export to
+ * a JSON file that others import to share the same definitions.
+ */
+
+class PresetLibrary {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.validate] - (settings) => normalized copy with the same
+     *     keys; throws on unknown keys or unsupported values
+     */
+    constructor({ validate = (settings) => ({ ...settings }) } = {}) {
+        this.validate = validate;
+        this.custom = [];
+    }
+
+    /**
+     * Every preset, built-in first
+     * @returns {Array<Object>} { id, name, builtIn, settings }; built-in names are message keys
+     */
+    all() {
+        return [...PresetLibrary.BUILT_IN, ...this.custom];
+    }
+
+    /**
+     * @param {string} id - Preset id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.all().find(preset => preset.id === id) || null;
+    }
+
+    /**
+     * Save settings under a name, replacing the user preset with that name
+     * @param {string} name - Preset name
+     * @param {Object} settings - Settings the preset sets
+     * @returns {Object} The preset
+     * @throws {Error} If the name is empty or a setting is invalid
+     */
+    save(name, settings) {
+        const preset = this.create(name, settings);
+        const index = this.custom.findIndex(existing => existing.id === preset.id);
+        if (index >= 0) {
+            this.custom[index] = preset;
+        } else {
+            this.custom.push(preset);
+        }
+        return preset;
+    }
+
+    /**
+     * Delete a user preset; built-in presets stay
+     * @param {string} id - Preset id
+     * @returns {boolean} Whether a preset was deleted
+     */
+    remove(id) {
+        const count = this.custom.length;
+        this.custom = this.custom.filter(preset => preset.id !== id);
+        return this.custom.length < count;
+    }
+
+    /**
+     * Whether a user preset has this name
+     * @param {string} name - Preset name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.custom.some(preset => preset.id === PresetLibrary.customId(name));
+    }
+
+    /**
+     * Find the preset a complete set of settings follows
+     * User presets come first: they usually set everything, so their
+     * match is the more specific one
+     * @param {Object} settings - Resolved output settings
+     * @returns {Object|null}
+     */
+    match(settings) {
+        return [...this.custom, ...PresetLibrary.BUILT_IN].find(preset =>
+            Object.keys(preset.settings).every(key => PresetLibrary.sameValue(preset.settings[key], settings[key]))
+        ) || null;
+    }
+
+    /**
+     * The user's presets as a shareable file
+     * @returns {Object} { format, version, presets: [{ name, settings }] }
+     */
+    export() {
+        return {
+            format: PresetLibrary.FORMAT,
+            version: PresetLibrary.VERSION,
+            presets: this.custom.map(({ name, settings }) => ({ name, settings }))
+        };
+    }
+
+    /**
+     * Add the presets of an exported file
+     * Presets with the name of an existing one replace it. Everything is
+     * checked first: a file with one bad preset imports nothing
+     * @param {Object} data - Parsed file, as export() writes it
+     * @returns {Array<Object>} The presets added or replaced
+     * @throws {Error} If the file isn't a preset file or a preset is invalid
+     */
+    import(data) {
+        if (!data || data.format !== PresetLibrary.FORMAT || !Array.isArray(data.presets)) {
+            throw PresetLibrary.error('Not a StudioGrade preset file', 'preset.error.format');
+        }
+        if (data.version > PresetLibrary.VERSION) {
+            throw PresetLibrary.error(`Preset file version ${data.version} is newer than this converter supports`, 'preset.error.version', { version: data.version });
+        }
+
+        const presets = data.presets.map(preset => this.create(preset && preset.name, preset && preset.settings));
+        presets.forEach(preset => this.save(preset.name, preset.settings));
+        return presets;
+    }
+
+    /**
+     * Restore saved user presets, dropping any that no longer validate
+     * @param {Object} data - As export() writes it
+     */
+    load(data) {
+        this.custom = [];
+        const presets = data && Array.isArray(data.presets) ? data.presets : [];
+        presets.forEach(preset => {
+            try {
+                this.save(preset.name, preset.settings);
+            } catch (error) {
+                console.warn('Ignoring invalid saved preset:', error.message);
+            }
+        });
+    }
+
+    /**
+     * Build a validated user preset
+     * @param {string} name - Preset name
+     * @param {Object} settings - Settings the preset sets
+     * @returns {Object}
+     */
+    create(name, settings) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) throw PresetLibrary.error('Preset name is empty', 'preset.error.noName');
+        if (trimmed.length > PresetLibrary.MAX_NAME_LENGTH) {
+            throw PresetLibrary.error(`Preset name is too long: ${trimmed}`, 'preset.error.longName', { name: trimmed, max: PresetLibrary.MAX_NAME_LENGTH });
+        }
+        if (!settings || typeof settings !== 'object' || Object.keys(settings).length === 0) {
+            throw PresetLibrary.error(`Preset ${trimmed} has no settings`, 'preset.error.noSettings', { name: trimmed });
+        }
+
+        let normalized;
+        try {
+            normalized = this.validate(settings);
+        } catch (error) {
+            // The validator reports in the page's language already
+            throw PresetLibrary.error(`Preset ${trimmed}: ${error.message}`, 'preset.error.invalid', { name: trimmed, error: error.message });
+        }
+        return { id: PresetLibrary.customId(trimmed), name: trimmed, builtIn: false, settings: normalized };
+    }
+
+    /**
+     * Error the page can show in its language
+     * The library has no messages of its own; key and params name the
+     * catalog message, the message is the English fallback
+     * @param {string} message - English message
+     * @param {string} key - Message key
+     * @param {Object} [params] - Placeholder values
+     * @returns {Error}
+     */
+    static error(message, key, params = {}) {
+        return Object.assign(new Error(message), { key, params });
+    }
+
+    /**
+     * Id of a user preset; names are unique regardless of case
+     * @param {string} name - Preset name
+     * @returns {string}
+     */
+    static customId(name) {
+        return `custom:${name.trim().toLowerCase()}`;
+    }
+
+    /**
+     * Compare two setting values; the custom matrix compares by content
+     * @returns {boolean}
+     */
+    static sameValue(a, b) {
+        if (a && typeof a === 'object') return JSON.stringify(a) === JSON.stringify(b);
+        return a === b;
+    }
+}
+
+/**
+ * Presets shipped with the converter; names are message keys
+ */
+PresetLibrary.BUILT_IN = [
+    {
+        id: 'archive',
+        name: 'preset.archive',
+        builtIn: true,
+        settings: { outputFormat: 'FLAC', sampleRate: 96000, bitDepth: 24, channels: 2, compressionLevel: 8, verify: 'on' }
+    },
+    {
+        id: 'cd',
+        name: 'preset.cd',
+        builtIn: true,
+        settings: { outputFormat: 'WAV', sampleRate: 44100, bitDepth: 16, channels: 2, dither: 'tpdf' }
+    },
+    {
+        id: 'voice',
+        name: 'preset.voice',
+        builtIn: true,
+        settings: { outputFormat: 'FLAC', sampleRate: 48000, bitDepth: 24, channels: 1 }
+    }
+];
+
+/**
+ * Marks exported preset files
+ */
+PresetLibrary.FORMAT = 'studiograde-presets';
+
+/**
+ * Version of the exported file layout
+ */
+PresetLibrary.VERSION = 1;
+
+/**
+ * Longest preset name accepted
+ */
+PresetLibrary.MAX_NAME_LENGTH = 60;
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PresetLibrary;
+}
@@ -0,0 +1,317 @@
+/**
+ * StudioGrade Audio Converter
+ * Preview Player
+ *
+ * A/B player for a source and its converted output. Both play at
+ * once, sample-locked, and switching only moves their gains, so the
+ * switch is gapless. The output is level-matched to the source so a
+ * louder file doesn't sound "better". The null mode plays the source
+ * minus the output: silence means the conversion changed nothing.
+ * Uses the Web Audio API, so it runs on the main thread.
+ */
+
+class PreviewPlayer {
+    /**
+     * @param {BaseAudioContext} context - Context to decode and play in
+     */
+    constructor(context) {
+        this.context = context;
+        this.source = null; // AudioBuffer
+        this.output = null; // AudioBuffer, null before conversion
+        this.offset = 0; // seconds into the source where the output starts
+        this.levelGain = 1; // applied to the output to match the source
+        this.residual = null; // peak of source minus output in dBFS
+        this.mode = 'source';
+        this.loop = null; // { start, end } in seconds of the timeline
+        this.nodes = null;
+        this.playing = false;
+        this.startedAt = 0;
+        this.startPosition = 0;
+        this.pausedPosition = 0;
+        this.onEnded = () => {};
+    }
+
+    /**
+     * Decode the files to compare
+     * @param {Blob} sourceBlob - Original file
+     * @param {Blob} [outputBlob] - Converted file
+     * @param {Object} [options]
+     * @param {number} [options.offset=0] - Source time (seconds) the output starts at, for trimmed files
+     * @returns {Promise<void>}
+     */
+    async load(sourceBlob, outputBlob, { offset = 0 } = {}) {
+        this.stop();
+        this.source = await this.decode(sourceBlob);
+        this.output = outputBlob ? await this.decode(outputBlob) : null;
+        this.offset = this.output ? offset : 0;
+        this.levelGain = this.output ? PreviewPlayer.matchGain(this.source, this.output, this.offset) : 1;
+        this.residual = this.output ? PreviewPlayer.residual(this.source, this.output, this.offset, this.levelGain) : null;
+        if (!this.output) this.mode = 'source';
+    }
+
+    /**
+     * @param {Blob} blob - Encoded audio
+     * @returns {Promise<AudioBuffer>}
+     */
+    async decode(blob) {
+        return this.context.decodeAudioData(await blob.arrayBuffer());
+    }
+
+    /**
+     * Length of the timeline: the output when there is one, else the source
+     * @returns {number} Seconds
+     */
+    get duration() {
+        const buffer = this.output || this.source;
+        return buffer ? buffer.duration : 0;
+    }
+
+    /**
+     * Current playback position on the timeline
+     * @returns {number} Seconds
+     */
+    get position() {
+        if (!this.playing) return this.pausedPosition;
+
+        let position = this.startPosition + Math.max(0, this.context.currentTime - this.startedAt);
+        if (this.loop && position >= this.loop.end) {
+            position = this.loop.start + ((position - this.loop.start) % (this.loop.end - this.loop.start));
+        }
+        return Math.min(position, this.duration);
+    }
+
+    /**
+     * Start playing
+     * @param {number} [position] - Timeline position, default where it paused
+     */
+    play(position = this.pausedPosition) {
+        if (!this.source) return;
+        this.stopNodes();
+
+        if (this.loop && (position < this.loop.start || position >= this.loop.end)) {
+            position = this.loop.start;
+        }
+        if (position >= this.duration) position = 0;
+
+        const when = this.context.currentTime + PreviewPlayer.START_DELAY;
+        const sourcePath = this.createPath(this.source, this.offset, position, when);
+        const outputPath = this.output ? this.createPath(this.output, 0, position, when) : null;
+        this.nodes = { source: sourcePath, output: outputPath };
+        this.applyGains(true);
+
+        // The output ends first when the source runs on past a trimmed end
+        const timeline = outputPath || sourcePath;
+        const nodes = this.nodes;
+        timeline.node.onended = () => {
+            if (this.nodes !== nodes) return;
+            this.stopNodes();
+            this.playing = false;
+            this.pausedPosition = 0;
+            this.onEnded();
+        };
+
+        this.playing = true;
+        this.startedAt = when;
+        this.startPosition = position;
+    }
+
+    /**
+     * Pause, keeping the position
+     */
+    pause() {
+        this.pausedPosition = this.position;
+        this.stopNodes();
+        this.playing = false;
+    }
+
+    /**
+     * Stop and rewind
+     */
+    stop() {
+        this.stopNodes();
+        this.playing = false;
+        this.pausedPosition = 0;
+    }
+
+    /**
+     * Choose what is heard
+     * @param {string} mode - 'source', 'output' or 'null'
+     */
+    setMode(mode) {
+        if (mode !== 'source' && !this.output) return;
+        this.mode = mode;
+        this.applyGains(false);
+    }
+
+    /**
+     * Loop a region of the timeline, or stop looping
+     * @param {number|null} start - Seconds, null to stop looping
+     * @param {number} [end] - Seconds
+     */
+    setLoop(start, end) {
+        const valid = start !== null && end > start && start < this.duration;
+        this.loop = valid ? { start, end: Math.min(end, this.duration) } : null;
+
+        if (!this.nodes) return;
+        const position = this.position;
+        if (this.loop && (position < this.loop.start || position >= this.loop.end)) {
+            this.play(this.loop.start);
+            return;
+        }
+        this.configureLoop(this.nodes.source.node, this.offset);
+        if (this.nodes.output) this.configureLoop(this.nodes.output.node, 0);
+    }
+
+    /**
+     * Stop playing and drop the decoded audio
+     */
+    close() {
+        this.stop();
+        this.source = null;
+        this.output = null;
+    }
+
+    // ------------------------------------------------
+    // Playback graph
+    // ------------------------------------------------
+
+    createPath(buffer, bufferOffset, position, when) {
+        const node = this.context.createBufferSource();
+        node.buffer = buffer;
+        const gain = this.context.createGain();
+        gain.gain.value = 0;
+        node.connect(gain).connect(this.context.destination);
+        this.configureLoop(node, bufferOffset);
+        node.start(when, bufferOffset + position);
+        return { node, gain };
+    }
+
+    configureLoop(node, bufferOffset) {
+        node.loop = Boolean(this.loop);
+        if (this.loop) {
+            node.loopStart = bufferOffset + this.loop.start;
+            node.loopEnd = bufferOffset + this.loop.end;
+        }
+    }
+
+    /**
+     * Set both gains for the current mode
+     * @param {boolean} immediate - Jump instead of a short crossfade
+     */
+    applyGains(immediate) {
+        if (!this.nodes) return;
+        const [sourceGain, outputGain] = {
+            source: [1, 0],
+            output: [0, this.levelGain],
+            null: [1, -this.levelGain]
+        }[this.mode];
+
+        const now = this.context.currentTime;
+        const set = (path, value) => {
+            if (!path) return;
+            path.gain.gain.cancelScheduledValues(now);
+            if (immediate) {
+                path.gain.gain.setValueAtTime(value, now);
+            } else {
+                path.gain.gain.setTargetAtTime(value, now, PreviewPlayer.SWITCH_TIME_CONSTANT);
+            }
+        };
+        set(this.nodes.source, sourceGain);
+        set(this.nodes.output, outputGain);
+    }
+
+    stopNodes() {
+        if (!this.nodes) return;
+        [this.nodes.source, this.nodes.output].forEach(path => {
+            if (!path) return;
+            path.node.onended = null;
+            try {
+                path.node.stop();
+            } catch (error) {
+                // Already stopped
+            }
+            path.node.disconnect();
+            path.gain.disconnect();
+        });
+        this.nodes = null;
+    }
+
+    // ------------------------------------------------
+    // Analysis
+    // ------------------------------------------------
+
+    /**
+     * Gain that brings the output to the source's level
+     * Compares mean power per channel over the part both cover, so an
+     * upmix that duplicates channels still matches
+     * @param {AudioBuffer} source - Original
+     * @param {AudioBuffer} output - Converted
+     * @param {number} offset - Source time the output starts at
+     * @returns {number} Linear gain for the output
+     */
+    static matchGain(source, output, offset) {
+        const start = Math.round(offset * source.sampleRate);
+        const length = Math.min(output.length, source.length - start);
+        const power = (buffer, from) => {
+            let sum = 0;
+            for (let c = 0; c < buffer.numberOfChannels; c++) {
+                const samples = buffer.getChannelData(c);
+                for (let i = 0; i < length; i++) sum += samples[from + i] * samples[from + i];
+            }
+            return sum / buffer.numberOfChannels;
+        };
+
+        const sourcePower = power(source, start);
+        const outputPower = power(output, 0);
+        if (!(sourcePower > 0 && outputPower > 0)) return 1;
+
+        // Dither alone shifts the power slightly; that must not spoil a null
+        const gain = Math.sqrt(sourcePower / outputPower);
+        return Math.abs(20 * Math.log10(gain)) < PreviewPlayer.LEVEL_TOLERANCE_DB ? 1 : gain;
+    }
+
+    /**
+     * Peak level of source minus level-matched output
+     * @param {AudioBuffer} source - Original
+     * @param {AudioBuffer} output - Converted
+     * @param {number} offset - Source time the output starts at
+     * @param {number} gain - From matchGain
+     * @returns {number|null} dBFS (-Infinity when identical), null when the layouts differ
+     */
+    static residual(source, output, offset, gain) {
+        if (source.numberOfChannels !== output.numberOfChannels) return null;
+
+        const start = Math.round(offset * source.sampleRate);
+        const length = Math.min(output.length, source.length - start);
+        let peak = 0;
+        for (let c = 0; c < source.numberOfChannels; c++) {
+            const a = source.getChannelData(c);
+            const b = output.getChannelData(c);
+            for (let i = 0; i < length; i++) {
+                const difference = Math.abs(a[start + i] - b[i] * gain);
+                if (difference > peak) peak = difference;
+            }
+        }
+        return peak > 0 ? 20 * Math.log10(peak) : -Infinity;
+    }
+}
+
+/**
+ * Seconds between scheduling and the first sample, so both sources start together
+ */
+PreviewPlayer.START_DELAY = 0.05;
+
+/**
+ * Level differences (dB) below this are left alone
+ */
+PreviewPlayer.LEVEL_TOLERANCE_DB = 0.01;
+
+/**
+ * Time constant of the A/B crossfade (seconds)
+ */
+PreviewPlayer.SWITCH_TIME_CONSTANT = 0.005;
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PreviewPlayer;
+}
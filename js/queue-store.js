@@ -0,0 +1,222 @@
+/**
+ * StudioGrade Audio Converter
+ * Queue Store
+ *
+ * Keeps the conversion queue and the conversion history in IndexedDB,
+ * so a reload mid-batch loses nothing. Queue records hold an entry's
+ * state; its source File and converted Blob are stored once each in a
+ * separate store, so status updates don't copy audio around. Both
+ * expire after RETENTION_MS. History records only describe a
+ * conversion and hold no audio.
+ */
+
+class QueueStore {
+    /**
+     * @param {IDBDatabase} db - Open database, see open()
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Open (and create or upgrade) the database
+     * @param {string} [name] - Database name
+     * @returns {Promise<QueueStore>}
+     * @throws {Error} If IndexedDB is unavailable, e.g. in some private windows
+     */
+    static open(name = QueueStore.DB_NAME) {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(name, QueueStore.VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('entries')) {
+                    db.createObjectStore('entries', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('files')) {
+                    db.createObjectStore('files', { keyPath: ['entryId', 'kind'] })
+                        .createIndex('entryId', 'entryId');
+                }
+                if (!db.objectStoreNames.contains('history')) {
+                    db.createObjectStore('history', { keyPath: 'id', autoIncrement: true })
+                        .createIndex('timestamp', 'timestamp');
+                }
+            };
+            request.onsuccess = () => resolve(new QueueStore(request.result));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ------------------------------------------------
+    // Queue
+    // ------------------------------------------------
+
+    /**
+     * @returns {Promise<Array<Object>>} Queue records in the order they were added, each
+     *     with files: { source, output } holding the stored Blobs
+     */
+    async getEntries() {
+        const [records, files] = await Promise.all([
+            this.run('entries', 'readonly', transaction => transaction.objectStore('entries').getAll()),
+            this.run('files', 'readonly', transaction => transaction.objectStore('files').getAll())
+        ]);
+        return records.map(record => {
+            const stored = {};
+            files.filter(file => file.entryId === record.id).forEach(file => {
+                stored[file.kind] = file.blob;
+            });
+            return { ...record, files: stored };
+        });
+    }
+
+    /**
+     * Add or replace a queue record
+     * @param {Object} record - Entry state with an id and an expiresAt timestamp (ms), no audio
+     * @returns {Promise<void>}
+     */
+    async putEntry(record) {
+        await this.run('entries', 'readwrite', transaction => transaction.objectStore('entries').put(record));
+    }
+
+    /**
+     * Store the audio of a queue record
+     * @param {number} entryId - Record id
+     * @param {string} kind - 'source' or 'output'
+     * @param {Blob} blob - Audio
+     * @returns {Promise<void>}
+     * @throws {DOMException} QuotaExceededError when the audio doesn't fit, DataCloneError
+     *     when the browser can't store a File
+     */
+    async putFile(entryId, kind, blob) {
+        await this.run('files', 'readwrite', transaction => transaction.objectStore('files').put({ entryId, kind, blob }));
+    }
+
+    /**
+     * Delete a queue record and its audio
+     * @param {number} id - Record id
+     * @returns {Promise<void>}
+     */
+    async deleteEntry(id) {
+        await this.run(['entries', 'files'], 'readwrite', transaction => {
+            const files = transaction.objectStore('files');
+            const audio = files.index('entryId').openKeyCursor(IDBKeyRange.only(id));
+            audio.onsuccess = () => {
+                const cursor = audio.result;
+                if (!cursor) return;
+                files.delete(cursor.primaryKey);
+                cursor.continue();
+            };
+            return transaction.objectStore('entries').delete(id);
+        });
+    }
+
+    // ------------------------------------------------
+    // History
+    // ------------------------------------------------
+
+    /**
+     * @param {Object} record - Description of a finished conversion, with an ISO timestamp
+     * @returns {Promise<number>} Id of the new record
+     */
+    addHistory(record) {
+        return this.run('history', 'readwrite', transaction => transaction.objectStore('history').add(record));
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} History records, newest first
+     */
+    async getHistory() {
+        const records = await this.run('history', 'readonly', transaction =>
+            transaction.objectStore('history').index('timestamp').getAll()
+        );
+        return records.reverse();
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async clearHistory() {
+        await this.run('history', 'readwrite', transaction => transaction.objectStore('history').clear());
+    }
+
+    // ------------------------------------------------
+    // Expiry
+    // ------------------------------------------------
+
+    /**
+     * Delete expired queue records and the oldest history beyond HISTORY_LIMIT
+     * @param {number} [now] - Current time (ms)
+     * @param {Array<number>} [keep] - Ids of entries still converting, which stay
+     * @returns {Promise<Array<number>>} Ids of the deleted queue records
+     */
+    async sweep(now = Date.now(), keep = []) {
+        const records = await this.run('entries', 'readonly', transaction => transaction.objectStore('entries').getAll());
+        const expired = records
+            .filter(record => record.expiresAt <= now && !keep.includes(record.id))
+            .map(record => record.id);
+        for (const id of expired) await this.deleteEntry(id);
+
+        await this.run('history', 'readwrite', transaction => {
+            const store = transaction.objectStore('history');
+            const request = store.count();
+            request.onsuccess = () => {
+                let excess = request.result - QueueStore.HISTORY_LIMIT;
+                if (excess <= 0) return;
+                const oldest = store.index('timestamp').openCursor();
+                oldest.onsuccess = () => {
+                    const cursor = oldest.result;
+                    if (!cursor || excess-- <= 0) return;
+                    cursor.delete();
+                    cursor.continue();
+                };
+            };
+            return request;
+        });
+
+        return expired;
+    }
+
+    /**
+     * Run requests in their own transaction
+     * @param {string|Array<string>} storeNames - Object stores the transaction covers
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operate - Receives the transaction, returns the request whose result is wanted
+     * @returns {Promise<*>} Result of the request once the transaction has committed
+     */
+    run(storeNames, mode, operate) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, mode);
+            const request = operate(transaction);
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
+
+QueueStore.DB_NAME = 'studiograde';
+QueueStore.VERSION = 1;
+
+/**
+ * How long files are kept after they were added or converted (ms)
+ */
+QueueStore.RETENTION_MS = 60 * 60 * 1000;
+
+/**
+ * How often expired files are looked for (ms)
+ */
+QueueStore.SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * History records kept; older ones are dropped
+ */
+QueueStore.HISTORY_LIMIT = 500;
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QueueStore;
+}
@@ -0,0 +1,187 @@
+/**
+ * StudioGrade Audio Converter
+ * Sample Rate Converter
+ *
+ * Polyphase windowed-sinc (Kaiser) resampler for arbitrary rate pairs.
+ * Common ratios (44.1 ↔ 48 ↔ 88.2 ↔ 96 ↔ 192 kHz) use an exact phase
+ * table; other ratios interpolate between 1024 precomputed phases.
+ */
+
+class Resampler {
+    /**
+     * @param {number} inputRate - Source sample rate in Hz
+     * @param {number} outputRate - Target sample rate in Hz
+     * @param {Object} [options]
+     * @param {string} [options.quality='standard'] - fast, standard or mastering
+     */
+    constructor(inputRate, outputRate, { quality = 'standard' } = {}) {
+        const preset = Resampler.QUALITY_PRESETS[quality];
+        if (!preset) {
+            throw new Error(`Unknown resampler quality: ${quality}`);
+        }
+        if (!(inputRate > 0) || !(outputRate > 0)) {
+            throw new Error(`Invalid resampling ratio: ${inputRate} → ${outputRate}`);
+        }
+
+        const divisor = Resampler.gcd(inputRate, outputRate);
+        this.inputRate = inputRate;
+        this.outputRate = outputRate;
+        this.quality = quality;
+        this.up = outputRate / divisor;
+        this.down = inputRate / divisor;
+
+        // Lowpass at the lower of the two Nyquist frequencies
+        const ratio = Math.min(1, outputRate / inputRate);
+        this.cutoff = preset.rolloff * ratio;
+        this.halfWidth = Math.ceil(preset.halfTaps / ratio);
+        this.taps = 2 * this.halfWidth;
+
+        this.exact = this.up <= Resampler.MAX_PHASES;
+        this.phases = this.exact ? this.up : Resampler.MAX_PHASES;
+        this.table = this.buildTable(preset.beta);
+    }
+
+    /**
+     * Number of output samples for a given input length
+     * @param {number} inputLength - Input samples
+     * @returns {number}
+     */
+    outputLength(inputLength) {
+        return Math.ceil((inputLength * this.up) / this.down);
+    }
+
+    /**
+     * Resample a whole channel
+     * @param {Float32Array} input - Input samples
+     * @returns {Float32Array}
+     */
+    process(input) {
+        const output = new Float32Array(this.outputLength(input.length));
+        this.processRange(input, output, 0, output.length);
+        return output;
+    }
+
+    /**
+     * Compute output samples [start, end) so callers can work in slices
+     * @param {Float32Array} input - Input samples
+     * @param {Float32Array} output - Output buffer
+     * @param {number} start - First output sample
+     * @param {number} end - Output sample to stop before
+     */
+    processRange(input, output, start, end) {
+        const { table, taps, halfWidth, up, down, exact, phases } = this;
+        const last = input.length - 1;
+        let row = new Float32Array(taps);
+
+        for (let n = start; n < end; n++) {
+            // Position n * down / up in the input, split into sample + phase
+            const position = n * down;
+            const base = Math.floor(position / up);
+            const phase = position - base * up;
+
+            if (exact) {
+                row = table.subarray(phase * taps, (phase + 1) * taps);
+            } else {
+                const exactPhase = (phase / up) * phases;
+                const p0 = Math.floor(exactPhase);
+                const mix = exactPhase - p0;
+                const r0 = p0 * taps;
+                const r1 = r0 + taps;
+                for (let k = 0; k < taps; k++) {
+                    row[k] = table[r0 + k] + (table[r1 + k] - table[r0 + k]) * mix;
+                }
+            }
+
+            const first = base - halfWidth + 1;
+            let sum = 0;
+            if (first >= 0 && first + taps - 1 <= last) {
+                for (let k = 0; k < taps; k++) sum += input[first + k] * row[k];
+            } else {
+                for (let k = 0; k < taps; k++) {
+                    const i = first + k;
+                    if (i >= 0 && i <= last) sum += input[i] * row[k];
+                }
+            }
+            output[n] = sum;
+        }
+    }
+
+    /**
+     * Precompute kernel coefficients for every phase
+     * Row p holds h(j - p / phases) for j = -halfWidth + 1 … halfWidth
+     * @param {number} beta - Kaiser window shape
+     * @returns {Float32Array}
+     */
+    buildTable(beta) {
+        const rows = this.exact ? this.phases : this.phases + 1;
+        const table = new Float32Array(rows * this.taps);
+        const i0Beta = Resampler.besselI0(beta);
+
+        for (let p = 0; p < rows; p++) {
+            const offset = p / this.phases;
+            let sum = 0;
+            for (let k = 0; k < this.taps; k++) {
+                const t = k - this.halfWidth + 1 - offset;
+                const x = t / this.halfWidth;
+                let value = 0;
+                if (Math.abs(x) < 1) {
+                    const window = Resampler.besselI0(beta * Math.sqrt(1 - x * x)) / i0Beta;
+                    value = this.cutoff * Resampler.sinc(this.cutoff * t) * window;
+                }
+                table[p * this.taps + k] = value;
+                sum += value;
+            }
+
+            // Unity gain at DC for every phase
+            if (sum !== 0) {
+                for (let k = 0; k < this.taps; k++) table[p * this.taps + k] /= sum;
+            }
+        }
+        return table;
+    }
+
+    static sinc(x) {
+        if (x === 0) return 1;
+        const px = Math.PI * x;
+        return Math.sin(px) / px;
+    }
+
+    /**
+     * Zeroth-order modified Bessel function of the first kind
+     * @param {number} x - Argument
+     * @returns {number}
+     */
+    static besselI0(x) {
+        let sum = 1;
+        let term = 1;
+        const half = x / 2;
+        for (let k = 1; k < 50; k++) {
+            term *= (half / k) * (half / k);
+            sum += term;
+            if (term < sum * 1e-12) break;
+        }
+        return sum;
+    }
+
+    static gcd(a, b) {
+        while (b) [a, b] = [b, a % b];
+        return a;
+    }
+}
+
+/**
+ * Quality presets: kernel half-length (in output-band zero crossings),
+ * Kaiser beta (stopband attenuation) and passband edge
+ */
+Resampler.QUALITY_PRESETS = {
+    fast: { halfTaps: 8, beta: 6, rolloff: 0.9 },
+    standard: { halfTaps: 32, beta: 9, rolloff: 0.945 },
+    mastering: { halfTaps: 96, beta: 13, rolloff: 0.97 }
+};
+
+Resampler.MAX_PHASES = 1024;
+
+// Export for use in workers and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Resampler;
+}
@@ -0,0 +1,306 @@
+/**
+ * StudioGrade Audio Converter
+ * Spectrum Analyzer
+ *
+ * Checks whether a source is as good as its container claims. A
+ * lossless file made from an MP3 or AAC keeps the encoder's lowpass: a
+ * steep wall in the spectrum with nothing above it. A high-resolution
+ * file upsampled from CD has the same wall at the old Nyquist
+ * frequency. Samples that only use the top bits of their container
+ * were padded with zeros. Also renders a small spectrogram so the user
+ * can see for themselves.
+ */
+
+class SpectrumAnalyzer {
+    /**
+     * Analyze a decoded source
+     * @param {Array<Float32Array>} channels - Source samples per channel
+     * @param {number} sampleRate - Source rate
+     * @param {Object} [options]
+     * @param {number} [options.claimedBitDepth] - Bit depth from the file header
+     * @param {Function} [onProgress] - Receives progress 0-100
+     * @param {Function} [checkpoint] - Async function awaited between frames
+     * @returns {Promise<Object>} { verdict, issues, cutoff, wallDepth, originalRate,
+     *     claimedBitDepth, effectiveBitDepth, spectrogram } where issues lists
+     *     'lossy', 'upsampled' and 'padded', and spectrogram is
+     *     { width, height, levels, maxFrequency } from spectrogramLevels
+     */
+    static async analyze(channels, sampleRate, options = {}, onProgress = () => {}, checkpoint = async () => {}) {
+        const { claimedBitDepth = null } = options;
+        const size = SpectrumAnalyzer.FFT_SIZE;
+        const bins = size / 2;
+        const length = channels.length > 0 ? channels[0].length : 0;
+        const frames = Math.min(SpectrumAnalyzer.MAX_FRAMES, Math.floor(length / size));
+        const width = Math.min(SpectrumAnalyzer.SPECTROGRAM_WIDTH, frames);
+        const height = SpectrumAnalyzer.SPECTROGRAM_HEIGHT;
+
+        const hann = SpectrumAnalyzer.hannWindow(size);
+        // Scales a full-scale sine to 0 dB in its bin
+        const norm = 4 / hann.reduce((sum, w) => sum + w, 0) ** 2;
+        const silence = 10 ** (SpectrumAnalyzer.SILENCE_DB / 10);
+
+        const average = new Float64Array(bins);
+        const columns = new Float64Array(width * height);
+        const columnFrames = new Uint16Array(width);
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        let counted = 0;
+
+        for (let f = 0; f < frames; f++) {
+            // Frames are spread evenly over the whole file
+            const start = Math.floor((f * (length - size)) / Math.max(1, frames - 1));
+            let energy = 0;
+            for (let i = 0; i < size; i++) {
+                let sum = 0;
+                for (const samples of channels) sum += samples[start + i];
+                const value = sum / channels.length;
+                energy += value * value;
+                re[i] = value * hann[i];
+                im[i] = 0;
+            }
+            SpectrumAnalyzer.fft(re, im);
+
+            const column = Math.floor((f * width) / frames);
+            const audible = energy / size > silence;
+            for (let k = 0; k < bins; k++) {
+                const power = (re[k] * re[k] + im[k] * im[k]) * norm;
+                if (audible) average[k] += power;
+                columns[column * height + Math.floor((k * height) / bins)] += power / (bins / height);
+            }
+            columnFrames[column]++;
+            if (audible) counted++;
+
+            onProgress(((f + 1) / frames) * 100);
+            await checkpoint();
+        }
+
+        const effectiveBitDepth = Dither.effectiveBitDepth(channels);
+        const report = {
+            verdict: 'inconclusive',
+            issues: [],
+            cutoff: null,
+            wallDepth: 0,
+            originalRate: null,
+            claimedBitDepth,
+            effectiveBitDepth,
+            spectrogram: {
+                ...SpectrumAnalyzer.spectrogramLevels(columns, columnFrames, width, height),
+                maxFrequency: sampleRate / 2
+            }
+        };
+
+        if (claimedBitDepth && effectiveBitDepth > 0 && effectiveBitDepth < claimedBitDepth) {
+            report.issues.push('padded');
+        }
+
+        if (counted >= SpectrumAnalyzer.MIN_FRAMES) {
+            // Digital silence is floored so a wall's depth stays finite
+            const levels = Array.from(average, power => SpectrumAnalyzer.toDecibels(power / counted + 1e-20));
+            const wall = SpectrumAnalyzer.findWall(levels, sampleRate);
+            const nyquist = sampleRate / 2;
+
+            if (wall && wall.frequency < nyquist * SpectrumAnalyzer.FULL_BAND_RATIO) {
+                report.cutoff = wall.frequency;
+                report.wallDepth = wall.depth;
+                report.originalRate = SpectrumAnalyzer.STANDARD_RATES.find(rate => rate / 2 >= wall.frequency) || null;
+
+                if (wall.frequency < SpectrumAnalyzer.LOSSY_MAX_CUTOFF) {
+                    report.issues.push('lossy');
+                }
+                if (sampleRate > 48000 && report.originalRate && report.originalRate < sampleRate) {
+                    report.issues.push('upsampled');
+                }
+            }
+            report.verdict = 'clean';
+        }
+
+        if (report.issues.length > 0) report.verdict = 'suspect';
+        return report;
+    }
+
+    /**
+     * Find the steepest drop in an averaged spectrum
+     * Natural high-frequency rolloff is gradual; a codec lowpass or an
+     * anti-alias filter drops tens of dB within a few hundred Hz and
+     * leaves only noise above it
+     * @param {Array<number>} levels - Average level per FFT bin in dB
+     * @param {number} sampleRate - Source rate
+     * @returns {Object|null} { frequency, depth } or null when there is no wall
+     */
+    static findWall(levels, sampleRate) {
+        const binHz = sampleRate / 2 / levels.length;
+        const bandBins = Math.max(1, Math.round(SpectrumAnalyzer.BAND_HZ / binHz));
+        const bands = [];
+        for (let start = 0; start + bandBins <= levels.length; start += bandBins) {
+            let sum = 0;
+            for (let k = start; k < start + bandBins; k++) sum += levels[k];
+            bands.push(sum / bandBins);
+        }
+
+        // Loudest band from here to the top, so a wall must hold all the way up
+        const aboveMax = new Float64Array(bands.length + 1).fill(-Infinity);
+        for (let b = bands.length - 1; b >= 0; b--) aboveMax[b] = Math.max(bands[b], aboveMax[b + 1]);
+
+        const reach = SpectrumAnalyzer.WALL_REACH;
+        const first = Math.max(reach, Math.ceil(SpectrumAnalyzer.MIN_CUTOFF / (bandBins * binHz)));
+        let best = null;
+        for (let b = first; b < bands.length - 1; b++) {
+            let below = 0;
+            for (let i = b - reach; i < b; i++) below += bands[i];
+            below /= reach;
+
+            // The band at b holds the transition itself
+            const depth = below - aboveMax[b + 1];
+            if (depth >= SpectrumAnalyzer.WALL_DB && (!best || depth > best.depth)) {
+                best = { frequency: b * bandBins * binHz, depth };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Spectrogram levels scaled to bytes
+     * @param {Float64Array} columns - Summed power per column and row
+     * @param {Uint16Array} columnFrames - Frames summed into each column
+     * @param {number} width - Columns (time)
+     * @param {number} height - Rows (frequency, row 0 is the lowest)
+     * @returns {Object} { width, height, levels } with 0 at SPECTROGRAM_FLOOR dB and 255 at 0 dB
+     */
+    static spectrogramLevels(columns, columnFrames, width, height) {
+        const floor = SpectrumAnalyzer.SPECTROGRAM_FLOOR;
+        const levels = new Uint8Array(width * height);
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) {
+                const power = columnFrames[x] > 0 ? columns[x * height + y] / columnFrames[x] : 0;
+                const db = SpectrumAnalyzer.toDecibels(power);
+                levels[x * height + y] = Math.round(Math.min(1, Math.max(0, 1 - db / floor)) * 255);
+            }
+        }
+        return { width, height, levels };
+    }
+
+    // ------------------------------------------------
+    // Helpers
+    // ------------------------------------------------
+
+    /**
+     * In-place radix-2 complex FFT
+     * @param {Float64Array} re - Real parts, length a power of two
+     * @param {Float64Array} im - Imaginary parts
+     */
+    static fft(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let len = 2; len <= n; len <<= 1) {
+            const angle = (-2 * Math.PI) / len;
+            const stepRe = Math.cos(angle);
+            const stepIm = Math.sin(angle);
+            const half = len >> 1;
+            for (let i = 0; i < n; i += len) {
+                let wRe = 1;
+                let wIm = 0;
+                for (let k = 0; k < half; k++) {
+                    const a = i + k;
+                    const b = a + half;
+                    const tRe = re[b] * wRe - im[b] * wIm;
+                    const tIm = re[b] * wIm + im[b] * wRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    const next = wRe * stepRe - wIm * stepIm;
+                    wIm = wRe * stepIm + wIm * stepRe;
+                    wRe = next;
+                }
+            }
+        }
+    }
+
+    static hannWindow(size) {
+        const window = new Float64Array(size);
+        for (let i = 0; i < size; i++) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+        return window;
+    }
+
+    static toDecibels(power) {
+        return power > 0 ? 10 * Math.log10(power) : -Infinity;
+    }
+}
+
+/**
+ * Samples per FFT frame (~85 ms at 48 kHz)
+ */
+SpectrumAnalyzer.FFT_SIZE = 4096;
+
+/**
+ * Frames analyzed per file, spread evenly over its length
+ */
+SpectrumAnalyzer.MAX_FRAMES = 384;
+
+/**
+ * Audible frames needed before the spectrum is trusted
+ */
+SpectrumAnalyzer.MIN_FRAMES = 8;
+
+/**
+ * Frames quieter than this (dBFS) are left out of the average spectrum
+ */
+SpectrumAnalyzer.SILENCE_DB = -60;
+
+/**
+ * Width of the bands the averaged spectrum is smoothed into
+ */
+SpectrumAnalyzer.BAND_HZ = 200;
+
+/**
+ * Bands below a candidate wall averaged for its level
+ */
+SpectrumAnalyzer.WALL_REACH = 4;
+
+/**
+ * Lowest frequency a wall is looked for at; below it a steep drop is
+ * just sparse content, like a solo instrument or a test tone
+ */
+SpectrumAnalyzer.MIN_CUTOFF = 8000;
+
+/**
+ * Minimum drop (dB) from just below a wall to anything above it
+ */
+SpectrumAnalyzer.WALL_DB = 30;
+
+/**
+ * Walls at or above this fraction of Nyquist are the source's own anti-alias filter
+ */
+SpectrumAnalyzer.FULL_BAND_RATIO = 0.9;
+
+/**
+ * Cutoffs below this are typical of lossy encoders (MP3 128k ≈ 16 kHz, 320k ≈ 19.5 kHz)
+ */
+SpectrumAnalyzer.LOSSY_MAX_CUTOFF = 19600;
+
+/**
+ * Rates an upsampled source most likely had
+ */
+SpectrumAnalyzer.STANDARD_RATES = [44100, 48000, 88200, 96000, 176400];
+
+SpectrumAnalyzer.SPECTROGRAM_WIDTH = 128;
+SpectrumAnalyzer.SPECTROGRAM_HEIGHT = 64;
+
+/**
+ * Level (dB) shown as black in the spectrogram
+ */
+SpectrumAnalyzer.SPECTROGRAM_FLOOR = -120;
+
+// Export for use in workers and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpectrumAnalyzer;
+}
@@ -0,0 +1,700 @@
+/**
+ * StudioGrade Audio Converter
+ * Tag Reader
+ *
+ * Reads descriptive tags and embedded artwork from ID3v1/v2, MP4 ilst
+ * and Vorbis comments (FLAC, Ogg Vorbis, Opus, Ogg FLAC), normalized to
+ * Vorbis comment field names so they can be written straight into the
+ * FLAC VORBIS_COMMENT and PICTURE blocks.
+ *
+ * Result shape: { fields: { TITLE: 'x', ... }, pictures: [picture] }
+ * where picture is { type, mime, description, width, height, depth, colors, data }
+ */
+
+class TagReader {
+    /**
+     * Read all tags and artwork from a file
+     * @param {Blob} file - The audio file
+     * @returns {Promise<Object>} { fields, pictures }
+     */
+    static async read(file) {
+        const tags = TagReader.empty();
+        const head = await MetadataParser.read(file, 0, TagReader.HEAD_BYTES);
+
+        const tagSize = MetadataParser.id3v2Size(head);
+        if (tagSize > 0) {
+            TagReader.parseId3v2(await MetadataParser.read(file, 0, tagSize), tags);
+        }
+
+        const format = MetadataParser.detect(head.subarray(tagSize));
+        if (format === 'flac') {
+            await TagReader.readFlac(file, tagSize, tags);
+        } else if (format === 'ogg') {
+            TagReader.parseOgg(await MetadataParser.read(file, 0, TagReader.OGG_BYTES), tags);
+        } else if (format === 'mp4') {
+            const moov = await MetadataParser.readMoov(file);
+            if (moov) TagReader.parseIlst(moov, tags);
+        } else if (format === 'mp3' || format === null) {
+            // ID3v1 only fills in what ID3v2 didn't have
+            if (file.size >= 128) {
+                TagReader.parseId3v1(await MetadataParser.read(file, file.size - 128, file.size), tags);
+            }
+        }
+        return tags;
+    }
+
+    /**
+     * An empty tag set
+     * @returns {Object}
+     */
+    static empty() {
+        return { fields: {}, pictures: [] };
+    }
+
+    /**
+     * Set a field value
+     * @param {Object} tags - Tag set
+     * @param {string} name - Vorbis comment field name
+     * @param {string} value - Value
+     * @param {string} [mode='replace'] - replace, keep (an existing value) or append (as "a; b")
+     */
+    static addField(tags, name, value, mode = 'replace') {
+        const text = String(value).replace(/\0+$/, '').trim();
+        if (!name || !text) return;
+
+        const field = name.toUpperCase();
+        const existing = tags.fields[field];
+        if (existing && mode === 'keep') return;
+        if (existing && mode === 'append') {
+            if (!existing.split('; ').includes(text)) tags.fields[field] = `${existing}; ${text}`;
+            return;
+        }
+        tags.fields[field] = text;
+    }
+
+    /**
+     * Split "n/total" into number and total fields
+     * @param {Object} tags - Tag set
+     * @param {string} value - e.g. "3/12"
+     * @param {string} numberField - TRACKNUMBER or DISCNUMBER
+     * @param {string} totalField - TRACKTOTAL or DISCTOTAL
+     */
+    static addPosition(tags, value, numberField, totalField) {
+        const [number, total] = String(value).split('/');
+        TagReader.addField(tags, numberField, number);
+        if (total) TagReader.addField(tags, totalField, total);
+    }
+
+    // ------------------------------------------------
+    // ID3
+    // ------------------------------------------------
+
+    /**
+     * Parse an ID3v2.2/2.3/2.4 tag
+     * @param {Uint8Array} bytes - The whole tag, header included
+     * @param {Object} tags - Tag set to fill
+     */
+    static parseId3v2(bytes, tags) {
+        const major = bytes[3];
+        const flags = bytes[5];
+        const size = TagReader.synchsafe(bytes, 6);
+        let data = bytes.subarray(10, 10 + size);
+
+        if (major < 2 || major > 4) return;
+        // v2.2 compression was never defined; nothing can be read
+        if (major === 2 && flags & 0x40) return;
+        if (major < 4 && flags & 0x80) data = TagReader.removeUnsync(data);
+
+        let pos = 0;
+        if (major >= 3 && flags & 0x40) {
+            pos = major === 3 ? 4 + TagReader.uint32(data, 0) : TagReader.synchsafe(data, 0);
+        }
+
+        const idLength = major === 2 ? 3 : 4;
+        const headerLength = major === 2 ? 6 : 10;
+        while (pos + headerLength <= data.length) {
+            let id = MetadataParser.ascii(data, pos, idLength);
+            if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+            const frameSize = major === 2 ? (data[pos + 3] << 16) | (data[pos + 4] << 8) | data[pos + 5]
+                : major === 4 ? TagReader.synchsafe(data, pos + 4) : TagReader.uint32(data, pos + 4);
+            const formatFlags = major === 2 ? 0 : data[pos + 9];
+            let frame = data.subarray(pos + headerLength, pos + headerLength + frameSize);
+            pos += headerLength + frameSize;
+
+            if (major === 3) {
+                if (formatFlags & 0xc0) continue; // compressed or encrypted
+                if (formatFlags & 0x20) frame = frame.subarray(1);
+            } else if (major === 4) {
+                if (formatFlags & 0x0c) continue;
+                if (formatFlags & 0x40) frame = frame.subarray(1);
+                if (formatFlags & 0x01) frame = frame.subarray(4);
+                if (formatFlags & 0x02) frame = TagReader.removeUnsync(frame);
+            }
+
+            if (major === 2) id = TagReader.ID3V22_FRAMES[id] || id;
+            TagReader.readId3Frame(id, frame, tags);
+        }
+    }
+
+    /**
+     * Map one ID3v2 frame onto the tag set
+     * @param {string} id - Four-character frame id
+     * @param {Uint8Array} frame - Frame body
+     * @param {Object} tags - Tag set
+     */
+    static readId3Frame(id, frame, tags) {
+        if (frame.length === 0) return;
+        const encoding = frame[0];
+
+        if (id === 'TXXX') {
+            const description = TagReader.readString(frame, 1, encoding);
+            const value = TagReader.readString(frame, description.next, encoding);
+            TagReader.addField(tags, description.text.replace(/\s+/g, '_'), value.text);
+        } else if (id === 'TRCK' || id === 'TPOS') {
+            const value = TagReader.readString(frame, 1, encoding, true).text;
+            if (id === 'TRCK') TagReader.addPosition(tags, value, 'TRACKNUMBER', 'TRACKTOTAL');
+            else TagReader.addPosition(tags, value, 'DISCNUMBER', 'DISCTOTAL');
+        } else if (id === 'TCON') {
+            const values = TagReader.readString(frame, 1, encoding, true).text.split('\0');
+            TagReader.addField(tags, 'GENRE', values.map(TagReader.genreName).filter(Boolean).join('; '));
+        } else if (id === 'COMM' || id === 'USLT') {
+            // Language (3 bytes), short description, text
+            const description = TagReader.readString(frame, 4, encoding);
+            // Descriptions mark tool-specific data such as iTunNORM
+            if (id === 'COMM' && description.text) return;
+            const value = TagReader.readString(frame, description.next, encoding, true);
+            TagReader.addField(tags, id === 'COMM' ? 'COMMENT' : 'LYRICS', value.text);
+        } else if (id === 'APIC') {
+            const mime = TagReader.readString(frame, 1, 0);
+            const type = frame[mime.next];
+            const description = TagReader.readString(frame, mime.next + 1, encoding);
+            TagReader.addPicture(tags, frame.slice(description.next), type, description.text, mime.text);
+        } else if (id === 'PIC') {
+            // v2.2: three-letter image format instead of a MIME type
+            const format = MetadataParser.ascii(frame, 1, 3).toUpperCase();
+            const description = TagReader.readString(frame, 5, encoding);
+            TagReader.addPicture(tags, frame.slice(description.next), frame[4], description.text,
+                format === 'PNG' ? 'image/png' : 'image/jpeg');
+        } else if (TagReader.ID3_FIELDS[id]) {
+            // v2.4 separates multiple values with NUL
+            const text = TagReader.readString(frame, 1, encoding, true).text;
+            TagReader.addField(tags, TagReader.ID3_FIELDS[id], text.split('\0').filter(Boolean).join('; '));
+        }
+    }
+
+    /**
+     * Parse a trailing ID3v1/v1.1 tag without overwriting ID3v2 values
+     * @param {Uint8Array} bytes - Last 128 bytes of the file
+     * @param {Object} tags - Tag set
+     */
+    static parseId3v1(bytes, tags) {
+        if (MetadataParser.ascii(bytes, 0, 3) !== 'TAG') return;
+        const text = (start, length) => TagReader.decode(bytes.subarray(start, start + length), 'iso-8859-1');
+
+        TagReader.addField(tags, 'TITLE', text(3, 30), 'keep');
+        TagReader.addField(tags, 'ARTIST', text(33, 30), 'keep');
+        TagReader.addField(tags, 'ALBUM', text(63, 30), 'keep');
+        TagReader.addField(tags, 'DATE', text(93, 4), 'keep');
+
+        // v1.1 steals the last comment byte for the track number
+        const hasTrack = bytes[125] === 0 && bytes[126] !== 0;
+        TagReader.addField(tags, 'COMMENT', text(97, hasTrack ? 28 : 30), 'keep');
+        if (hasTrack) TagReader.addField(tags, 'TRACKNUMBER', String(bytes[126]), 'keep');
+        if (bytes[127] < TagReader.GENRES.length) {
+            TagReader.addField(tags, 'GENRE', TagReader.GENRES[bytes[127]], 'keep');
+        }
+    }
+
+    /**
+     * Resolve ID3 genre references like "(17)" or "17"
+     * @param {string} value - TCON value
+     * @returns {string}
+     */
+    static genreName(value) {
+        const match = /^\((\d+)\)(.*)$/.exec(value) || /^(\d+)()$/.exec(value);
+        if (!match) return value;
+        return match[2] || TagReader.GENRES[Number(match[1])] || value;
+    }
+
+    /**
+     * Read a terminated (or trailing) string in an ID3 text encoding
+     * @param {Uint8Array} bytes - Frame body
+     * @param {number} start - Offset
+     * @param {number} encoding - 0 Latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+     * @param {boolean} [toEnd=false] - Read to the end of the frame
+     * @returns {{text: string, next: number}}
+     */
+    static readString(bytes, start, encoding, toEnd = false) {
+        const wide = encoding === 1 || encoding === 2;
+        let end = bytes.length;
+        let next = bytes.length;
+        if (!toEnd) {
+            for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+                if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+                    end = i;
+                    next = i + (wide ? 2 : 1);
+                    break;
+                }
+            }
+        }
+
+        const slice = bytes.subarray(start, end);
+        const label = encoding === 3 ? 'utf-8'
+            : encoding === 2 ? 'utf-16be'
+            : encoding === 1 ? (slice[0] === 0xfe && slice[1] === 0xff ? 'utf-16be' : 'utf-16le')
+            : 'iso-8859-1';
+        let text = TagReader.decode(slice, label);
+        if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+        // Keep internal NULs (v2.4 value separators) but drop trailing ones
+        return { text: text.replace(/\0+$/, ''), next };
+    }
+
+    // ------------------------------------------------
+    // MP4
+    // ------------------------------------------------
+
+    /**
+     * Parse iTunes-style metadata from a moov payload
+     * @param {Uint8Array} moov - moov payload
+     * @param {Object} tags - Tag set
+     */
+    static parseIlst(moov, tags) {
+        const udta = MetadataParser.findBox(moov, 0, moov.length, 'udta');
+        const meta = udta && MetadataParser.findBox(moov, udta.start, udta.end, 'meta');
+        if (!meta) return;
+
+        // ISO meta is a full box; QuickTime's is not
+        const metaStart = MetadataParser.ascii(moov, meta.start + 4, 4) === 'hdlr' ? meta.start : meta.start + 4;
+        const ilst = MetadataParser.findBox(moov, metaStart, meta.end, 'ilst');
+        if (!ilst) return;
+
+        let pos = ilst.start;
+        while (pos + 8 <= ilst.end) {
+            const item = MetadataParser.readBox(moov, pos, ilst.end - pos);
+            if (item.size < item.headerSize) break;
+            TagReader.readIlstItem(moov, item.type, pos + item.headerSize, Math.min(ilst.end, pos + item.size), tags);
+            pos += item.size;
+        }
+    }
+
+    /**
+     * Map one ilst item onto the tag set
+     * @param {Uint8Array} bytes - moov payload
+     * @param {string} name - Item atom name
+     * @param {number} start - Item payload start
+     * @param {number} end - Item payload end
+     * @param {Object} tags - Tag set
+     */
+    static readIlstItem(bytes, name, start, end, tags) {
+        const view = MetadataParser.view(bytes);
+        const values = MetadataParser.children(bytes, start, end, 'data').map(box => ({
+            type: view.getUint32(box.start, false) & 0xffffff,
+            data: bytes.subarray(box.start + 8, box.end)
+        }));
+        if (values.length === 0) return;
+        const text = values.map(v => TagReader.decode(v.data, 'utf-8')).join('; ');
+
+        if (name === '----') {
+            // Freeform: mean (reverse DNS), name, data
+            const field = MetadataParser.findBox(bytes, start, end, 'name');
+            if (field) TagReader.addField(tags, TagReader.decode(bytes.subarray(field.start + 4, field.end), 'utf-8'), text);
+        } else if (name === 'trkn' || name === 'disk') {
+            const data = values[0].data;
+            if (data.length < 6) return;
+            const number = (data[2] << 8) | data[3];
+            const total = (data[4] << 8) | data[5];
+            const prefix = name === 'trkn' ? 'TRACK' : 'DISC';
+            if (number) TagReader.addField(tags, `${prefix}NUMBER`, String(number));
+            if (total) TagReader.addField(tags, `${prefix}TOTAL`, String(total));
+        } else if (name === 'gnre') {
+            const data = values[0].data;
+            if (data.length >= 2) TagReader.addField(tags, 'GENRE', TagReader.GENRES[((data[0] << 8) | data[1]) - 1] || '');
+        } else if (name === 'tmpo') {
+            const data = values[0].data;
+            if (data.length >= 2) TagReader.addField(tags, 'BPM', String((data[0] << 8) | data[1]));
+        } else if (name === 'covr') {
+            values.forEach(({ type, data }) => {
+                const mime = type === 14 ? 'image/png' : type === 13 ? 'image/jpeg' : undefined;
+                TagReader.addPicture(tags, data.slice(), 3, '', mime);
+            });
+        } else if (TagReader.MP4_FIELDS[name]) {
+            TagReader.addField(tags, TagReader.MP4_FIELDS[name], text);
+        }
+    }
+
+    // ------------------------------------------------
+    // Vorbis comments
+    // ------------------------------------------------
+
+    /**
+     * Read VORBIS_COMMENT and PICTURE blocks of a FLAC file
+     * @param {Blob} file - The FLAC file
+     * @param {number} start - Offset of the "fLaC" marker
+     * @param {Object} tags - Tag set
+     */
+    static async readFlac(file, start, tags) {
+        let pos = start + 4;
+        while (pos + 4 <= file.size) {
+            const header = await MetadataParser.read(file, pos, pos + 4);
+            const type = header[0] & 0x7f;
+            const length = (header[1] << 16) | (header[2] << 8) | header[3];
+
+            if (type === 4 || type === 6) {
+                const block = await MetadataParser.read(file, pos + 4, pos + 4 + length);
+                if (type === 4) TagReader.parseVorbisComment(block, 0, tags);
+                else TagReader.parsePictureBlock(block, tags);
+            }
+            if (header[0] & 0x80) break;
+            pos += 4 + length;
+        }
+    }
+
+    /**
+     * Read the comment header of the first logical Ogg stream
+     * @param {Uint8Array} bytes - Leading bytes of the file
+     * @param {Object} tags - Tag set
+     */
+    static parseOgg(bytes, tags) {
+        const packets = TagReader.oggPackets(bytes, 8);
+        if (packets.length < 2) return;
+
+        const first = packets[0];
+        if (MetadataParser.ascii(first, 0, 8) === 'OpusHead') {
+            if (MetadataParser.ascii(packets[1], 0, 8) === 'OpusTags') TagReader.parseVorbisComment(packets[1], 8, tags);
+        } else if (first[0] === 1 && MetadataParser.ascii(first, 1, 6) === 'vorbis') {
+            if (packets[1][0] === 3) TagReader.parseVorbisComment(packets[1], 7, tags);
+        } else if (MetadataParser.ascii(first, 1, 4) === 'FLAC') {
+            // Ogg FLAC: one metadata block per packet after the mapping header
+            for (const packet of packets.slice(1)) {
+                const type = packet[0] & 0x7f;
+                if (type === 4) TagReader.parseVorbisComment(packet, 4, tags);
+                if (type === 6) TagReader.parsePictureBlock(packet.subarray(4), tags);
+                if (packet[0] & 0x80) break;
+            }
+        }
+    }
+
+    /**
+     * Reassemble the first packets of the first logical stream in an Ogg file
+     * @param {Uint8Array} bytes - Leading bytes of the file
+     * @param {number} limit - Maximum number of packets
+     * @returns {Array<Uint8Array>} Complete packets only
+     */
+    static oggPackets(bytes, limit) {
+        const view = MetadataParser.view(bytes);
+        const packets = [];
+        let serial = null;
+        let parts = [];
+        let pos = 0;
+
+        while (pos + 27 <= bytes.length && packets.length < limit) {
+            if (MetadataParser.ascii(bytes, pos, 4) !== 'OggS') break;
+            const pageSerial = view.getUint32(pos + 14, true);
+            const segments = bytes[pos + 26];
+            let body = pos + 27 + segments;
+            if (serial === null) serial = pageSerial;
+
+            for (let i = 0; i < segments; i++) {
+                const lacing = bytes[pos + 27 + i];
+                if (pageSerial === serial) {
+                    parts.push(bytes.subarray(body, body + lacing));
+                    if (lacing < 255) {
+                        packets.push(TagReader.concat(parts));
+                        parts = [];
+                    }
+                }
+                body += lacing;
+            }
+            pos = body;
+        }
+        return packets;
+    }
+
+    /**
+     * Parse a Vorbis comment list
+     * @param {Uint8Array} bytes - Buffer
+     * @param {number} start - Offset of the vendor length
+     * @param {Object} tags - Tag set
+     */
+    static parseVorbisComment(bytes, start, tags) {
+        const view = MetadataParser.view(bytes);
+        if (start + 8 > bytes.length) return;
+        let pos = start + 4 + view.getUint32(start, true);
+        if (pos + 4 > bytes.length) return;
+        const count = view.getUint32(pos, true);
+        pos += 4;
+
+        for (let i = 0; i < count && pos + 4 <= bytes.length; i++) {
+            const length = view.getUint32(pos, true);
+            const comment = TagReader.decode(bytes.subarray(pos + 4, pos + 4 + length), 'utf-8');
+            pos += 4 + length;
+
+            const separator = comment.indexOf('=');
+            if (separator <= 0) continue;
+            const name = comment.slice(0, separator).toUpperCase();
+            const value = comment.slice(separator + 1);
+
+            if (name === 'METADATA_BLOCK_PICTURE') {
+                const block = TagReader.base64Decode(value);
+                if (block) TagReader.parsePictureBlock(block, tags);
+            } else {
+                TagReader.addField(tags, name, value, 'append');
+            }
+        }
+    }
+
+    // ------------------------------------------------
+    // Pictures
+    // ------------------------------------------------
+
+    /**
+     * Parse a FLAC PICTURE block body
+     * @param {Uint8Array} bytes - Block body
+     * @param {Object} tags - Tag set
+     */
+    static parsePictureBlock(bytes, tags) {
+        const view = MetadataParser.view(bytes);
+        if (bytes.length < 32) return;
+
+        let pos = 0;
+        const type = view.getUint32(pos, false);
+        const mimeLength = view.getUint32(pos + 4, false);
+        const mime = MetadataParser.ascii(bytes, pos + 8, mimeLength);
+        pos += 8 + mimeLength;
+        const descriptionLength = view.getUint32(pos, false);
+        const description = TagReader.decode(bytes.subarray(pos + 4, pos + 4 + descriptionLength), 'utf-8');
+        pos += 4 + descriptionLength;
+        if (pos + 20 > bytes.length) return;
+
+        const dataLength = view.getUint32(pos + 16, false);
+        tags.pictures.push({
+            type,
+            mime,
+            description,
+            width: view.getUint32(pos, false),
+            height: view.getUint32(pos + 4, false),
+            depth: view.getUint32(pos + 8, false),
+            colors: view.getUint32(pos + 12, false),
+            data: bytes.slice(pos + 20, pos + 20 + dataLength)
+        });
+    }
+
+    /**
+     * Add a picture, filling in dimensions from the image header
+     * @param {Object} tags - Tag set
+     * @param {Uint8Array} data - Image bytes
+     * @param {number} type - FLAC/ID3 picture type (3 = front cover)
+     * @param {string} description - Description
+     * @param {string} [mime] - MIME type if known
+     */
+    static addPicture(tags, data, type, description, mime) {
+        if (data.length === 0) return;
+        const image = TagReader.imageInfo(data);
+        tags.pictures.push({
+            type,
+            mime: image.mime || mime || 'image/jpeg',
+            description,
+            width: image.width,
+            height: image.height,
+            depth: image.depth,
+            colors: 0,
+            data
+        });
+    }
+
+    /**
+     * Read type and dimensions from a PNG, JPEG or GIF header
+     * @param {Uint8Array} data - Image bytes
+     * @returns {Object} { mime, width, height, depth } with zeros when unknown
+     */
+    static imageInfo(data) {
+        const view = MetadataParser.view(data);
+        const info = { mime: null, width: 0, height: 0, depth: 0 };
+
+        if (data[0] === 0x89 && MetadataParser.ascii(data, 1, 3) === 'PNG' && data.length >= 26) {
+            const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[data[25]] || 1;
+            return {
+                mime: 'image/png',
+                width: view.getUint32(16, false),
+                height: view.getUint32(20, false),
+                depth: data[24] * channels
+            };
+        }
+        if (MetadataParser.ascii(data, 0, 4) === 'GIF8' && data.length >= 10) {
+            return { mime: 'image/gif', width: view.getUint16(6, true), height: view.getUint16(8, true), depth: 8 };
+        }
+        if (data[0] === 0xff && data[1] === 0xd8) {
+            info.mime = 'image/jpeg';
+            let pos = 2;
+            while (pos + 9 < data.length && data[pos] === 0xff) {
+                const marker = data[pos + 1];
+                const length = view.getUint16(pos + 2, false);
+                // SOFn markers, except DHT (C4), JPG (C8) and DAC (CC)
+                if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                    info.height = view.getUint16(pos + 5, false);
+                    info.width = view.getUint16(pos + 7, false);
+                    info.depth = data[pos + 4] * data[pos + 9];
+                    break;
+                }
+                pos += 2 + length;
+            }
+        }
+        return info;
+    }
+
+    // ------------------------------------------------
+    // Helpers
+    // ------------------------------------------------
+
+    static decode(bytes, label) {
+        return new TextDecoder(label).decode(bytes).replace(/\0+$/, '');
+    }
+
+    static synchsafe(bytes, pos) {
+        return ((bytes[pos] & 0x7f) << 21) | ((bytes[pos + 1] & 0x7f) << 14) |
+            ((bytes[pos + 2] & 0x7f) << 7) | (bytes[pos + 3] & 0x7f);
+    }
+
+    static uint32(bytes, pos) {
+        return ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+    }
+
+    /**
+     * Undo ID3 unsynchronisation (0xFF 0x00 → 0xFF)
+     * @param {Uint8Array} bytes - Unsynchronised data
+     * @returns {Uint8Array}
+     */
+    static removeUnsync(bytes) {
+        const out = new Uint8Array(bytes.length);
+        let length = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            out[length++] = bytes[i];
+            if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+        }
+        return out.subarray(0, length);
+    }
+
+    static concat(parts) {
+        const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+        let pos = 0;
+        parts.forEach(part => {
+            out.set(part, pos);
+            pos += part.length;
+        });
+        return out;
+    }
+
+    static base64Decode(text) {
+        try {
+            const binary = atob(text.trim());
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+            return bytes;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Bytes read up front to find tags and the container type
+ */
+TagReader.HEAD_BYTES = 64 * 1024;
+
+/**
+ * Bytes read to find the Ogg comment header (embedded artwork can be large)
+ */
+TagReader.OGG_BYTES = 16 * 1024 * 1024;
+
+/**
+ * ID3v2 text frames mapped to Vorbis comment fields
+ */
+TagReader.ID3_FIELDS = {
+    TIT1: 'GROUPING',
+    TIT2: 'TITLE',
+    TIT3: 'SUBTITLE',
+    TPE1: 'ARTIST',
+    TPE2: 'ALBUMARTIST',
+    TPE3: 'CONDUCTOR',
+    TALB: 'ALBUM',
+    TYER: 'DATE',
+    TDRC: 'DATE',
+    TCOM: 'COMPOSER',
+    TEXT: 'LYRICIST',
+    TSRC: 'ISRC',
+    TCOP: 'COPYRIGHT',
+    TPUB: 'ORGANIZATION',
+    TBPM: 'BPM',
+    TMED: 'MEDIA',
+    TSOP: 'ARTISTSORT',
+    TSOA: 'ALBUMSORT',
+    TSOT: 'TITLESORT'
+};
+
+/**
+ * ID3v2.2 three-letter frame ids mapped to their v2.3 equivalents
+ */
+TagReader.ID3V22_FRAMES = {
+    TT1: 'TIT1',
+    TT2: 'TIT2',
+    TT3: 'TIT3',
+    TP1: 'TPE1',
+    TP2: 'TPE2',
+    TP3: 'TPE3',
+    TAL: 'TALB',
+    TYE: 'TYER',
+    TCM: 'TCOM',
+    TXT: 'TEXT',
+    TRC: 'TSRC',
+    TCR: 'TCOP',
+    TPB: 'TPUB',
+    TBP: 'TBPM',
+    TRK: 'TRCK',
+    TPA: 'TPOS',
+    TCO: 'TCON',
+    TXX: 'TXXX',
+    COM: 'COMM',
+    ULT: 'USLT'
+};
+
+/**
+ * MP4 ilst atoms mapped to Vorbis comment fields
+ */
+TagReader.MP4_FIELDS = {
+    '©nam': 'TITLE',
+    '©ART': 'ARTIST',
+    aART: 'ALBUMARTIST',
+    '©alb': 'ALBUM',
+    '©day': 'DATE',
+    '©gen': 'GENRE',
+    '©wrt': 'COMPOSER',
+    '©cmt': 'COMMENT',
+    '©lyr': 'LYRICS',
+    '©grp': 'GROUPING',
+    cprt: 'COPYRIGHT',
+    soar: 'ARTISTSORT',
+    soal: 'ALBUMSORT',
+    sonm: 'TITLESORT'
+};
+
+/**
+ * ID3v1 genre list (0-79)
+ */
+TagReader.GENRES = [
+    'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+    'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap',
+    'Reggae', 'Rock', 'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks',
+    'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+    'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+    'Alternative Rock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop', 'Instrumental Rock',
+    'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic', 'Pop-Folk', 'Eurodance', 'Dream',
+    'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle',
+    'Native American', 'Cabaret', 'New Wave', 'Psychedelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi',
+    'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock'
+];
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TagReader;
+}
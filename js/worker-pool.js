@@ -0,0 +1,184 @@
+/**
+ * StudioGrade Audio Converter
+ * Worker Pool
+ *
+ * Runs jobs on a fixed set of Web Workers behind a JobQueue, so at
+ * most one job occupies each worker. Node passes a createWorker that
+ * wraps worker_threads in the same interface. Falls back to running jobs on
+ * the main thread where workers are unavailable (e.g. file:// pages).
+ * Aborting a running job terminates its worker; a fresh one is
+ * spawned for the next job.
+ */
+
+class WorkerPool {
+    /**
+     * @param {string} scriptUrl - Worker script URL
+     * @param {Object} [options]
+     * @param {number} [options.size] - Worker count (defaults to CPU cores)
+     * @param {Function} [options.fallback] - (message, onProgress, signal) => Promise, used without workers
+     * @param {Function} [options.createWorker] - (scriptUrl) => object with postMessage, terminate,
+     *     onmessage and onerror like a Web Worker (default: new Worker)
+     */
+    constructor(scriptUrl, { size, fallback, createWorker } = {}) {
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency;
+        this.scriptUrl = scriptUrl;
+        this.size = Math.max(1, size || cores || 4);
+        this.fallback = fallback;
+        this.createWorker = createWorker || ((url) => new Worker(url));
+        this.supported = Boolean(createWorker) || typeof Worker !== 'undefined';
+        this.queue = new JobQueue(this.size);
+        this.workers = [];
+        this.idle = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Run a job on the next free worker
+     * @param {Object} message - Job message (must include `type`)
+     * @param {Object} [options]
+     * @param {Array<Transferable>} [options.transfer] - Buffers to transfer to the worker
+     * @param {number} [options.priority=0] - Higher runs first
+     * @param {Function} [options.onProgress] - Receives progress 0-100
+     * @param {AbortSignal} [options.signal] - Cancels the job, queued or running
+     * @returns {Promise<*>} Job result
+     */
+    run(message, { transfer = [], priority = 0, onProgress, signal } = {}) {
+        return this.queue.add(
+            () => this.dispatch(message, transfer, onProgress || (() => {}), signal),
+            { priority, signal }
+        );
+    }
+
+    /**
+     * Stop handing out queued jobs; running jobs continue
+     */
+    pause() {
+        this.queue.pause();
+    }
+
+    /**
+     * Resume handing out queued jobs
+     */
+    resume() {
+        this.queue.resume();
+    }
+
+    /**
+     * Send a job to a worker and wait for its result
+     * @param {Object} message - Job message
+     * @param {Array<Transferable>} transfer - Buffers to transfer
+     * @param {Function} onProgress - Progress callback
+     * @param {AbortSignal} [signal] - Cancels the running job
+     * @returns {Promise<*>}
+     */
+    dispatch(message, transfer, onProgress, signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(JobQueue.abortError());
+        }
+
+        const worker = this.acquire();
+        if (!worker) {
+            if (!this.fallback) {
+                return Promise.reject(new Error('Web Workers are not available'));
+            }
+            return this.fallback(message, onProgress, signal);
+        }
+
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this.discard(worker);
+                reject(JobQueue.abortError());
+            };
+            const settle = (callback, value) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+
+            worker.onmessage = (e) => {
+                const data = e.data;
+                if (data.id !== id) return;
+
+                if (data.type === 'progress') {
+                    onProgress(data.progress);
+                } else if (data.type === 'result') {
+                    this.release(worker);
+                    settle(resolve, data.result);
+                } else if (data.type === 'error') {
+                    this.release(worker);
+                    settle(reject, new Error(data.message));
+                }
+            };
+
+            worker.onerror = (e) => {
+                e.preventDefault();
+                this.discard(worker);
+                settle(reject, new Error(e.message || 'Conversion worker crashed'));
+            };
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            try {
+                worker.postMessage({ id, ...message }, transfer);
+            } catch (error) {
+                // e.g. a message that can't be cloned or an already transferred buffer;
+                // the worker never got the job, but its state is unknown, so replace it
+                this.discard(worker);
+                settle(reject, error);
+            }
+        });
+    }
+
+    /**
+     * Get an idle worker, spawning one if the pool is not full
+     * @returns {Worker|null}
+     */
+    acquire() {
+        if (this.idle.length > 0) return this.idle.pop();
+        if (!this.supported || this.workers.length >= this.size) return null;
+
+        try {
+            const worker = this.createWorker(this.scriptUrl);
+            this.workers.push(worker);
+            return worker;
+        } catch (error) {
+            console.warn('Web Workers unavailable, converting on the main thread:', error.message);
+            this.supported = false;
+            return null;
+        }
+    }
+
+    /**
+     * Return a worker to the idle list
+     * @param {Worker} worker - Worker that finished its job
+     */
+    release(worker) {
+        worker.onmessage = null;
+        worker.onerror = null;
+        this.idle.push(worker);
+    }
+
+    /**
+     * Terminate and forget a broken worker
+     * @param {Worker} worker - Worker to remove
+     */
+    discard(worker) {
+        worker.terminate();
+        this.workers = this.workers.filter(w => w !== worker);
+        this.idle = this.idle.filter(w => w !== worker);
+    }
+
+    /**
+     * Terminate every worker
+     */
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.idle = [];
+    }
+}
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkerPool;
+}
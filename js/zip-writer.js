@@ -0,0 +1,243 @@
+/**
+ * StudioGrade Audio Converter
+ * ZIP Writer
+ *
+ * Bundles converted files into a ZIP archive without compressing
+ * them (FLAC does not shrink further) and without copying them:
+ * the archive is a Blob made of the headers and the original Blobs,
+ * so the browser streams it to disk on download. Each file is read
+ * once, in chunks, for its CRC-32. ZIP64 records are added when an
+ * entry, an offset or the entry count exceeds the classic limits.
+ */
+
+class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    /**
+     * Append a file to the archive
+     * @param {string} name - Path inside the archive
+     * @param {Blob} blob - File contents
+     * @param {Object} [options]
+     * @param {Date} [options.date] - Modification time (default now)
+     * @param {AbortSignal} [options.signal] - Stops reading the file
+     * @param {Function} [options.onProgress] - Called with bytes read so far
+     * @returns {Promise<void>}
+     */
+    async add(name, blob, options = {}) {
+        const { date = new Date(), signal, onProgress } = options;
+        if (this.entries.some(entry => entry.name === name)) {
+            throw new Error(`Duplicate ZIP entry: ${name}`);
+        }
+
+        const crc = await ZipWriter.crc32(blob, signal, onProgress);
+        const entry = {
+            name,
+            nameBytes: new TextEncoder().encode(name),
+            size: blob.size,
+            crc,
+            offset: this.offset,
+            ...ZipWriter.dosDateTime(date)
+        };
+        const header = ZipWriter.localHeader(entry);
+
+        this.entries.push(entry);
+        this.parts.push(header, blob);
+        this.offset += header.length + blob.size;
+    }
+
+    /**
+     * Write the central directory
+     * @returns {Array<Uint8Array|Blob>} Parts for `new Blob(parts)`
+     */
+    finish() {
+        const directory = this.entries.map(ZipWriter.centralHeader);
+        const directorySize = directory.reduce((sum, header) => sum + header.length, 0);
+        const parts = [...this.parts, ...directory, ZipWriter.endRecords(this.entries.length, directorySize, this.offset)];
+
+        this.parts = [];
+        return parts;
+    }
+
+    // ------------------------------------------------
+    // Records
+    // ------------------------------------------------
+
+    static localHeader(entry) {
+        const zip64 = entry.size >= ZipWriter.MAX_UINT32;
+        const extraLength = zip64 ? 20 : 0;
+        const bytes = new Uint8Array(30 + entry.nameBytes.length + extraLength);
+        const view = new DataView(bytes.buffer);
+
+        view.setUint32(0, 0x04034b50, true);
+        view.setUint16(4, zip64 ? 45 : 20, true);
+        view.setUint16(6, ZipWriter.FLAG_UTF8, true);
+        view.setUint16(8, 0, true); // stored
+        view.setUint16(10, entry.time, true);
+        view.setUint16(12, entry.date, true);
+        view.setUint32(14, entry.crc, true);
+        view.setUint32(18, zip64 ? ZipWriter.MAX_UINT32 : entry.size, true);
+        view.setUint32(22, zip64 ? ZipWriter.MAX_UINT32 : entry.size, true);
+        view.setUint16(26, entry.nameBytes.length, true);
+        view.setUint16(28, extraLength, true);
+        bytes.set(entry.nameBytes, 30);
+
+        if (zip64) {
+            const at = 30 + entry.nameBytes.length;
+            view.setUint16(at, 0x0001, true);
+            view.setUint16(at + 2, 16, true);
+            ZipWriter.setUint64(view, at + 4, entry.size);
+            ZipWriter.setUint64(view, at + 12, entry.size);
+        }
+        return bytes;
+    }
+
+    static centralHeader(entry) {
+        // The ZIP64 extra field holds only the values that overflowed, in this order
+        const wide = [];
+        if (entry.size >= ZipWriter.MAX_UINT32) wide.push(entry.size, entry.size);
+        if (entry.offset >= ZipWriter.MAX_UINT32) wide.push(entry.offset);
+        const extraLength = wide.length > 0 ? 4 + wide.length * 8 : 0;
+
+        const bytes = new Uint8Array(46 + entry.nameBytes.length + extraLength);
+        const view = new DataView(bytes.buffer);
+        const version = wide.length > 0 ? 45 : 20;
+
+        view.setUint32(0, 0x02014b50, true);
+        view.setUint16(4, version, true);
+        view.setUint16(6, version, true);
+        view.setUint16(8, ZipWriter.FLAG_UTF8, true);
+        view.setUint16(10, 0, true);
+        view.setUint16(12, entry.time, true);
+        view.setUint16(14, entry.date, true);
+        view.setUint32(16, entry.crc, true);
+        view.setUint32(20, Math.min(entry.size, ZipWriter.MAX_UINT32), true);
+        view.setUint32(24, Math.min(entry.size, ZipWriter.MAX_UINT32), true);
+        view.setUint16(28, entry.nameBytes.length, true);
+        view.setUint16(30, extraLength, true);
+        view.setUint32(42, Math.min(entry.offset, ZipWriter.MAX_UINT32), true);
+        bytes.set(entry.nameBytes, 46);
+
+        if (wide.length > 0) {
+            const at = 46 + entry.nameBytes.length;
+            view.setUint16(at, 0x0001, true);
+            view.setUint16(at + 2, wide.length * 8, true);
+            wide.forEach((value, i) => ZipWriter.setUint64(view, at + 4 + i * 8, value));
+        }
+        return bytes;
+    }
+
+    static endRecords(count, directorySize, directoryOffset) {
+        const zip64 = count >= 0xffff ||
+            directorySize >= ZipWriter.MAX_UINT32 ||
+            directoryOffset >= ZipWriter.MAX_UINT32;
+        const bytes = new Uint8Array((zip64 ? 56 + 20 : 0) + 22);
+        const view = new DataView(bytes.buffer);
+        let at = 0;
+
+        if (zip64) {
+            // ZIP64 end of central directory record
+            view.setUint32(0, 0x06064b50, true);
+            ZipWriter.setUint64(view, 4, 44);
+            view.setUint16(12, 45, true);
+            view.setUint16(14, 45, true);
+            ZipWriter.setUint64(view, 24, count);
+            ZipWriter.setUint64(view, 32, count);
+            ZipWriter.setUint64(view, 40, directorySize);
+            ZipWriter.setUint64(view, 48, directoryOffset);
+
+            // ZIP64 end of central directory locator
+            view.setUint32(56, 0x07064b50, true);
+            ZipWriter.setUint64(view, 64, directoryOffset + directorySize);
+            view.setUint32(72, 1, true);
+            at = 76;
+        }
+
+        view.setUint32(at, 0x06054b50, true);
+        view.setUint16(at + 8, Math.min(count, 0xffff), true);
+        view.setUint16(at + 10, Math.min(count, 0xffff), true);
+        view.setUint32(at + 12, Math.min(directorySize, ZipWriter.MAX_UINT32), true);
+        view.setUint32(at + 16, Math.min(directoryOffset, ZipWriter.MAX_UINT32), true);
+        return bytes;
+    }
+
+    // ------------------------------------------------
+    // Helpers
+    // ------------------------------------------------
+
+    /**
+     * CRC-32 of a Blob, read in chunks
+     * @param {Blob} blob - Data
+     * @param {AbortSignal} [signal] - Stops reading
+     * @param {Function} [onProgress] - Called with bytes read so far
+     * @returns {Promise<number>}
+     */
+    static async crc32(blob, signal, onProgress) {
+        const table = ZipWriter.crcTable();
+        let crc = 0xffffffff;
+        let read = 0;
+
+        for (let start = 0; start < blob.size; start += ZipWriter.CHUNK_SIZE) {
+            if (signal && signal.aborted) throw JobQueue.abortError();
+            const chunk = new Uint8Array(await blob.slice(start, start + ZipWriter.CHUNK_SIZE).arrayBuffer());
+            for (let i = 0; i < chunk.length; i++) {
+                crc = table[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+            }
+            read += chunk.length;
+            if (onProgress) onProgress(read);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    static crcTable() {
+        if (!ZipWriter.CRC_TABLE) {
+            ZipWriter.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                ZipWriter.CRC_TABLE[n] = c >>> 0;
+            }
+        }
+        return ZipWriter.CRC_TABLE;
+    }
+
+    /**
+     * MS-DOS date and time fields (local time, 2-second resolution, 1980-2107)
+     * @param {Date} date - Timestamp
+     * @returns {Object} { date, time }
+     */
+    static dosDateTime(date) {
+        const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+        return {
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+        };
+    }
+
+    static setUint64(view, offset, value) {
+        view.setUint32(offset, value % 2 ** 32, true);
+        view.setUint32(offset + 4, Math.floor(value / 2 ** 32), true);
+    }
+}
+
+/**
+ * General purpose flag bit 11: names are UTF-8
+ */
+ZipWriter.FLAG_UTF8 = 0x0800;
+
+ZipWriter.MAX_UINT32 = 0xffffffff;
+
+/**
+ * Bytes read at a time while computing CRC-32
+ */
+ZipWriter.CHUNK_SIZE = 4 * 1024 * 1024;
+
+ZipWriter.CRC_TABLE = null;
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+}
@@ -0,0 +1,30 @@
+/**
+ * StudioGrade Audio Converter
+ * Node Conversion Worker
+ *
+ * The worker_threads counterpart of js/conversion-worker.js, with the
+ * same protocol: receives { id, type, ... }, replies with
+ * { id, type: 'progress' | 'result' | 'error', ... }.
+ */
+
+const { parentPort } = require('worker_threads');
+require('./core').loadPipeline();
+
+parentPort.on('message', async (data) => {
+    const { id } = data;
+
+    let lastReported = -1;
+    const reportProgress = (progress) => {
+        const rounded = Math.floor(progress);
+        if (rounded === lastReported) return;
+        lastReported = rounded;
+        parentPort.postMessage({ id, type: 'progress', progress });
+    };
+
+    try {
+        const result = await ConversionPipeline.handle(data, reportProgress);
+        parentPort.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        parentPort.postMessage({ id, type: 'error', message: error.message });
+    }
+});
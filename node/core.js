@@ -0,0 +1,93 @@
+/**
+ * StudioGrade Audio Converter
+ * Node Core Loader
+ *
+ * The modules in js/ are classic scripts that find each other as
+ * globals, as they do in the page and the conversion worker. Node
+ * loads them the same way: each module's export becomes a global,
+ * in the order js/conversion-worker.js and index.html load them.
+ */
+
+const os = require('os');
+const path = require('path');
+
+/**
+ * Pipeline modules, in the worker's importScripts order
+ */
+const PIPELINE_MODULES = {
+    Md5: 'md5.js',
+    FlacEncoder: 'flac-encoder.js',
+    PcmWriter: 'pcm-writer.js',
+    Resampler: 'resampler.js',
+    ChannelMixer: 'channel-mixer.js',
+    LoudnessMeter: 'loudness.js',
+    Dither: 'dither.js',
+    SpectrumAnalyzer: 'spectrum-analyzer.js',
+    AudioEditor: 'audio-editor.js',
+    FlacDecoder: 'flac-decoder.js',
+    OutputVerifier: 'output-verifier.js',
+    JobQueue: 'job-queue.js',
+    ConversionPipeline: 'pipeline.js'
+};
+
+/**
+ * Modules the converter needs on the main thread, after the pipeline
+ */
+const CONVERTER_MODULES = {
+    I18n: 'i18n.js',
+    MetadataParser: 'metadata-parser.js',
+    TagReader: 'tag-reader.js',
+    WorkerPool: 'worker-pool.js',
+    FolderReader: 'folder-reader.js',
+    PresetLibrary: 'preset-library.js',
+    ConversionClient: 'conversion-client.js',
+    AudioConverter: 'converter.js'
+};
+
+const SCRIPT_DIR = path.join(__dirname, '..', 'js');
+
+/**
+ * Load modules into globals
+ * @param {Object<string, string>} modules - Global name → file in js/
+ */
+function install(modules) {
+    Object.entries(modules).forEach(([name, file]) => {
+        if (!(name in global)) global[name] = require(path.join(SCRIPT_DIR, file));
+    });
+}
+
+/**
+ * Load what a conversion worker thread runs
+ */
+function loadPipeline() {
+    install(PIPELINE_MODULES);
+}
+
+/**
+ * Load the pipeline and the converter, with the English messages
+ */
+function loadConverter() {
+    install(PIPELINE_MODULES);
+    install(CONVERTER_MODULES);
+    require(path.join(SCRIPT_DIR, 'locales', 'en.js'));
+}
+
+/**
+ * Create a converter that decodes with NodeDecoder and encodes on worker threads
+ * @param {Object} [options]
+ * @param {number} [options.jobs] - Worker threads (default: CPU cores)
+ * @returns {AudioConverter}
+ */
+function createConverter({ jobs } = {}) {
+    loadConverter();
+    const NodeDecoder = require('./node-decoder');
+    const NodeWorker = require('./node-worker');
+
+    const workerPool = new WorkerPool(NodeWorker.CONVERSION_SCRIPT, {
+        size: jobs || os.availableParallelism(),
+        createWorker: (script) => new NodeWorker(script)
+    });
+    return new AudioConverter(new I18n('en'), { decoder: new NodeDecoder(), workerPool });
+}
+
+module.exports = { loadPipeline, loadConverter, createConverter };
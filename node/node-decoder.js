@@ -0,0 +1,321 @@
+/**
+ * StudioGrade Audio Converter
+ * Node Decoder
+ *
+ * The Node binding of AudioConverter's decoding. PCM WAV/RF64, AIFF/AIFC
+ * and FLAC are decoded here without resampling; everything else is
+ * handed to ffmpeg (from the PATH, or the FFMPEG environment variable),
+ * which plays the part of the browser's decodeAudioData.
+ * Returns objects shaped like an AudioBuffer.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+class NodeDecoder {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.ffmpeg] - ffmpeg executable for formats decoded here
+     */
+    constructor({ ffmpeg = process.env.FFMPEG || 'ffmpeg' } = {}) {
+        this.ffmpeg = ffmpeg;
+    }
+
+    /**
+     * Open a local file as a File, read lazily from disk
+     * ffmpeg reads files opened here from their path rather than a pipe,
+     * so formats that need seeking (MP4 with a trailing index) work
+     * @param {string} filePath - Path on disk
+     * @param {string} [name] - File name, when the file on disk is named otherwise (uploads)
+     * @returns {Promise<File>}
+     */
+    static async open(filePath, name = path.basename(filePath)) {
+        const file = new File([await fs.openAsBlob(filePath)], name);
+        NodeDecoder.PATHS.set(file, filePath);
+        return file;
+    }
+
+    /**
+     * Decode an audio file to PCM
+     * @param {File} file - The audio file
+     * @param {number} sampleRate - Rate for ffmpeg to decode at; files decoded here keep their own
+     * @returns {Promise<Object>} { sampleRate, length, numberOfChannels, getChannelData }
+     */
+    async decode(file, sampleRate) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const data = bytes.subarray(MetadataParser.id3v2Size(bytes));
+
+        let layout = null;
+        switch (MetadataParser.detect(data)) {
+            case 'flac':
+                return NodeDecoder.decodeFlac(data);
+            case 'wav':
+                layout = NodeDecoder.wavLayout(data);
+                break;
+            case 'aiff':
+                layout = NodeDecoder.aiffLayout(data);
+                break;
+        }
+        // Compressed WAV and AIFC codecs (ADPCM, µ-law, ...) go to ffmpeg too
+        return layout ? NodeDecoder.decodePcm(data, layout) : this.decodeWithFfmpeg(file, sampleRate);
+    }
+
+    /**
+     * Node has no <audio> element to ask; durations come from the headers only
+     * @returns {Promise<number>}
+     */
+    duration() {
+        return Promise.reject(new Error('Duration is only read from headers under Node'));
+    }
+
+    // ------------------------------------------------
+    // PCM containers
+    // ------------------------------------------------
+
+    /**
+     * Locate and describe the samples of a PCM WAV/RF64 file
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object|null} Sample layout for decodePcm, null if not PCM
+     */
+    static wavLayout(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let format = null;
+        let dataSize64 = null;
+        let pos = 12;
+
+        while (pos + 8 <= bytes.length) {
+            const id = MetadataParser.ascii(bytes, pos, 4);
+            const size = view.getUint32(pos + 4, true);
+
+            if (id === 'ds64' && pos + 32 <= bytes.length) {
+                dataSize64 = MetadataParser.readUint64(view, pos + 16, true);
+            } else if (id === 'fmt ' && pos + 24 <= bytes.length) {
+                let formatTag = view.getUint16(pos + 8, true);
+                if (formatTag === 0xfffe && size >= 40 && pos + 34 <= bytes.length) {
+                    formatTag = view.getUint16(pos + 32, true);
+                }
+                const channels = view.getUint16(pos + 10, true);
+                format = {
+                    channels,
+                    sampleRate: view.getUint32(pos + 12, true),
+                    bytesPerSample: channels > 0 ? view.getUint16(pos + 20, true) / channels : 0,
+                    float: formatTag === 3,
+                    pcm: formatTag === 1 || formatTag === 3,
+                    littleEndian: true,
+                    // 8-bit WAV is the only unsigned PCM
+                    unsigned: formatTag === 1 && view.getUint16(pos + 22, true) <= 8
+                };
+            } else if (id === 'data' && format) {
+                if (!format.pcm) return null;
+                const declared = size === 0xffffffff && dataSize64 !== null ? dataSize64 : size;
+                return { ...format, offset: pos + 8, size: Math.min(declared, bytes.length - pos - 8) };
+            }
+            pos += 8 + size + (size & 1);
+        }
+        return null;
+    }
+
+    /**
+     * Locate and describe the samples of an uncompressed AIFF/AIFC file
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object|null} Sample layout for decodePcm, null if compressed
+     */
+    static aiffLayout(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const isAifc = MetadataParser.ascii(bytes, 8, 4) === 'AIFC';
+        let format = null;
+        let pos = 12;
+
+        while (pos + 8 <= bytes.length) {
+            const id = MetadataParser.ascii(bytes, pos, 4);
+            const size = view.getUint32(pos + 4, false);
+
+            if (id === 'COMM' && pos + 26 <= bytes.length) {
+                const compression = isAifc ? MetadataParser.ascii(bytes, pos + 26, 4) : 'NONE';
+                const encoding = NodeDecoder.AIFC_ENCODINGS[compression];
+                if (!encoding) return null;
+                const bitDepth = view.getUint16(pos + 14, false);
+                format = {
+                    channels: view.getUint16(pos + 8, false),
+                    sampleRate: Math.round(MetadataParser.readExtended(view, pos + 16)),
+                    bytesPerSample: encoding.bytesPerSample || Math.ceil(bitDepth / 8),
+                    float: encoding.float,
+                    littleEndian: encoding.littleEndian,
+                    unsigned: false
+                };
+            } else if (id === 'SSND' && format && pos + 16 <= bytes.length) {
+                const offset = pos + 16 + view.getUint32(pos + 8, false);
+                return { ...format, offset, size: Math.min(size - 8, bytes.length - offset) };
+            }
+            pos += 8 + size + (size & 1);
+        }
+        return null;
+    }
+
+    /**
+     * Convert interleaved PCM to float channels
+     * Integers are scaled by their container size, so e.g. 20-bit
+     * samples left-justified in 24 bits come out at full scale
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} layout - From wavLayout or aiffLayout
+     * @returns {Object} AudioBuffer-like
+     */
+    static decodePcm(bytes, layout) {
+        const { channels, sampleRate, bytesPerSample, float, littleEndian, unsigned, offset, size } = layout;
+        if (!(channels > 0) || !(sampleRate > 0) || ![1, 2, 3, 4, 8].includes(bytesPerSample)) {
+            throw new Error('Unsupported PCM layout');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const frames = Math.floor(size / (channels * bytesPerSample));
+        const output = Array.from({ length: channels }, () => new Float32Array(frames));
+        const scale = 1 / 2 ** (bytesPerSample * 8 - 1);
+
+        const read = float
+            ? (bytesPerSample === 8 ? (at) => view.getFloat64(at, littleEndian) : (at) => view.getFloat32(at, littleEndian))
+            : NodeDecoder.integerReader(view, bytesPerSample, littleEndian, unsigned);
+
+        let at = offset;
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < channels; c++) {
+                output[c][i] = float ? read(at) : read(at) * scale;
+                at += bytesPerSample;
+            }
+        }
+        return NodeDecoder.audioBuffer(output, sampleRate);
+    }
+
+    /**
+     * @param {DataView} view - File contents
+     * @param {number} bytesPerSample - 1 to 4
+     * @param {boolean} littleEndian - Byte order
+     * @param {boolean} unsigned - 8-bit WAV samples are offset by 128
+     * @returns {Function} (byteOffset) => signed integer
+     */
+    static integerReader(view, bytesPerSample, littleEndian, unsigned) {
+        switch (bytesPerSample) {
+            case 1:
+                return unsigned ? (at) => view.getUint8(at) - 128 : (at) => view.getInt8(at);
+            case 2:
+                return (at) => view.getInt16(at, littleEndian);
+            case 3:
+                return littleEndian
+                    ? (at) => (view.getInt8(at + 2) << 16) | (view.getUint8(at + 1) << 8) | view.getUint8(at)
+                    : (at) => (view.getInt8(at) << 16) | (view.getUint8(at + 1) << 8) | view.getUint8(at + 2);
+            default:
+                return (at) => view.getInt32(at, littleEndian);
+        }
+    }
+
+    /**
+     * @param {Uint8Array} bytes - Complete FLAC file
+     * @returns {Object} AudioBuffer-like
+     */
+    static decodeFlac(bytes) {
+        const { streamInfo, channels } = FlacDecoder.decode(bytes);
+        const scale = 1 / 2 ** (streamInfo.bitsPerSample - 1);
+        return NodeDecoder.audioBuffer(
+            channels.map(samples => Float32Array.from(samples, sample => sample * scale)),
+            streamInfo.sampleRate
+        );
+    }
+
+    // ------------------------------------------------
+    // ffmpeg
+    // ------------------------------------------------
+
+    /**
+     * Decode with ffmpeg to 32-bit float at the given rate
+     * @param {File} file - The audio file
+     * @param {number} sampleRate - Rate to decode at
+     * @returns {Promise<Object>} AudioBuffer-like
+     */
+    async decodeWithFfmpeg(file, sampleRate) {
+        const probe = await MetadataParser.probe(file).catch(() => null);
+        const channels = (probe && probe.channels) || 2;
+        const source = NodeDecoder.PATHS.get(file);
+
+        const args = [
+            '-v', 'error', '-nostdin',
+            '-i', source || 'pipe:0',
+            '-f', 'f32le', '-ac', String(channels), '-ar', String(sampleRate),
+            'pipe:1'
+        ];
+        const output = await new Promise((resolve, reject) => {
+            const ffmpeg = spawn(this.ffmpeg, args, { stdio: [source ? 'ignore' : 'pipe', 'pipe', 'pipe'] });
+            const chunks = [];
+            let errors = '';
+            ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+            ffmpeg.stderr.on('data', chunk => {
+                errors += chunk;
+            });
+            ffmpeg.on('error', (error) => {
+                reject(new Error(error.code === 'ENOENT'
+                    ? `Can't decode ${file.name} without ffmpeg: install it or set FFMPEG`
+                    : error.message));
+            });
+            ffmpeg.on('close', (code) => {
+                if (code === 0) {
+                    resolve(Buffer.concat(chunks));
+                } else {
+                    reject(new Error(`ffmpeg could not decode ${file.name}: ${errors.trim() || `exit code ${code}`}`));
+                }
+            });
+            if (!source) {
+                ffmpeg.stdin.on('error', () => {}); // ffmpeg may stop reading early; its exit code says why
+                file.arrayBuffer().then(buffer => ffmpeg.stdin.end(Buffer.from(buffer)), reject);
+            }
+        });
+
+        // Copied out: Buffer.concat may hand back memory that isn't 4-byte aligned
+        const length = Math.floor(output.length / 4) * 4;
+        const interleaved = new Float32Array(output.buffer.slice(output.byteOffset, output.byteOffset + length));
+        const frames = Math.floor(interleaved.length / channels);
+        const planar = Array.from({ length: channels }, (_, c) => {
+            const samples = new Float32Array(frames);
+            for (let i = 0; i < frames; i++) samples[i] = interleaved[i * channels + c];
+            return samples;
+        });
+        return NodeDecoder.audioBuffer(planar, sampleRate);
+    }
+
+    // ------------------------------------------------
+    // Helpers
+    // ------------------------------------------------
+
+    /**
+     * Wrap float channels in the part of the AudioBuffer interface the converter uses
+     * @param {Array<Float32Array>} channels - Samples per channel
+     * @param {number} sampleRate - Sample rate
+     * @returns {Object}
+     */
+    static audioBuffer(channels, sampleRate) {
+        return {
+            sampleRate,
+            length: channels.length > 0 ? channels[0].length : 0,
+            numberOfChannels: channels.length,
+            getChannelData: (c) => channels[c]
+        };
+    }
+}
+
+/**
+ * Disk paths of files opened with NodeDecoder.open
+ */
+NodeDecoder.PATHS = new WeakMap();
+
+/**
+ * Uncompressed AIFC encodings; AIFF is 'NONE'
+ */
+NodeDecoder.AIFC_ENCODINGS = {
+    NONE: { float: false, littleEndian: false },
+    twos: { float: false, littleEndian: false },
+    sowt: { float: false, littleEndian: true },
+    fl32: { float: true, littleEndian: false, bytesPerSample: 4 },
+    FL32: { float: true, littleEndian: false, bytesPerSample: 4 },
+    fl64: { float: true, littleEndian: false, bytesPerSample: 8 },
+    FL64: { float: true, littleEndian: false, bytesPerSample: 8 }
+};
+
+module.exports = NodeDecoder;
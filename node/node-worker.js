@@ -0,0 +1,54 @@
+/**
+ * StudioGrade Audio Converter
+ * Node Worker
+ *
+ * Gives a worker_threads Worker the Web Worker interface WorkerPool
+ * drives: postMessage, terminate, and onmessage/onerror handlers that
+ * receive { data } and { message, preventDefault } events.
+ */
+
+const { Worker } = require('worker_threads');
+
+class NodeWorker {
+    /**
+     * @param {string} script - Path of the worker script
+     */
+    constructor(script) {
+        this.onmessage = null;
+        this.onerror = null;
+        this.terminated = false;
+
+        this.worker = new Worker(script);
+        this.worker.on('message', (data) => {
+            if (this.onmessage) this.onmessage({ data });
+        });
+        this.worker.on('error', (error) => this.fail(error.message));
+        this.worker.on('exit', (code) => {
+            if (!this.terminated) this.fail(`Conversion worker exited with code ${code}`);
+        });
+    }
+
+    /**
+     * @param {*} message - Structured-cloneable message
+     * @param {Array<ArrayBuffer>} [transfer] - Buffers to move instead of copy
+     */
+    postMessage(message, transfer = []) {
+        this.worker.postMessage(message, transfer);
+    }
+
+    terminate() {
+        this.terminated = true;
+        this.worker.terminate();
+    }
+
+    fail(message) {
+        if (this.onerror) this.onerror({ message, preventDefault() {} });
+    }
+}
+
+/**
+ * Worker script that runs ConversionPipeline jobs under Node
+ */
+NodeWorker.CONVERSION_SCRIPT = require('path').join(__dirname, 'conversion-worker.js');
+
+module.exports = NodeWorker;
@@ -0,0 +1,686 @@
+/**
+ * StudioGrade Audio Converter
+ * Conversion Server
+ *
+ * A self-contained HTTP server running the converter for clients that
+ * would rather not convert on their own device. Serves the page itself
+ * and a JSON API (see ConversionClient):
+ *
+ *   POST   /api/uploads                   { name, size, type } → upload
+ *   PUT    /api/uploads/:id?offset=N       raw bytes from offset N → upload
+ *   GET    /api/uploads/:id                → upload { received, complete, ... }
+ *   DELETE /api/uploads/:id
+ *   POST   /api/jobs                      { upload, settings, tags, loudness, edits } → job
+ *   GET    /api/jobs/:id                  → job { status, progress, result, error }
+ *   GET    /api/jobs/:id/events           Server-Sent Events: status, progress, done, failed, cancelled
+ *   GET    /api/jobs/:id/output           the converted file
+ *   DELETE /api/jobs/:id                  cancels and deletes
+ *   GET    /api/health
+ *
+ * Uploads and outputs live in a temporary folder and are deleted
+ * after the retention time, like the page's own queue.
+ *
+ * There is no login, so browsers may only call the API from the page
+ * this server serves, or from an origin opted in with the cors
+ * option. On a loopback address the Host header must name the loopback
+ * too, which stops other sites reaching it through DNS rebinding.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+require('./core').loadConverter();
+const NodeDecoder = require('./node-decoder');
+
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Message for the client
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+class ConversionServer {
+    /**
+     * @param {AudioConverter} converter - Converter with Node bindings, see createConverter in core.js
+     * @param {Object} [options]
+     * @param {number} [options.retentionMs] - How long uploads and outputs are kept
+     * @param {string|null} [options.staticRoot] - Folder served at /, null for the API only
+     * @param {string|null} [options.cors] - Another origin allowed to use the API, e.g. where the page is hosted
+     */
+    constructor(converter, { retentionMs = ConversionServer.RETENTION_MS, staticRoot = ConversionServer.STATIC_ROOT, cors = null } = {}) {
+        this.converter = converter;
+        this.retentionMs = retentionMs;
+        this.staticRoot = staticRoot;
+        this.cors = cors;
+        this.loopback = false;
+        this.uploads = new Map();
+        this.jobs = new Map();
+        this.dir = null;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.sweepTimer = null;
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Start listening
+     * @param {number} port - Port, 0 for any free one
+     * @param {string} [host] - Interface to bind
+     * @returns {Promise<Object>} The bound { address, port }
+     */
+    async listen(port, host = ConversionServer.HOST) {
+        this.loopback = ConversionServer.isLoopback(host);
+        this.dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'parakeet-'));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this.sweepTimer = setInterval(() => this.sweep(), ConversionServer.SWEEP_INTERVAL_MS);
+        // Proxies drop event streams that stay quiet, e.g. while a job waits in the queue
+        this.heartbeatTimer = setInterval(() => this.broadcastComment('ping'), ConversionServer.HEARTBEAT_MS);
+        this.sweepTimer.unref();
+        this.heartbeatTimer.unref();
+        return this.server.address();
+    }
+
+    /**
+     * Stop the server, cancel running jobs and delete every file
+     * @returns {Promise<void>}
+     */
+    async close() {
+        clearInterval(this.sweepTimer);
+        clearInterval(this.heartbeatTimer);
+        this.jobs.forEach(job => this.deleteJob(job));
+        this.uploads.forEach(upload => this.deleteUpload(upload));
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(() => resolve()));
+        if (this.dir) await fs.promises.rm(this.dir, { recursive: true, force: true });
+    }
+
+    // ------------------------------------------------
+    // Routing
+    // ------------------------------------------------
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            this.checkOrigin(req, res);
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204).end();
+            } else if (url.pathname.startsWith('/api/')) {
+                await this.route(req, res, url);
+            } else {
+                await this.serveStatic(req, res, url.pathname);
+            }
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) console.error(`${req.method} ${url.pathname}:`, error);
+            if (!res.headersSent) this.sendJson(res, status, { error: error.message });
+            else res.destroy();
+        }
+    }
+
+    /**
+     * Refuse requests from other sites, and send CORS headers to the opted-in origin
+     * Browsers send Origin with every cross-origin request, including
+     * the simple ones that skip the preflight; clients outside a browser
+     * send none
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @throws {HttpError} 403 for another origin or, on a loopback address, another host name
+     */
+    checkOrigin(req, res) {
+        const host = req.headers.host || '';
+        if (this.loopback && !ConversionServer.isLoopback(ConversionServer.hostname(host))) {
+            throw new HttpError(403, 'Unexpected Host header');
+        }
+
+        const { origin } = req.headers;
+        if (origin === undefined || origin === `http://${host}`) return;
+        if (origin !== this.cors && !this.isOwnOrigin(origin, host)) {
+            throw new HttpError(403, 'Origin not allowed');
+        }
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Vary', 'Origin');
+    }
+
+    /**
+     * Whether an origin is this server under another loopback name,
+     * e.g. the page at 127.0.0.1 calling localhost
+     * @param {string} origin - Origin header
+     * @param {string} host - Host header
+     * @returns {boolean}
+     */
+    isOwnOrigin(origin, host) {
+        let url, own;
+        try {
+            url = new URL(origin);
+            own = new URL(`http://${host}`);
+        } catch (error) {
+            return false;
+        }
+        return this.loopback &&
+            url.protocol === 'http:' &&
+            ConversionServer.isLoopback(url.hostname) &&
+            url.port === own.port;
+    }
+
+    /**
+     * Dispatch an API request
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {URL} url - Parsed request URL
+     */
+    async route(req, res, url) {
+        const parts = url.pathname.split('/').slice(2);
+        const [resource, id, action] = parts;
+        const route = `${req.method} ${resource}${id ? '/:id' : ''}${action ? `/${action}` : ''}`;
+        if (parts.length > 3) throw new HttpError(404, 'Not found');
+
+        switch (route) {
+            case 'GET health':
+                return this.sendJson(res, 200, {
+                    ok: true,
+                    retention: this.retentionMs,
+                    workers: this.converter.workerPool.size,
+                    formats: this.converter.supportedFormats
+                });
+
+            case 'POST uploads':
+                return this.sendJson(res, 201, this.describeUpload(this.createUpload(await this.readJson(req))));
+            case 'GET uploads/:id':
+                return this.sendJson(res, 200, this.describeUpload(this.getUpload(id)));
+            case 'PUT uploads/:id':
+                return this.sendJson(res, 200, this.describeUpload(await this.receiveChunk(req, this.getUpload(id), url)));
+            case 'DELETE uploads/:id':
+                this.deleteUpload(this.getUpload(id));
+                return res.writeHead(204).end();
+
+            case 'POST jobs':
+                return this.sendJson(res, 202, this.describeJob(this.createJob(await this.readJson(req))));
+            case 'GET jobs/:id':
+                return this.sendJson(res, 200, this.describeJob(this.getJob(id)));
+            case 'GET jobs/:id/events':
+                return this.streamEvents(req, res, this.getJob(id));
+            case 'GET jobs/:id/output':
+                return this.sendOutput(res, this.getJob(id));
+            case 'DELETE jobs/:id':
+                this.deleteJob(this.getJob(id));
+                return res.writeHead(204).end();
+
+            default:
+                throw new HttpError(404, 'Not found');
+        }
+    }
+
+    // ------------------------------------------------
+    // Uploads
+    // ------------------------------------------------
+
+    /**
+     * @param {Object} request - { name, size, type }
+     * @returns {Object} Upload record
+     */
+    createUpload({ name, size, type }) {
+        if (typeof name !== 'string' || !name || /[\\/]/.test(name)) throw new HttpError(400, 'Invalid file name');
+        if (!Number.isSafeInteger(size) || size < 0) throw new HttpError(400, 'Invalid file size');
+        if (size > ConversionServer.MAX_UPLOAD_BYTES) throw new HttpError(413, 'File is too large');
+        if (this.uploads.size >= ConversionServer.MAX_OPEN_UPLOADS) throw new HttpError(429, 'Too many open uploads');
+        // Counted by announced size, so space is reserved before any of it arrives
+        const stored = Array.from(this.uploads.values()).reduce((sum, upload) => sum + upload.size, 0);
+        if (stored + size > ConversionServer.MAX_STORED_BYTES) throw new HttpError(507, 'Upload storage is full');
+
+        const id = crypto.randomUUID();
+        const upload = {
+            id,
+            name,
+            size,
+            type: typeof type === 'string' ? type : '',
+            received: 0,
+            file: path.join(this.dir, `${id}.upload`),
+            writing: false,
+            expiresAt: Date.now() + this.retentionMs
+        };
+        fs.writeFileSync(upload.file, '');
+        this.uploads.set(id, upload);
+        return upload;
+    }
+
+    /**
+     * Append a chunk to an upload
+     * Bytes are counted as they are written, so a chunk cut off midway
+     * leaves an offset the client can resume from
+     * @param {http.IncomingMessage} req - Request with the chunk as its body
+     * @param {Object} upload - Upload record
+     * @param {URL} url - Request URL, with the chunk's offset
+     * @returns {Promise<Object>} Upload record
+     */
+    async receiveChunk(req, upload, url) {
+        const offset = Number(url.searchParams.get('offset'));
+        if (upload.writing) throw new HttpError(409, 'Another chunk is being written');
+        if (offset !== upload.received) {
+            throw new HttpError(409, `Expected offset ${upload.received}, got ${url.searchParams.get('offset')}`);
+        }
+
+        upload.writing = true;
+        const handle = await fs.promises.open(upload.file, 'a');
+        try {
+            for await (const chunk of req) {
+                if (upload.received + chunk.length > upload.size) throw new HttpError(413, 'More data than the announced size');
+                await handle.write(chunk);
+                upload.received += chunk.length;
+            }
+        } finally {
+            upload.writing = false;
+            upload.expiresAt = Date.now() + this.retentionMs;
+            await handle.close();
+        }
+        return upload;
+    }
+
+    getUpload(id) {
+        const upload = this.uploads.get(id);
+        if (!upload) throw new HttpError(404, 'Upload not found or expired');
+        return upload;
+    }
+
+    deleteUpload(upload) {
+        this.uploads.delete(upload.id);
+        fs.promises.rm(upload.file, { force: true }).catch(() => {});
+    }
+
+    describeUpload({ id, name, size, received, expiresAt }) {
+        return { id, name, size, received, complete: received === size, expiresAt };
+    }
+
+    // ------------------------------------------------
+    // Jobs
+    // ------------------------------------------------
+
+    /**
+     * Queue a conversion of a complete upload
+     * @param {Object} request - { upload, settings, tags, loudness, edits }
+     * @returns {Object} Job record
+     */
+    createJob({ upload: uploadId, settings, tags, loudness, edits }) {
+        const upload = this.getUpload(uploadId);
+        if (upload.received !== upload.size) throw new HttpError(409, 'Upload is not complete');
+        try {
+            settings = this.converter.resolveSettings(settings || {});
+        } catch (error) {
+            throw new HttpError(400, error.message);
+        }
+
+        const id = crypto.randomUUID();
+        const { extension } = AudioConverter.OUTPUT_FORMATS[settings.outputFormat];
+        const job = {
+            id,
+            upload,
+            extension,
+            type: null,
+            status: 'queued',
+            progress: 0,
+            result: null,
+            error: null,
+            output: path.join(this.dir, `${id}.${extension}`),
+            controller: new AbortController(),
+            listeners: new Set(),
+            expiresAt: Date.now() + this.retentionMs
+        };
+        this.jobs.set(id, job);
+        this.runJob(job, { settings, tags: tags || undefined, loudness: loudness || undefined, edits: edits || undefined });
+        return job;
+    }
+
+    /**
+     * Convert a job's upload through the converter's file queue
+     * @param {Object} job - Job record
+     * @param {Object} options - convertToFLAC options
+     */
+    async runJob(job, options) {
+        const { signal } = job.controller;
+        let lastReported = -1;
+
+        try {
+            const converted = await this.converter.fileQueue.add(async () => {
+                this.update(job, 'status', { status: 'converting' });
+                const file = await NodeDecoder.open(job.upload.file, job.upload.name);
+                return this.converter.convertToFLAC(file, (progress) => {
+                    job.progress = progress;
+                    if (Math.floor(progress) === lastReported) return;
+                    lastReported = Math.floor(progress);
+                    this.emit(job, 'progress', { progress });
+                }, { ...options, signal });
+            }, { signal });
+
+            await fs.promises.writeFile(job.output, Buffer.from(await converted.blob.arrayBuffer()));
+            if (signal.aborted) {
+                // Deleted while the output was being written
+                await fs.promises.rm(job.output, { force: true });
+                return;
+            }
+
+            // Shaped like ConversionPipeline.convert's result; the client names the file
+            const { settings, md5, duration, offset, loudness, spectrum, effectiveBitDepth, dither, verification } = converted;
+            job.type = converted.blob.type;
+            job.result = {
+                size: converted.blob.size,
+                md5,
+                sampleRate: settings.sampleRate,
+                channels: settings.channels,
+                bitDepth: settings.bitDepth,
+                effectiveBitDepth,
+                dither,
+                duration,
+                offset,
+                loudness,
+                spectrum,
+                verification
+            };
+            job.progress = 100;
+            job.expiresAt = Date.now() + this.retentionMs;
+            this.update(job, 'done', { status: 'completed', result: job.result });
+        } catch (error) {
+            job.expiresAt = Date.now() + this.retentionMs;
+            if (signal.aborted || JobQueue.isAbortError(error)) {
+                this.update(job, 'cancelled', { status: 'cancelled' });
+            } else {
+                job.error = error.message;
+                this.update(job, 'failed', { status: 'failed', error: error.message });
+            }
+        }
+    }
+
+    getJob(id) {
+        const job = this.jobs.get(id);
+        if (!job) throw new HttpError(404, 'Job not found or expired');
+        return job;
+    }
+
+    /**
+     * Cancel a job if it is still running, and delete its output
+     * @param {Object} job - Job record
+     */
+    deleteJob(job) {
+        this.jobs.delete(job.id);
+        job.controller.abort();
+        if (job.status === 'queued' || job.status === 'converting') {
+            this.update(job, 'cancelled', { status: 'cancelled' });
+        }
+        job.listeners.forEach(res => res.end());
+        fs.promises.rm(job.output, { force: true }).catch(() => {});
+    }
+
+    describeJob({ id, upload, status, progress, result, error, expiresAt }) {
+        return { id, upload: upload.id, status, progress, result, error, expiresAt };
+    }
+
+    /**
+     * @param {http.ServerResponse} res
+     * @param {Object} job - Completed job record
+     */
+    sendOutput(res, job) {
+        if (job.status !== 'completed') throw new HttpError(409, `Job is ${job.status}`);
+        const name = `${job.upload.name.replace(/\.[^/.]+$/, '')}.${job.extension}`;
+        res.writeHead(200, {
+            'Content-Type': job.type,
+            'Content-Length': job.result.size,
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(name)}`
+        });
+        fs.createReadStream(job.output).pipe(res);
+    }
+
+    /**
+     * Delete uploads and jobs past their retention time
+     * Jobs that are waiting or converting stay until they finish, then get a fresh retention time
+     */
+    sweep() {
+        const now = Date.now();
+        this.jobs.forEach(job => {
+            const active = job.status === 'queued' || job.status === 'converting';
+            if (!active && job.expiresAt <= now) this.deleteJob(job);
+        });
+        this.uploads.forEach(upload => {
+            // Uploads in use by a job live as long as the job
+            const inUse = Array.from(this.jobs.values()).some(job => job.upload === upload);
+            if (upload.expiresAt <= now && !inUse && !upload.writing) this.deleteUpload(upload);
+        });
+    }
+
+    // ------------------------------------------------
+    // Server-Sent Events
+    // ------------------------------------------------
+
+    /**
+     * Stream a job's events; the current state is sent first, and the
+     * stream ends once the job finishes
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {Object} job - Job record
+     */
+    streamEvents(req, res, job) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(ConversionServer.formatEvent('status', { status: job.status, progress: job.progress }));
+
+        const final = ConversionServer.FINAL_EVENTS[job.status];
+        if (final) {
+            res.end(ConversionServer.formatEvent(final, { status: job.status, result: job.result, error: job.error }));
+            return;
+        }
+
+        job.listeners.add(res);
+        req.on('close', () => job.listeners.delete(res));
+    }
+
+    /**
+     * Change a job's status and tell its listeners
+     * Final events end the streams
+     * @param {Object} job - Job record
+     * @param {string} event - Event name
+     * @param {Object} data - Event data, with the new status
+     */
+    update(job, event, data) {
+        job.status = data.status;
+        this.emit(job, event, data);
+        if (event !== 'status') {
+            job.listeners.forEach(res => res.end());
+            job.listeners.clear();
+        }
+    }
+
+    emit(job, event, data) {
+        const text = ConversionServer.formatEvent(event, data);
+        job.listeners.forEach(res => res.write(text));
+    }
+
+    broadcastComment(comment) {
+        this.jobs.forEach(job => job.listeners.forEach(res => res.write(`: ${comment}\n\n`)));
+    }
+
+    /**
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     * @returns {string} The event in the text/event-stream format
+     */
+    static formatEvent(event, data) {
+        return `event: ${event}\ndata: ${ConversionClient.stringify(data)}\n\n`;
+    }
+
+    // ------------------------------------------------
+    // Helpers
+    // ------------------------------------------------
+
+    /**
+     * Read a JSON object request body
+     * @param {http.IncomingMessage} req
+     * @returns {Promise<Object>}
+     */
+    async readJson(req) {
+        const chunks = [];
+        let length = 0;
+        for await (const chunk of req) {
+            length += chunk.length;
+            if (length > ConversionServer.MAX_JSON_BYTES) throw new HttpError(413, 'Request is too large');
+            chunks.push(chunk);
+        }
+        let value;
+        try {
+            value = ConversionClient.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+            throw new HttpError(400, 'Invalid JSON');
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) throw new HttpError(400, 'Expected a JSON object');
+        return value;
+    }
+
+    sendJson(res, status, value) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(ConversionClient.stringify(value));
+    }
+
+    /**
+     * Serve a file of the page
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {string} pathname - URL path
+     */
+    async serveStatic(req, res, pathname) {
+        if (!this.staticRoot || (req.method !== 'GET' && req.method !== 'HEAD')) throw new HttpError(404, 'Not found');
+
+        let decoded;
+        try {
+            decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+        } catch (error) {
+            throw new HttpError(400, 'Malformed path');
+        }
+        const relative = path.normalize(decoded).replace(/^([/\\]|\.\.[/\\])+/, '');
+        const file = path.join(this.staticRoot, relative);
+        const [top] = relative.split(path.sep);
+        const stat = await fs.promises.stat(file).catch(() => null);
+        if (!ConversionServer.STATIC_PATHS.includes(top) || !stat || !stat.isFile()) {
+            throw new HttpError(404, 'Not found');
+        }
+
+        res.writeHead(200, {
+            'Content-Type': ConversionServer.CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+            'Content-Length': stat.size
+        });
+        if (req.method === 'HEAD') res.end();
+        else fs.createReadStream(file).pipe(res);
+    }
+
+    /**
+     * @param {string} host - Host name or address
+     * @returns {boolean} Whether it names this machine's loopback interface
+     */
+    static isLoopback(host) {
+        const name = host.toLowerCase().replace(/^\[|\]$/g, '');
+        return ConversionServer.LOOPBACK_HOSTS.includes(name) || /^127(\.\d{1,3}){3}$/.test(name);
+    }
+
+    /**
+     * Host name of a Host header, without the port
+     * @param {string} host - e.g. "localhost:8080" or "[::1]:8080"
+     * @returns {string} e.g. "localhost" or "[::1]"
+     */
+    static hostname(host) {
+        return /^(\[[^\]]*\]|[^:]*)/.exec(host)[1];
+    }
+}
+
+/**
+ * How long uploads and outputs are kept, as promised on the page
+ */
+ConversionServer.RETENTION_MS = 60 * 60 * 1000;
+
+/**
+ * How often expired files are looked for
+ */
+ConversionServer.SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Interval of keep-alive comments on event streams
+ */
+ConversionServer.HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * Largest upload accepted, as AudioConverter.validateFileSize allows
+ */
+ConversionServer.MAX_UPLOAD_BYTES = 1024 * 1024 * 1024;
+
+/**
+ * Uploads kept at once, complete or not
+ */
+ConversionServer.MAX_OPEN_UPLOADS = 32;
+
+/**
+ * Total announced size of the uploads kept at once
+ */
+ConversionServer.MAX_STORED_BYTES = 4 * 1024 * 1024 * 1024;
+
+/**
+ * Largest JSON body accepted (job requests carry tags and artwork)
+ */
+ConversionServer.MAX_JSON_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Event that ends a job's stream, by the job's final status
+ */
+ConversionServer.FINAL_EVENTS = { completed: 'done', failed: 'failed', cancelled: 'cancelled' };
+
+/**
+ * Default interface; the server is meant for the local machine
+ */
+ConversionServer.HOST = '127.0.0.1';
+
+/**
+ * Names of the loopback interface, besides 127.x.x.x
+ */
+ConversionServer.LOOPBACK_HOSTS = ['localhost', '::1'];
+
+/**
+ * Folder served at /: the page
+ */
+ConversionServer.STATIC_ROOT = path.join(__dirname, '..');
+
+/**
+ * Top-level files and folders of the page under STATIC_ROOT; nothing else is served
+ */
+ConversionServer.STATIC_PATHS = ['index.html', 'css', 'js'];
+
+/**
+ * Content types of the page's files
+ */
+ConversionServer.CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+ConversionServer.HttpError = HttpError;
+
+module.exports = ConversionServer;